@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+require('../cli').main(process.argv.slice(2));
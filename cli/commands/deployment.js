@@ -0,0 +1,53 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const fs = require('fs');
+const { DeploymentVerifier, findStaleReferences } = require('../../sdk');
+
+// The manifest file as written, with the resolved (.env-overridden) addresses
+function currentManifest(ctx) {
+    const file = ctx.config.manifestPath ? JSON.parse(fs.readFileSync(ctx.config.manifestPath, 'utf8')) : {};
+    return { ...file, network: ctx.config.network, chainId: ctx.config.chainId, contracts: ctx.config.contracts };
+}
+
+module.exports = {
+    summary: 'Deployment manifest checks',
+    commands: {
+        verify: {
+            usage: '[--owner <address>] [--out <path>] [--scan <file>]...',
+            description: 'Check every proxy\'s ERC-1967 implementation, owner, ABI selectors and cross-wiring against the manifest. ' +
+                'Writes the verified manifest to --out; reports addresses in --scan files that contradict it. Exits 1 on drift or stale references.',
+            options: {
+                owner: { type: 'string' },
+                out: { type: 'string' },
+                scan: { type: 'string', multiple: true }
+            },
+            async run(ctx, values) {
+                const verifier = new DeploymentVerifier(ctx.provider, currentManifest(ctx), { owner: values.owner });
+                const report = await verifier.verify();
+                const stale = (values.scan || []).flatMap((file) =>
+                    findStaleReferences(fs.readFileSync(file, 'utf8'), report.manifest).map((ref) => ({ file, ...ref })));
+                if (values.out) fs.writeFileSync(values.out, JSON.stringify(report.manifest, null, 2) + '\n');
+
+                const errors = report.findings.filter((f) => f.severity === 'error');
+                const ok = report.ok && stale.length === 0;
+                const summary = [
+                    ...(errors.length ? [`${errors.length} error(s)`] : []),
+                    ...(stale.length ? [`${stale.length} stale reference(s)`] : [])
+                ];
+                ctx.print(
+                    { ok, findings: report.findings, staleReferences: stale, manifest: report.manifest },
+                    [
+                        `${ctx.config.network} (chain ${report.manifest.chainId})`,
+                        ...Object.entries(report.proxies).map(([name, p]) =>
+                            `  ${name.padEnd(15)}${p.address}  impl ${p.implementation || '-'}  owner ${p.owner || '-'}`),
+                        ...report.findings.map((f) => `${f.severity === 'error' ? 'ERROR  ' : 'WARNING'} ${f.contract}: ${f.message}`),
+                        ...stale.map((ref) => `STALE   ${ref.file}:${ref.line} ${ref.contract} ${ref.address} (manifest: ${ref.expected})`),
+                        ...(values.out ? [`Wrote ${values.out}`] : []),
+                        ok ? 'Deployment matches the manifest' : `Drift: ${summary.join(', ')}`
+                    ]
+                );
+                return ok ? 0 : 1;
+            }
+        }
+    }
+};
@@ -0,0 +1,158 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { DepositManager, isNativeToken } = require('../../sdk');
+
+async function manager(ctx, policies) {
+    return new DepositManager({ jobMarketplace: await ctx.writer('jobMarketplace', 'user') }, { policies });
+}
+
+// Comma-separated aliases or addresses; defaults to ETH plus USDC when configured
+async function tokenList(ctx, value) {
+    const names = value ? value.split(',') : ['native', ...(ctx.config.contracts.usdcToken ? ['usdc'] : [])];
+    return Promise.all(names.map((name) => ctx.token(name.trim())));
+}
+
+module.exports = {
+    summary: 'Manage the pre-funded deposit balance used by createSessionFromDeposit',
+    commands: {
+        native: {
+            usage: '<amount>',
+            description: 'Deposit ETH into the marketplace balance.',
+            options: {},
+            async run(ctx, values, positionals) {
+                const token = await ctx.token('native');
+                const amount = ctx.parseAmount(positionals[0], token);
+                const result = await (await manager(ctx)).deposit(token.address, amount);
+                ctx.print(
+                    { token: token.address, amount, ...ctx.txData(result) },
+                    [`Deposited ${ctx.formatAmount(amount, token)}`, ...ctx.txLines(result)]
+                );
+            }
+        },
+
+        token: {
+            usage: '<token> <amount>',
+            description: 'Deposit an ERC20 (usdc, fab or an address), approving the marketplace first if needed.',
+            options: {},
+            async run(ctx, values, positionals) {
+                const token = await ctx.token(positionals[0]);
+                if (isNativeToken(token.address)) throw new Error('Use "deposit native" for ETH');
+                const amount = ctx.parseAmount(positionals[1], token);
+                const result = await (await manager(ctx)).deposit(token.address, amount);
+                if (result.approvalRequired) {
+                    const { spender } = result.approvalRequired;
+                    ctx.print(
+                        { approvalRequired: result.approvalRequired },
+                        [`Approval required: ${ctx.formatAmount(amount, token)} to ${spender}`]
+                    );
+                    return;
+                }
+
+                ctx.print(
+                    { token: token.address, amount, ...ctx.txData(result) },
+                    [`Deposited ${ctx.formatAmount(amount, token)}`, ...ctx.txLines(result)]
+                );
+            }
+        },
+
+        withdraw: {
+            usage: '<amount> [--token native|usdc|<address>] [--reserve <amount>] [--force]',
+            description: 'Withdraw from the deposit balance. Refused beyond what is withdrawable (funds locked in active sessions stay put), and, while sessions are active, if it would leave less than the optional --reserve (a client-side limit) unless --force.',
+            options: {
+                token: { type: 'string' },
+                reserve: { type: 'string' },
+                force: { type: 'boolean' }
+            },
+            async run(ctx, values, positionals) {
+                const token = await ctx.token(values.token);
+                const amount = ctx.parseAmount(positionals[0], token);
+                const reserve = values.reserve === undefined ? undefined : ctx.parseAmount(values.reserve, token);
+                const deposits = await manager(ctx, reserve === undefined ? {} : { [token.address]: { minBalance: reserve, topUpTo: reserve } });
+                const result = await deposits.withdraw(token.address, amount, { force: values.force });
+                ctx.print(
+                    { token: token.address, amount, ...ctx.txData(result) },
+                    [`Withdrew ${ctx.formatAmount(amount, token)}`, ...ctx.txLines(result)]
+                );
+            }
+        },
+
+        balance: {
+            usage: '[--token native|usdc|<address>] [--account <address>]',
+            description: 'Show a deposit balance (defaults to the user signer).',
+            options: {
+                token: { type: 'string' },
+                account: { type: 'string' }
+            },
+            async run(ctx, values) {
+                const token = await ctx.token(values.token);
+                const account = values.account || (await ctx.signer('user')).address;
+                const balance = await ctx.contract('jobMarketplace').getDepositBalance(account, token.address);
+                ctx.print(
+                    { account, token: token.address, balance },
+                    [`${account}: ${ctx.formatAmount(balance, token)}`]
+                );
+            }
+        },
+
+        balances: {
+            usage: '[--tokens native,usdc,<address>] [--account <address>]',
+            description: 'Show withdrawable versus locked (in active sessions) deposit funds per token.',
+            options: {
+                tokens: { type: 'string' },
+                account: { type: 'string' }
+            },
+            async run(ctx, values) {
+                const tokens = await tokenList(ctx, values.tokens);
+                const account = values.account || (await ctx.signer('user')).address;
+                const balances = await new DepositManager({ jobMarketplace: ctx.contract('jobMarketplace') })
+                    .getBalances(tokens.map((t) => t.address), account);
+                ctx.print(
+                    { account, balances },
+                    [
+                        account,
+                        ...tokens.map((t, i) => `  ${t.symbol}: ${ctx.formatAmount(balances[i].withdrawable, t)} withdrawable, ` +
+                            `${ctx.formatAmount(balances[i].locked, t)} locked in active sessions`)
+                    ]
+                );
+            }
+        },
+
+        watch: {
+            usage: '--min <amount> --target <amount> [--token native|usdc|<address>] [--interval <s>]',
+            description: 'Keep the deposit balance topped up: whenever it drops below --min, deposit back up to --target (approving ERC20s as needed). Runs until interrupted.',
+            options: {
+                token: { type: 'string' },
+                min: { type: 'string' },
+                target: { type: 'string' },
+                interval: { type: 'string', default: '60' }
+            },
+            async run(ctx, values) {
+                if (ctx.dryRun) throw new Error('deposit watch cannot be simulated; use deposit balances to inspect');
+                if (values.min === undefined || values.target === undefined) throw new Error('--min and --target are required');
+                const token = await ctx.token(values.token);
+                const policy = { minBalance: ctx.parseAmount(values.min, token), topUpTo: ctx.parseAmount(values.target, token) };
+                const deposits = await manager(ctx, { [token.address]: policy });
+
+                ctx.event(
+                    { event: 'started', token: token.address, ...policy },
+                    `Keeping ${token.symbol} deposit above ${ctx.formatAmount(policy.minBalance, token)}`
+                );
+                const stop = deposits.start({
+                    intervalMs: Number(values.interval) * 1000,
+                    onTopUp: (topUp) => ctx.event(
+                        { event: 'topUp', token: topUp.token, amount: topUp.amount, transactionHash: topUp.hash },
+                        `Topped up ${ctx.formatAmount(topUp.amount, token)} (${topUp.hash})`
+                    ),
+                    onError: (err) => ctx.event(
+                        { event: 'error', error: err.reason || err.shortMessage || err.message },
+                        `Top-up failed: ${err.reason || err.shortMessage || err.message}`
+                    )
+                });
+
+                await ctx.untilSignal();
+                stop();
+                ctx.event({ event: 'stopped' }, 'Deposit watch stopped');
+            }
+        }
+    }
+};
@@ -0,0 +1,61 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+
+// Native plus USDC when no --token is given
+async function tokenList(ctx, values) {
+    const names = values.token && values.token.length ? values.token : ['native', ...(ctx.config.contracts.usdcToken ? ['usdc'] : [])];
+    return Promise.all(names.map((name) => ctx.token(name)));
+}
+
+module.exports = {
+    summary: 'Host earnings held in HostEarnings',
+    commands: {
+        balance: {
+            usage: '[--host <address>] [--token <token>]...',
+            description: 'Show unwithdrawn earnings per token (defaults to the host signer, native and USDC).',
+            options: {
+                host: { type: 'string' },
+                token: { type: 'string', multiple: true }
+            },
+            async run(ctx, values) {
+                const tokens = await tokenList(ctx, values);
+                const host = values.host || (await ctx.signer('host')).address;
+                const balances = await ctx.contract('hostEarnings').getBalances(host, tokens.map((t) => t.address));
+                ctx.print(
+                    { host, balances: tokens.map((t, i) => ({ token: t.address, symbol: t.symbol, balance: balances[i] })) },
+                    [`Host ${host}`, ...tokens.map((t, i) => `  ${ctx.formatAmount(balances[i], t)}`)]
+                );
+            }
+        },
+
+        'withdraw-all': {
+            usage: '[--token <token>]...',
+            description: 'Withdraw the full balance of every listed token in one withdrawMultiple transaction.',
+            options: {
+                token: { type: 'string', multiple: true }
+            },
+            async run(ctx, values) {
+                const tokens = await tokenList(ctx, values);
+                const earnings = await ctx.writer('hostEarnings', 'host');
+                const balances = await ctx.contract('hostEarnings').getBalances(earnings.runner.address, tokens.map((t) => t.address));
+                const result = await earnings.withdrawMultiple(tokens.map((t) => t.address));
+
+                // Zero balances are skipped by the contract, so report what was (or would be) paid out
+                const withdrawn = tokens
+                    .map((t, i) => ({ token: t, amount: balances[i] }))
+                    .filter((w) => w.amount > 0n);
+                ctx.print(
+                    {
+                        withdrawals: withdrawn.map((w) => ({ token: w.token.address, symbol: w.token.symbol, amount: w.amount })),
+                        ...ctx.txData(result)
+                    },
+                    [
+                        withdrawn.length ? 'Withdrew:' : 'Nothing to withdraw',
+                        ...withdrawn.map((w) => `  ${ctx.formatAmount(w.amount, w.token)}`),
+                        ...ctx.txLines(result)
+                    ]
+                );
+            }
+        }
+    }
+};
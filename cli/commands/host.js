@@ -0,0 +1,130 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { HostDaemon, HostProfile, ProofStorage, FileStore } = require('../../sdk');
+
+/**
+ * Load the operator's token source module. It may export a TokenSource
+ * directly or a (possibly async) factory that receives { config, provider }.
+ */
+async function loadTokenSource(ctx, modulePath) {
+    const exported = require(path.resolve(modulePath));
+    const source = typeof exported === 'function'
+        ? await exported({ config: ctx.config, provider: ctx.provider })
+        : exported;
+    if (!source || typeof source.getTokensServed !== 'function') {
+        throw new Error(`${modulePath} must export a token source with getTokensServed(session)`);
+    }
+    return source;
+}
+
+/**
+ * Read a host config file; pricing.tokens may be keyed by token alias
+ * (usdc) as well as address
+ */
+async function readHostConfig(ctx, file) {
+    if (!file) throw new Error('Expected a host config file');
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (config.pricing && config.pricing.tokens) {
+        const tokens = {};
+        for (const [token, price] of Object.entries(config.pricing.tokens)) tokens[(await ctx.token(token)).address] = price;
+        config.pricing.tokens = tokens;
+    }
+    return config;
+}
+
+async function hostProfile(ctx) {
+    return new HostProfile({ nodeRegistry: await ctx.writer('nodeRegistry', 'host'), modelRegistry: ctx.contract('modelRegistry') });
+}
+
+function planLines(plan, file) {
+    const stake = plan.stake.target === plan.stake.current
+        ? `stake ${ethers.formatEther(plan.stake.current)} FAB`
+        : `stake ${ethers.formatEther(plan.stake.current)} -> ${ethers.formatEther(plan.stake.target)} FAB`;
+    return [
+        `Host ${plan.host}: ${plan.registered ? 'registered' : 'not registered'}, ${stake}`,
+        ...(plan.actions.length ? plan.actions.map((a, i) => `${i + 1}. ${a.description}`) : [`In sync with ${file}`]),
+        ...plan.warnings.map((w) => `Note: ${w}`)
+    ];
+}
+
+module.exports = {
+    summary: 'Run the host node daemon and manage its NodeRegistry entry',
+    commands: {
+        plan: {
+            usage: '<host.json>',
+            description: 'Compare the host\'s NodeRegistry entry with a host config file and list the calls needed to match it. Validates models, stake and prices.',
+            options: {},
+            async run(ctx, values, positionals) {
+                const plan = await (await hostProfile(ctx)).plan(await readHostConfig(ctx, positionals[0]));
+                ctx.print(plan, planLines(plan, positionals[0]));
+            }
+        },
+
+        apply: {
+            usage: '<host.json>',
+            description: 'Register, stake, update models, metadata and prices, or unregister, sending only the calls the plan lists. Approves FAB for stake first.',
+            options: {},
+            async run(ctx, values, positionals) {
+                const result = await (await hostProfile(ctx)).apply(await readHostConfig(ctx, positionals[0]));
+                const lines = planLines(result, positionals[0]);
+                for (const [i, tx] of result.results.entries()) lines.push(`${i + 1}. ${tx.method}: ${tx.hash}`);
+                ctx.print(
+                    { ...result, results: result.results.map((tx) => ({ method: tx.method, ...ctx.txData(tx) })) },
+                    lines
+                );
+            }
+        },
+
+        run: {
+            usage: '--token-source <module.js> [--state <path>] [--store <dir>] [--interval <s>] [--start-block <n>] [--no-timeouts]',
+            description: 'Watch sessions assigned to the host signer, submit proofs for served tokens and trigger timeouts. Runs until interrupted.',
+            options: {
+                'token-source': { type: 'string' },
+                state: { type: 'string' },
+                store: { type: 'string' },
+                interval: { type: 'string', default: '5' },
+                'start-block': { type: 'string' },
+                'no-timeouts': { type: 'boolean' }
+            },
+            async run(ctx, values) {
+                if (ctx.dryRun) throw new Error('host run cannot be simulated; use session status to inspect sessions');
+                if (!values['token-source']) throw new Error('--token-source is required');
+
+                const statePath = values.state || path.join('.fabstir', `host-${ctx.config.network}.json`);
+                const daemon = new HostDaemon({
+                    marketplace: await ctx.writer('jobMarketplace', 'host'),
+                    provider: ctx.provider,
+                    tokenSource: await loadTokenSource(ctx, values['token-source']),
+                    statePath,
+                    startBlock: values['start-block'] === undefined ? ctx.config.deployBlock || 0 : Number(values['start-block']),
+                    triggerTimeouts: !values['no-timeouts'],
+                    storage: values.store ? new ProofStorage(new FileStore(values.store)) : undefined
+                });
+
+                ctx.event({ event: 'started', statePath }, `Host daemon started (state: ${statePath})`);
+                const stop = daemon.start({
+                    intervalMs: Number(values.interval) * 1000,
+                    onTick: (result) => {
+                        for (const jobId of result.discovered) ctx.event({ event: 'discovered', jobId }, `Session ${jobId}: assigned`);
+                        for (const proof of result.proofs) {
+                            ctx.event({ event: 'proof', ...proof }, `Session ${proof.jobId}: proved ${proof.tokensClaimed} tokens (${proof.transactionHash})`);
+                        }
+                        for (const jobId of result.timeouts) ctx.event({ event: 'timeout', jobId }, `Session ${jobId}: timed out`);
+                        for (const jobId of result.closed) ctx.event({ event: 'closed', jobId }, `Session ${jobId}: closed`);
+                    },
+                    onError: (err, jobId) => ctx.event(
+                        { event: 'error', jobId, error: err.reason || err.shortMessage || err.message },
+                        `${jobId === undefined ? 'Tick' : `Session ${jobId}`} failed: ${err.reason || err.shortMessage || err.message}`
+                    )
+                });
+
+                await ctx.untilSignal();
+                stop();
+                ctx.event({ event: 'stopped' }, 'Host daemon stopped');
+            }
+        }
+    }
+};
@@ -0,0 +1,52 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { HostDiscovery } = require('../../sdk');
+
+module.exports = {
+    summary: 'Find hosts for a model and compare prices',
+    commands: {
+        find: {
+            usage: '(--repo <hf-repo> --file <name> | --model <modelId>) [--token native|usdc|<address>] [--max-price <pricePerToken>] [--deposit <amount>] [--limit <n>]',
+            description: 'List active hosts serving an approved model, cheapest and best-staked first; recently slashed hosts last.',
+            options: {
+                repo: { type: 'string' },
+                file: { type: 'string' },
+                model: { type: 'string' },
+                token: { type: 'string' },
+                'max-price': { type: 'string' },
+                deposit: { type: 'string' },
+                limit: { type: 'string' }
+            },
+            async run(ctx, values) {
+                if (!values.model && !(values.repo && values.file)) throw new Error('Give --model, or --repo and --file');
+                const token = await ctx.token(values.token);
+                const discovery = new HostDiscovery({ nodeRegistry: ctx.contract('nodeRegistry'), modelRegistry: ctx.contract('modelRegistry') });
+                const { modelId, candidates } = await discovery.findHosts({
+                    modelId: values.model,
+                    repo: values.repo,
+                    fileName: values.file,
+                    token: token.address,
+                    maxPrice: values['max-price'] !== undefined ? BigInt(values['max-price']) : undefined,
+                    deposit: values.deposit !== undefined ? ctx.parseAmount(values.deposit, token) : undefined
+                });
+                const shown = values.limit ? candidates.slice(0, Number(values.limit)) : candidates;
+
+                ctx.print(
+                    { modelId, token: token.address, candidates: shown },
+                    [
+                        `Model ${modelId}: ${candidates.length} host(s)`,
+                        ...shown.map((c, i) => [
+                            `${i + 1}. ${c.host}  ${c.apiUrl}`,
+                            // PRICE_PRECISION is 1000, so the scaled price is also the cost of 1000 tokens
+                            `   min price ${c.minPrice} (${ctx.formatAmount(c.minPrice, token)} per 1000 tokens)`,
+                            `   stake ${ethers.formatEther(c.stakedAmount)} FAB` +
+                                (c.lastSlashTime > 0n ? `, last slashed ${new Date(Number(c.lastSlashTime) * 1000).toISOString()}` : ''),
+                            ...(c.quote ? [`   deposit buys up to ${c.quote.maxTokens} tokens`] : [])
+                        ].join('\n'))
+                    ]
+                );
+            }
+        }
+    }
+};
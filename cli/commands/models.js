@@ -0,0 +1,187 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ModelGovernance, computeModelId, hashModelFile } = require('../../sdk');
+
+function modelIdArg(positionals) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(positionals[0] || '')) throw new Error('Expected a bytes32 model id');
+    return positionals[0];
+}
+
+function repoAndFile(values) {
+    if (!values.repo || !values.file) throw new Error('--repo and --file are required');
+    return { repo: values.repo, fileName: values.file };
+}
+
+async function governance(ctx) {
+    return new ModelGovernance({ modelRegistry: await ctx.writer('modelRegistry', 'user') });
+}
+
+// Votes and fees are in the registry's governance token (FAB)
+async function fab(ctx) {
+    return ctx.token(await ctx.contract('modelRegistry').governanceToken());
+}
+
+function duration(seconds) {
+    const s = Number(seconds);
+    const days = Math.floor(s / 86400);
+    const hours = Math.floor((s % 86400) / 3600);
+    const minutes = Math.floor((s % 3600) / 60);
+    return days ? `${days}d ${hours}h` : hours ? `${hours}h ${minutes}m` : `${minutes}m ${s % 60}s`;
+}
+
+function proposalLines(ctx, p, token) {
+    const state = p.executed ? 'executed' : p.votingOpen ? `${duration(p.remaining)} left` : 'ready to execute';
+    return [
+        `${p.modelId}  ${p.repo}/${p.fileName}`,
+        `   for ${ctx.formatAmount(p.votesFor, token)}, against ${ctx.formatAmount(p.votesAgainst, token)}` +
+            (p.votesNeeded > 0n ? ` (${ctx.formatAmount(p.votesNeeded, token)} short of approval)` : ''),
+        `   ${state}, ${p.passing ? 'passing' : 'failing'}` +
+            (p.extensionCount ? `, extended ${p.extensionCount}x` : '') +
+            `, ends ${new Date(Number(p.endTime) * 1000).toISOString()}`
+    ].join('\n');
+}
+
+// A dry run without the FAB allowance would only simulate a transferFrom revert
+function printApprovalRequired(ctx, result, token) {
+    const { approvalRequired } = result;
+    ctx.print(
+        { approvalRequired },
+        [`Approval required: ${ctx.formatAmount(approvalRequired.amount, token)} to ${approvalRequired.spender}`]
+    );
+}
+
+module.exports = {
+    summary: 'Propose, vote on and execute ModelRegistry proposals',
+    commands: {
+        id: {
+            usage: '--repo <hf-repo> --file <name>',
+            description: 'Compute a model id locally, as ModelRegistry.getModelId does.',
+            options: {
+                repo: { type: 'string' },
+                file: { type: 'string' }
+            },
+            async run(ctx, values) {
+                const { repo, fileName } = repoAndFile(values);
+                const modelId = computeModelId(repo, fileName);
+                ctx.print({ modelId, repo, fileName }, [modelId]);
+            }
+        },
+
+        hash: {
+            usage: '<file.gguf>',
+            description: 'SHA-256 of a local GGUF file, as stored in sha256Hash.',
+            options: {},
+            async run(ctx, values, positionals) {
+                if (!positionals[0]) throw new Error('Expected a file path');
+                const sha256Hash = await hashModelFile(positionals[0]);
+                ctx.print({ file: positionals[0], sha256Hash }, [sha256Hash]);
+            }
+        },
+
+        proposals: {
+            usage: '',
+            description: 'List open proposals with tallies and time left, soonest deadline first.',
+            options: {},
+            async run(ctx) {
+                const token = await fab(ctx);
+                const proposals = await new ModelGovernance({ modelRegistry: ctx.contract('modelRegistry') }).listProposals();
+                ctx.print(
+                    { proposals },
+                    [`${proposals.length} open proposal(s)`, ...proposals.map((p) => proposalLines(ctx, p, token))]
+                );
+            }
+        },
+
+        status: {
+            usage: '<modelId>',
+            description: 'Show one proposal, including executed ones.',
+            options: {},
+            async run(ctx, values, positionals) {
+                const token = await fab(ctx);
+                const proposal = await new ModelGovernance({ modelRegistry: ctx.contract('modelRegistry') })
+                    .getProposal(modelIdArg(positionals));
+                ctx.print({ proposal }, [proposalLines(ctx, proposal, token)]);
+            }
+        },
+
+        propose: {
+            usage: '--repo <hf-repo> --file <name> (--gguf <path> | --sha256 <hash>)',
+            description: 'Propose a model for community approval. Charges the 100 FAB proposal fee (refunded if approved), approving it first.',
+            options: {
+                repo: { type: 'string' },
+                file: { type: 'string' },
+                gguf: { type: 'string' },
+                sha256: { type: 'string' }
+            },
+            async run(ctx, values) {
+                const { repo, fileName } = repoAndFile(values);
+                if (!values.gguf === !values.sha256) throw new Error('Give exactly one of --gguf and --sha256');
+                const token = await fab(ctx);
+                const result = await (await governance(ctx)).propose({ repo, fileName, file: values.gguf, sha256Hash: values.sha256 });
+                if (result.approvalRequired) return printApprovalRequired(ctx, result, token);
+                ctx.print(
+                    { modelId: result.modelId, sha256Hash: result.sha256Hash, ...ctx.txData(result) },
+                    [
+                        `Model ${result.modelId}${ctx.dryRun ? ' would be proposed' : ' proposed'}`,
+                        `SHA-256: ${result.sha256Hash}`,
+                        ...ctx.txLines(result)
+                    ]
+                );
+            }
+        },
+
+        vote: {
+            usage: '<modelId> <amount> [--against]',
+            description: 'Lock FAB for (or --against) a proposal until it is executed, approving it first. Late votes may extend the deadline.',
+            options: {
+                against: { type: 'boolean' }
+            },
+            async run(ctx, values, positionals) {
+                const modelId = modelIdArg(positionals);
+                const token = await fab(ctx);
+                const amount = ctx.parseAmount(positionals[1], token);
+                const result = await (await governance(ctx)).vote(modelId, amount, !values.against);
+                if (result.approvalRequired) return printApprovalRequired(ctx, result, token);
+                const extension = result.extension;
+                ctx.print(
+                    { modelId, amount, support: !values.against, extension: extension || null, ...ctx.txData(result) },
+                    [
+                        `Voted ${ctx.formatAmount(amount, token)} ${values.against ? 'against' : 'for'} ${modelId}`,
+                        ...(extension ? [`Voting extended to ${new Date(Number(extension.newEndTime) * 1000).toISOString()}`] : []),
+                        ...ctx.txLines(result)
+                    ]
+                );
+            }
+        },
+
+        execute: {
+            usage: '<modelId>',
+            description: 'Tally a proposal after its deadline (anyone may call). Approved models become usable immediately.',
+            options: {},
+            async run(ctx, values, positionals) {
+                const modelId = modelIdArg(positionals);
+                const result = await (await governance(ctx)).execute(modelId);
+                const outcome = result.dryRun ? 'would be executed' : result.approved ? 'approved' : 'rejected';
+                ctx.print(
+                    { modelId, approved: result.approved === undefined ? null : result.approved, ...ctx.txData(result) },
+                    [`Proposal ${modelId} ${outcome}`, ...ctx.txLines(result)]
+                );
+            }
+        },
+
+        withdraw: {
+            usage: '<modelId>',
+            description: 'Reclaim the FAB you voted with once the proposal is executed.',
+            options: {},
+            async run(ctx, values, positionals) {
+                const modelId = modelIdArg(positionals);
+                const token = await fab(ctx);
+                const result = await (await governance(ctx)).withdrawVotes(modelId);
+                ctx.print(
+                    { modelId, amount: result.amount, ...ctx.txData(result) },
+                    [`Withdrew ${ctx.formatAmount(result.amount, token)} from ${modelId}`, ...ctx.txLines(result)]
+                );
+            }
+        }
+    }
+};
@@ -0,0 +1,121 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const fs = require('fs');
+const path = require('path');
+const { EventIndexer, IndexStore, EarningsReport, toCsv } = require('../../sdk');
+const { toJson } = require('../context');
+
+// Catch the local event index up with the chain, then report from it
+async function earningsReport(ctx, values) {
+    const store = new IndexStore({ path: values.index || path.join('.fabstir', `index-${ctx.config.network}.json`) });
+    const indexer = new EventIndexer({
+        provider: ctx.provider,
+        contracts: ctx.config.contracts,
+        store,
+        startBlock: ctx.config.deployBlock || 0
+    });
+    await indexer.sync();
+    return new EarningsReport(store, ctx.contracts, { provider: ctx.provider });
+}
+
+// ISO date or unix seconds
+function time(value, name) {
+    if (value === undefined) return undefined;
+    if (/^\d+$/.test(value)) return Number(value);
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`--${name} must be a date (2025-01-31) or unix seconds`);
+    return date;
+}
+
+function periodOf(values) {
+    return { from: time(values.from, 'from'), to: time(values.to, 'to') };
+}
+
+function periodLine(period) {
+    const at = (t) => (t === null ? '…' : new Date(t * 1000).toISOString());
+    return `Period ${at(period.from)} to ${at(period.to)}`;
+}
+
+// Native plus USDC when no --token is given
+async function tokenList(ctx, values) {
+    const names = values.token && values.token.length ? values.token : ['native', ...(ctx.config.contracts.usdcToken ? ['usdc'] : [])];
+    return Promise.all(names.map((name) => ctx.token(name)));
+}
+
+// --out report.csv writes the rows as CSV, anything else the full report as JSON
+function writeOut(values, report, columns) {
+    if (!values.out) return [];
+    fs.writeFileSync(values.out, values.out.endsWith('.csv') ? toCsv(report.rows, columns) : toJson(report) + '\n');
+    return [`Wrote ${values.out}`];
+}
+
+const REPORT_OPTIONS = {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    out: { type: 'string' },
+    index: { type: 'string' }
+};
+
+module.exports = {
+    summary: 'Earnings and treasury statements, balance reconciliation',
+    commands: {
+        statement: {
+            usage: '[--host <address>] [--from <date>] [--to <date>] [--out <file.csv|file.json>] [--index <path>]',
+            description: 'Sessions served, tokens, gross, fee and net per host and payment token for sessions settled in the period.',
+            options: { ...REPORT_OPTIONS, host: { type: 'string' } },
+            async run(ctx, values) {
+                const report = await (await earningsReport(ctx, values)).statement({ ...periodOf(values), host: values.host });
+                const lines = [periodLine(report.period)];
+                for (const row of report.rows) {
+                    const token = await ctx.token(row.token);
+                    lines.push(`${row.host} ${token.symbol}: ${row.sessions} session(s), ${row.tokensUsed} tokens, ` +
+                        `gross ${ctx.formatAmount(row.gross, token)}, fee ${ctx.formatAmount(row.fee, token)}, net ${ctx.formatAmount(row.net, token)}`);
+                }
+                if (!report.rows.length) lines.push('No settled sessions');
+                ctx.print(report, [...lines, ...writeOut(values, report, ['host', 'token', 'sessions', 'tokensUsed', 'gross', 'fee', 'net'])]);
+            }
+        },
+
+        treasury: {
+            usage: '[--from <date>] [--to <date>] [--token <token>]... [--out <file.csv|file.json>] [--index <path>]',
+            description: 'Treasury fees accrued and withdrawn per token in the period, and the balance still held.',
+            options: { ...REPORT_OPTIONS, token: { type: 'string', multiple: true } },
+            async run(ctx, values) {
+                const tokens = await tokenList(ctx, values);
+                const report = await (await earningsReport(ctx, values)).treasuryStatement(periodOf(values), tokens.map((t) => t.address));
+                const lines = [periodLine(report.period)];
+                for (const row of report.rows) {
+                    const token = await ctx.token(row.token);
+                    lines.push(`${token.symbol}: ${row.sessions} session(s), accrued ${ctx.formatAmount(row.accrued, token)}, ` +
+                        `withdrawn ${ctx.formatAmount(row.withdrawn, token)}, held now ${ctx.formatAmount(row.balance, token)}`);
+                }
+                ctx.print(report, [...lines, ...writeOut(values, report, ['token', 'sessions', 'accrued', 'withdrawn', 'balance'])]);
+            }
+        },
+
+        reconcile: {
+            usage: '[--token <token>]... [--index <path>]',
+            description: 'Check JobMarketplace and HostEarnings token balances against deposits, active sessions, treasury fees and host earnings. Exits 1 on any discrepancy.',
+            options: { token: { type: 'string', multiple: true }, index: { type: 'string' } },
+            async run(ctx, values) {
+                const tokens = await tokenList(ctx, values);
+                const result = await (await earningsReport(ctx, values)).reconcile(tokens.map((t) => t.address));
+                const lines = [];
+                for (const [i, entry] of result.tokens.entries()) {
+                    const token = tokens[i];
+                    const m = entry.marketplace;
+                    lines.push(`${token.symbol}: ${entry.ok ? 'balanced' : 'DISCREPANCY'}`,
+                        `  marketplace holds ${ctx.formatAmount(m.balance, token)}; deposits ${ctx.formatAmount(m.deposits, token)} + ` +
+                        `active sessions ${ctx.formatAmount(m.locked, token)} + treasury ${ctx.formatAmount(m.treasury, token)}`);
+                    if (entry.hostEarnings) {
+                        lines.push(`  host earnings holds ${ctx.formatAmount(entry.hostEarnings.balance, token)}; ` +
+                            `owed ${ctx.formatAmount(entry.hostEarnings.outstanding, token)}`);
+                    }
+                }
+                lines.push(...result.discrepancies.map((d) => `  ${d.message}`));
+                ctx.print(result, lines);
+                return result.ok ? 0 : 1;
+            }
+        }
+    }
+};
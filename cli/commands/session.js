@@ -0,0 +1,253 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { HostDiscovery, ProofStorage, FileStore, computeCid, MIN_PROVEN_TOKENS, isNativeToken } = require('../../sdk');
+
+function jobIdArg(positionals) {
+    if (!positionals[0] || !/^\d+$/.test(positionals[0])) {
+        throw new Error('Expected a numeric session id');
+    }
+    return BigInt(positionals[0]);
+}
+
+function required(values, name) {
+    if (values[name] === undefined) throw new Error(`--${name} is required`);
+    return values[name];
+}
+
+// Content-addressed store for proof blobs, deltas and conversations
+function storage(ctx, values) {
+    return new ProofStorage(
+        new FileStore(values.store || path.join('.fabstir', 'content')),
+        { jobMarketplace: ctx.contract('jobMarketplace') },
+        { fromBlock: ctx.config.deployBlock || 0 }
+    );
+}
+
+function discovery(ctx) {
+    return new HostDiscovery({ nodeRegistry: ctx.contract('nodeRegistry'), modelRegistry: ctx.contract('modelRegistry') });
+}
+
+// --model, or --repo + --file checked against ModelRegistry
+async function resolveModel(ctx, values) {
+    if (!values.model && !values.repo && !values.file) return undefined;
+    if (!values.model && !(values.repo && values.file)) throw new Error('--repo and --file must be given together');
+    return discovery(ctx).resolveModel({ modelId: values.model, repo: values.repo, fileName: values.file });
+}
+
+async function bestHost(ctx, modelId, token) {
+    if (!modelId) throw new Error('--host is required unless a model is given');
+    const { candidates } = await discovery(ctx).findHosts({ modelId, token: token.address });
+    if (!candidates.length) throw new Error(`No active host serves model ${modelId}`);
+    return candidates[0].host;
+}
+
+async function settlementOutput(ctx, jobId, result) {
+    const data = { jobId, ...ctx.txData(result) };
+    const lines = [`Session ${jobId}`, ...ctx.txLines(result)];
+    if (result.settlement) {
+        const session = await ctx.contract('jobMarketplace').getSession(jobId);
+        const token = await ctx.token(session.paymentToken);
+        const { tokensUsed, paymentAmount, refundAmount } = result.settlement;
+        data.settlement = { tokensUsed, paymentAmount, refundAmount, paymentToken: token.address };
+        lines.push(
+            `Tokens used: ${tokensUsed}`,
+            `Host payment: ${ctx.formatAmount(paymentAmount, token)}`,
+            `Refund: ${ctx.formatAmount(refundAmount, token)}`
+        );
+    }
+    ctx.print(data, lines);
+}
+
+module.exports = {
+    summary: 'Create, inspect and settle sessions',
+    commands: {
+        create: {
+            usage: '--deposit <amount> [--host <address>] [--price <pricePerToken>] [--token native|usdc|<address>] [--model <modelId> | --repo <hf-repo> --file <name>] [--duration <s>] [--proof-interval <tokens>] [--from-deposit]',
+            description: 'Open a session. With a model and no --host, the best-ranked host for it is picked; without --price, the host\'s minimum is used. ERC20 deposits are approved first unless --from-deposit draws on the deposit balance. --price is the raw contract value (per token, scaled by PRICE_PRECISION).',
+            options: {
+                host: { type: 'string' },
+                deposit: { type: 'string' },
+                price: { type: 'string' },
+                token: { type: 'string' },
+                model: { type: 'string' },
+                repo: { type: 'string' },
+                file: { type: 'string' },
+                duration: { type: 'string', default: '3600' },
+                'proof-interval': { type: 'string', default: MIN_PROVEN_TOKENS.toString() },
+                'from-deposit': { type: 'boolean' }
+            },
+            async run(ctx, values) {
+                const token = await ctx.token(values.token);
+                const modelId = await resolveModel(ctx, values);
+                if (modelId && values['from-deposit']) {
+                    throw new Error('A model cannot be combined with --from-deposit');
+                }
+                const host = values.host || await bestHost(ctx, modelId, token);
+                if (!ethers.isAddress(host)) throw new Error(`Invalid host address "${host}"`);
+
+                const marketplace = await ctx.writer('jobMarketplace', 'user');
+                const params = {
+                    host,
+                    token: token.address,
+                    deposit: ctx.parseAmount(required(values, 'deposit'), token),
+                    maxDuration: BigInt(values.duration),
+                    proofInterval: BigInt(values['proof-interval']),
+                    modelId
+                };
+                // Without --price the preflight settles on the host's minimum
+                const preflight = await ctx.preflight();
+                const { pricePerToken } = await preflight.createSession(
+                    { ...params, pricePerToken: values.price !== undefined ? BigInt(values.price) : undefined, fromDeposit: values['from-deposit'] },
+                    await marketplace.runner.getAddress()
+                );
+                params.pricePerToken = pricePerToken;
+
+                let approval = { needed: false, approved: false };
+                if (!values['from-deposit'] && !isNativeToken(token.address)) {
+                    approval = await ctx.ensureAllowance(token, marketplace.address, params.deposit, marketplace.runner);
+                }
+                if (approval.needed && ctx.dryRun) {
+                    // The create would revert on transferFrom, so report instead of simulating it
+                    ctx.print(
+                        { approvalRequired: { token: token.address, spender: marketplace.address, amount: params.deposit } },
+                        [`Approval required: ${ctx.formatAmount(params.deposit, token)} to ${marketplace.address}`]
+                    );
+                    return;
+                }
+
+                const result = values['from-deposit']
+                    ? await marketplace.createSessionFromDeposit(params)
+                    : await marketplace.createSession(params);
+                ctx.print(
+                    {
+                        jobId: result.jobId,
+                        host,
+                        modelId: modelId || null,
+                        pricePerToken,
+                        deposit: params.deposit,
+                        token: token.address,
+                        approved: approval.approved,
+                        ...ctx.txData(result)
+                    },
+                    [
+                        `Session ${result.jobId}${ctx.dryRun ? ' (would be created)' : ' created'}`,
+                        `Host: ${host}`,
+                        `Price per token: ${pricePerToken}`,
+                        `Deposit: ${ctx.formatAmount(params.deposit, token)}`,
+                        ...(approval.approved ? [`Approved ${ctx.formatAmount(params.deposit, token)}`] : []),
+                        ...ctx.txLines(result)
+                    ]
+                );
+            }
+        },
+
+        status: {
+            usage: '<jobId>',
+            description: 'Show session state and what completing it now would pay out.',
+            options: {},
+            async run(ctx, values, positionals) {
+                const jobId = jobIdArg(positionals);
+                const marketplace = ctx.contract('jobMarketplace');
+                const session = await marketplace.getSession(jobId);
+                if (session.host === ethers.ZeroAddress) throw new Error(`Session ${jobId} does not exist`);
+                const token = await ctx.token(session.paymentToken);
+                const active = session.statusName === 'Active';
+                const preview = active ? await marketplace.previewSettlement(jobId) : null;
+
+                ctx.print(
+                    {
+                        jobId,
+                        status: session.statusName,
+                        depositor: session.depositor,
+                        host: session.host,
+                        paymentToken: token.address,
+                        deposit: session.deposit,
+                        pricePerToken: session.pricePerToken,
+                        tokensUsed: session.tokensUsed,
+                        startTime: session.startTime,
+                        lastProofTime: session.lastProofTime,
+                        maxDuration: session.maxDuration,
+                        withdrawnByHost: session.withdrawnByHost,
+                        refundedToUser: session.refundedToUser,
+                        conversationCID: session.conversationCID,
+                        preview
+                    },
+                    [
+                        `Session ${jobId}: ${session.statusName}`,
+                        `Depositor: ${session.depositor}`,
+                        `Host: ${session.host}`,
+                        `Deposit: ${ctx.formatAmount(session.deposit, token)}`,
+                        `Price per token: ${session.pricePerToken} (x1/1000 ${token.symbol} base units)`,
+                        `Tokens used: ${session.tokensUsed}`,
+                        `Started: ${new Date(Number(session.startTime) * 1000).toISOString()}`,
+                        ...(active
+                            ? [`Settle now: host ${ctx.formatAmount(preview.hostEarnings, token)}, ` +
+                                `treasury ${ctx.formatAmount(preview.treasuryFee, token)}, ` +
+                                `refund ${ctx.formatAmount(preview.userRefund, token)}`]
+                            : [`Host earnings: ${ctx.formatAmount(session.withdrawnByHost, token)}`,
+                                `Refunded: ${ctx.formatAmount(session.refundedToUser, token)}`])
+                    ]
+                );
+            }
+        },
+
+        complete: {
+            usage: '<jobId> [--cid <conversationCID> | --conversation <file> [--store <dir>]]',
+            description: 'Complete a session and settle payments (depositor, or host after the dispute window). ' +
+                '--conversation stores the file and commits its CID.',
+            options: {
+                cid: { type: 'string', default: '' },
+                conversation: { type: 'string' },
+                store: { type: 'string' }
+            },
+            async run(ctx, values, positionals) {
+                const jobId = jobIdArg(positionals);
+                if (values.cid && values.conversation) throw new Error('Give --cid or --conversation, not both');
+                const marketplace = await ctx.writer('jobMarketplace', 'user');
+                const preflight = await ctx.preflight();
+                await preflight.completeSession(jobId, await marketplace.runner.getAddress());
+                let cid = values.cid;
+                if (values.conversation) {
+                    const conversation = new Uint8Array(fs.readFileSync(values.conversation));
+                    // A dry run commits to the CID without storing anything
+                    cid = ctx.dryRun ? computeCid(conversation) : await storage(ctx, values).uploadConversation(conversation);
+                }
+                await settlementOutput(ctx, jobId, await marketplace.completeSession(jobId, cid));
+            }
+        },
+
+        verify: {
+            usage: '<jobId> [--store <dir>]',
+            description: 'Check every proof blob, delta and the conversation of a session in the store against the CIDs and proof hashes on-chain. Exits 1 if any is missing or altered.',
+            options: {
+                store: { type: 'string' }
+            },
+            async run(ctx, values, positionals) {
+                const report = await storage(ctx, values).verifySession(jobIdArg(positionals));
+                const line = (label, check) => `  ${label}: ${check.status}${check.cid ? ` ${check.cid}` : ''}`;
+                ctx.print(report, [
+                    `Session ${report.jobId}: ${report.ok ? 'content verified' : 'content missing or altered'}`,
+                    ...report.proofs.flatMap((p) => [line(`proof ${p.index}`, p.proof), line(`delta ${p.index}`, p.delta)]),
+                    line('conversation', report.conversation)
+                ]);
+                return report.ok ? 0 : 1;
+            }
+        },
+
+        timeout: {
+            usage: '<jobId>',
+            description: 'Force-settle an expired or abandoned session (anyone may call).',
+            options: {},
+            async run(ctx, values, positionals) {
+                const jobId = jobIdArg(positionals);
+                const marketplace = await ctx.writer('jobMarketplace', 'user');
+                const preflight = await ctx.preflight();
+                await preflight.triggerTimeout(jobId);
+                await settlementOutput(ctx, jobId, await marketplace.triggerTimeout(jobId));
+            }
+        }
+    }
+};
@@ -0,0 +1,148 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { SlashingWorkflow } = require('../../sdk');
+const { toJson } = require('../context');
+
+function hostArg(positionals) {
+    if (!ethers.isAddress(positionals[0] || '')) throw new Error('Expected a host address');
+    return ethers.getAddress(positionals[0]);
+}
+
+async function workflow(ctx, values, write) {
+    const nodeRegistry = write ? await ctx.writer('nodeRegistry', 'authority') : ctx.contract('nodeRegistry');
+    return new SlashingWorkflow(
+        { nodeRegistry, jobMarketplace: ctx.contracts.jobMarketplace },
+        { fromBlock: ctx.config.deployBlock || 0, recordPath: values.record }
+    );
+}
+
+// Stake and slash amounts are FAB
+async function fab(ctx) {
+    return ctx.token(await ctx.contract('nodeRegistry').fabToken());
+}
+
+async function slashParams(ctx, values) {
+    if (!values.evidence || !values.reason) throw new Error('--evidence <cid> and --reason are required');
+    const amount = values.amount !== undefined ? ctx.parseAmount(values.amount, await fab(ctx)) : undefined;
+    return { amount, evidenceCID: values.evidence, reason: values.reason };
+}
+
+function previewLines(ctx, preview, token) {
+    return [
+        `Slash ${ctx.formatAmount(preview.amount, token)} of ${preview.host} (max ${ctx.formatAmount(preview.maxSlash, token)})`,
+        `  stake ${ctx.formatAmount(preview.stakeBefore, token)} -> ${ctx.formatAmount(preview.stakeAfter, token)}, slashed FAB to ${preview.treasury}`,
+        preview.autoUnregister
+            ? `  below 100 FAB: host is unregistered and refunded ${ctx.formatAmount(preview.returnedToHost, token)}`
+            : '  host stays registered',
+        `  next slash possible from ${new Date(Number(preview.nextSlashAt) * 1000).toISOString()}`
+    ];
+}
+
+const SLASH_OPTIONS = {
+    amount: { type: 'string' },
+    evidence: { type: 'string' },
+    reason: { type: 'string' }
+};
+
+module.exports = {
+    summary: 'Assemble evidence and slash host stakes (slashing authority)',
+    commands: {
+        status: {
+            usage: '<host>',
+            description: 'Show a host\'s stake, the most that can be slashed now and the 24h cooldown.',
+            options: {},
+            async run(ctx, values, positionals) {
+                const status = await (await workflow(ctx, values)).status(hostArg(positionals));
+                const token = await fab(ctx);
+                const cooldown = status.cooldownRemaining > 0n
+                    ? `on cooldown until ${new Date(Number(status.nextSlashAt) * 1000).toISOString()}`
+                    : 'can be slashed now';
+                ctx.print(status, [
+                    `${status.host}: ${status.registered ? (status.active ? 'active' : 'inactive') : 'not registered'}`,
+                    `  stake ${ctx.formatAmount(status.stake, token)}, max slash ${ctx.formatAmount(status.maxSlash, token)}`,
+                    `  ${cooldown}`
+                ]);
+            }
+        },
+
+        evidence: {
+            usage: '<host> [--job <id>]... [--from-block <n>] [--complainant <address>] [--conclusion <text>] [--out <file>]',
+            description: 'Assemble an evidence bundle from the host\'s ProofSubmitted history (proof and delta CIDs, claimed rates).',
+            options: {
+                job: { type: 'string', multiple: true },
+                'from-block': { type: 'string' },
+                complainant: { type: 'string' },
+                conclusion: { type: 'string' },
+                out: { type: 'string' }
+            },
+            async run(ctx, values, positionals) {
+                const report = {};
+                if (values.complainant) report.complainant = values.complainant;
+                if (values.conclusion) report.conclusion = values.conclusion;
+                const bundle = await (await workflow(ctx, values)).collectEvidence(hostArg(positionals), {
+                    jobIds: values.job && values.job.map(BigInt),
+                    fromBlock: values['from-block'] !== undefined ? Number(values['from-block']) : undefined,
+                    report
+                });
+                if (values.out) fs.writeFileSync(values.out, toJson(bundle) + '\n');
+
+                const { findings } = bundle;
+                ctx.print(bundle, [
+                    `${bundle.host}: ${findings.proofs} proof(s) in ${findings.sessions} session(s), ${findings.tokensClaimed} tokens claimed`,
+                    ...bundle.sessions.map((s) => `  job ${s.jobId} (${s.status}): ${s.proofs.length} proof(s), ` +
+                        `peak ${Math.max(0, ...s.proofs.map((p) => p.tokensPerSecond).filter((rate) => rate !== null)).toFixed(1)} tokens/s`),
+                    `  peak ${findings.peakTokensPerSecond.toFixed(1)} tokens/s; ${findings.overRateLimit} proof(s) over the rate limit`,
+                    ...(values.out ? [`Wrote ${values.out}; upload it and slash with its CID`] : [])
+                ]);
+            }
+        },
+
+        preview: {
+            usage: '<host> --evidence <cid> --reason <text> [--amount <fab>]',
+            description: 'Check a slash against the 50% cap and cooldown and show the outcome; sends nothing. Amount defaults to the maximum.',
+            options: SLASH_OPTIONS,
+            async run(ctx, values, positionals) {
+                const preview = await (await workflow(ctx, values, true)).preview(hostArg(positionals), await slashParams(ctx, values));
+                ctx.print(preview, previewLines(ctx, preview, await fab(ctx)));
+            }
+        },
+
+        execute: {
+            usage: '<host> --evidence <cid> --reason <text> [--amount <fab>] [--record <file>]',
+            description: 'Slash the host (signs as the authority role) and record the SlashExecuted / HostAutoUnregistered events.',
+            options: { ...SLASH_OPTIONS, record: { type: 'string' } },
+            async run(ctx, values, positionals) {
+                const result = await (await workflow(ctx, values, true)).slash(hostArg(positionals), await slashParams(ctx, values));
+                const token = await fab(ctx);
+                const record = result.record;
+                ctx.print(
+                    { preview: result.preview, record, ...ctx.txData(result) },
+                    [
+                        ...previewLines(ctx, result.preview, token),
+                        ...(record ? [`Slashed ${ctx.formatAmount(record.amount, token)}; ${ctx.formatAmount(record.remainingStake, token)} left` +
+                            (record.autoUnregistered ? `, host unregistered and refunded ${ctx.formatAmount(record.returnedAmount, token)}` : '')] : []),
+                        ...(record && values.record ? [`Recorded in ${values.record}`] : []),
+                        ...ctx.txLines(result)
+                    ]
+                );
+            }
+        },
+
+        history: {
+            usage: '[<host>]',
+            description: 'List SlashExecuted and HostAutoUnregistered events, for one host or all.',
+            options: {},
+            async run(ctx, values, positionals) {
+                const host = positionals[0] ? hostArg(positionals) : undefined;
+                const events = await (await workflow(ctx, values)).history(host);
+                const token = await fab(ctx);
+                ctx.print({ events }, events.length ? events.map((e) => (e.name === 'SlashExecuted'
+                    ? `block ${e.blockNumber}  ${e.args.host} slashed ${ctx.formatAmount(e.args.amount, token)} (${e.args.reason}) evidence ${e.args.evidenceCID}`
+                    : `block ${e.blockNumber}  ${e.args.host} unregistered, ${ctx.formatAmount(e.args.returnedAmount, token)} returned`))
+                    : ['No slashes']);
+            }
+        }
+    }
+};
@@ -0,0 +1,61 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { isNativeToken } = require('../../sdk');
+
+// Accumulated fees for native plus the requested (default USDC) tokens
+async function feeBalances(ctx, values) {
+    const names = values.token && values.token.length ? values.token : (ctx.config.contracts.usdcToken ? ['usdc'] : []);
+    const tokens = await Promise.all(['native', ...names].map((name) => ctx.token(name)));
+    const unique = tokens.filter((t, i) => tokens.findIndex((o) => o.address === t.address) === i);
+    const marketplace = ctx.contract('jobMarketplace');
+    const amounts = await Promise.all(unique.map((t) => marketplace.getTreasuryBalance(t.address)));
+    return unique.map((token, i) => ({ token, amount: amounts[i] }));
+}
+
+function feeData(fees) {
+    return fees.map((f) => ({ token: f.token.address, symbol: f.token.symbol, amount: f.amount }));
+}
+
+module.exports = {
+    summary: 'Marketplace treasury fees',
+    commands: {
+        balance: {
+            usage: '[--token <token>]...',
+            description: 'Show accumulated, unwithdrawn treasury fees (native is always included).',
+            options: {
+                token: { type: 'string', multiple: true }
+            },
+            async run(ctx, values) {
+                const fees = await feeBalances(ctx, values);
+                ctx.print(
+                    { treasury: await ctx.contract('jobMarketplace').treasuryAddress(), fees: feeData(fees) },
+                    fees.map((f) => ctx.formatAmount(f.amount, f.token))
+                );
+            }
+        },
+
+        withdraw: {
+            usage: '[--token <token>]...',
+            description: 'Withdraw native fees and the listed tokens via withdrawAllTreasuryFees (treasury signer only).',
+            options: {
+                token: { type: 'string', multiple: true }
+            },
+            async run(ctx, values) {
+                const fees = await feeBalances(ctx, values);
+                const marketplace = await ctx.writer('jobMarketplace', 'treasury');
+                const tokens = fees.filter((f) => !isNativeToken(f.token.address)).map((f) => f.token.address);
+                const result = await marketplace.withdrawAllTreasuryFees(tokens);
+
+                const withdrawn = fees.filter((f) => f.amount > 0n);
+                ctx.print(
+                    { withdrawals: feeData(withdrawn), ...ctx.txData(result) },
+                    [
+                        withdrawn.length ? 'Withdrew:' : 'Nothing to withdraw',
+                        ...withdrawn.map((f) => `  ${ctx.formatAmount(f.amount, f.token)}`),
+                        ...ctx.txLines(result)
+                    ]
+                );
+            }
+        }
+    }
+};
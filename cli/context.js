@@ -0,0 +1,238 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { loadConfig, loadSigner, connect, connectContracts, Preflight, NATIVE_TOKEN, isNativeToken } = require('../sdk');
+const { ERC20Client } = require('../sdk/clients/ERC20Client');
+
+// Token aliases accepted wherever a command takes a token
+const TOKEN_ALIASES = {
+    native: null,
+    eth: null,
+    bnb: null,
+    usdc: 'usdcToken',
+    fab: 'fabToken'
+};
+
+// JSON has no bigint; emit them as decimal strings
+function toJson(value, indent = 2) {
+    return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), indent);
+}
+
+/**
+ * Everything a command needs: config, provider, read-only clients, signers,
+ * token resolution and output. Built once per invocation from the global flags.
+ */
+class CliContext {
+    /**
+     * @param {Object} flags - Parsed global flags (network, manifest, rpc-url, as, json, dry-run)
+     * @param {Object} io
+     * @param {NodeJS.WritableStream} io.stdout
+     * @param {Object} [io.env] - Environment to read instead of process.env + .env
+     * @param {ethers.Provider} [io.provider] - Use instead of creating one from the config
+     */
+    constructor(flags, io) {
+        this.flags = flags;
+        this.stdout = io.stdout;
+        this.env = io.env;
+        this.json = Boolean(flags.json);
+        this.dryRun = Boolean(flags['dry-run']);
+        this.config = loadConfig({
+            network: flags.network,
+            manifestPath: flags.manifest,
+            rpcUrl: flags['rpc-url'],
+            env: io.env
+        });
+        // A static network makes an unreachable RPC fail fast instead of retrying detection forever
+        this.provider = io.provider || new ethers.JsonRpcProvider(this.config.rpcUrl, this.config.chainId, { staticNetwork: true });
+        this.contracts = connectContracts(this.config.contracts, this.provider);
+        this._tokens = new Map();
+        this._chain = null;
+        this._chainInfo = null;
+    }
+
+    /**
+     * The marketplace's ChainConfig and payment tokens, from connect(); read
+     * on first use so commands that never touch amounts skip it
+     * @returns {Promise<import('../sdk/chains/ChainInfo').ChainInfo|null>} null without a jobMarketplace address
+     */
+    async chain() {
+        if (!this._chain) {
+            this._chain = connect({
+                network: this.config.network,
+                manifestPath: this.flags.manifest,
+                rpcUrl: this.flags['rpc-url'],
+                env: this.env,
+                provider: this.provider
+            }).then(({ chain }) => {
+                this._chainInfo = chain;
+                return chain;
+            });
+        }
+        return this._chain;
+    }
+
+    /**
+     * @param {string} name - Contract key, e.g. 'jobMarketplace'
+     */
+    contract(name) {
+        const client = this.contracts[name];
+        if (!client) {
+            throw new Error(`No ${name} address for ${this.config.network}; add it to the manifest or .env`);
+        }
+        return client;
+    }
+
+    /**
+     * View-call checks to run before sending, so failures explain themselves,
+     * held to this chain's native limits and named in its symbols
+     * @returns {Promise<Preflight>}
+     */
+    async preflight() {
+        return new Preflight(this.contracts, { chain: await this.chain() });
+    }
+
+    /**
+     * Signer for a role; `--as` overrides the command's default role
+     * @param {string} defaultRole
+     */
+    async signer(defaultRole) {
+        return loadSigner(this.flags.as || defaultRole, this.provider, { config: this.config, env: this.env });
+    }
+
+    /**
+     * Client bound to the signer, simulated when --dry-run is set
+     * @param {string} name - Contract key
+     * @param {string} defaultRole
+     */
+    async writer(name, defaultRole) {
+        const client = this.contract(name).connect(await this.signer(defaultRole));
+        return this.dryRun ? client.simulate() : client;
+    }
+
+    /**
+     * Resolve a token alias or address to { address, symbol, decimals }. Payment
+     * tokens come from the chain's token info; other ERC20s (FAB) are read directly.
+     * @param {string} [token] - native | eth | bnb | usdc | fab | 0x...; defaults to native
+     */
+    async token(token) {
+        const key = (token || 'native').toLowerCase();
+        if (this._tokens.has(key)) return this._tokens.get(key);
+
+        const native = key in TOKEN_ALIASES && TOKEN_ALIASES[key] === null;
+        const address = native ? NATIVE_TOKEN : key in TOKEN_ALIASES ? this.config.contracts[TOKEN_ALIASES[key]] : token;
+        if (!address || !ethers.isAddress(address)) {
+            throw new Error(`Unknown token "${token}" (use native, usdc, fab or an address)`);
+        }
+        if (!native && isNativeToken(address)) return this.token('native');
+
+        const chain = await this.chain();
+        const known = chain && chain.token(address);
+        let info;
+        if (known) {
+            info = { address: known.address, symbol: known.symbol, decimals: known.decimals };
+        } else if (native) {
+            info = { address: NATIVE_TOKEN, symbol: this.config.nativeSymbol || 'ETH', decimals: 18 };
+        } else {
+            const erc20 = new ERC20Client(address, this.provider);
+            const [symbol, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+            info = { address: erc20.address, symbol, decimals };
+        }
+        this._tokens.set(key, info);
+        return info;
+    }
+
+    /**
+     * Parse a human amount ("1.5") into base units of the token
+     * @param {string} amount
+     * @param {{ decimals: number }} token
+     * @returns {bigint}
+     */
+    parseAmount(amount, token) {
+        if (amount === undefined) throw new Error('Missing amount');
+        try {
+            return ethers.parseUnits(String(amount), token.decimals);
+        } catch {
+            throw new Error(`Invalid amount "${amount}" for ${token.symbol} (${token.decimals} decimals)`);
+        }
+    }
+
+    /**
+     * @param {bigint} amount - Base units
+     * @param {{ symbol: string, decimals: number }} token
+     * @returns {string} e.g. "1.5 USDC"
+     */
+    formatAmount(amount, token) {
+        if (this._chainInfo && this._chainInfo.token(token.address)) return this._chainInfo.formatAmount(amount, token.address);
+        return `${ethers.formatUnits(amount, token.decimals)} ${token.symbol}`;
+    }
+
+    /**
+     * Emit a command result: the object as JSON with --json, else the human lines
+     * @param {Object} data
+     * @param {string[]} lines
+     */
+    print(data, lines) {
+        const dryRun = this.dryRun ? { dryRun: true } : {};
+        if (this.json) {
+            this.stdout.write(toJson({ ...dryRun, ...data }) + '\n');
+            return;
+        }
+        if (this.dryRun) this.stdout.write('[dry run: nothing was sent]\n');
+        this.stdout.write(lines.join('\n') + '\n');
+    }
+
+    /**
+     * Emit one entry of a long-running command's log: a JSON line with --json, else the text
+     * @param {Object} data
+     * @param {string} line
+     */
+    event(data, line) {
+        this.stdout.write((this.json ? toJson({ time: new Date().toISOString(), ...data }, 0) : line) + '\n');
+    }
+
+    /**
+     * Resolves on SIGINT or SIGTERM, for long-running commands to stop cleanly
+     * @returns {Promise<void>}
+     */
+    untilSignal() {
+        return new Promise((resolve) => {
+            process.once('SIGINT', resolve);
+            process.once('SIGTERM', resolve);
+        });
+    }
+
+    /**
+     * Summary lines for a TxResult (hash, or gas estimate for dry runs)
+     * @param {import('../sdk/clients/BaseClient').TxResult} result
+     */
+    txLines(result) {
+        return result.dryRun
+            ? [`Gas estimate: ${result.gasEstimate}`]
+            : [`Transaction: ${result.hash}`, `Block: ${result.receipt.blockNumber}`];
+    }
+
+    /**
+     * JSON fields for a TxResult
+     */
+    txData(result) {
+        return result.dryRun
+            ? { gasEstimate: result.gasEstimate }
+            : { transactionHash: result.hash, blockNumber: result.receipt.blockNumber };
+    }
+
+    /**
+     * Make sure `spender` may pull `amount` of an ERC20 from the signer. In a dry
+     * run, nothing is approved and the missing allowance is reported instead.
+     * @returns {Promise<{ approved: boolean, needed: boolean }>}
+     */
+    async ensureAllowance(token, spender, amount, signer) {
+        const erc20 = new ERC20Client(token.address, signer);
+        const current = await erc20.allowance(await signer.getAddress(), spender);
+        if (current >= amount) return { approved: false, needed: false };
+        if (this.dryRun) return { approved: false, needed: true };
+        await erc20.approve(spender, amount);
+        return { approved: true, needed: true };
+    }
+}
+
+module.exports = { CliContext, toJson };
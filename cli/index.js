@@ -0,0 +1,134 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { parseArgs } = require('util');
+const { CliContext, toJson } = require('./context');
+const { FabstirError } = require('../sdk');
+
+const GROUPS = {
+    session: require('./commands/session'),
+    hosts: require('./commands/hosts'),
+    models: require('./commands/models'),
+    deposit: require('./commands/deposit'),
+    earnings: require('./commands/earnings'),
+    treasury: require('./commands/treasury'),
+    report: require('./commands/report'),
+    host: require('./commands/host'),
+    slash: require('./commands/slash'),
+    deployment: require('./commands/deployment')
+};
+
+// Accepted by every command
+const GLOBAL_OPTIONS = {
+    network: { type: 'string' },
+    manifest: { type: 'string' },
+    'rpc-url': { type: 'string' },
+    as: { type: 'string' },
+    json: { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const GLOBAL_HELP = `Global options:
+  --network <name>    Network profile (base-sepolia, opbnb-testnet, anvil); default $FABSTIR_NETWORK
+  --manifest <path>   Deployment manifest to read addresses from
+  --rpc-url <url>     Override the profile's RPC endpoint
+  --as <role>         Sign as this role (<ROLE>_PRIVATE_KEY / <ROLE>_KEYSTORE)
+  --json              Print machine-readable JSON (amounts in base units)
+  --dry-run           Simulate with staticCall + estimateGas; send nothing
+  -h, --help          Show help`;
+
+function usage(group, action) {
+    if (group && action) {
+        const command = GROUPS[group].commands[action];
+        return `Usage: fabstir ${group} ${action} ${command.usage}\n\n${command.description}\n\n${GLOBAL_HELP}\n`;
+    }
+    if (group) {
+        const lines = Object.entries(GROUPS[group].commands).map(([name, c]) => `  ${name.padEnd(14)}${c.description}`);
+        return `Usage: fabstir ${group} <command> [options]\n\n${GROUPS[group].summary}\n\nCommands:\n${lines.join('\n')}\n\n${GLOBAL_HELP}\n`;
+    }
+    const lines = Object.entries(GROUPS).map(([name, g]) => `  ${name.padEnd(14)}${g.summary}`);
+    return `Usage: fabstir <group> <command> [options]\n\nGroups:\n${lines.join('\n')}\n\n${GLOBAL_HELP}\n`;
+}
+
+// Prefer the revert reason over ethers' full diagnostic dump
+function errorMessage(err) {
+    if (err instanceof FabstirError) return err.message;
+    return err.reason || err.shortMessage || err.message;
+}
+
+/**
+ * Run one CLI invocation
+ * @param {string[]} argv - Arguments after the executable, e.g. ['session', 'status', '1']
+ * @param {Object} [io]
+ * @param {NodeJS.WritableStream} [io.stdout]
+ * @param {NodeJS.WritableStream} [io.stderr]
+ * @param {Object} [io.env] - Environment to read instead of process.env + .env
+ * @param {import('ethers').Provider} [io.provider]
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const [group, action, ...rest] = argv;
+
+    if (!group || group.startsWith('-')) {
+        stdout.write(usage());
+        return group === '--help' || group === '-h' ? 0 : 1;
+    }
+    if (!GROUPS[group]) {
+        stderr.write(`Unknown command "${group}"\n\n${usage()}`);
+        return 1;
+    }
+    if (!action || action.startsWith('-')) {
+        stdout.write(usage(group));
+        return action === '--help' || action === '-h' ? 0 : 1;
+    }
+    const command = GROUPS[group].commands[action];
+    if (!command) {
+        stderr.write(`Unknown command "${group} ${action}"\n\n${usage(group)}`);
+        return 1;
+    }
+
+    let values;
+    let positionals;
+    try {
+        ({ values, positionals } = parseArgs({
+            args: rest,
+            options: { ...GLOBAL_OPTIONS, ...command.options },
+            allowPositionals: true
+        }));
+    } catch (err) {
+        stderr.write(`${err.message}\n\n${usage(group, action)}`);
+        return 1;
+    }
+    if (values.help) {
+        stdout.write(usage(group, action));
+        return 0;
+    }
+
+    try {
+        const ctx = new CliContext(values, { stdout, env: io.env, provider: io.provider });
+        // Commands may return an exit code, e.g. 1 when a check finds problems
+        const code = await command.run(ctx, values, positionals);
+        return typeof code === 'number' ? code : 0;
+    } catch (err) {
+        const typed = err instanceof FabstirError;
+        if (values.json) {
+            const details = typed ? { reason: err.reason, params: err.params, hint: err.hint } : {};
+            stdout.write(toJson({ error: errorMessage(err), ...details }) + '\n');
+        } else {
+            stderr.write(`Error: ${errorMessage(err)}\n${typed && err.hint ? `Hint: ${err.hint}\n` : ''}`);
+        }
+        return 1;
+    }
+}
+
+/**
+ * Entry point for bin/fabstir.js
+ * @param {string[]} argv
+ */
+async function main(argv) {
+    process.exitCode = await run(argv);
+}
+
+module.exports = { run, main, GROUPS };
@@ -0,0 +1,47 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+
+// Full ABIs are the checked-in client-abis/ JSON files, so the SDK never drifts
+// from what the contracts actually expose.
+const JobMarketplaceABI = require('../client-abis/JobMarketplaceWithModelsUpgradeable-CLIENT-ABI.json');
+const NodeRegistryABI = require('../client-abis/NodeRegistryWithModelsUpgradeable-CLIENT-ABI.json');
+const ModelRegistryABI = require('../client-abis/ModelRegistryUpgradeable-CLIENT-ABI.json');
+const HostEarningsABI = require('../client-abis/HostEarningsUpgradeable-CLIENT-ABI.json');
+const ProofSystemABI = require('../client-abis/ProofSystemUpgradeable-CLIENT-ABI.json');
+
+// Payment and staking tokens are plain ERC20s (USDC, FAB)
+const ERC20ABI = [
+    'function name() view returns (string)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+    'function balanceOf(address account) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event Approval(address indexed owner, address indexed spender, uint256 value)'
+];
+
+// Smart accounts (src/interfaces/IAccount.sol) and the ERC-4337 v0.6 EntryPoint
+// whose UserOperation layout matches src/interfaces/UserOperation.sol
+const AccountABI = [
+    'function execute(address dest, uint256 value, bytes func)',
+    'function executeBatch(address[] dest, uint256[] value, bytes[] func)'
+];
+
+const EntryPointABI = [
+    'function getNonce(address sender, uint192 key) view returns (uint256 nonce)',
+    'event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)',
+    'event UserOperationRevertReason(bytes32 indexed userOpHash, address indexed sender, uint256 nonce, bytes revertReason)'
+];
+
+module.exports = {
+    JobMarketplaceABI,
+    NodeRegistryABI,
+    ModelRegistryABI,
+    HostEarningsABI,
+    ProofSystemABI,
+    ERC20ABI,
+    AccountABI,
+    EntryPointABI
+};
@@ -0,0 +1,337 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { AccountABI, EntryPointABI } = require('../abis');
+const { FabstirError, UserOperationError, decodeRevertData, decodeUserOperationError } = require('../errors');
+
+// Canonical ERC-4337 v0.6 EntryPoint, the version whose UserOperation layout
+// src/interfaces/UserOperation.sol declares
+const ENTRY_POINT_ADDRESS = '0x5FF137D4b0FDCD49DcA30c7CF57E578a026d2789';
+
+// A well-formed 65-byte ECDSA signature for gas estimation; validation must
+// not revert on it before the real one exists
+const DUMMY_SIGNATURE = '0xfffffffffffffffffffffffffffffff0000000000000000000000000000000007aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa1c';
+
+const ACCOUNT_INTERFACE = new ethers.Interface(AccountABI);
+const GAS_FIELDS = ['callGasLimit', 'verificationGasLimit', 'preVerificationGas'];
+const NUMERIC_FIELDS = ['nonce', ...GAS_FIELDS, 'maxFeePerGas', 'maxPriorityFeePerGas'];
+
+/**
+ * @typedef {Object} UserOperation
+ * @property {string} sender
+ * @property {bigint} nonce
+ * @property {string} initCode
+ * @property {string} callData
+ * @property {bigint} callGasLimit
+ * @property {bigint} verificationGasLimit
+ * @property {bigint} preVerificationGas
+ * @property {bigint} maxFeePerGas
+ * @property {bigint} maxPriorityFeePerGas
+ * @property {string} paymasterAndData
+ * @property {string} signature
+ */
+
+/**
+ * @typedef {Object} Paymaster
+ * @property {(userOp: UserOperation, context: { entryPoint: string, chainId: bigint }) => Promise<string>} getPaymasterAndData
+ *   Final sponsorship for the UserOperation with its gas limits set
+ * @property {(userOp: UserOperation, context: { entryPoint: string, chainId: bigint }) => Promise<string>} [getPaymasterStubData]
+ *   Placeholder used while estimating gas; defaults to getPaymasterAndData
+ */
+
+/**
+ * @typedef {Object} UserOperationResult
+ * @property {string} userOpHash
+ * @property {string} hash - Hash of the bundle transaction that included it
+ * @property {Object} receipt - The bundle transaction receipt
+ * @property {import('../clients/BaseClient').DecodedEvent[]} events - Logs of this UserOperation, decoded by the clients that encoded its calls
+ * @property {bigint} actualGasCost - Wei charged to the account or paymaster
+ */
+
+/**
+ * EntryPoint v0.6 hash of a UserOperation, the digest the account owner signs
+ * @param {UserOperation} userOp
+ * @param {string} entryPoint
+ * @param {bigint|number} chainId
+ * @returns {string} bytes32
+ */
+function getUserOpHash(userOp, entryPoint, chainId) {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const packed = coder.encode(
+        ['address', 'uint256', 'bytes32', 'bytes32', 'uint256', 'uint256', 'uint256', 'uint256', 'uint256', 'bytes32'],
+        [
+            userOp.sender, userOp.nonce, ethers.keccak256(userOp.initCode), ethers.keccak256(userOp.callData),
+            userOp.callGasLimit, userOp.verificationGasLimit, userOp.preVerificationGas,
+            userOp.maxFeePerGas, userOp.maxPriorityFeePerGas, ethers.keccak256(userOp.paymasterAndData)
+        ]
+    );
+    return ethers.keccak256(coder.encode(['bytes32', 'address', 'uint256'], [ethers.keccak256(packed), entryPoint, chainId]));
+}
+
+/**
+ * Encode calls as IAccount.execute (one call) or executeBatch (several)
+ * @param {{ to: string, value?: bigint, data?: string }[]} calls
+ * @returns {string} callData
+ */
+function encodeAccountCalls(calls) {
+    if (calls.length === 0) throw new Error('A UserOperation needs at least one call');
+    if (calls.length === 1) {
+        const [call] = calls;
+        return ACCOUNT_INTERFACE.encodeFunctionData('execute', [call.to, call.value || 0n, call.data || '0x']);
+    }
+    return ACCOUNT_INTERFACE.encodeFunctionData('executeBatch', [
+        calls.map((c) => c.to),
+        calls.map((c) => c.value || 0n),
+        calls.map((c) => c.data || '0x')
+    ]);
+}
+
+// The bundler JSON-RPC wants every number as a hex quantity
+function toRpc(userOp) {
+    const rpc = { ...userOp };
+    for (const field of NUMERIC_FIELDS) rpc[field] = ethers.toQuantity(userOp[field]);
+    return rpc;
+}
+
+/**
+ * An ERC-4337 smart account (IAccount) driven through a bundler. Calls
+ * encoded by clients in populate() mode run as one UserOperation: approve +
+ * createSession land atomically through executeBatch. Nonces come from the EntryPoint, gas limits from the
+ * bundler, fees from the chain, and an optional paymaster sponsors the gas.
+ *
+ * Proofs cannot go through a smart account. submitProofOfWork requires
+ * msg.sender to be session.host, and ProofSystem ecrecovers the proof
+ * signature against that same msg.sender. Sent from an account, msg.sender is
+ * the account: it is not the host an EOA registered, and as a host itself it
+ * cannot produce an ecrecover-able signature (there is no ERC-1271 path).
+ * Hosts submit proofs from their EOA; see ProofQueue.
+ */
+class SmartAccount {
+    /**
+     * @param {Object} options
+     * @param {string} options.address - The smart account (UserOperation sender)
+     * @param {ethers.Signer} options.owner - Signs the UserOperation hash (EIP-191, as SimpleAccount-style accounts verify)
+     * @param {ethers.Provider} options.provider - The chain, for nonces, fees and deployment checks
+     * @param {string|ethers.JsonRpcProvider} options.bundler - Bundler RPC URL or provider
+     * @param {string} [options.entryPoint] - Defaults to the v0.6 EntryPoint
+     * @param {string} [options.initCode] - factory address + calldata, used while the account is not yet deployed
+     * @param {Paymaster|string} [options.paymaster] - Paymaster client, or fixed paymasterAndData
+     * @param {(userOpHash: string, userOp: UserOperation) => Promise<string>} [options.signUserOp] - For accounts
+     *   with their own signature format
+     * @param {() => Promise<{ maxFeePerGas: bigint, maxPriorityFeePerGas: bigint }>} [options.getFees] - e.g. a bundler's
+     *   own gas price method; defaults to the provider's fee data
+     */
+    constructor(options) {
+        this.address = ethers.getAddress(options.address);
+        this.owner = options.owner;
+        this.provider = options.provider;
+        this.bundler = typeof options.bundler === 'string' ? new ethers.JsonRpcProvider(options.bundler) : options.bundler;
+        this.entryPoint = new ethers.Contract(options.entryPoint || ENTRY_POINT_ADDRESS, EntryPointABI, this.provider);
+        this.initCode = options.initCode || '0x';
+        this.paymaster = typeof options.paymaster === 'string' ? fixedPaymaster(options.paymaster) : options.paymaster;
+        this.signUserOp = options.signUserOp || ((userOpHash) => this.owner.signMessage(ethers.getBytes(userOpHash)));
+        this.getFees = options.getFees || (() => this.provider.getFeeData());
+        // { nonce, timedOut } of operations sent but not yet seen included or
+        // dropped, by userOpHash, so back-to-back operations do not reuse one
+        // the EntryPoint has not seen yet
+        this._pending = new Map();
+    }
+
+    get entryPointAddress() {
+        return this.entryPoint.target;
+    }
+
+    /**
+     * Next nonce for a key: the on-chain nonce, stepped past operations still
+     * pending from it. An operation whose wait timed out keeps its nonce until
+     * the bundler no longer knows it (eth_getUserOperationByHash is null).
+     * Keys are independent sequences, so operations on different keys can be
+     * pending at the same time.
+     * @param {bigint} [key]
+     * @returns {Promise<bigint>}
+     */
+    async getNonce(key = 0n) {
+        const onChain = await this.entryPoint.getNonce(this.address, key);
+        const pending = new Set();
+        for (const [userOpHash, { nonce, timedOut }] of this._pending) {
+            if (nonce >> 64n !== key) continue;
+            // Below the on-chain nonce means it was included
+            if (nonce < onChain || (timedOut && !(await this._bundlerCall('eth_getUserOperationByHash', [userOpHash])))) {
+                this._pending.delete(userOpHash);
+            } else {
+                pending.add(nonce);
+            }
+        }
+        // A dropped operation leaves a gap; the next one fills it rather than queueing behind it
+        let next = onChain;
+        while (pending.has(next)) next++;
+        return next;
+    }
+
+    /**
+     * Build, estimate, sponsor and sign a UserOperation for the calls
+     * @param {Array<import('../clients/BaseClient').TxResult|{ to: string, value?: bigint, data?: string }>} calls - populate()
+     *   results, or plain calls
+     * @param {Object} [options]
+     * @param {bigint} [options.nonceKey]
+     * @param {Partial<UserOperation>} [options.overrides] - Fields to use as given instead of fetching or estimating
+     * @returns {Promise<UserOperation>}
+     */
+    async buildUserOperation(calls, options = {}) {
+        const overrides = options.overrides || {};
+        const callData = encodeAccountCalls(calls.map((c) => c.call || c));
+        const [{ chainId }, nonce, code, fees] = await Promise.all([
+            this.provider.getNetwork(),
+            overrides.nonce !== undefined ? overrides.nonce : this.getNonce(options.nonceKey),
+            this.provider.getCode(this.address),
+            this.getFees()
+        ]);
+        const context = { entryPoint: this.entryPointAddress, chainId };
+
+        const userOp = {
+            sender: this.address,
+            nonce,
+            initCode: code === '0x' ? this.initCode : '0x',
+            callData,
+            callGasLimit: 0n,
+            verificationGasLimit: 0n,
+            preVerificationGas: 0n,
+            maxFeePerGas: fees.maxFeePerGas,
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+            paymasterAndData: '0x',
+            signature: DUMMY_SIGNATURE,
+            ...overrides
+        };
+        if (userOp.maxFeePerGas == null || userOp.maxPriorityFeePerGas == null) {
+            throw new Error('No EIP-1559 fee data from the provider; pass getFees');
+        }
+
+        if (this.paymaster && overrides.paymasterAndData === undefined) {
+            const stub = this.paymaster.getPaymasterStubData || this.paymaster.getPaymasterAndData;
+            userOp.paymasterAndData = await stub.call(this.paymaster, userOp, context);
+        }
+        if (GAS_FIELDS.some((field) => overrides[field] === undefined)) {
+            const estimate = await this._bundlerCall('eth_estimateUserOperationGas', [toRpc(userOp), this.entryPointAddress], calls);
+            for (const field of GAS_FIELDS) {
+                if (overrides[field] === undefined) userOp[field] = BigInt(estimate[field]);
+            }
+        }
+        // The final sponsorship commits to the gas limits, so it comes last
+        if (this.paymaster && overrides.paymasterAndData === undefined) {
+            userOp.paymasterAndData = await this.paymaster.getPaymasterAndData(userOp, context);
+        }
+
+        userOp.signature = await this.signUserOp(getUserOpHash(userOp, this.entryPointAddress, chainId), userOp);
+        return userOp;
+    }
+
+    /**
+     * Hand a signed UserOperation to the bundler
+     * @param {UserOperation} userOp
+     * @returns {Promise<string>} userOpHash
+     */
+    async sendUserOperation(userOp) {
+        const userOpHash = await this._bundlerCall('eth_sendUserOperation', [toRpc(userOp), this.entryPointAddress]);
+        this._pending.set(userOpHash, { nonce: userOp.nonce, timedOut: false });
+        return userOpHash;
+    }
+
+    /**
+     * Poll the bundler until the UserOperation is included. A timeout does not
+     * mean it was dropped: its nonce stays reserved until getNonce sees it
+     * included on-chain or gone from the bundler.
+     * @param {string} userOpHash
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Default 120000
+     * @param {number} [options.pollMs] - Default 2000
+     * @returns {Promise<Object>} The bundler's UserOperation receipt
+     */
+    async waitForUserOperation(userOpHash, options = {}) {
+        const timeoutMs = options.timeoutMs || 120000;
+        const pollMs = options.pollMs || 2000;
+        const deadline = Date.now() + timeoutMs;
+        for (;;) {
+            const receipt = await this._bundlerCall('eth_getUserOperationReceipt', [userOpHash]);
+            if (receipt) {
+                this._pending.delete(userOpHash);
+                return receipt;
+            }
+            if (Date.now() >= deadline) {
+                const pending = this._pending.get(userOpHash);
+                if (pending) pending.timedOut = true;
+                throw new FabstirError(`UserOperation ${userOpHash} was not included within ${timeoutMs / 1000}s`, {
+                    reason: 'UserOperation not included',
+                    params: { userOpHash },
+                    hint: 'Its nonce stays reserved while the bundler still has it; once eth_getUserOperationByHash returns null, resend with higher fees'
+                });
+            }
+            await new Promise((resolve) => setTimeout(resolve, pollMs));
+        }
+    }
+
+    /**
+     * Run calls as one UserOperation and wait for it. A UserOperation whose
+     * calls revert on-chain still pays for gas; that is thrown as the decoded
+     * revert, like a reverted transaction.
+     * @param {Array<import('../clients/BaseClient').TxResult|{ to: string, value?: bigint, data?: string }>} calls
+     * @param {Object} [options] - buildUserOperation and waitForUserOperation options
+     * @returns {Promise<UserOperationResult>}
+     */
+    async execute(calls, options = {}) {
+        const userOp = await this.buildUserOperation(calls, options);
+        const userOpHash = await this.sendUserOperation(userOp);
+        const opReceipt = await this.waitForUserOperation(userOpHash, options);
+
+        const hash = opReceipt.receipt.transactionHash;
+        if (!opReceipt.success) {
+            const decoded = decodeRevertData(opReceipt.reason);
+            const reason = decoded ? decoded.reason : opReceipt.reason || undefined;
+            throw new UserOperationError(`UserOperation ${userOpHash} reverted${reason ? `: ${reason}` : ''}`, {
+                reason,
+                contract: 'SmartAccount',
+                method: calls.length === 1 ? 'execute' : 'executeBatch',
+                params: { userOpHash, transactionHash: hash, ...(decoded ? decoded.args : {}) },
+                hint: 'Gas was charged; simulate the calls from the account address to see which one fails'
+            });
+        }
+        return {
+            userOpHash,
+            hash,
+            receipt: opReceipt.receipt,
+            events: decodeLogs(calls, opReceipt.logs),
+            actualGasCost: BigInt(opReceipt.actualGasCost)
+        };
+    }
+
+    async _bundlerCall(method, params, calls) {
+        try {
+            return await this.bundler.send(method, params);
+        } catch (err) {
+            throw decodeUserOperationError(err, {
+                contract: 'SmartAccount',
+                method: calls ? (calls.length === 1 ? 'execute' : 'executeBatch') : method
+            });
+        }
+    }
+}
+
+function fixedPaymaster(paymasterAndData) {
+    return { getPaymasterAndData: async () => paymasterAndData };
+}
+
+// Decode the operation's own logs with the clients that encoded its calls
+function decodeLogs(calls, logs) {
+    const clients = [...new Set(calls.map((c) => c.client).filter(Boolean))];
+    const normalized = {
+        logs: (logs || []).map((log) => ({
+            ...log,
+            index: Number(log.logIndex),
+            blockNumber: Number(log.blockNumber)
+        }))
+    };
+    return clients
+        .flatMap((client) => client.parseEvents(normalized))
+        .sort((a, b) => a.logIndex - b.logIndex);
+}
+
+module.exports = { SmartAccount, getUserOpHash, encodeAccountCalls, ENTRY_POINT_ADDRESS };
@@ -0,0 +1,206 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { NATIVE_TOKEN, MAX_DEPOSIT_NATIVE, isNativeToken } = require('../constants');
+const { ERC20Client } = require('../clients/ERC20Client');
+const { precheckError } = require('../errors');
+
+/**
+ * @typedef {Object} TokenInfo
+ * @property {string} address - address(0) for the native token
+ * @property {string} symbol
+ * @property {number} decimals
+ * @property {boolean} accepted
+ * @property {bigint} minDeposit - Smallest session deposit
+ * @property {bigint} maxDeposit - Largest session deposit
+ */
+
+/**
+ * What one chain's marketplace accepts: its ChainConfig (native symbol,
+ * wrapper, stablecoin) and every payment token with its symbol, decimals and
+ * deposit limits. Read once by loadChainInfo; call refresh() to re-read.
+ */
+class ChainInfo {
+    /**
+     * @param {Object} fields
+     * @param {number} fields.chainId
+     * @param {string} [fields.network]
+     * @param {string} fields.nativeWrapper - WETH on Base, WBNB on opBNB; address(0) if unset
+     * @param {string} fields.stablecoin
+     * @param {bigint} [fields.advisoryMinDeposit] - ChainConfig.minDeposit; not enforced by the create functions
+     * @param {TokenInfo[]} fields.tokens - Native first
+     * @param {string[]} [fields.warnings] - Parts of the chain that could not be read
+     * @param {Function} [fields.reload] - Used by refresh()
+     */
+    constructor(fields) {
+        this.chainId = fields.chainId;
+        this.network = fields.network;
+        this.nativeWrapper = fields.nativeWrapper;
+        this.stablecoin = fields.stablecoin;
+        this.advisoryMinDeposit = fields.advisoryMinDeposit || 0n;
+        this.warnings = fields.warnings || [];
+        this._tokens = new Map(fields.tokens.map((token) => [token.address.toLowerCase(), token]));
+        this._reload = fields.reload;
+    }
+
+    /** @returns {TokenInfo} */
+    get native() {
+        return this._tokens.get(NATIVE_TOKEN);
+    }
+
+    /** @returns {TokenInfo[]} Native first, then ERC20s in discovery order */
+    get tokens() {
+        return [...this._tokens.values()];
+    }
+
+    /**
+     * @param {string} token - address(0) or omitted for native
+     * @returns {TokenInfo|undefined}
+     */
+    token(token) {
+        return this._tokens.get((token || NATIVE_TOKEN).toLowerCase());
+    }
+
+    /**
+     * @param {string} symbol - e.g. 'USDC', 'BNB'; case-insensitive
+     * @returns {TokenInfo|undefined}
+     */
+    tokenBySymbol(symbol) {
+        return this.tokens.find((t) => t.symbol.toLowerCase() === symbol.toLowerCase());
+    }
+
+    /**
+     * @param {bigint} amount - Base units
+     * @param {string} [token]
+     * @returns {string} e.g. "0.5 USDC"; the raw amount for unknown tokens
+     */
+    formatAmount(amount, token) {
+        const info = this.token(token);
+        return info ? `${ethers.formatUnits(amount, info.decimals)} ${info.symbol}` : `${amount}`;
+    }
+
+    /**
+     * @param {string} amount - Whole tokens, e.g. "1.5"
+     * @param {string} [token]
+     * @returns {bigint}
+     */
+    parseAmount(amount, token) {
+        const info = this.token(token);
+        if (!info) throw new Error(`${token} is not a known payment token on ${this.network || `chain ${this.chainId}`}`);
+        return ethers.parseUnits(String(amount), info.decimals);
+    }
+
+    /**
+     * Check a session deposit against this chain's limits, as the create
+     * functions will. Uses the limits as last read; see refresh().
+     * @param {string} token - address(0) for native
+     * @param {bigint} deposit
+     * @param {string} [method] - For the error; defaults to the token entry point
+     * @returns {TokenInfo}
+     */
+    checkDeposit(token, deposit, method) {
+        const info = this.token(token);
+        const fail = (reason, message, extra = {}) => precheckError(reason, message, {
+            contract: 'JobMarketplace',
+            method: method || (isNativeToken(token) ? 'createSessionJob' : 'createSessionJobWithToken'),
+            params: { token, deposit, chainId: this.chainId, ...extra }
+        });
+        const where = this.network || `chain ${this.chainId}`;
+
+        if (!info || !info.accepted) throw fail('Token not accepted', `${token} is not an accepted payment token on ${where}`);
+        if (info.minDeposit === 0n) throw fail('Token not configured', `${info.symbol} has no minimum deposit configured on ${where}`);
+        if (info.maxDeposit === 0n) throw fail('Token max deposit not configured', `${info.symbol} has no maximum deposit configured on ${where}`);
+        if (deposit < info.minDeposit) {
+            throw fail('Insufficient deposit',
+                `Deposit ${this.formatAmount(deposit, token)} is below the ${where} minimum of ${this.formatAmount(info.minDeposit, token)}`,
+                { minDeposit: info.minDeposit });
+        }
+        if (deposit > info.maxDeposit) {
+            throw fail('Deposit too large',
+                `Deposit ${this.formatAmount(deposit, token)} is above the ${where} maximum of ${this.formatAmount(info.maxDeposit, token)}`,
+                { maxDeposit: info.maxDeposit });
+        }
+        return info;
+    }
+
+    /**
+     * Re-read everything, e.g. after TokenMinDepositUpdated / TokenMaxDepositUpdated
+     * @returns {Promise<ChainInfo>} A new ChainInfo
+     */
+    async refresh() {
+        return this._reload();
+    }
+}
+
+/**
+ * Read a marketplace's ChainConfig and payment tokens. Tokens are the
+ * ChainConfig stablecoin, any in `options.tokens`, and, given `fromBlock`,
+ * those found in TokenAccepted logs; their limits are read from
+ * tokenMinDeposits / tokenMaxDeposits, so later updates are included.
+ * Without `fromBlock` no logs are scanned, and if the scan fails (RPC range
+ * limits) the other tokens are still loaded; either is noted in `warnings`.
+ * @param {Object} contracts - Clients from connectContracts; jobMarketplace is required
+ * @param {Object} [options]
+ * @param {string} [options.network] - For messages
+ * @param {string[]} [options.tokens] - Extra token addresses, e.g. the manifest's usdcToken
+ * @param {number|null} [options.fromBlock] - Where to scan TokenAccepted logs from (the deploy block)
+ * @param {string} [options.nativeSymbol] - Used while ChainConfig is uninitialized; default 'ETH'
+ * @returns {Promise<ChainInfo>}
+ */
+async function loadChainInfo(contracts, options = {}) {
+    const marketplace = contracts.jobMarketplace;
+    if (!marketplace) throw new Error('loadChainInfo needs a jobMarketplace client');
+    const runner = marketplace.runner;
+    const provider = runner.provider || runner;
+
+    const [network, config, minNative] = await Promise.all([
+        provider.getNetwork(),
+        marketplace.getChainConfig(),
+        marketplace.contract.MIN_DEPOSIT()
+    ]);
+
+    const warnings = [];
+    let logged = [];
+    if (options.fromBlock == null) {
+        warnings.push('No deploy block to scan TokenAccepted logs from; only the ChainConfig stablecoin and listed tokens were read');
+    } else {
+        try {
+            logged = await marketplace.getAcceptedTokenLogs(options.fromBlock);
+        } catch (err) {
+            warnings.push(`TokenAccepted logs from block ${options.fromBlock} could not be read: ${err.shortMessage || err.message}`);
+        }
+    }
+
+    const addresses = new Map();
+    for (const address of [config.stablecoin, ...(options.tokens || []), ...logged.map((l) => l.token)]) {
+        if (address && !isNativeToken(address)) addresses.set(address.toLowerCase(), ethers.getAddress(address));
+    }
+    const tokens = await Promise.all([...addresses.values()].map(async (address) => {
+        const erc20 = new ERC20Client(address, runner);
+        const [limits, symbol, decimals] = await Promise.all([marketplace.getTokenLimits(address), erc20.symbol(), erc20.decimals()]);
+        return { address, symbol, decimals, ...limits };
+    }));
+
+    // Native deposits are checked against MIN_DEPOSIT only; ChainConfig.minDeposit is never enforced
+    const native = {
+        address: NATIVE_TOKEN,
+        symbol: config.nativeTokenSymbol || options.nativeSymbol || 'ETH',
+        decimals: 18,
+        accepted: true,
+        minDeposit: minNative,
+        maxDeposit: MAX_DEPOSIT_NATIVE
+    };
+
+    return new ChainInfo({
+        chainId: Number(network.chainId),
+        network: options.network,
+        nativeWrapper: config.nativeWrapper,
+        stablecoin: config.stablecoin,
+        advisoryMinDeposit: config.minDeposit,
+        tokens: [native, ...tokens],
+        warnings,
+        reload: () => loadChainInfo(contracts, options)
+    });
+}
+
+module.exports = { ChainInfo, loadChainInfo };
@@ -0,0 +1,104 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { connect, loadSigner } = require('../config');
+
+/**
+ * @typedef {Object} ChainConnection
+ * @property {string} network - Profile name
+ * @property {import('../config').NetworkConfig} config
+ * @property {import('ethers').Provider} provider
+ * @property {Object} contracts - Read-only clients from connectContracts
+ * @property {import('./ChainInfo').ChainInfo|null} chain
+ */
+
+/**
+ * One connection per chain (Base, opBNB, ...) in a single process. Each
+ * network profile is connected once, with its own provider, clients and
+ * ChainInfo, and is then looked up by profile name or chain id.
+ */
+class ChainManager {
+    /**
+     * @param {Object} [defaults] - connect() options applied to every chain, e.g. { env }
+     */
+    constructor(defaults = {}) {
+        this.defaults = defaults;
+        this._connections = new Map();
+        this._options = new Map();
+    }
+
+    /**
+     * Connect a network profile, or return its existing connection
+     * @param {string} network - Profile name, e.g. 'base-sepolia', 'opbnb-testnet'
+     * @param {Object} [options] - connect() options for this chain (manifestPath, rpcUrl, provider)
+     * @returns {Promise<ChainConnection>}
+     */
+    async add(network, options = {}) {
+        if (!this._connections.has(network)) {
+            this._options.set(network, { ...this.defaults, ...options, network });
+            const pending = connect(this._options.get(network))
+                .then((connection) => ({ network, ...connection }));
+            this._connections.set(network, pending);
+            // A failed connect can be retried
+            pending.catch(() => this._connections.delete(network));
+        }
+        return this._connections.get(network);
+    }
+
+    /**
+     * @param {string|number|bigint} networkOrChainId - Profile name or chain id
+     * @returns {Promise<ChainConnection>}
+     */
+    async get(networkOrChainId) {
+        if (typeof networkOrChainId === 'string' && this._connections.has(networkOrChainId)) {
+            return this._connections.get(networkOrChainId);
+        }
+        for (const connection of await this.list()) {
+            if (connection.config.chainId === Number(networkOrChainId)) return connection;
+        }
+        throw new Error(`No connection for ${networkOrChainId}; add() it first`);
+    }
+
+    /**
+     * @returns {Promise<ChainConnection[]>}
+     */
+    async list() {
+        return Promise.all(this._connections.values());
+    }
+
+    /**
+     * Signer for a role on one chain, connected to that chain's provider
+     * @param {string|number} networkOrChainId
+     * @param {string} role - e.g. 'user', 'host'
+     */
+    async signer(networkOrChainId, role) {
+        const { network, provider, config } = await this.get(networkOrChainId);
+        return loadSigner(role, provider, { config, env: this._options.get(network).env });
+    }
+
+    /**
+     * Re-read a chain's ChainConfig and token limits
+     * @param {string|number} networkOrChainId
+     * @returns {Promise<ChainConnection>}
+     */
+    async refresh(networkOrChainId) {
+        const connection = await this.get(networkOrChainId);
+        if (connection.chain) connection.chain = await connection.chain.refresh();
+        return connection;
+    }
+
+    /**
+     * Drop every connection, destroying the providers this manager created
+     */
+    async close() {
+        const connections = await Promise.allSettled(this._connections.values());
+        for (const { status, value } of connections) {
+            if (status === 'fulfilled' && !this._options.get(value.network).provider && typeof value.provider.destroy === 'function') {
+                value.provider.destroy();
+            }
+        }
+        this._connections.clear();
+        this._options.clear();
+    }
+}
+
+module.exports = { ChainManager };
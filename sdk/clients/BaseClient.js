@@ -0,0 +1,156 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { decodeError } = require('../errors');
+
+/**
+ * @typedef {Object} DecodedEvent
+ * @property {string} name - Event name as declared in the ABI
+ * @property {Object} args - Event arguments keyed by parameter name
+ * @property {number} logIndex
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ */
+
+/**
+ * @typedef {Object} TxResult
+ * @property {string} hash - Transaction hash
+ * @property {ethers.TransactionReceipt} receipt - Mined receipt
+ * @property {DecodedEvent[]} events - Logs emitted by this contract, decoded
+ * @property {boolean} [dryRun] - Set when simulated; `hash` and `receipt` are then null
+ * @property {*} [returnValue] - Function return value from staticCall (dry run only)
+ * @property {bigint} [gasEstimate] - Dry run only
+ * @property {{ to: string, value: bigint, data: string }} [call] - The encoded call (populate() only)
+ * @property {BaseClient} [client] - The client that encoded `call`, to decode its events later (populate() only)
+ */
+
+/**
+ * Shared plumbing for the per-contract clients: holds the ethers.Contract,
+ * sends transactions and decodes the logs this contract emitted.
+ */
+class BaseClient {
+    /**
+     * @param {string} address - Proxy address of the contract
+     * @param {Array} abi - Contract ABI
+     * @param {ethers.ContractRunner} runner - Provider (read-only) or Signer
+     */
+    constructor(address, abi, runner) {
+        this.address = ethers.getAddress(address);
+        this.abi = abi;
+        this.contract = new ethers.Contract(this.address, abi, runner);
+    }
+
+    get interface() {
+        return this.contract.interface;
+    }
+
+    get runner() {
+        return this.contract.runner;
+    }
+
+    /**
+     * Returns a new client of the same type bound to another runner
+     * @param {ethers.ContractRunner} runner
+     */
+    connect(runner) {
+        return new this.constructor(this.address, runner);
+    }
+
+    /**
+     * Returns a copy of this client whose write methods run as staticCall +
+     * estimateGas instead of sending, so reverts surface without spending gas
+     */
+    simulate() {
+        const client = this.connect(this.runner);
+        client.dryRun = true;
+        return client;
+    }
+
+    /**
+     * Returns a copy of this client whose write methods encode the call as
+     * `call` instead of sending it, for batching through a SmartAccount
+     */
+    populate() {
+        const client = this.connect(this.runner);
+        client.populateOnly = true;
+        return client;
+    }
+
+    /**
+     * Decode every log in a receipt that was emitted by this contract
+     * @param {ethers.TransactionReceipt} receipt
+     * @returns {DecodedEvent[]}
+     */
+    parseEvents(receipt) {
+        const events = [];
+        for (const log of receipt.logs) {
+            if (log.address.toLowerCase() !== this.address.toLowerCase()) continue;
+            const parsed = this.interface.parseLog({ topics: log.topics, data: log.data });
+            if (!parsed) continue;
+            events.push({
+                name: parsed.name,
+                args: parsed.args.toObject(),
+                logIndex: log.index,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash
+            });
+        }
+        return events;
+    }
+
+    /**
+     * Send a state-changing call and wait for it to be mined. Reverts are
+     * rethrown as typed errors from ../errors carrying the call arguments.
+     * @param {string} method - Contract function name
+     * @param {Array} args - Function arguments
+     * @param {Object} [overrides] - ethers transaction overrides (value, gasLimit, ...)
+     * @returns {Promise<TxResult>}
+     */
+    async _send(method, args, overrides = {}) {
+        try {
+            if (this.populateOnly) {
+                const call = { to: this.address, value: overrides.value || 0n, data: this.interface.encodeFunctionData(method, args) };
+                return { hash: null, receipt: null, events: [], call, client: this };
+            }
+            if (this.dryRun) {
+                const fn = this.contract.getFunction(method);
+                const returnValue = await fn.staticCall(...args, overrides);
+                const gasEstimate = await fn.estimateGas(...args, overrides);
+                return { hash: null, receipt: null, events: [], dryRun: true, returnValue, gasEstimate };
+            }
+            const tx = await this.contract[method](...args, overrides);
+            const receipt = await tx.wait();
+            return { hash: tx.hash, receipt, events: this.parseEvents(receipt) };
+        } catch (err) {
+            throw decodeError(err, { contract: this.contractName, method, params: this._namedArgs(method, args, overrides) });
+        }
+    }
+
+    /**
+     * Contract name used in error messages, e.g. 'JobMarketplace'
+     */
+    get contractName() {
+        return this.constructor.name.replace(/Client$/, '');
+    }
+
+    // Call arguments keyed by parameter name, for error reports
+    _namedArgs(method, args, overrides) {
+        const params = {};
+        this.interface.getFunction(method).inputs.forEach((input, i) => { params[input.name || i] = args[i]; });
+        if (overrides.value !== undefined) params.value = overrides.value;
+        return params;
+    }
+}
+
+/**
+ * Find the first decoded event with the given name
+ * @param {DecodedEvent[]} events
+ * @param {string} name
+ * @returns {Object|undefined} The event args, if present
+ */
+function findEvent(events, name) {
+    const event = events.find((e) => e.name === name);
+    return event ? event.args : undefined;
+}
+
+module.exports = { BaseClient, findEvent };
@@ -0,0 +1,46 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { BaseClient } = require('./BaseClient');
+const { ERC20ABI } = require('../abis');
+
+/**
+ * Minimal ERC20 client for payment (USDC) and staking (FAB) tokens.
+ */
+class ERC20Client extends BaseClient {
+    constructor(address, runner) {
+        super(address, ERC20ABI, runner);
+    }
+
+    async balanceOf(account) {
+        return this.contract.balanceOf(account);
+    }
+
+    async allowance(owner, spender) {
+        return this.contract.allowance(owner, spender);
+    }
+
+    async decimals() {
+        return Number(await this.contract.decimals());
+    }
+
+    async symbol() {
+        return this.contract.symbol();
+    }
+
+    async approve(spender, amount, overrides = {}) {
+        return this._send('approve', [spender, amount], overrides);
+    }
+
+    /**
+     * Approve `spender` only if the current allowance is below `amount`
+     * @returns {Promise<import('./BaseClient').TxResult|null>} null when no approval was needed
+     */
+    async ensureAllowance(spender, amount, overrides = {}) {
+        const owner = await this.runner.getAddress();
+        const current = await this.allowance(owner, spender);
+        if (current >= amount) return null;
+        return this.approve(spender, amount, overrides);
+    }
+}
+
+module.exports = { ERC20Client };
@@ -0,0 +1,66 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { BaseClient } = require('./BaseClient');
+const { HostEarningsABI } = require('../abis');
+const { NATIVE_TOKEN } = require('../constants');
+
+/**
+ * Client for HostEarningsUpgradeable: accumulated host earnings and withdrawals.
+ */
+class HostEarningsClient extends BaseClient {
+    constructor(address, runner) {
+        super(address, HostEarningsABI, runner);
+    }
+
+    /**
+     * @param {string} host
+     * @param {string} [token] - address(0) for native
+     */
+    async getBalance(host, token = NATIVE_TOKEN) {
+        return this.contract.getBalance(host, token);
+    }
+
+    /**
+     * @param {string} host
+     * @param {string[]} tokens
+     * @returns {Promise<bigint[]>}
+     */
+    async getBalances(host, tokens) {
+        return [...await this.contract.getBalances(host, tokens)];
+    }
+
+    async getTokenStats(token = NATIVE_TOKEN) {
+        return (await this.contract.getTokenStats(token)).toObject();
+    }
+
+    /**
+     * Withdraw the signer's earnings for one token. Omitting `amount` withdraws everything.
+     * @param {string} [token] - address(0) for native
+     * @param {bigint} [amount]
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { withdrawals: Object[] }>}
+     */
+    async withdrawEarnings(token = NATIVE_TOKEN, amount, overrides = {}) {
+        const result = amount === undefined
+            ? await this._send('withdrawAll', [token], overrides)
+            : await this._send('withdraw', [amount, token], overrides);
+        return { ...result, withdrawals: this._withdrawals(result.events) };
+    }
+
+    /**
+     * Withdraw the signer's full balance for several tokens in one transaction
+     * @param {string[]} tokens
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { withdrawals: Object[] }>}
+     */
+    async withdrawMultiple(tokens, overrides = {}) {
+        const result = await this._send('withdrawMultiple', [tokens], overrides);
+        return { ...result, withdrawals: this._withdrawals(result.events) };
+    }
+
+    _withdrawals(events) {
+        return events.filter((e) => e.name === 'EarningsWithdrawn').map((e) => e.args);
+    }
+}
+
+module.exports = { HostEarningsClient };
@@ -0,0 +1,362 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { BaseClient, findEvent } = require('./BaseClient');
+const { JobMarketplaceABI } = require('../abis');
+const { NATIVE_TOKEN, SESSION_STATUS, isNativeToken } = require('../constants');
+const { calculateSettlement } = require('../settlement');
+const { decodeError } = require('../errors');
+
+/**
+ * @typedef {Object} SessionJob
+ * @property {bigint} id
+ * @property {string} depositor
+ * @property {string} host
+ * @property {string} paymentToken - address(0) for native
+ * @property {bigint} deposit
+ * @property {bigint} pricePerToken - Scaled by PRICE_PRECISION
+ * @property {bigint} tokensUsed
+ * @property {bigint} maxDuration
+ * @property {bigint} startTime
+ * @property {bigint} lastProofTime
+ * @property {bigint} proofInterval
+ * @property {number} status - SessionStatus enum value
+ * @property {string} statusName - 'Active' | 'Completed' | 'TimedOut'
+ * @property {bigint} withdrawnByHost
+ * @property {bigint} refundedToUser
+ * @property {string} conversationCID
+ * @property {string} lastProofHash
+ * @property {string} lastProofCID
+ */
+
+/**
+ * @typedef {Object} SessionParams
+ * @property {string} host - Registered host address
+ * @property {bigint} deposit - Deposit in the payment token's smallest unit (wei for native)
+ * @property {bigint} pricePerToken - Price per token, scaled by PRICE_PRECISION
+ * @property {bigint} maxDuration - Session lifetime in seconds
+ * @property {bigint} proofInterval - Tokens per proof (>= MIN_PROVEN_TOKENS)
+ * @property {string} [token] - ERC20 payment token; omit or address(0) for native
+ * @property {string} [modelId] - bytes32 model ID; omit for a model-agnostic session
+ */
+
+/**
+ * Client for JobMarketplaceWithModelsUpgradeable: session lifecycle,
+ * proof submission and the pre-funded deposit balance.
+ */
+class JobMarketplaceClient extends BaseClient {
+    constructor(address, runner) {
+        super(address, JobMarketplaceABI, runner);
+    }
+
+    // ============================================================
+    // Sessions
+    // ============================================================
+
+    /**
+     * Create a session, picking the matching contract entry point
+     * (createSessionJob[ForModel][WithToken]) from the token and modelId.
+     * ERC20 deposits must already be approved for the marketplace.
+     * @param {SessionParams} params
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { jobId: bigint }>}
+     */
+    async createSession(params, overrides = {}) {
+        const { host, deposit, pricePerToken, maxDuration, proofInterval, token, modelId } = params;
+        let result;
+
+        if (isNativeToken(token)) {
+            const txOverrides = { ...overrides, value: deposit };
+            result = modelId
+                ? await this._send('createSessionJobForModel', [host, modelId, pricePerToken, maxDuration, proofInterval], txOverrides)
+                : await this._send('createSessionJob', [host, pricePerToken, maxDuration, proofInterval], txOverrides);
+        } else {
+            result = modelId
+                ? await this._send('createSessionJobForModelWithToken', [host, modelId, token, deposit, pricePerToken, maxDuration, proofInterval], overrides)
+                : await this._send('createSessionJobWithToken', [host, token, deposit, pricePerToken, maxDuration, proofInterval], overrides);
+        }
+
+        return { ...result, jobId: this._createdJobId(result) };
+    }
+
+    /**
+     * Create a session paid from the caller's pre-deposited balance
+     * @param {SessionParams} params - `token` selects which deposit balance to draw from
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { jobId: bigint }>}
+     */
+    async createSessionFromDeposit(params, overrides = {}) {
+        const { host, deposit, pricePerToken, maxDuration, proofInterval, token } = params;
+        const result = await this._send(
+            'createSessionFromDeposit',
+            [host, token || NATIVE_TOKEN, deposit, pricePerToken, maxDuration, proofInterval],
+            overrides
+        );
+        return { ...result, jobId: this._createdJobId(result) };
+    }
+
+    /**
+     * Submit a signed proof of work (host only)
+     * @param {bigint} jobId
+     * @param {Object} proof
+     * @param {bigint} proof.tokensClaimed
+     * @param {string} proof.proofHash - bytes32
+     * @param {string} proof.signature - 65-byte host signature
+     * @param {string} [proof.proofCID]
+     * @param {string} [proof.deltaCID]
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { proof: Object }>}
+     */
+    async submitProof(jobId, proof, overrides = {}) {
+        const { tokensClaimed, proofHash, signature, proofCID = '', deltaCID = '' } = proof;
+        const result = await this._send(
+            'submitProofOfWork',
+            [jobId, tokensClaimed, proofHash, signature, proofCID, deltaCID],
+            overrides
+        );
+        return { ...result, proof: findEvent(result.events, 'ProofSubmitted') };
+    }
+
+    /**
+     * Complete a session and settle payments (depositor, or host after the dispute window)
+     * @param {bigint} jobId
+     * @param {string} [conversationCID]
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { settlement: Object }>}
+     */
+    async completeSession(jobId, conversationCID = '', overrides = {}) {
+        const result = await this._send('completeSessionJob', [jobId, conversationCID], overrides);
+        return { ...result, settlement: findEvent(result.events, 'SessionCompletedBy') };
+    }
+
+    /**
+     * Force-settle a session past maxDuration or abandoned by its host (anyone)
+     * @param {bigint} jobId
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { settlement: Object }>}
+     */
+    async triggerTimeout(jobId, overrides = {}) {
+        const result = await this._send('triggerSessionTimeout', [jobId], overrides);
+        return { ...result, settlement: findEvent(result.events, 'SessionCompletedBy') };
+    }
+
+    /**
+     * @param {bigint} jobId
+     * @returns {Promise<SessionJob>}
+     */
+    async getSession(jobId) {
+        const session = (await this.contract.sessionJobs(jobId)).toObject();
+        const status = Number(session.status);
+        return { ...session, status, statusName: SESSION_STATUS[status] };
+    }
+
+    /**
+     * Predict what completing the session now would pay out, using the live
+     * session state and feeBasisPoints
+     * @param {bigint} jobId
+     * @param {Object} [options]
+     * @param {bigint} [options.tokensUsed] - Preview a different token count
+     * @returns {Promise<import('../settlement').Settlement>}
+     */
+    async previewSettlement(jobId, options = {}) {
+        const [session, feeBasisPoints] = await Promise.all([this.getSession(jobId), this.feeBasisPoints()]);
+        const tokensUsed = options.tokensUsed !== undefined ? options.tokensUsed : session.tokensUsed;
+        return calculateSettlement({ ...session, tokensUsed }, feeBasisPoints);
+    }
+
+    /**
+     * @param {bigint} jobId
+     * @param {number} index
+     */
+    async getProofSubmission(jobId, index) {
+        return (await this.contract.getProofSubmission(jobId, index)).toObject();
+    }
+
+    /**
+     * Every proof submitted for a session, in order. The contract exposes no
+     * count, so this reads indices until it reverts 'Proof index out of bounds'.
+     * @param {bigint} jobId
+     * @returns {Promise<Object[]>}
+     */
+    async getProofSubmissions(jobId) {
+        const proofs = [];
+        for (;;) {
+            try {
+                proofs.push(await this.getProofSubmission(jobId, proofs.length));
+            } catch (err) {
+                if (decodeError(err).reason === 'Proof index out of bounds') return proofs;
+                throw err;
+            }
+        }
+    }
+
+    // ============================================================
+    // Deposit balance
+    // ============================================================
+
+    async depositNative(amount, overrides = {}) {
+        return this._send('depositNative', [], { ...overrides, value: amount });
+    }
+
+    async depositToken(token, amount, overrides = {}) {
+        return this._send('depositToken', [token, amount], overrides);
+    }
+
+    async withdrawNative(amount, overrides = {}) {
+        return this._send('withdrawNative', [amount], overrides);
+    }
+
+    async withdrawToken(token, amount, overrides = {}) {
+        return this._send('withdrawToken', [token, amount], overrides);
+    }
+
+    /**
+     * @param {string} account
+     * @param {string} [token] - address(0) for native
+     */
+    async getDepositBalance(account, token = NATIVE_TOKEN) {
+        return this.contract.getDepositBalance(account, token);
+    }
+
+    /**
+     * Withdrawable balances for several tokens in one call
+     * @param {string} account
+     * @param {string[]} tokens - address(0) for native
+     * @returns {Promise<bigint[]>} In the order of `tokens`
+     */
+    async getDepositBalances(account, tokens) {
+        return [...await this.contract.getDepositBalances(account, tokens)];
+    }
+
+    /**
+     * Unspent deposits of the account's active sessions in a token
+     * @param {string} account
+     * @param {string} [token] - address(0) for native
+     */
+    async getLockedBalance(account, token = NATIVE_TOKEN) {
+        return isNativeToken(token)
+            ? this.contract.getLockedBalanceNative(account)
+            : this.contract.getLockedBalanceToken(account, token);
+    }
+
+    // ============================================================
+    // Configuration
+    // ============================================================
+
+    async treasuryAddress() {
+        return this.contract.treasuryAddress();
+    }
+
+    async feeBasisPoints() {
+        return this.contract.feeBasisPoints();
+    }
+
+    async paused() {
+        return this.contract.paused();
+    }
+
+    /**
+     * Seconds a host must wait after session start before completing it
+     */
+    async disputeWindow() {
+        return this.contract.disputeWindow();
+    }
+
+    /**
+     * Whether an ERC20 is accepted for payment, and its per-session deposit bounds
+     * @param {string} token
+     * @returns {Promise<{ accepted: boolean, minDeposit: bigint, maxDeposit: bigint }>}
+     */
+    async getTokenLimits(token) {
+        const [accepted, minDeposit, maxDeposit] = await Promise.all([
+            this.contract.acceptedTokens(token),
+            this.contract.tokenMinDeposits(token),
+            this.contract.tokenMaxDeposits(token)
+        ]);
+        return { accepted, minDeposit, maxDeposit };
+    }
+
+    /**
+     * Per-chain settings set by initializeChainConfig (zeroed until then)
+     * @returns {Promise<{ nativeWrapper: string, stablecoin: string, minDeposit: bigint, nativeTokenSymbol: string }>}
+     */
+    async getChainConfig() {
+        const [nativeWrapper, stablecoin, minDeposit, nativeTokenSymbol] = await this.contract.chainConfig();
+        return { nativeWrapper, stablecoin, minDeposit, nativeTokenSymbol };
+    }
+
+    /**
+     * Tokens the owner accepted via addAcceptedToken, from TokenAccepted logs.
+     * The stablecoin accepted at initialize() emits no such log.
+     * @param {number} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<{ token: string, minDeposit: bigint, maxDeposit: bigint, blockNumber: number }[]>}
+     */
+    async getAcceptedTokenLogs(fromBlock = 0, toBlock = 'latest') {
+        const logs = await this.contract.queryFilter(this.contract.filters.TokenAccepted(), fromBlock, toBlock);
+        return logs.map((log) => ({
+            token: log.args.token,
+            minDeposit: log.args.minDeposit,
+            maxDeposit: log.args.maxDeposit,
+            blockNumber: log.blockNumber
+        }));
+    }
+
+    /**
+     * ProofSubmitted logs, oldest first
+     * @param {Object} [filter]
+     * @param {bigint} [filter.jobId]
+     * @param {string} [filter.host]
+     * @param {number} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<{ jobId: bigint, host: string, tokensClaimed: bigint, proofHash: string, proofCID: string, deltaCID: string, blockNumber: number, transactionHash: string }[]>}
+     */
+    async getProofLogs(filter = {}, fromBlock = 0, toBlock = 'latest') {
+        const event = this.contract.filters.ProofSubmitted(filter.jobId !== undefined ? filter.jobId : null, filter.host || null);
+        const logs = await this.contract.queryFilter(event, fromBlock, toBlock);
+        return logs.map((log) => ({
+            ...log.args.toObject(),
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash
+        }));
+    }
+
+    // ============================================================
+    // Treasury
+    // ============================================================
+
+    /**
+     * Treasury fees accumulated and not yet withdrawn
+     * @param {string} [token] - address(0) for native
+     */
+    async getTreasuryBalance(token = NATIVE_TOKEN) {
+        return isNativeToken(token)
+            ? this.contract.accumulatedTreasuryNative()
+            : this.contract.accumulatedTreasuryTokens(token);
+    }
+
+    /**
+     * Withdraw accumulated native fees plus the listed tokens (treasury only)
+     * @param {string[]} tokens - ERC20 tokens; native is always included
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { withdrawals: Object[] }>}
+     */
+    async withdrawAllTreasuryFees(tokens, overrides = {}) {
+        const result = await this._send('withdrawAllTreasuryFees', [tokens], overrides);
+        const withdrawals = result.events.filter((e) => e.name === 'TreasuryWithdrawal').map((e) => e.args);
+        return { ...result, withdrawals };
+    }
+
+    _createdJobId(result) {
+        // A simulated create has no logs, but the entry points return the new jobId
+        if (result.dryRun) return result.returnValue;
+        // An encoded call has not run yet; the jobId arrives with its events
+        if (result.call) return undefined;
+        const created = findEvent(result.events, 'SessionJobCreated');
+        if (!created) {
+            throw new Error('SessionJobCreated event not found in receipt');
+        }
+        return created.jobId;
+    }
+}
+
+module.exports = { JobMarketplaceClient };
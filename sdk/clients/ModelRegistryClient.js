@@ -0,0 +1,161 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { BaseClient, findEvent } = require('./BaseClient');
+const { ModelRegistryABI } = require('../abis');
+
+/**
+ * @typedef {Object} Model
+ * @property {string} modelId
+ * @property {string} huggingfaceRepo
+ * @property {string} fileName
+ * @property {string} sha256Hash
+ * @property {bigint} approvalTier - 1 = trusted (owner), 2 = community approved
+ * @property {boolean} active
+ * @property {bigint} timestamp - 0 when the model does not exist
+ */
+
+/**
+ * @typedef {Object} Proposal
+ * @property {string} modelId
+ * @property {string} proposer - address(0) when no proposal exists
+ * @property {bigint} votesFor - FAB locked in favour
+ * @property {bigint} votesAgainst
+ * @property {bigint} proposalTime
+ * @property {boolean} executed
+ * @property {Model} modelData - The model as proposed
+ * @property {bigint} endTime - Voting deadline, pushed back by late-vote extensions
+ * @property {number} extensionCount
+ */
+
+/**
+ * Same derivation as ModelRegistryUpgradeable.getModelId:
+ * keccak256(abi.encodePacked(repo, "/", fileName))
+ * @param {string} repo - HuggingFace repository, e.g. "TheBloke/Llama-2-7B-GGUF"
+ * @param {string} fileName - e.g. "llama-2-7b.Q4_K_M.gguf"
+ * @returns {string} bytes32 model ID
+ */
+function computeModelId(repo, fileName) {
+    return ethers.solidityPackedKeccak256(['string', 'string', 'string'], [repo, '/', fileName]);
+}
+
+/**
+ * Client for ModelRegistryUpgradeable: model lookups and the community
+ * proposal/vote/execute flow. Proposal fees and votes are FAB transfers, so
+ * the caller must approve the registry first (see ModelGovernance).
+ */
+class ModelRegistryClient extends BaseClient {
+    constructor(address, runner) {
+        super(address, ModelRegistryABI, runner);
+    }
+
+    /**
+     * Model ID for a repo/file pair, computed locally without an RPC round trip
+     */
+    getModelId(repo, fileName) {
+        return computeModelId(repo, fileName);
+    }
+
+    /**
+     * @param {string} modelId - bytes32
+     * @returns {Promise<Model>}
+     */
+    async getModel(modelId) {
+        const model = (await this.contract.getModel(modelId)).toObject();
+        return { modelId, ...model };
+    }
+
+    async isModelApproved(modelId) {
+        return this.contract.isModelApproved(modelId);
+    }
+
+    async getAllModels() {
+        return [...await this.contract.getAllModels()];
+    }
+
+    // ============================================================
+    // Governance
+    // ============================================================
+
+    async governanceToken() {
+        return this.contract.governanceToken();
+    }
+
+    /**
+     * @param {string} modelId
+     * @returns {Promise<Proposal>} proposalTime is 0 when none exists
+     */
+    async getProposal(modelId) {
+        const proposal = (await this.contract.proposals(modelId)).toObject();
+        return {
+            ...proposal,
+            modelId,
+            modelData: proposal.modelData.toObject(),
+            extensionCount: Number(proposal.extensionCount)
+        };
+    }
+
+    async getActiveProposals() {
+        return [...await this.contract.getActiveProposals()];
+    }
+
+    /**
+     * FAB `voter` has locked on a proposal
+     */
+    async getVotes(modelId, voter) {
+        return this.contract.votes(modelId, voter);
+    }
+
+    /**
+     * Late votes counted towards the next deadline extension
+     */
+    async lateVotes(modelId) {
+        return this.contract.lateVotes(modelId);
+    }
+
+    async lastProposalExecutionTime(modelId) {
+        return this.contract.lastProposalExecutionTime(modelId);
+    }
+
+    /**
+     * Propose a model for community approval; charges PROPOSAL_FEE in FAB
+     * @param {string} repo
+     * @param {string} fileName
+     * @param {string} sha256Hash - bytes32 SHA-256 of the GGUF file
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { modelId: string }>}
+     */
+    async proposeModel(repo, fileName, sha256Hash, overrides = {}) {
+        const result = await this._send('proposeModel', [repo, fileName, sha256Hash], overrides);
+        return { ...result, modelId: computeModelId(repo, fileName) };
+    }
+
+    /**
+     * Lock `amount` FAB for or against a proposal
+     * @returns {Promise<import('./BaseClient').TxResult & { extension: Object|undefined }>}
+     *   `extension` is the VotingExtended event when this vote pushed the deadline back
+     */
+    async voteOnProposal(modelId, amount, support, overrides = {}) {
+        const result = await this._send('voteOnProposal', [modelId, amount, support], overrides);
+        return { ...result, extension: findEvent(result.events, 'VotingExtended') };
+    }
+
+    /**
+     * Tally a proposal after its deadline (anyone)
+     * @returns {Promise<import('./BaseClient').TxResult & { approved: boolean|undefined }>}
+     */
+    async executeProposal(modelId, overrides = {}) {
+        const result = await this._send('executeProposal', [modelId], overrides);
+        const executed = findEvent(result.events, 'ProposalExecuted');
+        return { ...result, approved: executed ? executed.approved : undefined };
+    }
+
+    /**
+     * Reclaim the caller's FAB from an executed (or long-expired) proposal
+     */
+    async withdrawVotes(modelId, overrides = {}) {
+        return this._send('withdrawVotes', [modelId], overrides);
+    }
+}
+
+module.exports = { ModelRegistryClient, computeModelId };
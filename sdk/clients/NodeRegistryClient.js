@@ -0,0 +1,276 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { BaseClient, findEvent } = require('./BaseClient');
+const { NodeRegistryABI } = require('../abis');
+const { NATIVE_TOKEN } = require('../constants');
+
+/**
+ * @typedef {Object} NodeInfo
+ * @property {string} operator - address(0) when not registered
+ * @property {bigint} stakedAmount
+ * @property {boolean} active
+ * @property {string} metadata - JSON metadata string
+ * @property {string} apiUrl
+ * @property {string[]} supportedModels - bytes32 model IDs
+ * @property {bigint} minPricePerTokenNative
+ * @property {bigint} minPricePerTokenStable
+ */
+
+/**
+ * Client for NodeRegistryWithModelsUpgradeable: host registration, staking and pricing.
+ */
+class NodeRegistryClient extends BaseClient {
+    constructor(address, runner) {
+        super(address, NodeRegistryABI, runner);
+    }
+
+    /**
+     * Register the signer as a host. Requires MIN_STAKE FAB to be approved for the registry.
+     * @param {Object} params
+     * @param {string|Object} params.metadata - JSON string, or an object to be serialized
+     * @param {string} params.apiUrl
+     * @param {string[]} params.modelIds - Approved bytes32 model IDs
+     * @param {bigint} params.minPricePerTokenNative
+     * @param {bigint} params.minPricePerTokenStable
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { registration: Object }>}
+     */
+    async registerNode(params, overrides = {}) {
+        const { metadata, apiUrl, modelIds, minPricePerTokenNative, minPricePerTokenStable } = params;
+        const metadataJson = typeof metadata === 'string' ? metadata : JSON.stringify(metadata);
+        const result = await this._send(
+            'registerNode',
+            [metadataJson, apiUrl, modelIds, minPricePerTokenNative, minPricePerTokenStable],
+            overrides
+        );
+        return { ...result, registration: findEvent(result.events, 'NodeRegistered') };
+    }
+
+    /**
+     * Unregister the signer and return its stake
+     * @returns {Promise<import('./BaseClient').TxResult & { returnedAmount: bigint }>}
+     */
+    async unregisterNode(overrides = {}) {
+        const result = await this._send('unregisterNode', [], overrides);
+        const event = findEvent(result.events, 'NodeUnregistered');
+        return { ...result, returnedAmount: event ? event.returnedAmount : 0n };
+    }
+
+    async stake(amount, overrides = {}) {
+        return this._send('stake', [amount], overrides);
+    }
+
+    /**
+     * Replace the signer's supported models
+     * @param {string[]} modelIds - Approved bytes32 model IDs
+     */
+    async updateSupportedModels(modelIds, overrides = {}) {
+        return this._send('updateSupportedModels', [modelIds], overrides);
+    }
+
+    /**
+     * @param {string|Object} metadata - JSON string, or an object to be serialized
+     */
+    async updateMetadata(metadata, overrides = {}) {
+        return this._send('updateMetadata', [typeof metadata === 'string' ? metadata : JSON.stringify(metadata)], overrides);
+    }
+
+    async updateApiUrl(apiUrl, overrides = {}) {
+        return this._send('updateApiUrl', [apiUrl], overrides);
+    }
+
+    /**
+     * Default minimum price for native payments
+     * @param {bigint} price - With PRICE_PRECISION
+     */
+    async updatePricingNative(price, overrides = {}) {
+        return this._send('updatePricingNative', [price], overrides);
+    }
+
+    /**
+     * Default minimum price for stablecoin payments
+     * @param {bigint} price - With PRICE_PRECISION
+     */
+    async updatePricingStable(price, overrides = {}) {
+        return this._send('updatePricingStable', [price], overrides);
+    }
+
+    /**
+     * Per-model price overrides; 0 falls back to the default for that currency
+     * @param {string} modelId - A model the signer supports
+     * @param {bigint} nativePrice
+     * @param {bigint} stablePrice
+     */
+    async setModelPricing(modelId, nativePrice, stablePrice, overrides = {}) {
+        return this._send('setModelPricing', [modelId, nativePrice, stablePrice], overrides);
+    }
+
+    async clearModelPricing(modelId, overrides = {}) {
+        return this._send('clearModelPricing', [modelId], overrides);
+    }
+
+    /**
+     * Price override for one stablecoin; 0 falls back to the stable default
+     * @param {string} token - Not address(0); use updatePricingNative
+     * @param {bigint} price
+     */
+    async setTokenPricing(token, price, overrides = {}) {
+        return this._send('setTokenPricing', [token, price], overrides);
+    }
+
+    /**
+     * The host's own per-model overrides, 0 where unset (getModelPricing
+     * returns the effective price instead)
+     * @param {string} host
+     * @param {string} modelId
+     * @returns {Promise<{ nativePrice: bigint, stablePrice: bigint }>}
+     */
+    async getModelPriceOverrides(host, modelId) {
+        const [nativePrice, stablePrice] = await Promise.all([
+            this.contract.modelPricingNative(host, modelId),
+            this.contract.modelPricingStable(host, modelId)
+        ]);
+        return { nativePrice, stablePrice };
+    }
+
+    /**
+     * The host's price override for a stablecoin, 0 where unset
+     * @param {string} host
+     * @param {string} token
+     * @returns {Promise<bigint>}
+     */
+    async getTokenPriceOverride(host, token) {
+        return this.contract.customTokenPricing(host, token);
+    }
+
+    /**
+     * @param {string} host
+     * @returns {Promise<NodeInfo>}
+     */
+    async getNode(host) {
+        const [
+            operator,
+            stakedAmount,
+            active,
+            metadata,
+            apiUrl,
+            supportedModels,
+            minPricePerTokenNative,
+            minPricePerTokenStable
+        ] = await this.contract.getNodeFullInfo(host);
+        return {
+            operator,
+            stakedAmount,
+            active,
+            metadata,
+            apiUrl,
+            supportedModels: [...supportedModels],
+            minPricePerTokenNative,
+            minPricePerTokenStable
+        };
+    }
+
+    async isActiveNode(host) {
+        return this.contract.isActiveNode(host);
+    }
+
+    async nodeSupportsModel(host, modelId) {
+        return this.contract.nodeSupportsModel(host, modelId);
+    }
+
+    async getNodesForModel(modelId) {
+        return [...await this.contract.getNodesForModel(modelId)];
+    }
+
+    /**
+     * Host's minimum price for a payment token, honouring per-token overrides
+     * @param {string} host
+     * @param {string} [token] - address(0) for native
+     */
+    async getNodePricing(host, token = NATIVE_TOKEN) {
+        return this.contract.getNodePricing(host, token);
+    }
+
+    /**
+     * Host's minimum price for a model, falling back to its default pricing
+     * @param {string} host
+     * @param {string} modelId
+     * @param {string} [token] - address(0) for native
+     */
+    async getModelPricing(host, modelId, token = NATIVE_TOKEN) {
+        return this.contract.getModelPricing(host, modelId, token);
+    }
+
+    /**
+     * Timestamp of the host's most recent slash, 0 if never slashed
+     * @param {string} host
+     * @returns {Promise<bigint>}
+     */
+    async lastSlashTime(host) {
+        return this.contract.lastSlashTime(host);
+    }
+
+    /**
+     * Slash part of a host's stake (slashing authority only). At most
+     * MAX_SLASH_PERCENTAGE of the stake, once per SLASH_COOLDOWN; a host left
+     * below MIN_STAKE_AFTER_SLASH is unregistered and refunded the rest.
+     * @param {string} host
+     * @param {bigint} amount - FAB in wei
+     * @param {string} evidenceCID
+     * @param {string} reason
+     * @param {Object} [overrides]
+     * @returns {Promise<import('./BaseClient').TxResult & { slash?: Object, autoUnregistered?: Object }>}
+     */
+    async slashStake(host, amount, evidenceCID, reason, overrides = {}) {
+        const result = await this._send('slashStake', [host, amount, evidenceCID, reason], overrides);
+        return {
+            ...result,
+            slash: findEvent(result.events, 'SlashExecuted'),
+            autoUnregistered: findEvent(result.events, 'HostAutoUnregistered')
+        };
+    }
+
+    async slashingAuthority() {
+        return this.contract.slashingAuthority();
+    }
+
+    /**
+     * Where slashed FAB is sent
+     */
+    async treasury() {
+        return this.contract.treasury();
+    }
+
+    /**
+     * SlashExecuted and HostAutoUnregistered logs, oldest first
+     * @param {string} [host] - Only this host's
+     * @param {number} [fromBlock]
+     * @param {number|string} [toBlock]
+     * @returns {Promise<import('./BaseClient').DecodedEvent[]>}
+     */
+    async getSlashLogs(host, fromBlock = 0, toBlock = 'latest') {
+        const logs = (await Promise.all([
+            this.contract.queryFilter(this.contract.filters.SlashExecuted(host || null), fromBlock, toBlock),
+            this.contract.queryFilter(this.contract.filters.HostAutoUnregistered(host || null), fromBlock, toBlock)
+        ])).flat();
+        return logs
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+            .map((log) => ({
+                name: log.fragment.name,
+                args: log.args.toObject(),
+                logIndex: log.index,
+                blockNumber: log.blockNumber,
+                transactionHash: log.transactionHash
+            }));
+    }
+
+    async fabToken() {
+        return this.contract.fabToken();
+    }
+
+    async minStake() {
+        return this.contract.MIN_STAKE();
+    }
+}
+
+module.exports = { NodeRegistryClient };
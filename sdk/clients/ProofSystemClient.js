@@ -0,0 +1,58 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { BaseClient } = require('./BaseClient');
+const { ProofSystemABI } = require('../abis');
+const { packProof } = require('../proofs');
+
+/**
+ * Client for ProofSystemUpgradeable: host signature verification views.
+ */
+class ProofSystemClient extends BaseClient {
+    constructor(address, runner) {
+        super(address, ProofSystemABI, runner);
+    }
+
+    /**
+     * @param {string} proof - 97-byte proofHash || r || s || v
+     * @param {string} prover - Host address
+     * @param {bigint} claimedTokens
+     * @returns {Promise<boolean>}
+     */
+    async verifyHostSignature(proof, prover, claimedTokens) {
+        return this.contract.verifyHostSignature(proof, prover, claimedTokens);
+    }
+
+    /**
+     * On-chain cross-check of a proof produced by signProof()
+     * @param {import('../proofs').SignedProof} proof
+     * @param {string} prover - Host address
+     * @returns {Promise<boolean>}
+     */
+    async verifySignedProof(proof, prover) {
+        return this.verifyHostSignature(packProof(proof.proofHash, proof.signature), prover, proof.tokensClaimed);
+    }
+
+    /**
+     * @param {string[]} proofs
+     * @param {string} prover
+     * @param {bigint[]} tokenCounts
+     * @returns {Promise<boolean[]>}
+     */
+    async verifyBatchView(proofs, prover, tokenCounts) {
+        return [...await this.contract.verifyBatchView(proofs, prover, tokenCounts)];
+    }
+
+    async estimateBatchGas(batchSize) {
+        return this.contract.estimateBatchGas(batchSize);
+    }
+
+    /**
+     * Whether a proofHash has already been consumed (replay protection)
+     * @param {string} proofHash - bytes32
+     */
+    async isProofUsed(proofHash) {
+        return this.contract.verifiedProofs(proofHash);
+    }
+}
+
+module.exports = { ProofSystemClient };
@@ -0,0 +1,211 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { connectContracts } = require('./contracts');
+const { loadChainInfo } = require('./chains/ChainInfo');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+// Anvil's deterministic dev accounts (test mnemonic). Never use outside a local chain.
+const ANVIL_KEYS = {
+    deployer: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    user: '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d',
+    host: '0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a',
+    // initialize() makes the deployer the marketplace treasury
+    treasury: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80',
+    // initializeSlashing() makes the owner (the deployer) the slashing authority
+    authority: '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80'
+};
+
+/**
+ * Named network profiles. Contract addresses live in deployments/<manifest>,
+ * never in source, so switching deployment means switching profile (or manifest).
+ */
+const PROFILES = {
+    'base-sepolia': {
+        chainId: 84532,
+        rpcUrl: 'https://sepolia.base.org',
+        rpcEnv: 'BASE_SEPOLIA_RPC_URL',
+        manifest: 'base-sepolia.json',
+        nativeSymbol: 'ETH'
+    },
+    'opbnb-testnet': {
+        chainId: 5611,
+        rpcUrl: 'https://opbnb-testnet-rpc.bnbchain.org',
+        rpcEnv: 'OPBNB_TESTNET_RPC_URL',
+        manifest: 'opbnb-testnet.json',
+        nativeSymbol: 'BNB'
+    },
+    anvil: {
+        chainId: 31337,
+        rpcUrl: 'http://127.0.0.1:8545',
+        rpcEnv: 'ANVIL_RPC_URL',
+        manifest: 'anvil.json',
+        nativeSymbol: 'ETH',
+        devKeys: ANVIL_KEYS
+    }
+};
+
+// Per-contract env overrides, named as in the forge deploy scripts and .env
+const ADDRESS_ENV = {
+    jobMarketplace: 'JOB_MARKETPLACE_ADDRESS',
+    nodeRegistry: 'NODE_REGISTRY_ADDRESS',
+    modelRegistry: 'MODEL_REGISTRY_ADDRESS',
+    hostEarnings: 'HOST_EARNINGS_ADDRESS',
+    proofSystem: 'PROOF_SYSTEM_ADDRESS',
+    fabToken: 'FAB_TOKEN',
+    usdcToken: 'USDC_ADDRESS'
+};
+
+const DEFAULT_NETWORK = 'base-sepolia';
+
+/**
+ * @typedef {Object} NetworkConfig
+ * @property {string} network - Profile name
+ * @property {number} chainId
+ * @property {string} rpcUrl
+ * @property {import('./contracts').ContractAddresses} contracts
+ * @property {string|null} manifestPath - Manifest the addresses were read from, if any
+ * @property {string} nativeSymbol - Gas token symbol until chainConfig is read (ETH, BNB)
+ * @property {number|null} deployBlock - Manifest's deployBlock, where log scans start
+ * @property {Object<string, string>} [devKeys] - Well-known keys for local chains
+ */
+
+function loadEnv(options) {
+    if (options.env) return options.env;
+    require('dotenv').config({ quiet: true });
+    return process.env;
+}
+
+function readManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) return null;
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Resolve the configuration for a named network.
+ * Precedence: explicit options > environment (.env) > manifest > profile defaults.
+ * @param {Object} [options]
+ * @param {string} [options.network] - Profile name; defaults to $FABSTIR_NETWORK, then base-sepolia
+ * @param {string} [options.manifestPath] - Manifest to read instead of the profile's
+ * @param {string} [options.rpcUrl]
+ * @param {Object} [options.env] - Environment to read instead of process.env + .env
+ * @returns {NetworkConfig}
+ */
+function loadConfig(options = {}) {
+    const env = loadEnv(options);
+    const network = options.network || env.FABSTIR_NETWORK || DEFAULT_NETWORK;
+    const profile = PROFILES[network];
+    if (!profile) {
+        throw new Error(`Unknown network "${network}" (expected one of: ${Object.keys(PROFILES).join(', ')})`);
+    }
+
+    const manifestPath = options.manifestPath || env.FABSTIR_MANIFEST || path.join(DEPLOYMENTS_DIR, profile.manifest);
+    const manifest = readManifest(manifestPath);
+    if (manifest && manifest.chainId !== undefined && Number(manifest.chainId) !== profile.chainId) {
+        throw new Error(`Manifest ${manifestPath} is for chain ${manifest.chainId}, not ${network} (${profile.chainId})`);
+    }
+
+    const contracts = { ...(manifest ? manifest.contracts : {}) };
+    for (const [key, envName] of Object.entries(ADDRESS_ENV)) {
+        if (env[envName]) contracts[key] = env[envName];
+    }
+    for (const [key, address] of Object.entries(contracts)) {
+        if (!ethers.isAddress(address)) {
+            throw new Error(`Invalid ${key} address "${address}" for ${network}`);
+        }
+        contracts[key] = ethers.getAddress(address);
+    }
+
+    return {
+        network,
+        chainId: profile.chainId,
+        rpcUrl: options.rpcUrl || env.RPC_URL || env[profile.rpcEnv] || profile.rpcUrl,
+        contracts,
+        manifestPath: manifest ? manifestPath : null,
+        nativeSymbol: profile.nativeSymbol,
+        deployBlock: manifest && manifest.deployBlock !== undefined ? Number(manifest.deployBlock) : null,
+        devKeys: profile.devKeys
+    };
+}
+
+/**
+ * @param {NetworkConfig} config
+ * @returns {ethers.JsonRpcProvider}
+ */
+function createProvider(config) {
+    return new ethers.JsonRpcProvider(config.rpcUrl);
+}
+
+/**
+ * Load the signer for a role (user, host, treasury, deployer, ...).
+ * Looks for <ROLE>_PRIVATE_KEY, then <ROLE>_KEYSTORE (+ <ROLE>_KEYSTORE_PASSWORD),
+ * then the profile's dev key. The deployer role also accepts PRIVATE_KEY.
+ * @param {string} role
+ * @param {ethers.Provider} [provider]
+ * @param {Object} [options]
+ * @param {NetworkConfig} [options.config]
+ * @param {Object} [options.env]
+ * @returns {Promise<ethers.Wallet>}
+ */
+async function loadSigner(role, provider, options = {}) {
+    const env = loadEnv(options);
+    const prefix = role.toUpperCase();
+
+    let privateKey = env[`${prefix}_PRIVATE_KEY`] || (role === 'deployer' ? env.PRIVATE_KEY : undefined);
+    if (!privateKey && env[`${prefix}_KEYSTORE`]) {
+        const keystore = fs.readFileSync(env[`${prefix}_KEYSTORE`], 'utf8');
+        const password = env[`${prefix}_KEYSTORE_PASSWORD`];
+        if (password === undefined) {
+            throw new Error(`${prefix}_KEYSTORE is set but ${prefix}_KEYSTORE_PASSWORD is not`);
+        }
+        const wallet = await ethers.Wallet.fromEncryptedJson(keystore, password);
+        return provider ? wallet.connect(provider) : wallet;
+    }
+    if (!privateKey && options.config && options.config.devKeys) {
+        privateKey = options.config.devKeys[role];
+    }
+    if (!privateKey) {
+        throw new Error(`No key for "${role}": set ${prefix}_PRIVATE_KEY or ${prefix}_KEYSTORE`);
+    }
+    return new ethers.Wallet(privateKey, provider);
+}
+
+/**
+ * Load config, open a provider, check it is the expected chain, build
+ * read-only clients and read the marketplace's ChainConfig and payment tokens
+ * (`chain`, null without a jobMarketplace address).
+ * Use `client.connect(signer)` to send transactions.
+ * @param {Object} [options] - Same as loadConfig, plus:
+ * @param {ethers.Provider} [options.provider] - Use instead of creating one from the config
+ * @returns {Promise<{ config: NetworkConfig, provider: ethers.Provider, contracts: Object, chain: import('./chains/ChainInfo').ChainInfo|null }>}
+ */
+async function connect(options = {}) {
+    const config = loadConfig(options);
+    const provider = options.provider || createProvider(config);
+    const { chainId } = await provider.getNetwork();
+    if (Number(chainId) !== config.chainId) {
+        throw new Error(`RPC ${config.rpcUrl} is chain ${chainId}, expected ${config.network} (${config.chainId})`);
+    }
+    const contracts = connectContracts(config.contracts, provider);
+    const chain = contracts.jobMarketplace
+        ? await loadChainInfo(contracts, {
+            network: config.network,
+            tokens: [config.contracts.usdcToken].filter(Boolean),
+            fromBlock: config.deployBlock,
+            nativeSymbol: config.nativeSymbol
+        })
+        : null;
+    return { config, provider, contracts, chain };
+}
+
+module.exports = {
+    PROFILES,
+    ADDRESS_ENV,
+    loadConfig,
+    createProvider,
+    loadSigner,
+    connect
+};
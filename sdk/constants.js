@@ -0,0 +1,78 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+
+// address(0) is used by every contract to mean the chain's native token (ETH/BNB)
+const NATIVE_TOKEN = ethers.ZeroAddress;
+
+// Mirrors JobMarketplaceWithModelsUpgradeable / NodeRegistryWithModelsUpgradeable constants
+const PRICE_PRECISION = 1000n;
+const MIN_PROVEN_TOKENS = 100n;
+const MIN_DEPOSIT_NATIVE = ethers.parseEther('0.0001');
+const MAX_DEPOSIT_NATIVE = ethers.parseEther('1000');
+const MAX_SESSION_DURATION = 365n * 24n * 3600n;
+// A session can be timed out once no proof arrived for this many proof intervals
+const TIMEOUT_PROOF_INTERVALS = 3n;
+// feeBasisPoints denominator (1000 = 10%)
+const BASIS_POINTS = 10000n;
+
+// Mirrors ModelRegistryUpgradeable governance constants (FAB has 18 decimals)
+const PROPOSAL_FEE = ethers.parseEther('100');
+const APPROVAL_THRESHOLD = ethers.parseEther('100000');
+// withdrawVotes also opens this long after the deadline if nobody executes
+const VOTE_WITHDRAW_DELAY = 7n * 24n * 3600n;
+const REPROPOSAL_COOLDOWN = 30n * 24n * 3600n;
+
+// Mirrors NodeRegistryWithModelsUpgradeable registration constants; prices
+// carry PRICE_PRECISION
+const MIN_STAKE = ethers.parseEther('1000');
+const MIN_PRICE_PER_TOKEN_NATIVE = 227_273n;
+const MAX_PRICE_PER_TOKEN_NATIVE = 22_727_272_727_273_000n;
+const MIN_PRICE_PER_TOKEN_STABLE = 1n;
+const MAX_PRICE_PER_TOKEN_STABLE = 100_000_000n;
+
+// Mirrors NodeRegistryWithModelsUpgradeable slashing constants
+const MAX_SLASH_PERCENTAGE = 50n;
+// A slash leaving less than this unregisters the host and returns the rest
+const MIN_STAKE_AFTER_SLASH = ethers.parseEther('100');
+const SLASH_COOLDOWN = 24n * 3600n;
+
+// ProofSystemUpgradeable verifyBatch / estimateBatchGas limit
+const MAX_PROOF_BATCH = 10;
+
+// Index matches the Solidity SessionStatus enum
+const SESSION_STATUS = ['Active', 'Completed', 'TimedOut'];
+
+/**
+ * @param {string} [token]
+ * @returns {boolean} True when the token denotes the native currency
+ */
+function isNativeToken(token) {
+    return !token || token === NATIVE_TOKEN;
+}
+
+module.exports = {
+    NATIVE_TOKEN,
+    PRICE_PRECISION,
+    MIN_PROVEN_TOKENS,
+    MIN_DEPOSIT_NATIVE,
+    MAX_DEPOSIT_NATIVE,
+    MAX_SESSION_DURATION,
+    TIMEOUT_PROOF_INTERVALS,
+    BASIS_POINTS,
+    PROPOSAL_FEE,
+    APPROVAL_THRESHOLD,
+    VOTE_WITHDRAW_DELAY,
+    REPROPOSAL_COOLDOWN,
+    MIN_STAKE,
+    MIN_PRICE_PER_TOKEN_NATIVE,
+    MAX_PRICE_PER_TOKEN_NATIVE,
+    MIN_PRICE_PER_TOKEN_STABLE,
+    MAX_PRICE_PER_TOKEN_STABLE,
+    MAX_SLASH_PERCENTAGE,
+    MIN_STAKE_AFTER_SLASH,
+    SLASH_COOLDOWN,
+    MAX_PROOF_BATCH,
+    SESSION_STATUS,
+    isNativeToken
+};
@@ -0,0 +1,40 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { JobMarketplaceClient } = require('./clients/JobMarketplaceClient');
+const { NodeRegistryClient } = require('./clients/NodeRegistryClient');
+const { ModelRegistryClient } = require('./clients/ModelRegistryClient');
+const { HostEarningsClient } = require('./clients/HostEarningsClient');
+const { ProofSystemClient } = require('./clients/ProofSystemClient');
+const { ERC20Client } = require('./clients/ERC20Client');
+
+/**
+ * @typedef {Object} ContractAddresses
+ * @property {string} jobMarketplace
+ * @property {string} nodeRegistry
+ * @property {string} modelRegistry
+ * @property {string} hostEarnings
+ * @property {string} proofSystem
+ * @property {string} [fabToken]
+ * @property {string} [usdcToken]
+ */
+
+/**
+ * Build a client for every configured contract, all bound to the same runner.
+ * Addresses that are missing are skipped, so partial deployments still work.
+ * @param {ContractAddresses} addresses
+ * @param {import('ethers').ContractRunner} runner - Provider or Signer
+ */
+function connectContracts(addresses, runner) {
+    const build = (Client, address) => (address ? new Client(address, runner) : undefined);
+    return {
+        jobMarketplace: build(JobMarketplaceClient, addresses.jobMarketplace),
+        nodeRegistry: build(NodeRegistryClient, addresses.nodeRegistry),
+        modelRegistry: build(ModelRegistryClient, addresses.modelRegistry),
+        hostEarnings: build(HostEarningsClient, addresses.hostEarnings),
+        proofSystem: build(ProofSystemClient, addresses.proofSystem),
+        fabToken: build(ERC20Client, addresses.fabToken),
+        usdcToken: build(ERC20Client, addresses.usdcToken)
+    };
+}
+
+module.exports = { connectContracts };
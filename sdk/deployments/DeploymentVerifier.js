@@ -0,0 +1,303 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const abis = require('../abis');
+const { connectContracts } = require('../contracts');
+
+// ERC-1967: bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1)
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+
+// OpenZeppelin v5 Initializable storage (ERC-7201 "openzeppelin.storage.Initializable");
+// _initialized is the low uint64 and is max once _disableInitializers() has run
+const INITIALIZABLE_SLOT = ethers.toBeHex(
+    BigInt(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+        ['uint256'], [BigInt(ethers.id('openzeppelin.storage.Initializable')) - 1n]
+    ))) & ~0xffn,
+    32
+);
+const INITIALIZERS_DISABLED = 0xffffffffffffffffn;
+
+// The UUPS proxies and the checked-in ABI each implementation must expose
+const PROXIES = {
+    jobMarketplace: abis.JobMarketplaceABI,
+    nodeRegistry: abis.NodeRegistryABI,
+    modelRegistry: abis.ModelRegistryABI,
+    hostEarnings: abis.HostEarningsABI,
+    proofSystem: abis.ProofSystemABI
+};
+
+// Manifest key order, so rewritten manifests diff cleanly
+const CONTRACT_KEYS = ['jobMarketplace', 'nodeRegistry', 'modelRegistry', 'hostEarnings', 'proofSystem', 'fabToken', 'usdcToken'];
+
+const UUPS_ABI = ['function proxiableUUID() view returns (bytes32)'];
+
+/**
+ * @typedef {Object} Finding
+ * @property {'error'|'warning'} severity - Errors are drift; warnings are worth a look
+ * @property {string} contract - Manifest key, e.g. 'jobMarketplace'
+ * @property {string} check - e.g. 'implementation', 'abi', 'owner', 'wiring'
+ * @property {string} message
+ * @property {*} [expected]
+ * @property {*} [actual]
+ */
+
+/**
+ * @typedef {Object} VerifyReport
+ * @property {boolean} ok - No error findings
+ * @property {Finding[]} findings
+ * @property {Object<string, { address: string, implementation: string|null, owner: string|null, missingSelectors: string[] }>} proxies
+ * @property {Object} manifest - Canonical manifest built from what is on-chain
+ */
+
+/**
+ * Selectors pushed by a contract's dispatcher. PUSH1-PUSH4 immediates are
+ * collected (solc drops leading zero bytes), so this over-approximates; it is
+ * only used to find ABI functions the bytecode cannot dispatch.
+ * @param {string} code - Runtime bytecode
+ * @returns {Set<string>} 0x-prefixed 4-byte selectors
+ */
+function bytecodeSelectors(code) {
+    const bytes = ethers.getBytes(code);
+    const selectors = new Set();
+    for (let i = 0; i < bytes.length; i++) {
+        const op = bytes[i];
+        if (op < 0x60 || op > 0x7f) continue;
+        const size = op - 0x5f;
+        if (size <= 4) selectors.add(ethers.zeroPadValue(bytes.slice(i + 1, i + 1 + size), 4));
+        i += size;
+    }
+    return selectors;
+}
+
+/**
+ * Checks a deployment against its manifest and the checked-in client-abis:
+ * each UUPS proxy's ERC-1967 implementation and owner, that the implementation
+ * dispatches every ABI function and has its initializers disabled, and that
+ * the proxies are wired to each other. Builds the canonical manifest from what
+ * it reads, so a drifted manifest can be replaced with verified addresses.
+ */
+class DeploymentVerifier {
+    /**
+     * @param {ethers.Provider} provider
+     * @param {Object} manifest - deployments/<network>.json contents; `contracts` is required
+     * @param {Object} [options]
+     * @param {string} [options.owner] - Expected owner of every proxy; defaults to the manifest's `owners`
+     */
+    constructor(provider, manifest, options = {}) {
+        if (!manifest || !manifest.contracts) throw new Error('DeploymentVerifier needs a manifest with contracts');
+        this.provider = provider;
+        this.manifest = manifest;
+        this.expectedOwner = options.owner ? ethers.getAddress(options.owner) : undefined;
+        this.contracts = connectContracts(manifest.contracts, provider);
+    }
+
+    /**
+     * Read everything and report drift. Never throws for drift; check `ok`.
+     * @returns {Promise<VerifyReport>}
+     */
+    async verify() {
+        const findings = [];
+        const add = (severity, contract, check, message, values = {}) => findings.push({ severity, contract, check, message, ...values });
+
+        const { chainId } = await this.provider.getNetwork();
+        if (this.manifest.chainId !== undefined && Number(chainId) !== Number(this.manifest.chainId)) {
+            add('error', 'network', 'chainId', `Manifest is for chain ${this.manifest.chainId}, RPC is chain ${chainId}`,
+                { expected: Number(this.manifest.chainId), actual: Number(chainId) });
+        }
+
+        const proxies = {};
+        for (const name of Object.keys(PROXIES)) {
+            if (!this.manifest.contracts[name]) {
+                add('warning', name, 'manifest', `No ${name} address in the manifest`);
+                continue;
+            }
+            proxies[name] = await this._verifyProxy(name, add);
+        }
+        this._checkOwners(proxies, add);
+        await this._checkWiring(add);
+
+        return {
+            ok: !findings.some((f) => f.severity === 'error'),
+            findings,
+            proxies,
+            manifest: this._canonicalManifest(Number(chainId), proxies)
+        };
+    }
+
+    async _verifyProxy(name, add) {
+        const address = this.contracts[name].address;
+        const result = { address, implementation: null, owner: null, missingSelectors: [] };
+
+        if (await this.provider.getCode(address) === '0x') {
+            add('error', name, 'code', `No contract at ${name} ${address}`);
+            return result;
+        }
+        const slot = await this.provider.getStorage(address, IMPLEMENTATION_SLOT);
+        const implementation = ethers.getAddress(ethers.dataSlice(slot, 12));
+        if (implementation === ethers.ZeroAddress) {
+            add('error', name, 'implementation', `${name} ${address} is not an ERC-1967 proxy (implementation slot is empty)`);
+            return result;
+        }
+        result.implementation = implementation;
+
+        const recorded = this.manifest.implementations && this.manifest.implementations[name];
+        if (recorded && ethers.getAddress(recorded) !== implementation) {
+            add('error', name, 'implementation', `${name} was upgraded: manifest lists ${ethers.getAddress(recorded)}, proxy points at ${implementation}`,
+                { expected: ethers.getAddress(recorded), actual: implementation });
+        }
+
+        const code = await this.provider.getCode(implementation);
+        if (code === '0x') {
+            add('error', name, 'implementation', `${name} implementation ${implementation} has no code`);
+            return result;
+        }
+        const selectors = bytecodeSelectors(code);
+        result.missingSelectors = new ethers.Interface(PROXIES[name]).fragments
+            .filter((f) => f.type === 'function' && !selectors.has(f.selector))
+            .map((f) => f.format());
+        if (result.missingSelectors.length) {
+            add('error', name, 'abi', `${name} implementation does not dispatch ${result.missingSelectors.length} function(s) in client-abis: ${result.missingSelectors.join(', ')}`,
+                { actual: result.missingSelectors });
+        }
+
+        // UUPS: the next upgradeToAndCall checks this, so a mismatch would brick upgrades
+        const uuid = await new ethers.Contract(implementation, UUPS_ABI, this.provider).proxiableUUID().catch(() => null);
+        if (uuid !== IMPLEMENTATION_SLOT) {
+            add('error', name, 'upgradeability', `${name} implementation is not UUPS-upgradeable (proxiableUUID ${uuid === null ? 'reverted' : `is ${uuid}`})`);
+        }
+        const initialized = BigInt(await this.provider.getStorage(implementation, INITIALIZABLE_SLOT)) & INITIALIZERS_DISABLED;
+        if (initialized !== INITIALIZERS_DISABLED) {
+            add('error', name, 'upgradeability', `${name} implementation ${implementation} can still be initialized; its constructor must call _disableInitializers()`);
+        }
+
+        result.owner = await this.contracts[name].contract.owner();
+        return result;
+    }
+
+    _checkOwners(proxies, add) {
+        const recorded = this.manifest.owners || {};
+        for (const [name, { owner }] of Object.entries(proxies)) {
+            if (!owner) continue;
+            const expected = this.expectedOwner || (recorded[name] && ethers.getAddress(recorded[name]));
+            if (expected && owner !== expected) {
+                add('error', name, 'owner', `${name} is owned by ${owner}, expected ${expected}`, { expected, actual: owner });
+            }
+        }
+        const owners = new Set(Object.values(proxies).map((p) => p.owner).filter(Boolean));
+        if (!this.expectedOwner && owners.size > 1) {
+            add('warning', 'network', 'owner', `Proxies have ${owners.size} different owners: ${[...owners].join(', ')}`);
+        }
+    }
+
+    async _checkWiring(add) {
+        const { jobMarketplace, nodeRegistry, modelRegistry, hostEarnings, proofSystem } = this.contracts;
+        const { fabToken, usdcToken } = this.manifest.contracts;
+
+        // [contract, getter, expected address, manifest key of the expected address]
+        const pointers = [
+            [jobMarketplace, 'nodeRegistry', nodeRegistry, 'nodeRegistry'],
+            [jobMarketplace, 'hostEarnings', hostEarnings, 'hostEarnings'],
+            [jobMarketplace, 'proofSystem', proofSystem, 'proofSystem'],
+            [jobMarketplace, 'usdcAddress', usdcToken && { address: ethers.getAddress(usdcToken) }, 'usdcToken'],
+            [nodeRegistry, 'modelRegistry', modelRegistry, 'modelRegistry'],
+            [nodeRegistry, 'fabToken', fabToken && { address: ethers.getAddress(fabToken) }, 'fabToken'],
+            [modelRegistry, 'governanceToken', fabToken && { address: ethers.getAddress(fabToken) }, 'fabToken']
+        ];
+        for (const [client, getter, target, key] of pointers) {
+            if (!client || !target) continue;
+            const actual = await client.contract[getter]();
+            if (actual !== target.address) {
+                add('error', key, 'wiring', `${client.contractName}.${getter}() is ${actual}, manifest ${key} is ${target.address}`,
+                    { expected: target.address, actual });
+            }
+        }
+
+        if (!jobMarketplace) return;
+        if (hostEarnings && !(await hostEarnings.contract.authorizedCallers(jobMarketplace.address))) {
+            add('error', 'hostEarnings', 'wiring', `HostEarnings does not authorize the marketplace ${jobMarketplace.address}; completing sessions will revert`);
+        }
+        // verifyAndMarkComplete is open; only recordVerifiedProof needs this
+        if (proofSystem && !(await proofSystem.contract.authorizedCallers(jobMarketplace.address))) {
+            add('warning', 'proofSystem', 'wiring', `ProofSystem does not authorize the marketplace ${jobMarketplace.address} (recordVerifiedProof)`);
+        }
+    }
+
+    _canonicalManifest(chainId, proxies) {
+        const contracts = {};
+        const keys = [...CONTRACT_KEYS, ...Object.keys(this.manifest.contracts).filter((k) => !CONTRACT_KEYS.includes(k))];
+        for (const key of keys) {
+            if (this.manifest.contracts[key]) contracts[key] = ethers.getAddress(this.manifest.contracts[key]);
+        }
+        const implementations = {};
+        const owners = {};
+        for (const [name, proxy] of Object.entries(proxies)) {
+            if (proxy.implementation) implementations[name] = proxy.implementation;
+            if (proxy.owner) owners[name] = proxy.owner;
+        }
+
+        const unchanged = JSON.stringify(implementations) === JSON.stringify(this.manifest.implementations)
+            && JSON.stringify(owners) === JSON.stringify(this.manifest.owners);
+        const manifest = {
+            network: this.manifest.network,
+            chainId,
+            updated: unchanged && this.manifest.updated ? this.manifest.updated : new Date().toISOString().slice(0, 10)
+        };
+        if (this.manifest.deployBlock !== undefined) manifest.deployBlock = this.manifest.deployBlock;
+        return { ...manifest, contracts, implementations, owners };
+    }
+}
+
+// Matches a line to the contract it talks about, e.g. `JOB_MARKETPLACE = '0x...'`
+const REFERENCE_PATTERNS = {
+    jobMarketplace: /marketplace/i,
+    nodeRegistry: /node.?registry/i,
+    modelRegistry: /model.?registry/i,
+    hostEarnings: /host.?earnings/i,
+    proofSystem: /proof.?system/i,
+    fabToken: /\bfab(.?token)?\b/i,
+    usdcToken: /\busdc/i
+};
+
+// Lines that already say the address is old
+const HISTORICAL = /deprecated|previous|replacement|replaced|legacy|old\b/i;
+
+/**
+ * Find address references in a doc or JSON file that contradict a manifest:
+ * lines naming one of the contracts with an address the manifest does not
+ * list anywhere. Lines marked deprecated / previous are skipped, as are
+ * markdown sections whose heading is, and JSON deploy records with a
+ * top-level `supersededBy`.
+ * @param {string} text - File contents
+ * @param {Object} manifest - Canonical manifest
+ * @returns {{ line: number, contract: string, address: string, expected: string }[]}
+ */
+function findStaleReferences(text, manifest) {
+    const known = new Set([...Object.values(manifest.contracts), ...Object.values(manifest.implementations || {})]
+        .map((a) => a.toLowerCase()));
+    try {
+        if (JSON.parse(text).supersededBy) return [];
+    } catch {
+        // Not JSON
+    }
+
+    const stale = [];
+    // Level of the historical heading being skipped, 0 outside one
+    let historicalLevel = 0;
+    text.split('\n').forEach((content, i) => {
+        const heading = /^(#{1,6})\s/.exec(content);
+        if (heading) {
+            if (historicalLevel && heading[1].length <= historicalLevel) historicalLevel = 0;
+            if (!historicalLevel && HISTORICAL.test(content)) historicalLevel = heading[1].length;
+        }
+        if (historicalLevel || HISTORICAL.test(content)) return;
+        const contract = Object.keys(REFERENCE_PATTERNS).find((key) => manifest.contracts[key] && REFERENCE_PATTERNS[key].test(content));
+        if (!contract) return;
+        for (const [address] of content.matchAll(/0x[0-9a-fA-F]{40}\b/g)) {
+            if (known.has(address.toLowerCase())) continue;
+            stale.push({ line: i + 1, contract, address: ethers.getAddress(address.toLowerCase()), expected: manifest.contracts[contract] });
+        }
+    });
+    return stale;
+}
+
+module.exports = { DeploymentVerifier, findStaleReferences, bytecodeSelectors, IMPLEMENTATION_SLOT, INITIALIZABLE_SLOT };
@@ -0,0 +1,245 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { NATIVE_TOKEN, isNativeToken } = require('../constants');
+const { ERC20Client } = require('../clients/ERC20Client');
+const { Preflight } = require('../preflight/Preflight');
+const { FabstirError, precheckError } = require('../errors');
+
+/**
+ * @typedef {Object} TopUpPolicy
+ * @property {bigint} minBalance - Top up once the withdrawable balance falls below this. Also an optional
+ *   withdrawal reserve: withdraw() keeps it while sessions are active, which the contract does not require
+ * @property {bigint} topUpTo - ...back up to this
+ */
+
+/**
+ * @typedef {Object} DepositBalance
+ * @property {string} token - address(0) for native
+ * @property {bigint} withdrawable - Free balance; what createSessionFromDeposit draws on
+ * @property {bigint} locked - Unspent deposits of active sessions
+ * @property {bigint} total - withdrawable + locked
+ */
+
+/**
+ * Manages one account's pre-funded marketplace balance: keeps it topped up
+ * per token, opens sessions from it without per-session approvals, and
+ * refuses withdrawals the contract would reject, plus any that would break a
+ * token's optional minBalance reserve while sessions are active.
+ */
+class DepositManager {
+    /**
+     * @param {Object} contracts - Clients from connectContracts; jobMarketplace connected to the depositor.
+     *   With nodeRegistry, openSession runs the Preflight checks first.
+     * @param {Object} [options]
+     * @param {Object<string, TopUpPolicy>} [options.policies] - Keyed by token address (address(0) for native)
+     */
+    constructor(contracts, options = {}) {
+        this.marketplace = contracts.jobMarketplace;
+        this.preflight = contracts.nodeRegistry ? new Preflight(contracts) : null;
+        this.policies = {};
+        for (const [token, policy] of Object.entries(options.policies || {})) {
+            if (policy.topUpTo < policy.minBalance) throw new Error(`topUpTo for ${token} is below its minBalance`);
+            this.policies[ethers.getAddress(token)] = { minBalance: BigInt(policy.minBalance), topUpTo: BigInt(policy.topUpTo) };
+        }
+        this._timer = null;
+    }
+
+    async account() {
+        return this.marketplace.runner.getAddress();
+    }
+
+    /**
+     * Withdrawable and locked funds per token
+     * @param {string[]} [tokens] - Defaults to the tokens with a policy, or native
+     * @param {string} [account] - Defaults to the marketplace signer
+     * @returns {Promise<DepositBalance[]>}
+     */
+    async getBalances(tokens, account) {
+        const list = tokens || (Object.keys(this.policies).length ? Object.keys(this.policies) : [NATIVE_TOKEN]);
+        account = account || await this.account();
+        const [withdrawable, locked] = await Promise.all([
+            this.marketplace.getDepositBalances(account, list),
+            Promise.all(list.map((token) => this.marketplace.getLockedBalance(account, token)))
+        ]);
+        return list.map((token, i) => ({
+            token,
+            withdrawable: withdrawable[i],
+            locked: locked[i],
+            total: withdrawable[i] + locked[i]
+        }));
+    }
+
+    /**
+     * Deposit from the wallet, approving ERC20s for the marketplace first. A
+     * simulated marketplace sends no approval; without the allowance it returns
+     * `approvalRequired` instead of simulating a deposit that would revert.
+     * @param {string} token
+     * @param {bigint} amount
+     * @returns {Promise<import('../clients/BaseClient').TxResult & { approvalRequired?: Object }>}
+     */
+    async deposit(token, amount) {
+        const marketplace = this.marketplace;
+        if (isNativeToken(token)) return marketplace.depositNative(amount);
+        const erc20 = new ERC20Client(token, marketplace.runner);
+        if (marketplace.dryRun) {
+            const allowance = await erc20.allowance(await this.account(), marketplace.address);
+            if (allowance < amount) {
+                return { ...dryRunOnly(), approvalRequired: { token: erc20.address, spender: marketplace.address, amount } };
+            }
+        } else {
+            await erc20.ensureAllowance(marketplace.address, amount);
+        }
+        return marketplace.depositToken(token, amount);
+    }
+
+    /**
+     * Restore a token's balance to `topUpTo` if it has fallen below `minBalance`
+     * @param {string} token
+     * @returns {Promise<(import('../clients/BaseClient').TxResult & { token: string, amount: bigint })|null>} null when not needed
+     */
+    async topUp(token) {
+        const policy = this._policy(token);
+        if (!policy) throw new Error(`No top-up policy for ${token}`);
+        const [{ withdrawable }] = await this.getBalances([token]);
+        if (withdrawable >= policy.minBalance) return null;
+        const amount = policy.topUpTo - withdrawable;
+        return { ...await this.deposit(token, amount), token, amount };
+    }
+
+    /**
+     * Top up every token with a policy. A failure on one token is recorded in
+     * `errors` and does not hold up the others.
+     * @returns {Promise<{ topUps: Object[], errors: { token: string, error: Error }[] }>}
+     */
+    async tick() {
+        const result = { topUps: [], errors: [] };
+        for (const token of Object.keys(this.policies)) {
+            try {
+                const topUp = await this.topUp(token);
+                if (topUp) result.topUps.push(topUp);
+            } catch (err) {
+                result.errors.push({ token, error: err });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Keep topping up on an interval until the returned function is called
+     * @param {Object} options
+     * @param {number} [options.intervalMs] - Default 60000
+     * @param {(topUp: Object) => void} [options.onTopUp]
+     * @param {(err: Error, token?: string) => void} options.onError - Gets each failed top-up with its token; the loop keeps running
+     * @returns {() => void} stop
+     */
+    start(options = {}) {
+        if (typeof options.onError !== 'function') throw new Error('start needs an onError handler for failed top-ups');
+        const intervalMs = options.intervalMs || 60000;
+        const onError = options.onError;
+        let stopped = false;
+
+        const tick = async () => {
+            try {
+                const result = await this.tick();
+                for (const { token, error } of result.errors) onError(error, token);
+                if (options.onTopUp) result.topUps.forEach((topUp) => options.onTopUp(topUp));
+            } catch (err) {
+                onError(err);
+            }
+            if (!stopped) this._timer = setTimeout(tick, intervalMs);
+        };
+        tick();
+
+        return () => {
+            stopped = true;
+            clearTimeout(this._timer);
+        };
+    }
+
+    /**
+     * Open a session paid from the deposit balance. The Preflight checks run
+     * first (with a nodeRegistry), then any shortfall is deposited, enough to
+     * leave the token's `topUpTo` behind when it has a policy, so no
+     * per-session approval or transfer is needed otherwise. A dry run that
+     * needs a top-up simulates only the top-up, as the session depends on it.
+     * @param {import('../clients/JobMarketplaceClient').SessionParams} params - `pricePerToken` may be omitted
+     *   when a nodeRegistry was given, to use the host's minimum; modelId is not supported by createSessionFromDeposit
+     * @returns {Promise<import('../clients/BaseClient').TxResult & { jobId?: bigint, pricePerToken: bigint, topUp: Object|null }>}
+     */
+    async openSession(params) {
+        if (params.modelId) throw new Error('createSessionFromDeposit does not take a model; use createSession');
+        const token = params.token || NATIVE_TOKEN;
+        const policy = this._policy(token);
+        const [{ withdrawable }] = await this.getBalances([token]);
+
+        let amount = 0n;
+        if (withdrawable - params.deposit < (policy ? policy.minBalance : 0n)) {
+            amount = (policy ? policy.topUpTo : 0n) + params.deposit - withdrawable;
+        }
+
+        let { pricePerToken } = params;
+        if (this.preflight) {
+            ({ pricePerToken } = await this.preflight.createSession(
+                { ...params, token, fromDeposit: true, depositBalance: withdrawable + amount },
+                await this.account()
+            ));
+        }
+
+        const topUp = amount > 0n ? { ...await this.deposit(token, amount), token, amount } : null;
+        if (topUp && this.marketplace.dryRun) return { ...dryRunOnly(), pricePerToken, topUp };
+        const result = await this.marketplace.createSessionFromDeposit({ ...params, token, pricePerToken });
+        return { ...result, pricePerToken, topUp };
+    }
+
+    /**
+     * Withdraw from the free balance. Refused when the amount exceeds what is
+     * withdrawable (the rest is locked in active sessions), as the contract
+     * would. Tokens with a policy also keep `minBalance` as a reserve while
+     * sessions are active; that refusal is this manager's own, and `force`
+     * skips it.
+     * @param {string} token
+     * @param {bigint} amount
+     * @param {Object} [options]
+     * @param {boolean} [options.force]
+     * @returns {Promise<import('../clients/BaseClient').TxResult & { balance: DepositBalance }>}
+     */
+    async withdraw(token, amount, options = {}) {
+        const [balance] = await this.getBalances([token || NATIVE_TOKEN]);
+        const { withdrawable, locked } = balance;
+        const native = isNativeToken(token);
+        const context = { contract: 'JobMarketplace', method: native ? 'withdrawNative' : 'withdrawToken', params: { token, amount, ...balance } };
+
+        if (amount > withdrawable) {
+            throw precheckError(
+                'Insufficient balance',
+                `Cannot withdraw ${amount}: only ${withdrawable} is withdrawable` +
+                    (locked > 0n ? `, ${locked} is locked in active sessions` : ''),
+                context
+            );
+        }
+        const policy = this._policy(token);
+        if (!options.force && policy && locked > 0n && withdrawable - amount < policy.minBalance) {
+            throw new FabstirError(
+                `Withdrawing ${amount} would leave ${withdrawable - amount}, below the ${policy.minBalance} reserve this token's policy keeps ` +
+                    'while sessions are active; the contract itself would allow it',
+                { ...context, hint: 'Withdraw less, wait for the active sessions to settle, or force the withdrawal to skip the reserve' }
+            );
+        }
+
+        const result = native
+            ? await this.marketplace.withdrawNative(amount)
+            : await this.marketplace.withdrawToken(token, amount);
+        return { ...result, balance };
+    }
+
+    _policy(token) {
+        return this.policies[ethers.getAddress(token || NATIVE_TOKEN)];
+    }
+}
+
+function dryRunOnly() {
+    return { hash: null, receipt: null, events: [], dryRun: true };
+}
+
+module.exports = { DepositManager };
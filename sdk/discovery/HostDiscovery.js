@@ -0,0 +1,175 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { NATIVE_TOKEN, isNativeToken } = require('../constants');
+const { computeModelId } = require('../clients/ModelRegistryClient');
+const { ERC20Client } = require('../clients/ERC20Client');
+const { tokenCost, maxProvableTokens } = require('../settlement');
+const { precheckError } = require('../errors');
+
+// Hosts slashed more recently than this rank below every unslashed host
+const DEFAULT_SLASH_WINDOW = 7n * 24n * 3600n;
+
+/**
+ * @typedef {Object} HostCandidate
+ * @property {string} host
+ * @property {string} apiUrl
+ * @property {string} metadata - JSON metadata string
+ * @property {bigint} stakedAmount - FAB
+ * @property {bigint} minPrice - getModelPricing for the model and token; the lowest pricePerToken the marketplace accepts
+ * @property {bigint} lastSlashTime - 0 if never slashed
+ * @property {boolean} recentlySlashed - Slashed within `slashWindow`
+ * @property {Object} [quote] - With a deposit: { pricePerToken, maxTokens, costPer1000 }
+ */
+
+/**
+ * Find hosts that serve a model and open sessions with them. Candidates are
+ * ranked recently-slashed last, then cheapest first, then largest stake first.
+ */
+class HostDiscovery {
+    /**
+     * @param {Object} contracts - Clients from connectContracts (nodeRegistry, modelRegistry, jobMarketplace)
+     * @param {Object} [options]
+     * @param {bigint} [options.slashWindow] - Seconds a slash counts as recent (default 7 days)
+     */
+    constructor(contracts, options = {}) {
+        this.nodeRegistry = contracts.nodeRegistry;
+        this.modelRegistry = contracts.modelRegistry;
+        this.marketplace = contracts.jobMarketplace;
+        this.slashWindow = options.slashWindow !== undefined ? BigInt(options.slashWindow) : DEFAULT_SLASH_WINDOW;
+    }
+
+    /**
+     * Resolve and check the model: computed locally from repo/fileName unless modelId is given
+     * @param {{ repo?: string, fileName?: string, modelId?: string }} model
+     * @returns {Promise<string>} bytes32 model ID
+     */
+    async resolveModel(model) {
+        const modelId = model.modelId || computeModelId(model.repo, model.fileName);
+        if (!(await this.modelRegistry.isModelApproved(modelId))) {
+            const name = model.repo ? `${model.repo}/${model.fileName}` : modelId;
+            throw new Error(`Model ${name} is not approved in ModelRegistry`);
+        }
+        return modelId;
+    }
+
+    /**
+     * Active hosts serving a model, ranked
+     * @param {Object} params
+     * @param {string} [params.repo] - HuggingFace repo (with fileName), or pass modelId
+     * @param {string} [params.fileName]
+     * @param {string} [params.modelId]
+     * @param {string} [params.token] - Payment token; omit or address(0) for native
+     * @param {bigint} [params.maxPrice] - Drop hosts whose minimum is above this
+     * @param {bigint} [params.deposit] - Attach a quote for this deposit
+     * @returns {Promise<{ modelId: string, token: string, candidates: HostCandidate[] }>}
+     */
+    async findHosts(params) {
+        const modelId = await this.resolveModel(params);
+        const token = params.token || NATIVE_TOKEN;
+        const hosts = await this.nodeRegistry.getNodesForModel(modelId);
+        const now = BigInt((await this.nodeRegistry.runner.provider.getBlock('latest')).timestamp);
+
+        const candidates = [];
+        for (const host of hosts) {
+            const [active, node, minPrice, lastSlashTime] = await Promise.all([
+                this.nodeRegistry.isActiveNode(host),
+                this.nodeRegistry.getNode(host),
+                this.nodeRegistry.getModelPricing(host, modelId, token),
+                this.nodeRegistry.lastSlashTime(host)
+            ]);
+            if (!active || minPrice === 0n) continue;
+            if (params.maxPrice !== undefined && minPrice > params.maxPrice) continue;
+
+            const candidate = {
+                host,
+                apiUrl: node.apiUrl,
+                metadata: node.metadata,
+                stakedAmount: node.stakedAmount,
+                minPrice,
+                lastSlashTime,
+                recentlySlashed: lastSlashTime > 0n && now - lastSlashTime < this.slashWindow
+            };
+            if (params.deposit !== undefined) candidate.quote = quoteSession(minPrice, params.deposit);
+            candidates.push(candidate);
+        }
+
+        candidates.sort(compareCandidates);
+        return { modelId, token, candidates };
+    }
+
+    /**
+     * Open a model session with a host at its current minimum price, or at
+     * `pricePerToken` if given (which must not be below the minimum). ERC20
+     * deposits are approved for the marketplace first if needed.
+     * @param {Object} params
+     * @param {string} params.host
+     * @param {string} [params.repo]
+     * @param {string} [params.fileName]
+     * @param {string} [params.modelId]
+     * @param {string} [params.token]
+     * @param {bigint} params.deposit
+     * @param {bigint} params.maxDuration
+     * @param {bigint} params.proofInterval
+     * @param {bigint} [params.pricePerToken]
+     * @returns {Promise<import('../clients/BaseClient').TxResult & { jobId: bigint, pricePerToken: bigint, modelId: string }>}
+     */
+    async openSession(params) {
+        const modelId = await this.resolveModel(params);
+        const token = params.token || NATIVE_TOKEN;
+        // Re-read: the host may have repriced or dropped the model since findHosts
+        const [minPrice, supported] = await Promise.all([
+            this.nodeRegistry.getModelPricing(params.host, modelId, token),
+            this.nodeRegistry.nodeSupportsModel(params.host, modelId)
+        ]);
+        const method = isNativeToken(token) ? 'createSessionJobForModel' : 'createSessionJobForModelWithToken';
+        const context = { contract: 'JobMarketplace', method, params: { host: params.host, modelId, token, minPrice } };
+        if (minPrice === 0n) throw precheckError('Host not registered', `${params.host} is not a registered host`, context);
+        if (!supported) throw precheckError('Host does not support model', `${params.host} does not serve model ${modelId}`, context);
+
+        const pricePerToken = params.pricePerToken !== undefined ? BigInt(params.pricePerToken) : minPrice;
+        if (pricePerToken < minPrice) {
+            throw precheckError(
+                'Price below host minimum for model',
+                `Price ${pricePerToken} is below ${params.host}'s minimum of ${minPrice} for this model`,
+                { ...context, params: { ...context.params, pricePerToken } }
+            );
+        }
+
+        if (!isNativeToken(token)) {
+            await new ERC20Client(token, this.marketplace.runner).ensureAllowance(this.marketplace.address, params.deposit);
+        }
+        const result = await this.marketplace.createSession({
+            host: params.host,
+            token,
+            deposit: params.deposit,
+            pricePerToken,
+            maxDuration: params.maxDuration,
+            proofInterval: params.proofInterval,
+            modelId
+        });
+        return { ...result, pricePerToken, modelId };
+    }
+}
+
+/**
+ * What a deposit buys at a price
+ * @param {bigint} pricePerToken - PRICE_PRECISION-scaled
+ * @param {bigint} deposit
+ * @returns {{ pricePerToken: bigint, maxTokens: bigint, costPer1000: bigint }}
+ */
+function quoteSession(pricePerToken, deposit) {
+    return {
+        pricePerToken,
+        maxTokens: maxProvableTokens(deposit, pricePerToken),
+        costPer1000: tokenCost(1000n, pricePerToken)
+    };
+}
+
+function compareCandidates(a, b) {
+    if (a.recentlySlashed !== b.recentlySlashed) return a.recentlySlashed ? 1 : -1;
+    if (a.minPrice !== b.minPrice) return a.minPrice < b.minPrice ? -1 : 1;
+    if (a.stakedAmount !== b.stakedAmount) return a.stakedAmount > b.stakedAmount ? -1 : 1;
+    return a.host.toLowerCase() < b.host.toLowerCase() ? -1 : 1;
+}
+
+module.exports = { HostDiscovery, quoteSession };
@@ -0,0 +1,420 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const abis = require('./abis');
+
+/**
+ * Base class for every error the SDK raises about contract state: decoded
+ * reverts and failed pre-checks alike.
+ */
+class FabstirError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {string} [details.reason] - Revert string or custom error name, e.g. 'Exceeds deposit'
+     * @param {string} [details.contract] - e.g. 'JobMarketplace'
+     * @param {string} [details.method] - Contract function that failed or would fail
+     * @param {Object} [details.params] - The offending values, keyed by name
+     * @param {string} [details.hint] - What to do about it; defaults to the hint for `reason`
+     * @param {Error} [details.cause] - The underlying ethers error
+     */
+    constructor(message, details = {}) {
+        super(message, details.cause ? { cause: details.cause } : undefined);
+        this.name = this.constructor.name;
+        this.reason = details.reason;
+        this.contract = details.contract;
+        this.method = details.method;
+        this.params = details.params || {};
+        this.hint = details.hint !== undefined ? details.hint : hintFor(details.reason);
+    }
+}
+
+/**
+ * A transaction or call reverted on-chain. `code` stays CALL_EXCEPTION so
+ * code written against raw ethers errors (and isRetryableTxError) still works.
+ */
+class ContractRevertError extends FabstirError {
+    constructor(message, details) {
+        super(message, details);
+        this.code = 'CALL_EXCEPTION';
+    }
+}
+
+class ContractPausedError extends ContractRevertError {}
+class UnauthorizedError extends ContractRevertError {}
+class InvalidParameterError extends ContractRevertError {}
+class SessionNotActiveError extends ContractRevertError {}
+class TooEarlyError extends ContractRevertError {}
+class HostNotRegisteredError extends ContractRevertError {}
+class HostNotActiveError extends ContractRevertError {}
+class ModelNotSupportedError extends ContractRevertError {}
+class PriceBelowMinimumError extends ContractRevertError {}
+class TokenNotAcceptedError extends ContractRevertError {}
+class DepositError extends ContractRevertError {}
+class InsufficientBalanceError extends ContractRevertError {}
+class InsufficientAllowanceError extends ContractRevertError {}
+class InvalidProofError extends ContractRevertError {}
+class ExcessiveTokensError extends ContractRevertError {}
+class ExceedsDepositError extends ContractRevertError {}
+class SlashingError extends ContractRevertError {}
+class GovernanceError extends ContractRevertError {}
+
+/**
+ * A bundler or the EntryPoint refused a UserOperation before its calls ran:
+ * validation, prefund, nonce or paymaster failures. `reason` is the AAxx code.
+ */
+class UserOperationError extends FabstirError {}
+
+// EntryPoint v0.6 failure codes, as bundlers report them ("AA21 didn't pay prefund")
+const USER_OP_HINTS = {
+    AA10: 'The account is already deployed; drop initCode',
+    AA13: 'initCode failed to deploy the account; check the factory call',
+    AA14: 'initCode deployed a different address than sender',
+    AA20: 'The account is not deployed; pass initCode for its factory',
+    AA21: 'Fund the smart account with ETH for gas, or use a paymaster',
+    AA22: 'The UserOperation expired or is not yet valid; rebuild it',
+    AA23: 'The account reverted during validation; check the owner key and signature format',
+    AA24: 'Signature does not match the account owner; check the owner signer and chainId',
+    AA25: 'Stale nonce: another UserOperation used it; rebuild with a fresh nonce',
+    AA31: 'The paymaster deposit in the EntryPoint is too low to sponsor this',
+    AA32: 'Paymaster sponsorship expired; request new paymasterAndData',
+    AA33: 'The paymaster rejected the UserOperation; check its sponsorship policy',
+    AA34: 'Paymaster signature is invalid; request new paymasterAndData after gas is set',
+    AA40: 'verificationGasLimit is too low; estimate again',
+    AA41: 'verificationGasLimit is too low for validation; raise it',
+    AA51: 'Gas limits are too low to cover the prefund; estimate again'
+};
+
+// Revert strings and custom errors of the five contracts (plus the OpenZeppelin
+// and ERC20 errors they bubble up), mapped to [error class, remediation hint]
+const REVERTS = {
+    // Pausing and access control
+    EnforcedPause: [ContractPausedError, 'The marketplace is paused by its owner; retry once it is unpaused'],
+    ExpectedPause: [InvalidParameterError, 'Only valid while the marketplace is paused'],
+    OwnableUnauthorizedAccount: [UnauthorizedError, 'Send this from the contract owner account'],
+    OwnableInvalidOwner: [InvalidParameterError, 'Pass a non-zero new owner'],
+    'Only host can submit proof': [UnauthorizedError, 'Submit proofs from the session host\'s wallet (--as host)'],
+    'Only depositor or host can complete': [UnauthorizedError, 'Complete the session from the depositor or host account'],
+    'Only treasury': [UnauthorizedError, 'Send this from the treasury account (--as treasury)'],
+    'Only treasury or owner': [UnauthorizedError, 'Send this from the treasury or owner account'],
+    'Not slashing authority': [UnauthorizedError, 'Only the slashing authority set on NodeRegistry can slash'],
+    'Not authorized to credit earnings': [UnauthorizedError, 'Only the marketplace credits host earnings'],
+    Unauthorized: [UnauthorizedError, 'Only the authorised marketplace may record proofs'],
+    'Unauthorized ETH sender': [UnauthorizedError, 'HostEarnings only accepts ETH from the marketplace'],
+
+    // Session lifecycle
+    'Session not active': [SessionNotActiveError, 'The session was already completed or timed out; check it with `fabstir session status`'],
+    'Session not timed out': [TooEarlyError, 'Wait until maxDuration has passed or the host misses three proof intervals'],
+    'Must wait dispute window': [TooEarlyError, 'Hosts can complete only after the dispute window; retry later or let the depositor complete'],
+    'Proof index out of bounds': [InvalidParameterError, 'The session has fewer proofs than that index'],
+
+    // Proofs
+    'Must claim minimum tokens': [InvalidProofError, 'Claim at least MIN_PROVEN_TOKENS (100) tokens per proof'],
+    'Invalid signature length': [InvalidProofError, 'Sign the proof with signProof; the signature must be 65 bytes'],
+    'Invalid proof signature': [InvalidProofError, 'Sign with the host wallet that submits the proof, and never reuse a proofHash'],
+    'Excessive tokens claimed': [ExcessiveTokensError, 'At most 2000 tokens per second since the last proof can be claimed; wait or claim fewer'],
+    'Exceeds deposit': [ExceedsDepositError, 'Claim no more than the tokens the deposit still covers (deposit * 1000 / pricePerToken - tokensUsed)'],
+    'Invalid proof at index': [InvalidProofError, 'One proof in the batch failed verification; check each with verifyHostSignature'],
+    'Length mismatch': [InvalidParameterError, 'Pass one token count per proof'],
+    'Empty batch': [InvalidParameterError, 'Pass at least one proof'],
+    'Batch too large': [InvalidParameterError, 'Split the batch into smaller ones'],
+    'Invalid batch size': [InvalidParameterError, 'Pass a batch size between 1 and the maximum'],
+    'Invalid model': [InvalidParameterError, 'Pass the model address whose circuit to register'],
+    'Invalid circuit': [InvalidParameterError, 'Pass a non-zero circuit hash'],
+
+    // Hosts
+    'Host not registered': [HostNotRegisteredError, 'Pick a registered host with `fabstir hosts find`'],
+    'Node not registered': [HostNotRegisteredError, 'Register the host with NodeRegistry first'],
+    'Not registered': [HostNotRegisteredError, 'Register the host with NodeRegistry first'],
+    'Host not active': [HostNotActiveError, 'The host is inactive; pick another with `fabstir hosts find`'],
+    'Node not active': [HostNotActiveError, 'The host is inactive; re-register or pick another host'],
+    'Already registered': [InvalidParameterError, 'This address is already a registered host; update it instead'],
+    'Empty metadata': [InvalidParameterError, 'Pass the host metadata as a non-empty JSON string'],
+    'Empty API URL': [InvalidParameterError, 'Pass the URL of the host\'s inference API'],
+    'Invalid host': [InvalidParameterError, 'Pass a host address'],
+    'Invalid host address': [InvalidParameterError, 'Pass a host address'],
+    'Node is not corrupt - use unregisterNode instead': [InvalidParameterError, 'The host is in the active list; only hosts missing from it can be repaired'],
+
+    // Models
+    'Host does not support model': [ModelNotSupportedError, 'Pick a host serving this model with `fabstir hosts find --repo --file`'],
+    'Model not approved': [ModelNotSupportedError, 'Only models approved in ModelRegistry can be served'],
+    'Model not supported': [ModelNotSupportedError, 'Add the model to the host\'s supported models first'],
+    'Must support at least one model': [InvalidParameterError, 'Register with at least one approved model ID'],
+    'Array length mismatch': [InvalidParameterError, 'Pass one file name and one hash per repo'],
+
+    // Pricing
+    'Invalid price': [InvalidParameterError, 'pricePerToken must be greater than zero'],
+    'Price below host minimum': [PriceBelowMinimumError, 'Offer at least the host\'s getNodePricing for this token'],
+    'Price below host minimum for model': [PriceBelowMinimumError, 'Offer at least the host\'s getModelPricing for this model and token'],
+    'Price below minimum': [PriceBelowMinimumError, 'Raise the price to at least the registry minimum'],
+    'Price above maximum': [InvalidParameterError, 'Lower the price to at most the registry maximum'],
+    'Native price below minimum': [PriceBelowMinimumError, 'Raise the native price to at least the registry minimum'],
+    'Native price above maximum': [InvalidParameterError, 'Lower the native price to at most the registry maximum'],
+    'Stable price below minimum': [PriceBelowMinimumError, 'Raise the stable price to at least the registry minimum'],
+    'Stable price above maximum': [InvalidParameterError, 'Lower the stable price to at most the registry maximum'],
+    'Use updatePricingNative for native token': [InvalidParameterError, 'Set native prices with updatePricingNative'],
+
+    // Session parameters
+    'Invalid duration': [InvalidParameterError, 'maxDuration must be between 1 second and 365 days'],
+    'Invalid proof interval': [InvalidParameterError, 'proofInterval must be greater than zero'],
+    'Proof interval too small': [InvalidParameterError, 'proofInterval must be at least MIN_PROVEN_TOKENS (100)'],
+
+    // Tokens and deposits
+    'Token not accepted': [TokenNotAcceptedError, 'Pay with native or an accepted stablecoin (see acceptedTokens)'],
+    'Token not configured': [TokenNotAcceptedError, 'The token has no minimum deposit set; ask the owner to configure it'],
+    'Token max deposit not configured': [TokenNotAcceptedError, 'The token has no maximum deposit set; ask the owner to configure it'],
+    'Token already accepted': [InvalidParameterError, 'The token is already accepted; change its limits with the deposit setters instead'],
+    'Invalid minimum deposit': [InvalidParameterError, 'The minimum deposit must be greater than zero'],
+    'Max must exceed min': [InvalidParameterError, 'Set the maximum deposit above the token\'s minimum'],
+    'Invalid token': [InvalidParameterError, 'Pass a token address; deposit native ETH with depositNative'],
+    'Insufficient deposit': [DepositError, 'Deposit at least the minimum for the token (MIN_DEPOSIT or tokenMinDeposits)'],
+    'Zero deposit': [DepositError, 'Deposit a non-zero amount'],
+    'Deposit too large': [DepositError, 'Deposit at most 1000 ETH, or tokenMaxDeposits for the token'],
+    'Deposit too small for proof interval': [DepositError, 'Raise the deposit or lower proofInterval so the deposit covers at least one proof'],
+    'Insufficient balance': [InsufficientBalanceError, 'Withdraw no more than getDepositBalance'],
+    'Insufficient native balance': [InsufficientBalanceError, 'Top up with `fabstir deposit native` first'],
+    'Insufficient token balance': [InsufficientBalanceError, 'Top up with `fabstir deposit token` first'],
+    ERC20InsufficientBalance: [InsufficientBalanceError, 'The wallet holds fewer tokens than it tries to move'],
+    ERC20InsufficientAllowance: [InsufficientAllowanceError, 'Approve the marketplace for the deposit first'],
+    SafeERC20FailedOperation: [ContractRevertError, 'The token transfer failed; check the balance and allowance'],
+
+    // Earnings and treasury
+    'No earnings to withdraw': [InsufficientBalanceError, 'The host has no earnings in this token yet'],
+    'Insufficient earnings': [InsufficientBalanceError, 'Withdraw no more than the host\'s earnings balance'],
+    'No tokens to withdraw': [InsufficientBalanceError, 'No treasury fees have accrued in this token'],
+    'No native tokens to withdraw': [InsufficientBalanceError, 'No native treasury fees have accrued'],
+    'Amount must be positive': [InvalidParameterError, 'Pass a non-zero amount'],
+    'Zero amount': [InvalidParameterError, 'Pass a non-zero amount'],
+    'Fee cannot exceed 100%': [InvalidParameterError, 'feeBasisPoints must be at most 10000'],
+    'ETH transfer failed': [ContractRevertError, 'The recipient refused ETH; withdraw to an address that can receive it'],
+    'ETH transfer to HostEarnings failed': [ContractRevertError, 'HostEarnings refused the payment; check its authorised marketplace'],
+    'ETH refund failed': [ContractRevertError, 'The depositor refused the refund; deposit from an address that can receive ETH'],
+    'Native token transfer failed': [ContractRevertError, 'The treasury refused ETH; set a treasury that can receive it'],
+    'No excess ETH to rescue': [InsufficientBalanceError, 'HostEarnings holds no ETH beyond what hosts are owed'],
+    'No excess tokens to rescue': [InsufficientBalanceError, 'HostEarnings holds no tokens beyond what hosts are owed'],
+    'Amount exceeds rescueable balance': [InsufficientBalanceError, 'Rescue no more than the balance beyond what hosts are owed'],
+    'ETH rescue failed': [ContractRevertError, 'The owner refused ETH; rescue from an account that can receive it'],
+
+    // Slashing
+    'No stake to slash': [SlashingError, 'The host has no stake left'],
+    'Exceeds max slash percentage': [SlashingError, 'Slash at most 50% of the host\'s current stake'],
+    'Amount exceeds stake': [SlashingError, 'Slash no more than the host\'s stake'],
+    'Slash cooldown active': [SlashingError, 'A host can be slashed once per 24 hours; retry after the cooldown'],
+    'Reason required': [SlashingError, 'Give a slashing reason'],
+    'Evidence CID required': [SlashingError, 'Upload the evidence and pass its CID'],
+
+    // Model governance
+    'Proposal does not exist': [GovernanceError, 'Check the model ID; no proposal was made for it'],
+    'Model does not exist': [GovernanceError, 'Check the model ID; it is not in ModelRegistry'],
+    'Model already exists': [GovernanceError, 'The model is already registered'],
+    'Active proposal exists': [GovernanceError, 'Vote on or execute the open proposal for this model instead'],
+    'Voting still active': [TooEarlyError, 'Execute once the voting period has ended'],
+    'Voting period ended': [GovernanceError, 'Voting has closed; execute the proposal instead'],
+    'Proposal already executed': [GovernanceError, 'The proposal was already executed'],
+    'Already executed': [GovernanceError, 'The proposal was already executed'],
+    'No votes to withdraw': [GovernanceError, 'This account has no votes locked on the proposal'],
+    'Cannot withdraw yet': [TooEarlyError, 'Votes unlock after the proposal is executed'],
+    'Must wait cooldown period': [TooEarlyError, 'Wait for the re-proposal cooldown to pass'],
+
+    // Owner setup: zero addresses and one-time initialisers
+    'Invalid caller': [InvalidParameterError, 'Pass the address to authorise, normally the marketplace'],
+    'Invalid caller address': [InvalidParameterError, 'Pass the address to authorise, normally the marketplace'],
+    'Invalid node registry': [InvalidParameterError, 'Pass the NodeRegistry address'],
+    'Invalid host earnings': [InvalidParameterError, 'Pass the HostEarnings address'],
+    'Invalid dispute window': [InvalidParameterError, 'The dispute window must be between 1 second and 7 days'],
+    'Invalid treasury': [InvalidParameterError, 'Pass a treasury address'],
+    'Invalid treasury address': [InvalidParameterError, 'Pass a treasury address'],
+    'Invalid USDC address': [InvalidParameterError, 'Pass the USDC token address'],
+    'Invalid token address': [InvalidParameterError, 'Pass a token address'],
+    'Invalid FAB token address': [InvalidParameterError, 'Pass the FAB token address'],
+    'Invalid model registry address': [InvalidParameterError, 'Pass the ModelRegistry address'],
+    'Invalid registry address': [InvalidParameterError, 'Pass the ModelRegistry address'],
+    'Invalid authority': [InvalidParameterError, 'Pass the slashing authority address'],
+    'Already initialized': [InvalidParameterError, 'This was set up once already and cannot be changed'],
+
+    // OpenZeppelin upgradeable contracts
+    InvalidInitialization: [InvalidParameterError, 'The contract is already initialised'],
+    NotInitializing: [InvalidParameterError, 'Only callable from an initialiser'],
+    ReentrancyGuardReentrantCall: [ContractRevertError, 'The call re-entered the contract; call it directly, not from a callback'],
+    UUPSUnauthorizedCallContext: [UnauthorizedError, 'Upgrade through the proxy, not the implementation'],
+    UUPSUnsupportedProxiableUUID: [InvalidParameterError, 'The new implementation is not UUPS-compatible'],
+    ERC1967InvalidImplementation: [InvalidParameterError, 'The new implementation has no code at that address'],
+    ERC1967NonPayable: [InvalidParameterError, 'Send no ETH with the upgrade unless it calls a payable initialiser'],
+    AddressEmptyCode: [InvalidParameterError, 'The target address has no contract code'],
+    FailedCall: [ContractRevertError, 'A low-level call made by the contract failed']
+};
+
+const GENERIC_HINT = 'Re-run with --dry-run to simulate, or check the contract state with a view call';
+
+// Panic(uint256) codes the compiler emits
+const PANICS = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division by zero',
+    0x32: 'array index out of bounds'
+};
+
+// Every error a call into the five contracts can revert with: their own ABIs
+// (OpenZeppelin upgradeable errors) plus ERC20 errors bubbled up from tokens
+const ERRORS_INTERFACE = new ethers.Interface([
+    ...new Set([
+        ...[abis.JobMarketplaceABI, abis.NodeRegistryABI, abis.ModelRegistryABI, abis.HostEarningsABI, abis.ProofSystemABI]
+            .flatMap((abi) => new ethers.Interface(abi).fragments)
+            .filter((f) => f.type === 'error')
+            .map((f) => f.format('full')),
+        'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+        'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)'
+    ])
+]);
+
+/**
+ * @param {string} [reason]
+ * @returns {string|undefined}
+ */
+function hintFor(reason) {
+    if (reason === undefined) return undefined;
+    if (REVERTS[reason]) return REVERTS[reason][1];
+    // ProofSystem appends the failing index to this one
+    if (reason.startsWith('Invalid proof at index')) return REVERTS['Invalid proof at index'][1];
+    return GENERIC_HINT;
+}
+
+function errorClassFor(reason) {
+    if (REVERTS[reason]) return REVERTS[reason][0];
+    if (reason && reason.startsWith('Invalid proof at index')) return InvalidProofError;
+    return ContractRevertError;
+}
+
+/**
+ * Decode ABI-encoded revert data
+ * @param {string} data - Hex revert data
+ * @returns {{ reason: string, args: Object }|null} `reason` is the revert string,
+ *   the custom error name, or 'Panic(0x..)'; null for empty or unknown data
+ */
+function decodeRevertData(data) {
+    if (!data || data === '0x') return null;
+    let parsed;
+    try {
+        parsed = ERRORS_INTERFACE.parseError(data);
+    } catch {
+        return null;
+    }
+    if (!parsed) return null;
+    if (parsed.name === 'Error') return { reason: parsed.args[0], args: {} };
+    if (parsed.name === 'Panic') {
+        const code = Number(parsed.args[0]);
+        return { reason: `Panic(0x${code.toString(16).padStart(2, '0')})`, args: { code, description: PANICS[code] } };
+    }
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => { args[input.name || i] = parsed.args[i]; });
+    return { reason: parsed.name, args };
+}
+
+// ethers nests the revert data differently for calls, estimates and JSON-RPC errors
+function revertDataOf(err) {
+    for (const candidate of [err.data, err.info && err.info.error && err.info.error.data, err.error && err.error.data]) {
+        if (typeof candidate === 'string' && candidate.startsWith('0x')) return candidate;
+        if (candidate && typeof candidate.data === 'string') return candidate.data;
+    }
+    return undefined;
+}
+
+/**
+ * Turn an ethers error into a typed FabstirError when it is a contract revert.
+ * Anything else (network errors, nonce problems, user rejection) is returned
+ * unchanged so retry logic can still classify it.
+ * @param {Error} err
+ * @param {Object} [context]
+ * @param {string} [context.contract]
+ * @param {string} [context.method]
+ * @param {Object} [context.params] - Call arguments keyed by name
+ * @returns {Error}
+ */
+function decodeError(err, context = {}) {
+    if (err instanceof FabstirError) return err;
+    if (!err || err.code !== 'CALL_EXCEPTION') return err;
+
+    const decoded = decodeRevertData(revertDataOf(err));
+    let reason = decoded ? decoded.reason : undefined;
+    // ethers already decoded it against the contract's own ABI
+    if (!reason && err.revert) reason = err.revert.name === 'Error' ? err.revert.args[0] : err.revert.name;
+    if (!reason && err.reason) reason = err.reason;
+
+    const params = { ...context.params, ...(decoded ? decoded.args : {}) };
+    const where = context.contract && context.method ? `${context.contract}.${context.method}` : 'Transaction';
+    const message = reason ? `${where} reverted: ${reason}` : `${where} reverted without a reason`;
+    const ErrorClass = errorClassFor(reason);
+    return new ErrorClass(message, { reason, contract: context.contract, method: context.method, params, cause: err });
+}
+
+/**
+ * Build the error a pre-check raises for a condition the contract would revert on
+ * @param {string} reason - The contract's revert string the call would fail with
+ * @param {string} message - Specific explanation including the offending values
+ * @param {Object} context - { contract, method, params }
+ * @returns {ContractRevertError}
+ */
+function precheckError(reason, message, context) {
+    const ErrorClass = errorClassFor(reason);
+    return new ErrorClass(message, { ...context, reason });
+}
+
+/**
+ * Turn a bundler JSON-RPC error into a typed error. A UserOperation whose
+ * calls revert during estimation becomes the matching ContractRevertError;
+ * EntryPoint AAxx failures become UserOperationError. Anything else
+ * (transport errors, unknown RPC errors) is returned unchanged.
+ * @param {Error} err
+ * @param {Object} [context] - { contract, method, params }, as for decodeError
+ * @returns {Error}
+ */
+function decodeUserOperationError(err, context = {}) {
+    if (err instanceof FabstirError || !err) return err;
+    const message = (err.error && err.error.message) || err.shortMessage || err.message || '';
+
+    const aa = /\b(AA\d\d)\b.*/.exec(message);
+    if (aa) {
+        return new UserOperationError(`UserOperation rejected: ${aa[0].trim()}`, {
+            ...context,
+            reason: aa[1],
+            hint: USER_OP_HINTS[aa[1]] || GENERIC_HINT,
+            cause: err
+        });
+    }
+    // Bundlers return the inner call's revert data either as error data or in the message
+    const inMessage = /reason:\s*(0x[0-9a-fA-F]*)/.exec(message);
+    const data = revertDataOf(err) || (inMessage && inMessage[1]);
+    if (data || /revert/i.test(message)) {
+        return decodeError(ethers.makeError('execution reverted', 'CALL_EXCEPTION', { data }), context);
+    }
+    return err;
+}
+
+module.exports = {
+    FabstirError,
+    ContractRevertError,
+    ContractPausedError,
+    UnauthorizedError,
+    InvalidParameterError,
+    SessionNotActiveError,
+    TooEarlyError,
+    HostNotRegisteredError,
+    HostNotActiveError,
+    ModelNotSupportedError,
+    PriceBelowMinimumError,
+    TokenNotAcceptedError,
+    DepositError,
+    InsufficientBalanceError,
+    InsufficientAllowanceError,
+    InvalidProofError,
+    ExcessiveTokensError,
+    ExceedsDepositError,
+    SlashingError,
+    GovernanceError,
+    UserOperationError,
+    REVERTS,
+    decodeRevertData,
+    decodeError,
+    decodeUserOperationError,
+    precheckError
+};
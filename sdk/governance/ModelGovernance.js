@@ -0,0 +1,234 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const crypto = require('crypto');
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { computeModelId } = require('../clients/ModelRegistryClient');
+const { ERC20Client } = require('../clients/ERC20Client');
+const { PROPOSAL_FEE, APPROVAL_THRESHOLD, VOTE_WITHDRAW_DELAY, REPROPOSAL_COOLDOWN } = require('../constants');
+const { precheckError } = require('../errors');
+
+/**
+ * @typedef {import('../clients/ModelRegistryClient').Proposal & {
+ *   repo: string,
+ *   fileName: string,
+ *   remaining: bigint,
+ *   votingOpen: boolean,
+ *   passing: boolean,
+ *   votesNeeded: bigint
+ * }} ProposalStatus
+ * `remaining` is seconds until the deadline (0 once passed); `passing` is what
+ * executing now would decide; `votesNeeded` is FAB in favour still short of
+ * APPROVAL_THRESHOLD.
+ */
+
+/**
+ * SHA-256 of a local file, streamed so multi-gigabyte GGUFs never sit in memory
+ * @param {string} file
+ * @returns {Promise<string>} bytes32 hex, the `sha256Hash` ModelRegistry stores
+ */
+function hashModelFile(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('error', reject)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(`0x${hash.digest('hex')}`));
+    });
+}
+
+/**
+ * ModelRegistry community governance: propose a model, vote with FAB, follow
+ * the tallies, execute after the deadline and reclaim locked votes. FAB
+ * approvals are handled here, and each step is checked against the proposal's
+ * state first so a doomed transaction fails with a typed error instead.
+ */
+class ModelGovernance {
+    /**
+     * @param {Object} contracts - Clients from connectContracts; modelRegistry connected to the signer for writes
+     */
+    constructor(contracts) {
+        this.modelRegistry = contracts.modelRegistry;
+    }
+
+    /**
+     * Propose a model; the GGUF at `file` is hashed unless `sha256Hash` is given.
+     * Approves PROPOSAL_FEE of FAB for the registry if needed; a simulated
+     * registry returns `approvalRequired` instead of simulating without it.
+     * @param {Object} params
+     * @param {string} params.repo
+     * @param {string} params.fileName
+     * @param {string} [params.file] - Local copy of the GGUF to hash
+     * @param {string} [params.sha256Hash]
+     * @returns {Promise<import('../clients/BaseClient').TxResult & { modelId: string, sha256Hash: string, approvalRequired?: Object }>}
+     */
+    async propose(params) {
+        const { repo, fileName } = params;
+        if (!params.sha256Hash && !params.file) throw new Error('propose needs a GGUF file to hash or sha256Hash');
+        const sha256Hash = params.sha256Hash || await hashModelFile(params.file);
+        const modelId = computeModelId(repo, fileName);
+        const fail = failure('proposeModel', { modelId, repo, fileName });
+
+        const [model, proposal, lastExecution, now] = await Promise.all([
+            this.modelRegistry.getModel(modelId),
+            this.modelRegistry.getProposal(modelId),
+            this.modelRegistry.lastProposalExecutionTime(modelId),
+            this._now()
+        ]);
+        if (model.timestamp > 0n) throw fail('Model already exists', `${repo}/${fileName} is already registered`);
+        if (lastExecution > 0n && now < lastExecution + REPROPOSAL_COOLDOWN) {
+            const reopensAt = lastExecution + REPROPOSAL_COOLDOWN;
+            throw fail('Must wait cooldown period', `${repo}/${fileName} can be proposed again from ${isoTime(reopensAt)}`, { reopensAt });
+        }
+        if (proposal.endTime > 0n && !proposal.executed) {
+            throw fail('Active proposal exists', `${repo}/${fileName} already has an open proposal`);
+        }
+
+        const approvalRequired = await this._ensureFab('proposeModel', PROPOSAL_FEE);
+        if (approvalRequired) return this._approvalOnly(approvalRequired, { modelId, sha256Hash });
+        const result = await this.modelRegistry.proposeModel(repo, fileName, sha256Hash);
+        return { ...result, sha256Hash };
+    }
+
+    /**
+     * Lock FAB for or against a proposal, approving it first if needed. Late
+     * votes may extend the deadline; see `extension` in the result.
+     * @param {string} modelId
+     * @param {bigint} amount - FAB in wei
+     * @param {boolean} support
+     */
+    async vote(modelId, amount, support) {
+        const fail = failure('voteOnProposal', { modelId, amount, support });
+        const [proposal, now] = await Promise.all([this.modelRegistry.getProposal(modelId), this._now()]);
+        if (proposal.proposalTime === 0n) throw fail('Proposal does not exist', `No proposal for model ${modelId}`);
+        if (proposal.executed) throw fail('Proposal already executed', `The proposal for ${modelId} was already executed`);
+        if (now > proposal.endTime) {
+            throw fail('Voting period ended', `Voting on ${modelId} closed at ${isoTime(proposal.endTime)}`, { endTime: proposal.endTime });
+        }
+
+        const approvalRequired = await this._ensureFab('voteOnProposal', amount);
+        if (approvalRequired) return this._approvalOnly(approvalRequired, {});
+        return this.modelRegistry.voteOnProposal(modelId, amount, support);
+    }
+
+    /**
+     * Open proposals with their tallies and time left, soonest deadline first
+     * @returns {Promise<ProposalStatus[]>}
+     */
+    async listProposals() {
+        const [ids, now] = await Promise.all([this.modelRegistry.getActiveProposals(), this._now()]);
+        const proposals = await Promise.all(ids.map((id) => this.modelRegistry.getProposal(id)));
+        return proposals
+            .map((proposal) => proposalStatus(proposal, now))
+            .sort((a, b) => (a.endTime < b.endTime ? -1 : a.endTime > b.endTime ? 1 : 0));
+    }
+
+    /**
+     * One proposal's status, executed or not
+     * @param {string} modelId
+     * @returns {Promise<ProposalStatus>}
+     */
+    async getProposal(modelId) {
+        const [proposal, now] = await Promise.all([this.modelRegistry.getProposal(modelId), this._now()]);
+        if (proposal.proposalTime === 0n) {
+            throw failure('proposals', { modelId })('Proposal does not exist', `No proposal for model ${modelId}`);
+        }
+        return proposalStatus(proposal, now);
+    }
+
+    /**
+     * Tally a proposal once its deadline has passed (anyone may call)
+     * @param {string} modelId
+     * @returns {Promise<import('../clients/BaseClient').TxResult & { approved: boolean }>}
+     */
+    async execute(modelId) {
+        const fail = failure('executeProposal', { modelId });
+        const [proposal, now] = await Promise.all([this.modelRegistry.getProposal(modelId), this._now()]);
+        if (proposal.proposalTime === 0n) throw fail('Proposal does not exist', `No proposal for model ${modelId}`);
+        if (proposal.executed) throw fail('Already executed', `The proposal for ${modelId} was already executed`);
+        if (now <= proposal.endTime) {
+            throw fail('Voting still active', `Voting on ${modelId} runs until ${isoTime(proposal.endTime)}`, { endTime: proposal.endTime });
+        }
+        return this.modelRegistry.executeProposal(modelId);
+    }
+
+    /**
+     * Reclaim the signer's locked FAB once the proposal is executed, or
+     * VOTE_WITHDRAW_DELAY after its deadline if nobody executed it
+     * @param {string} modelId
+     * @returns {Promise<import('../clients/BaseClient').TxResult & { amount: bigint }>}
+     */
+    async withdrawVotes(modelId) {
+        const voter = await this.modelRegistry.runner.getAddress();
+        const fail = failure('withdrawVotes', { modelId, voter });
+        const [proposal, amount, now] = await Promise.all([
+            this.modelRegistry.getProposal(modelId),
+            this.modelRegistry.getVotes(modelId, voter),
+            this._now()
+        ]);
+        const unlocksAt = proposal.endTime + VOTE_WITHDRAW_DELAY;
+        if (!proposal.executed && now <= unlocksAt) {
+            throw fail('Cannot withdraw yet', `Votes on ${modelId} unlock on execution or after ${isoTime(unlocksAt)}`, { unlocksAt });
+        }
+        if (amount === 0n) throw fail('No votes to withdraw', `${voter} has no votes on ${modelId}`);
+
+        const result = await this.modelRegistry.withdrawVotes(modelId);
+        return { ...result, amount };
+    }
+
+    async _ensureFab(method, amount) {
+        const registry = this.modelRegistry;
+        const owner = await registry.runner.getAddress();
+        const fab = new ERC20Client(await registry.governanceToken(), registry.runner);
+        const balance = await fab.balanceOf(owner);
+        if (balance < amount) {
+            throw failure(method, { account: owner, amount, balance })(
+                'ERC20InsufficientBalance',
+                `${owner} holds ${ethers.formatEther(balance)} FAB, needs ${ethers.formatEther(amount)} FAB`
+            );
+        }
+        // A simulated registry must not send the approval either; the caller
+        // reports it instead of simulating a call that would revert on transferFrom
+        if (registry.dryRun) {
+            const allowance = await fab.allowance(owner, registry.address);
+            return allowance < amount ? { token: fab.address, spender: registry.address, amount } : null;
+        }
+        await fab.ensureAllowance(registry.address, amount);
+        return null;
+    }
+
+    _approvalOnly(approvalRequired, extra) {
+        return { hash: null, receipt: null, events: [], dryRun: true, approvalRequired, ...extra };
+    }
+
+    async _now() {
+        return BigInt((await this.modelRegistry.runner.provider.getBlock('latest')).timestamp);
+    }
+}
+
+function proposalStatus(proposal, now) {
+    const { modelData, endTime, votesFor, votesAgainst } = proposal;
+    return {
+        ...proposal,
+        repo: modelData.huggingfaceRepo,
+        fileName: modelData.fileName,
+        remaining: endTime > now ? endTime - now : 0n,
+        votingOpen: !proposal.executed && now <= endTime,
+        passing: votesFor >= APPROVAL_THRESHOLD && votesFor > votesAgainst,
+        votesNeeded: votesFor >= APPROVAL_THRESHOLD ? 0n : APPROVAL_THRESHOLD - votesFor
+    };
+}
+
+function failure(method, params) {
+    return (reason, message, extra = {}) => precheckError(reason, message, {
+        contract: 'ModelRegistry',
+        method,
+        params: { ...params, ...extra }
+    });
+}
+
+function isoTime(seconds) {
+    return new Date(Number(seconds) * 1000).toISOString();
+}
+
+module.exports = { ModelGovernance, hashModelFile };
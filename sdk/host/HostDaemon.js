@@ -0,0 +1,327 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { MIN_PROVEN_TOKENS, TIMEOUT_PROOF_INTERVALS } = require('../constants');
+const { MAX_TOKENS_PER_SECOND, signProof, checkProof } = require('../proofs');
+const { maxProvableTokens } = require('../settlement');
+const { withRetry } = require('../retry');
+const { readJsonFile, writeJsonFile } = require('../jsonFile');
+
+/**
+ * @typedef {Object} TokenSource
+ * @property {(session: import('../clients/JobMarketplaceClient').SessionJob) => Promise<bigint|number>} getTokensServed
+ *   Cumulative tokens the host has served in this session so far
+ * @property {(session: Object, range: { fromTokens: bigint, toTokens: bigint, tokensClaimed: bigint }) => Promise<{ proofData?: ethers.BytesLike, proofHash?: string, proofCID?: string, delta?: *, deltaCID?: string }>} [getProof]
+ *   Proof material for a range of served tokens; defaults to a hash commitment to the range.
+ *   `delta` (the conversation since the last proof) is only used with the daemon's `storage` option
+ */
+
+/**
+ * @typedef {Object} TrackedSession
+ * @property {bigint} jobId
+ * @property {string} depositor
+ * @property {number} createdBlock
+ * @property {string} status - 'Active' until the chain says otherwise; 'Missing' if the session vanished in a reorg
+ * @property {bigint} tokensServed - Last value read from the token source
+ * @property {Object[]} proofs - { tokensClaimed, proofHash, proofCID, deltaCID, transactionHash, blockNumber }
+ * @property {string|null} timeoutTransaction
+ * @property {string|null} lastError
+ */
+
+/**
+ * Token source for hosts that push usage in-process, e.g. from the inference
+ * server's per-response hook
+ */
+class InMemoryTokenSource {
+    constructor() {
+        this.served = new Map();
+    }
+
+    /**
+     * Add tokens served for a session
+     * @param {bigint} jobId
+     * @param {bigint|number} tokens
+     */
+    record(jobId, tokens) {
+        const key = BigInt(jobId).toString();
+        this.served.set(key, (this.served.get(key) || 0n) + BigInt(tokens));
+    }
+
+    async getTokensServed(session) {
+        return this.served.get(session.id.toString()) || 0n;
+    }
+}
+
+/**
+ * Long-running host service. Each tick it picks up new SessionJobCreated events
+ * for the host, submits a signed proof once at least `proofInterval` served
+ * tokens are unproven (clamped to the 2000 tokens/sec rate limit and the
+ * deposit cap), and triggers a timeout once a session's maxDuration has lapsed
+ * or it went three proof intervals without a proof, and nothing provable is left. State survives restarts when `statePath` is set,
+ * and sends are retried with backoff on nonce, fee and transport errors; a proof
+ * is only resent once it is confirmed not to have landed.
+ */
+class HostDaemon {
+    /**
+     * @param {Object} options
+     * @param {import('../clients/JobMarketplaceClient').JobMarketplaceClient} options.marketplace - Connected to the host signer
+     * @param {TokenSource} options.tokenSource
+     * @param {ethers.Provider} [options.provider] - Defaults to the signer's provider
+     * @param {string} [options.statePath] - JSON file to persist to; in-memory only when omitted
+     * @param {number} [options.startBlock] - First block to look for sessions in
+     * @param {number} [options.confirmations] - Blocks to stay behind head when discovering sessions (default 2)
+     * @param {number} [options.batchSize] - Max blocks per eth_getLogs call (default 2000)
+     * @param {boolean} [options.triggerTimeouts] - Default true
+     * @param {import('../retry').RetryOptions} [options.retry]
+     * @param {import('../storage/ProofStorage').ProofStorage} [options.storage] - Uploads proof blobs and deltas that come without CIDs
+     */
+    constructor(options) {
+        this.marketplace = options.marketplace;
+        this.signer = options.marketplace.runner;
+        this.provider = options.provider || this.signer.provider;
+        this.tokenSource = options.tokenSource;
+        this.path = options.statePath || null;
+        this.startBlock = options.startBlock || 0;
+        this.confirmations = options.confirmations !== undefined ? options.confirmations : 2;
+        this.batchSize = options.batchSize || 2000;
+        this.triggerTimeouts = options.triggerTimeouts !== false;
+        this.retry = options.retry || {};
+        this.storage = options.storage || null;
+        this.createdTopic = this.marketplace.interface.getEvent('SessionJobCreated').topicHash;
+        this.proofTopic = this.marketplace.interface.getEvent('ProofSubmitted').topicHash;
+
+        const saved = this.path ? readJsonFile(this.path) : null;
+        this.state = saved || { host: null, lastBlock: this.startBlock - 1, sessions: {} };
+        this._timer = null;
+    }
+
+    /**
+     * Sessions this daemon knows about
+     * @param {Object} [filter]
+     * @param {string} [filter.status]
+     * @returns {TrackedSession[]}
+     */
+    getSessions(filter = {}) {
+        return Object.values(this.state.sessions).filter((s) => !filter.status || s.status === filter.status);
+    }
+
+    /**
+     * One pass: discover new sessions, then prove or time out each active one.
+     * A failure on one session is recorded in `errors` and does not hold up the others.
+     * @returns {Promise<{ discovered: bigint[], proofs: Object[], timeouts: bigint[], closed: bigint[], errors: { jobId: bigint, error: Error }[] }>}
+     */
+    async tick() {
+        const host = await this._host();
+        const result = { discovered: await this._discover(host), proofs: [], timeouts: [], closed: [], errors: [] };
+        const now = BigInt((await this.provider.getBlock('latest')).timestamp);
+
+        for (const tracked of this.getSessions({ status: 'Active' })) {
+            try {
+                await this._service(tracked, host, now, result);
+                tracked.lastError = null;
+            } catch (err) {
+                tracked.lastError = err.reason || err.shortMessage || err.message;
+                result.errors.push({ jobId: tracked.jobId, error: err });
+            }
+        }
+        this._save();
+        return result;
+    }
+
+    /**
+     * Keep ticking on an interval until the returned function is called
+     * @param {Object} options
+     * @param {number} [options.intervalMs] - Default 5000
+     * @param {(result: Object) => void} [options.onTick] - Called after each tick that did something
+     * @param {(err: Error, jobId?: bigint) => void} options.onError - Failed ticks, and failed sessions with their jobId; the daemon keeps running
+     * @returns {() => void} stop
+     */
+    start(options = {}) {
+        if (typeof options.onError !== 'function') throw new Error('start needs an onError handler for failed ticks and sessions');
+        const intervalMs = options.intervalMs || 5000;
+        const onError = options.onError;
+        let stopped = false;
+
+        const tick = async () => {
+            try {
+                const result = await this.tick();
+                for (const { jobId, error } of result.errors) onError(error, jobId);
+                const busy = result.discovered.length || result.proofs.length || result.timeouts.length || result.closed.length;
+                if (options.onTick && busy) options.onTick(result);
+            } catch (err) {
+                onError(err);
+            }
+            if (!stopped) this._timer = setTimeout(tick, intervalMs);
+        };
+        tick();
+
+        return () => {
+            stopped = true;
+            clearTimeout(this._timer);
+        };
+    }
+
+    async _host() {
+        const host = ethers.getAddress(await this.signer.getAddress());
+        if (this.state.host && this.state.host !== host) {
+            throw new Error(`State file ${this.path} belongs to host ${this.state.host}, not ${host}`);
+        }
+        this.state.host = host;
+        return host;
+    }
+
+    // SessionJobCreated is emitted by every create path, with the host indexed
+    async _discover(host) {
+        const head = await this.provider.getBlockNumber();
+        const toBlock = head - this.confirmations;
+        const discovered = [];
+
+        for (let start = this.state.lastBlock + 1; start <= toBlock; start += this.batchSize) {
+            const end = Math.min(start + this.batchSize - 1, toBlock);
+            const logs = await this.provider.getLogs({
+                address: this.marketplace.address,
+                topics: [this.createdTopic, null, null, ethers.zeroPadValue(host, 32)],
+                fromBlock: start,
+                toBlock: end
+            });
+            for (const log of logs) {
+                const { args } = this.marketplace.interface.parseLog(log);
+                const key = args.jobId.toString();
+                if (this.state.sessions[key]) continue;
+                this.state.sessions[key] = {
+                    jobId: args.jobId,
+                    depositor: args.depositor,
+                    createdBlock: log.blockNumber,
+                    status: 'Active',
+                    tokensServed: 0n,
+                    proofs: [],
+                    timeoutTransaction: null,
+                    lastError: null
+                };
+                discovered.push(args.jobId);
+            }
+            this.state.lastBlock = end;
+        }
+        return discovered;
+    }
+
+    async _service(tracked, host, now, result) {
+        const session = await this.marketplace.getSession(tracked.jobId);
+        if (session.host === ethers.ZeroAddress || session.host !== host) {
+            tracked.status = 'Missing';
+            result.closed.push(tracked.jobId);
+            return;
+        }
+        if (session.statusName !== 'Active') {
+            tracked.status = session.statusName;
+            result.closed.push(tracked.jobId);
+            return;
+        }
+
+        tracked.tokensServed = BigInt(await this.tokenSource.getTokensServed(session));
+        // triggerSessionTimeout accepts either deadline: maxDuration since the start,
+        // or TIMEOUT_PROOF_INTERVALS proof intervals without a proof (abandoned)
+        const expiresAt = session.startTime + session.maxDuration;
+        const abandonedAt = session.lastProofTime + session.proofInterval * TIMEOUT_PROOF_INTERVALS;
+        const expired = now > expiresAt || now > abandonedAt;
+        const depositLeft = maxProvableTokens(session.deposit, session.pricePerToken) - session.tokensUsed;
+        const unproven = tracked.tokensServed > session.tokensUsed ? tracked.tokensServed - session.tokensUsed : 0n;
+        const provable = unproven < depositLeft ? unproven : depositLeft;
+
+        let claimed = 0n;
+        if (provable >= session.proofInterval || (expired && provable >= MIN_PROVEN_TOKENS)) {
+            // The next block's timestamp is >= now, so this never overshoots the rate limit
+            const rateLimit = (now - session.lastProofTime) * MAX_TOKENS_PER_SECOND;
+            const tokensClaimed = provable < rateLimit ? provable : rateLimit;
+            if (tokensClaimed >= MIN_PROVEN_TOKENS) {
+                result.proofs.push(await this._submitProof(tracked, session, host, now, tokensClaimed));
+                claimed = tokensClaimed;
+            }
+        }
+
+        // A proof restarts the abandonment clock, so after one only maxDuration still counts.
+        // Hold off the timeout while served tokens can still be proven on a later tick
+        const timedOut = claimed > 0n ? now > expiresAt : expired;
+        if (timedOut && this.triggerTimeouts && provable - claimed < MIN_PROVEN_TOKENS) {
+            const { hash } = await withRetry(() => this.marketplace.triggerTimeout(tracked.jobId), this.retry);
+            tracked.status = 'TimedOut';
+            tracked.timeoutTransaction = hash;
+            result.timeouts.push(tracked.jobId);
+        }
+    }
+
+    async _submitProof(tracked, session, host, now, tokensClaimed) {
+        const range = { fromTokens: session.tokensUsed, toTokens: session.tokensUsed + tokensClaimed, tokensClaimed };
+        const material = this.tokenSource.getProof
+            ? await this.tokenSource.getProof(session, range)
+            : {
+                proofData: ethers.solidityPacked(
+                    ['address', 'uint256', 'uint256', 'uint256'],
+                    [this.marketplace.address, session.id, range.fromTokens, range.toTokens]
+                )
+            };
+        const stored = this.storage ? await this.storage.storeMaterial(material) : material;
+        const proof = await signProof(this.signer, { ...stored, tokensClaimed });
+
+        const { errors } = checkProof(proof, host, { session, now });
+        if (errors.length) {
+            throw new Error(`Proof for session ${session.id} would revert: ${errors.join(', ')}`);
+        }
+
+        const { transactionHash, blockNumber } = await this._sendProof(tracked, proof);
+        const record = {
+            jobId: session.id,
+            tokensClaimed,
+            proofHash: proof.proofHash,
+            proofCID: proof.proofCID,
+            deltaCID: proof.deltaCID,
+            transactionHash,
+            blockNumber
+        };
+        tracked.proofs.push(record);
+        this._save();
+        return record;
+    }
+
+    // A send that timed out or hit a nonce error may still have been mined, and
+    // resending the same proofHash would then revert as a replay. So before each
+    // resend, and if a resend reverts, look for the proof on-chain first.
+    async _sendProof(tracked, proof) {
+        let attempts = 0;
+        try {
+            return await withRetry(async () => {
+                if (attempts++) {
+                    const landed = await this._findProof(tracked, proof.proofHash);
+                    if (landed) return landed;
+                }
+                const { hash, receipt } = await this.marketplace.submitProof(tracked.jobId, proof);
+                return { transactionHash: hash, blockNumber: receipt.blockNumber };
+            }, this.retry);
+        } catch (err) {
+            const landed = attempts > 1 ? await this._findProof(tracked, proof.proofHash) : null;
+            if (landed) return landed;
+            throw err;
+        }
+    }
+
+    async _findProof(tracked, proofHash) {
+        const logs = await this.provider.getLogs({
+            address: this.marketplace.address,
+            topics: [this.proofTopic, ethers.toBeHex(tracked.jobId, 32)],
+            fromBlock: tracked.createdBlock
+        });
+        for (const log of logs) {
+            const { args } = this.marketplace.interface.parseLog(log);
+            if (args.proofHash.toLowerCase() === proofHash.toLowerCase()) {
+                return { transactionHash: log.transactionHash, blockNumber: log.blockNumber };
+            }
+        }
+        return null;
+    }
+
+    _save() {
+        if (this.path) writeJsonFile(this.path, this.state);
+    }
+}
+
+module.exports = { HostDaemon, InMemoryTokenSource };
@@ -0,0 +1,342 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { computeModelId } = require('../clients/ModelRegistryClient');
+const { ERC20Client } = require('../clients/ERC20Client');
+const {
+    MIN_PRICE_PER_TOKEN_NATIVE,
+    MAX_PRICE_PER_TOKEN_NATIVE,
+    MIN_PRICE_PER_TOKEN_STABLE,
+    MAX_PRICE_PER_TOKEN_STABLE,
+    isNativeToken
+} = require('../constants');
+const { InvalidParameterError, precheckError } = require('../errors');
+
+/**
+ * @typedef {Object} HostConfig
+ * The host config file. Prices are integers with PRICE_PRECISION, as the
+ * contract stores them; 0 for a model or token price means "use the default".
+ * @property {string} apiUrl
+ * @property {Object} metadata - Published as JSON; checked against METADATA_SCHEMA
+ * @property {string|number} [stake] - Total FAB to keep staked, in whole FAB; default MIN_STAKE
+ * @property {{ native: string|number, stable: string|number, tokens?: Object<string, string|number> }} pricing
+ *   Default prices, plus per-stablecoin overrides keyed by token address
+ * @property {{ repo?: string, file?: string, modelId?: string, pricing?: { native?: string|number, stable?: string|number } }[]} models
+ *   Approved models by HuggingFace repo and file (or modelId), with optional per-model prices
+ * @property {boolean} [registered] - false to unregister and reclaim the stake
+ */
+
+/**
+ * @typedef {Object} ProfileAction
+ * @property {string} method - NodeRegistryClient method, or 'approve' on the FAB token
+ * @property {Array} args
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} ProfilePlan
+ * @property {string} host
+ * @property {boolean} registered - Registered on-chain now
+ * @property {{ current: bigint, target: bigint, minimum: bigint }} stake
+ * @property {ProfileAction[]} actions - In the order apply() sends them; empty when in sync
+ * @property {string[]} warnings - Differences no action can remove
+ */
+
+// Fields hosts publish in NodeRegistry metadata; other fields are kept as given
+const METADATA_SCHEMA = {
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    location: { type: 'string' },
+    gpuType: { type: 'string' },
+    memory: { type: 'string' },
+    website: { type: 'string' }
+};
+
+/**
+ * Validate a host config offline and normalize it: model IDs computed,
+ * prices and stake as bigints, metadata as canonical JSON
+ * @param {HostConfig} config
+ * @returns {Object} { registered, apiUrl, metadata, stake, models: { modelId, label, nativePrice, stablePrice }[], pricing: { native, stable, tokens: { token, price }[] } }
+ */
+function parseHostConfig(config) {
+    if (!config || typeof config !== 'object') throw new Error('Host config must be a JSON object');
+    if (config.registered === false) return { registered: false };
+
+    if (typeof config.apiUrl !== 'string' || !config.apiUrl) throw new Error('Host config needs apiUrl');
+    validateMetadata(config.metadata);
+    if (!config.pricing) throw new Error('Host config needs pricing.native and pricing.stable');
+    if (!Array.isArray(config.models) || !config.models.length) throw new Error('Host config needs at least one model');
+
+    const models = [];
+    for (const [i, model] of config.models.entries()) {
+        if (!model.modelId && !(model.repo && model.file)) throw new Error(`models[${i}] needs repo and file, or modelId`);
+        const modelId = model.modelId ? ethers.hexlify(model.modelId) : computeModelId(model.repo, model.file);
+        if (models.some((m) => m.modelId === modelId)) throw new Error(`models[${i}] lists model ${modelId} twice`);
+        const pricing = model.pricing || {};
+        models.push({
+            modelId,
+            label: model.repo ? `${model.repo}/${model.file}` : modelId,
+            nativePrice: price(pricing.native, `models[${i}].pricing.native`, 0n),
+            stablePrice: price(pricing.stable, `models[${i}].pricing.stable`, 0n)
+        });
+    }
+
+    return {
+        registered: true,
+        apiUrl: config.apiUrl,
+        metadata: canonicalJson(config.metadata),
+        stake: config.stake !== undefined ? fab(config.stake) : null,
+        models,
+        pricing: {
+            native: price(config.pricing.native, 'pricing.native'),
+            stable: price(config.pricing.stable, 'pricing.stable'),
+            tokens: Object.entries(config.pricing.tokens || {}).map(([token, value]) => ({
+                token: ethers.getAddress(token),
+                price: price(value, `pricing.tokens.${token}`)
+            }))
+        }
+    };
+}
+
+/**
+ * Keeps a host's NodeRegistry entry in line with a declarative config file:
+ * registration and stake, metadata, API URL, supported models, default,
+ * per-model and per-token prices, and finally unregistration. plan() reads
+ * the on-chain entry and lists only the calls needed to match the config,
+ * after checking the models are approved, the stake covers MIN_STAKE and the
+ * prices are within the registry's bounds; apply() sends them in order,
+ * approving FAB for any stake first.
+ */
+class HostProfile {
+    /**
+     * @param {Object} contracts - Clients from connectContracts; nodeRegistry connected to the host, and modelRegistry
+     */
+    constructor(contracts) {
+        this.nodeRegistry = contracts.nodeRegistry;
+        this.modelRegistry = contracts.modelRegistry;
+    }
+
+    /**
+     * The changes needed to bring the host's entry in line with `config`.
+     * Throws the typed error a call would revert with if the config cannot
+     * be applied.
+     * @param {HostConfig} config
+     * @param {string} [host] - Defaults to the registry signer
+     * @returns {Promise<ProfilePlan>}
+     */
+    async plan(config, host) {
+        const profile = parseHostConfig(config);
+        host = ethers.getAddress(host || await this.nodeRegistry.runner.getAddress());
+        const [node, minimum] = await Promise.all([this.nodeRegistry.getNode(host), this.nodeRegistry.minStake()]);
+        const registered = node.operator !== ethers.ZeroAddress;
+        const plan = { host, registered, stake: { current: node.stakedAmount, target: node.stakedAmount, minimum }, actions: [], warnings: [] };
+        const add = (method, args, description) => plan.actions.push({ method, args, description });
+
+        if (!profile.registered) {
+            plan.stake.target = 0n;
+            if (registered) add('unregisterNode', [], `Unregister and reclaim ${ethers.formatEther(node.stakedAmount)} FAB`);
+            return plan;
+        }
+
+        await this._validate(profile, host, minimum);
+        const target = profile.stake !== null ? profile.stake : minimum;
+        plan.stake.target = target > node.stakedAmount ? target : node.stakedAmount;
+        if (registered && target < node.stakedAmount) {
+            plan.warnings.push(`Stake stays at ${ethers.formatEther(node.stakedAmount)} FAB; it cannot be lowered short of unregistering`);
+        }
+        if (registered && !node.active) {
+            throw failure('updatePricingNative', { host })('Node not active', `${host} is registered but not active`);
+        }
+
+        const pull = plan.stake.target - node.stakedAmount;
+        await this._approveStake(host, pull, add);
+
+        if (!registered) {
+            add('registerNode', [{
+                metadata: profile.metadata,
+                apiUrl: profile.apiUrl,
+                modelIds: profile.models.map((m) => m.modelId),
+                minPricePerTokenNative: profile.pricing.native,
+                minPricePerTokenStable: profile.pricing.stable
+            }], `Register with ${profile.models.length} model(s), staking ${ethers.formatEther(minimum)} FAB`);
+            if (target > minimum) add('stake', [target - minimum], `Stake ${ethers.formatEther(target - minimum)} FAB more`);
+            for (const model of profile.models) {
+                if (model.nativePrice || model.stablePrice) {
+                    add('setModelPricing', [model.modelId, model.nativePrice, model.stablePrice], `Price ${model.label} at ${model.nativePrice} native, ${model.stablePrice} stable`);
+                }
+            }
+            for (const { token, price: tokenPrice } of profile.pricing.tokens) {
+                if (tokenPrice) add('setTokenPricing', [token, tokenPrice], `Price payments in ${token} at ${tokenPrice}`);
+            }
+            return plan;
+        }
+
+        if (pull > 0n) add('stake', [pull], `Stake ${ethers.formatEther(pull)} FAB more`);
+        if (!sameMetadata(node.metadata, profile.metadata)) add('updateMetadata', [profile.metadata], 'Update metadata');
+        if (node.apiUrl !== profile.apiUrl) add('updateApiUrl', [profile.apiUrl], `Move the API to ${profile.apiUrl}`);
+
+        const wanted = new Set(profile.models.map((m) => m.modelId));
+        const current = new Set(node.supportedModels.map((id) => id.toLowerCase()));
+        const added = profile.models.filter((m) => !current.has(m.modelId));
+        const removed = node.supportedModels.filter((id) => !wanted.has(id.toLowerCase()));
+        if (added.length || removed.length) {
+            add('updateSupportedModels', [profile.models.map((m) => m.modelId)], `Serve ${profile.models.length} model(s): ${added.length} added, ${removed.length} removed`);
+        }
+
+        if (node.minPricePerTokenNative !== profile.pricing.native) {
+            add('updatePricingNative', [profile.pricing.native], `Native default price ${node.minPricePerTokenNative} -> ${profile.pricing.native}`);
+        }
+        if (node.minPricePerTokenStable !== profile.pricing.stable) {
+            add('updatePricingStable', [profile.pricing.stable], `Stable default price ${node.minPricePerTokenStable} -> ${profile.pricing.stable}`);
+        }
+
+        // Overrides outlive the model being dropped; clear them so re-adding it later starts from the defaults
+        for (const modelId of removed) {
+            const set = await this.nodeRegistry.getModelPriceOverrides(host, modelId);
+            if (set.nativePrice || set.stablePrice) add('clearModelPricing', [modelId], `Clear prices of dropped model ${modelId}`);
+        }
+        for (const model of profile.models) {
+            const set = await this.nodeRegistry.getModelPriceOverrides(host, model.modelId);
+            if (set.nativePrice === model.nativePrice && set.stablePrice === model.stablePrice) continue;
+            if (model.nativePrice || model.stablePrice) {
+                add('setModelPricing', [model.modelId, model.nativePrice, model.stablePrice], `Price ${model.label} at ${model.nativePrice} native, ${model.stablePrice} stable`);
+            } else {
+                add('clearModelPricing', [model.modelId], `Use the default prices for ${model.label}`);
+            }
+        }
+        for (const { token, price: tokenPrice } of profile.pricing.tokens) {
+            const set = await this.nodeRegistry.getTokenPriceOverride(host, token);
+            if (set !== tokenPrice) add('setTokenPricing', [token, tokenPrice], `Price payments in ${token} at ${tokenPrice}${tokenPrice ? '' : ' (stable default)'}`);
+        }
+        return plan;
+    }
+
+    /**
+     * Plan, then send each action in order. Every step builds on the one
+     * before, so a simulated registry returns the plan without simulating it.
+     * @param {HostConfig} config
+     * @returns {Promise<ProfilePlan & { results: Object[], dryRun?: boolean }>} results: TxResults, one per action
+     */
+    async apply(config) {
+        const plan = await this.plan(config);
+        if (this.nodeRegistry.dryRun) return { ...plan, dryRun: true, results: [] };
+
+        const results = [];
+        for (const action of plan.actions) {
+            const result = action.method === 'approve'
+                ? await (await this._fab()).approve(...action.args)
+                : await this.nodeRegistry[action.method](...action.args);
+            results.push({ ...result, method: action.method });
+        }
+        return { ...plan, results };
+    }
+
+    // The on-chain checks registerNode and updateSupportedModels make, plus the price bounds
+    async _validate(profile, host, minimum) {
+        const params = { host };
+        if (profile.stake !== null && profile.stake < minimum) {
+            throw new InvalidParameterError(
+                `Stake of ${ethers.formatEther(profile.stake)} FAB is below MIN_STAKE (${ethers.formatEther(minimum)} FAB)`,
+                { reason: 'Stake below minimum', contract: 'NodeRegistry', method: 'registerNode', params: { ...params, stake: profile.stake, minimum }, hint: 'Stake at least MIN_STAKE' }
+            );
+        }
+        for (const model of profile.models) {
+            if (!(await this.modelRegistry.isModelApproved(model.modelId))) {
+                throw failure('updateSupportedModels', { ...params, modelId: model.modelId })('Model not approved', `Model ${model.label} is not approved in ModelRegistry`);
+            }
+        }
+
+        checkRange('registerNode', 'Native price', profile.pricing.native, MIN_PRICE_PER_TOKEN_NATIVE, MAX_PRICE_PER_TOKEN_NATIVE);
+        checkRange('registerNode', 'Stable price', profile.pricing.stable, MIN_PRICE_PER_TOKEN_STABLE, MAX_PRICE_PER_TOKEN_STABLE);
+        for (const model of profile.models) {
+            if (model.nativePrice) checkRange('setModelPricing', 'Native price', model.nativePrice, MIN_PRICE_PER_TOKEN_NATIVE, MAX_PRICE_PER_TOKEN_NATIVE, { modelId: model.modelId });
+            if (model.stablePrice) checkRange('setModelPricing', 'Stable price', model.stablePrice, MIN_PRICE_PER_TOKEN_STABLE, MAX_PRICE_PER_TOKEN_STABLE, { modelId: model.modelId });
+        }
+        for (const { token, price: tokenPrice } of profile.pricing.tokens) {
+            if (isNativeToken(token)) {
+                throw failure('setTokenPricing', { token })('Use updatePricingNative for native token', 'Set the native price with pricing.native, not pricing.tokens');
+            }
+            if (tokenPrice) checkRange('setTokenPricing', 'Price', tokenPrice, MIN_PRICE_PER_TOKEN_STABLE, MAX_PRICE_PER_TOKEN_STABLE, { token });
+        }
+    }
+
+    // registerNode and stake pull FAB with transferFrom; one approval covers both
+    async _approveStake(host, amount, add) {
+        if (amount <= 0n) return;
+        const fabToken = await this._fab();
+        const registry = this.nodeRegistry.address;
+        const [balance, allowance] = await Promise.all([fabToken.balanceOf(host), fabToken.allowance(host, registry)]);
+        if (balance < amount) {
+            throw failure('stake', { account: host, amount, balance })(
+                'ERC20InsufficientBalance',
+                `${host} holds ${ethers.formatEther(balance)} FAB, needs ${ethers.formatEther(amount)} FAB to stake`
+            );
+        }
+        if (allowance < amount) add('approve', [registry, amount], `Approve ${ethers.formatEther(amount)} FAB for NodeRegistry`);
+    }
+
+    async _fab() {
+        if (!this._fabToken) this._fabToken = new ERC20Client(await this.nodeRegistry.fabToken(), this.nodeRegistry.runner);
+        return this._fabToken;
+    }
+}
+
+function validateMetadata(metadata) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) throw new Error('Host config needs a metadata object');
+    for (const [field, rule] of Object.entries(METADATA_SCHEMA)) {
+        const value = metadata[field];
+        if (value === undefined) {
+            if (rule.required) throw new Error(`metadata.${field} is required`);
+        } else if (typeof value !== rule.type || (rule.required && !value)) {
+            throw new Error(`metadata.${field} must be a ${rule.required ? 'non-empty ' : ''}${rule.type}`);
+        }
+    }
+}
+
+// Sorted keys, so the same metadata always serializes (and compares) the same way
+function canonicalJson(value) {
+    return JSON.stringify(value, (key, v) => (v && typeof v === 'object' && !Array.isArray(v)
+        ? Object.fromEntries(Object.keys(v).sort().map((k) => [k, v[k]]))
+        : v));
+}
+
+function sameMetadata(onChain, metadata) {
+    try {
+        return canonicalJson(JSON.parse(onChain)) === metadata;
+    } catch {
+        return false;
+    }
+}
+
+function price(value, field, fallback) {
+    if (value === undefined && fallback !== undefined) return fallback;
+    if (!/^\d+$/.test(String(value))) throw new Error(`${field} must be a whole number (prices carry PRICE_PRECISION)`);
+    return BigInt(value);
+}
+
+function fab(value) {
+    try {
+        return ethers.parseEther(String(value));
+    } catch {
+        throw new Error(`stake must be an amount of FAB, e.g. "1000" (got ${value})`);
+    }
+}
+
+// Same revert strings as the registry's require() checks. `about` names the model or token priced.
+function checkRange(method, label, value, min, max, about = {}) {
+    const subject = Object.values(about)[0];
+    const where = subject ? ` for ${subject}` : '';
+    const fail = failure(method, { ...about, price: value, min, max });
+    if (value < min) throw fail(`${label} below minimum`, `${label} ${value}${where} is below the registry minimum of ${min}`);
+    if (value > max) throw fail(`${label} above maximum`, `${label} ${value}${where} is above the registry maximum of ${max}`);
+}
+
+function failure(method, params) {
+    return (reason, message, extra = {}) => precheckError(reason, message, {
+        contract: 'NodeRegistry',
+        method,
+        params: { ...params, ...extra }
+    });
+}
+
+module.exports = { HostProfile, parseHostConfig, METADATA_SCHEMA };
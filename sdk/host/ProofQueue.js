@@ -0,0 +1,267 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { checkProof, packProof } = require('../proofs');
+const { FabstirError, decodeError } = require('../errors');
+
+/**
+ * @typedef {Object} QueuedProof
+ * @property {bigint} jobId
+ * @property {import('../proofs').SignedProof} proof
+ */
+
+/**
+ * @typedef {Object} FailedProof
+ * @property {bigint} jobId
+ * @property {string} proofHash
+ * @property {string} reason - The revert string submitProofOfWork fails (or would fail) with
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} FlushPlan
+ * @property {QueuedProof[]} entries - Validated and within budget; what flush() sends next
+ * @property {FailedProof[]} failed - Would revert; dropped from the queue on flush
+ * @property {QueuedProof[]} deferred - Stay queued: a second proof for a session already in this flush, or over budget
+ * @property {bigint} perProofGas - Gas limit for each submitProofOfWork transaction
+ * @property {bigint} gasEstimate - Per-transaction estimate times the number of entries
+ * @property {bigint} maxFeePerGas
+ * @property {bigint} maxCost - gasEstimate * maxFeePerGas
+ */
+
+/**
+ * Nonce-pipelined proof queue. Collects signed proofs across sessions and
+ * sends each as its own submitProofOfWork transaction from the host's EOA,
+ * with consecutive nonces, broadcasting the next without waiting for the
+ * previous one to be mined. Proofs are checked first: offline with checkProof
+ * against the live session, then with ProofSystem.verifyBatchView, which also
+ * catches proof hashes already consumed. How many go out per flush comes from
+ * one submitProofOfWork gas estimate, within the gas and fee budgets at
+ * current fee data.
+ *
+ * This is not on-chain batching, and none is possible: submitProofOfWork
+ * requires msg.sender to be the session host, and ProofSystem ecrecovers the
+ * signature against that same msg.sender, so proofs cannot go through a
+ * multicall contract or a smart account. ProofSystem.verifyBatch only marks
+ * proofs as used; it does not credit sessions.
+ */
+class ProofQueue {
+    /**
+     * @param {Object} contracts - Clients from connectContracts; jobMarketplace connected to the host, and proofSystem
+     * @param {Object} [options]
+     * @param {number} [options.maxPerFlush] - Transactions in flight per flush (default 10)
+     * @param {bigint} [options.maxGasPerFlush]
+     * @param {bigint} [options.maxFeePerFlush] - Wei, at the current maxFeePerGas
+     */
+    constructor(contracts, options = {}) {
+        if (!contracts.proofSystem) throw new Error('ProofQueue needs the proofSystem client to validate proofs');
+        this.marketplace = contracts.jobMarketplace;
+        this.proofSystem = contracts.proofSystem;
+        this.maxPerFlush = options.maxPerFlush || 10;
+        this.maxGasPerFlush = options.maxGasPerFlush !== undefined ? BigInt(options.maxGasPerFlush) : null;
+        this.maxFeePerFlush = options.maxFeePerFlush !== undefined ? BigInt(options.maxFeePerFlush) : null;
+        this.provider = this.marketplace.runner.provider || this.marketplace.runner;
+        /** @type {QueuedProof[]} */
+        this.queue = [];
+    }
+
+    /**
+     * @param {bigint} jobId
+     * @param {import('../proofs').SignedProof} proof - From signProof, signed by the sender
+     * @returns {number} Proofs queued
+     */
+    add(jobId, proof) {
+        this.queue.push({ jobId: BigInt(jobId), proof });
+        return this.queue.length;
+    }
+
+    get size() {
+        return this.queue.length;
+    }
+
+    /**
+     * Address submitProofOfWork will be called from
+     * @returns {Promise<string>}
+     */
+    async sender() {
+        return this.marketplace.runner.getAddress();
+    }
+
+    /**
+     * Validate and size the next flush without sending anything
+     * @returns {Promise<FlushPlan>}
+     */
+    async plan() {
+        const sender = await this.sender();
+
+        // One proof per session per flush: the first moves lastProofTime to
+        // its block, and the rate limit would reject the next one in it
+        const candidates = [];
+        const deferred = [];
+        const sessions = new Set();
+        for (const entry of this.queue) {
+            const key = entry.jobId.toString();
+            if (sessions.has(key)) {
+                deferred.push(entry);
+            } else {
+                sessions.add(key);
+                candidates.push(entry);
+            }
+        }
+
+        const failed = [];
+        const now = (await this.provider.getBlock('latest')).timestamp;
+        const usedProofHashes = new Set();
+        let valid = [];
+        for (const entry of candidates) {
+            const session = await this.marketplace.getSession(entry.jobId);
+            const { errors } = checkProof(entry.proof, sender, { session, now, usedProofHashes });
+            if (errors.length) {
+                failed.push(failure(entry, errors[0], `Proof for session ${entry.jobId} would revert: ${errors.join(', ')}`));
+                continue;
+            }
+            usedProofHashes.add(entry.proof.proofHash.toLowerCase());
+            valid.push(entry);
+        }
+        valid = await this._verifyOnChain(valid, sender, failed);
+
+        const plan = { entries: [], failed, deferred, perProofGas: 0n, gasEstimate: 0n, maxFeePerGas: 0n, maxCost: 0n };
+        if (!valid.length) return plan;
+
+        // Every proof is its own transaction; sessions differ only in CID lengths
+        let single;
+        while (valid.length && single === undefined) {
+            try {
+                single = await this._estimateSubmit(valid[0], sender);
+            } catch (err) {
+                if (!(err instanceof FabstirError)) throw err;
+                failed.push(failure(valid.shift(), err.reason, err.message));
+            }
+        }
+        if (single === undefined) return plan;
+        const feeData = await this.provider.getFeeData();
+        const maxFeePerGas = feeData.maxFeePerGas || feeData.gasPrice;
+
+        let size = BigInt(Math.min(this.maxPerFlush, valid.length));
+        if (this.maxGasPerFlush !== null && single * size > this.maxGasPerFlush) size = this.maxGasPerFlush / single;
+        if (this.maxFeePerFlush !== null && single * size * maxFeePerGas > this.maxFeePerFlush) {
+            size = this.maxFeePerFlush / (single * maxFeePerGas);
+        }
+        const gasEstimate = single * size;
+
+        return {
+            entries: valid.slice(0, Number(size)),
+            failed,
+            deferred: [...valid.slice(Number(size)), ...deferred],
+            // Leave headroom for longer CIDs than the estimated proof's
+            perProofGas: (single * 12n) / 10n,
+            gasEstimate,
+            maxFeePerGas,
+            maxCost: gasEstimate * maxFeePerGas
+        };
+    }
+
+    /**
+     * Send the next round of proofs. Proofs that would revert are dropped and
+     * reported; deferred ones stay queued for the next flush.
+     * @returns {Promise<{ submitted: Object[], failed: FailedProof[], deferred: number, plan: FlushPlan }>}
+     *   submitted: { jobId, proofHash, tokensClaimed, transactionHash, blockNumber }
+     */
+    async flush() {
+        const planned = new Set(this.queue);
+        const plan = await this.plan();
+        const deferred = new Set(plan.deferred);
+        // Keep what was deferred and anything added while planning
+        this.queue = this.queue.filter((entry) => deferred.has(entry) || !planned.has(entry));
+
+        const failed = [...plan.failed];
+        const submitted = [];
+        if (plan.entries.length) {
+            const outcomes = await this._sendEach(plan.entries, plan.perProofGas);
+            for (const [i, outcome] of outcomes.entries()) {
+                const entry = plan.entries[i];
+                if (outcome.error) {
+                    const err = outcome.error;
+                    failed.push(failure(entry, err.reason, err.reason ? err.message : err.shortMessage || err.message));
+                } else {
+                    submitted.push({
+                        jobId: entry.jobId,
+                        proofHash: entry.proof.proofHash,
+                        tokensClaimed: entry.proof.tokensClaimed,
+                        transactionHash: outcome.hash,
+                        blockNumber: outcome.receipt.blockNumber
+                    });
+                }
+            }
+        }
+        return { submitted, failed, deferred: this.queue.length, plan };
+    }
+
+    // verifyBatchView also sees proof hashes consumed on-chain
+    async _verifyOnChain(entries, sender, failed) {
+        if (!entries.length) return entries;
+        const results = await this.proofSystem.verifyBatchView(
+            entries.map((e) => packProof(e.proof.proofHash, e.proof.signature)),
+            sender,
+            entries.map((e) => e.proof.tokensClaimed)
+        );
+        const valid = [];
+        for (const [i, entry] of entries.entries()) {
+            if (results[i]) {
+                valid.push(entry);
+                continue;
+            }
+            const used = await this.proofSystem.isProofUsed(entry.proof.proofHash);
+            failed.push(failure(entry, 'Invalid proof signature', used
+                ? `Proof ${entry.proof.proofHash} for session ${entry.jobId} was already used`
+                : `ProofSystem rejects the signature on proof ${entry.proof.proofHash} for session ${entry.jobId}`));
+        }
+        return valid;
+    }
+
+    async _estimateSubmit(entry, sender) {
+        const { gasEstimate } = await this.marketplace.simulate().submitProof(entry.jobId, entry.proof, { from: sender });
+        return gasEstimate;
+    }
+
+    // Consecutive nonces and fixed gas limits, so one revert cannot leave a
+    // nonce gap. Each is broadcast only once the one before it was accepted; a
+    // send that fails before broadcast takes no nonce and the next proof reuses it.
+    async _sendEach(entries, gasLimit) {
+        const signer = this.marketplace.runner;
+        const populated = this.marketplace.populate();
+        let nonce = await this.provider.getTransactionCount(await this.sender(), 'pending');
+        const sent = [];
+        for (const entry of entries) {
+            const { call } = await populated.submitProof(entry.jobId, entry.proof);
+            try {
+                sent.push({ tx: await signer.sendTransaction({ ...call, nonce, gasLimit }) });
+                nonce++;
+            } catch (err) {
+                sent.push({ error: submitError(err, entry) });
+            }
+        }
+        return Promise.all(sent.map(async ({ tx, error }, i) => {
+            if (error) return { error };
+            try {
+                const receipt = await tx.wait();
+                return { hash: tx.hash, receipt, events: this.marketplace.parseEvents(receipt) };
+            } catch (err) {
+                return { error: submitError(err, entries[i]) };
+            }
+        }));
+    }
+}
+
+function submitError(err, entry) {
+    return decodeError(err, {
+        contract: 'JobMarketplace',
+        method: 'submitProofOfWork',
+        params: { jobId: entry.jobId, tokensClaimed: entry.proof.tokensClaimed, proofHash: entry.proof.proofHash }
+    });
+}
+
+function failure(entry, reason, message) {
+    return { jobId: entry.jobId, proofHash: entry.proof.proofHash, reason, message: message || reason };
+}
+
+module.exports = { ProofQueue };
@@ -0,0 +1,91 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { BaseClient, findEvent } = require('./clients/BaseClient');
+const { connectContracts } = require('./contracts');
+const { loadConfig, loadSigner, createProvider, connect, PROFILES } = require('./config');
+const { JobMarketplaceClient } = require('./clients/JobMarketplaceClient');
+const { NodeRegistryClient } = require('./clients/NodeRegistryClient');
+const { ModelRegistryClient, computeModelId } = require('./clients/ModelRegistryClient');
+const { HostEarningsClient } = require('./clients/HostEarningsClient');
+const { ProofSystemClient } = require('./clients/ProofSystemClient');
+const { ERC20Client } = require('./clients/ERC20Client');
+const { EventIndexer, INDEXED_EVENTS } = require('./indexer/EventIndexer');
+const { IndexStore } = require('./indexer/IndexStore');
+const { HostDaemon, InMemoryTokenSource } = require('./host/HostDaemon');
+const { HostDiscovery, quoteSession } = require('./discovery/HostDiscovery');
+const { Preflight } = require('./preflight/Preflight');
+const { ModelGovernance, hashModelFile } = require('./governance/ModelGovernance');
+const { DepositManager } = require('./deposits/DepositManager');
+const { ChainInfo, loadChainInfo } = require('./chains/ChainInfo');
+const { ChainManager } = require('./chains/ChainManager');
+const { DeploymentVerifier, findStaleReferences } = require('./deployments/DeploymentVerifier');
+const { SlashingWorkflow } = require('./slashing/SlashingWorkflow');
+const { ProofStorage } = require('./storage/ProofStorage');
+const { ProofQueue } = require('./host/ProofQueue');
+const { HostProfile, parseHostConfig, METADATA_SCHEMA } = require('./host/HostProfile');
+const { EarningsReport, toCsv } = require('./reports/EarningsReport');
+const { MemoryStore, FileStore, computeCid, verifyCid } = require('./storage/ContentStore');
+const { SmartAccount, getUserOpHash, encodeAccountCalls, ENTRY_POINT_ADDRESS } = require('./account/SmartAccount');
+const { withRetry, isRetryableTxError } = require('./retry');
+const errors = require('./errors');
+const proofs = require('./proofs');
+const settlement = require('./settlement');
+const abis = require('./abis');
+const constants = require('./constants');
+
+module.exports = {
+    connect,
+    connectContracts,
+    loadConfig,
+    loadSigner,
+    createProvider,
+    PROFILES,
+    BaseClient,
+    JobMarketplaceClient,
+    NodeRegistryClient,
+    ModelRegistryClient,
+    HostEarningsClient,
+    ProofSystemClient,
+    ERC20Client,
+    EventIndexer,
+    IndexStore,
+    INDEXED_EVENTS,
+    HostDaemon,
+    InMemoryTokenSource,
+    HostDiscovery,
+    quoteSession,
+    Preflight,
+    ModelGovernance,
+    DepositManager,
+    ChainInfo,
+    ChainManager,
+    loadChainInfo,
+    DeploymentVerifier,
+    findStaleReferences,
+    SlashingWorkflow,
+    ProofStorage,
+    ProofQueue,
+    HostProfile,
+    parseHostConfig,
+    METADATA_SCHEMA,
+    EarningsReport,
+    toCsv,
+    MemoryStore,
+    FileStore,
+    computeCid,
+    verifyCid,
+    SmartAccount,
+    getUserOpHash,
+    encodeAccountCalls,
+    ENTRY_POINT_ADDRESS,
+    hashModelFile,
+    withRetry,
+    isRetryableTxError,
+    computeModelId,
+    findEvent,
+    abis,
+    ...proofs,
+    ...settlement,
+    ...errors,
+    ...constants
+};
@@ -0,0 +1,178 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { JobMarketplaceABI, HostEarningsABI, NodeRegistryABI } = require('../abis');
+const { JobMarketplaceClient } = require('../clients/JobMarketplaceClient');
+
+// Events materialized by IndexStore, per contract
+const INDEXED_EVENTS = {
+    jobMarketplace: [
+        'SessionJobCreated',
+        'SessionJobCreatedForModel',
+        'SessionCreatedByDepositor',
+        'ProofSubmitted',
+        'SessionCompleted',
+        'SessionCompletedBy',
+        'SessionTimedOut',
+        'DepositReceived',
+        'WithdrawalProcessed',
+        'TreasuryWithdrawal'
+    ],
+    hostEarnings: ['EarningsCredited', 'EarningsWithdrawn'],
+    nodeRegistry: ['NodeRegistered', 'NodeUnregistered', 'SlashExecuted']
+};
+
+const ABIS = {
+    jobMarketplace: JobMarketplaceABI,
+    hostEarnings: HostEarningsABI,
+    nodeRegistry: NodeRegistryABI
+};
+
+/**
+ * Backfills and follows JobMarketplace, HostEarnings and NodeRegistry logs into
+ * an IndexStore. Only blocks `confirmations` deep are indexed, and the last
+ * checkpoint's hash is re-checked before every sync so a reorg rewinds the
+ * store to the fork point instead of leaving orphaned events behind.
+ */
+class EventIndexer {
+    /**
+     * @param {Object} options
+     * @param {ethers.Provider} options.provider
+     * @param {import('../contracts').ContractAddresses} options.contracts - jobMarketplace required; hostEarnings and nodeRegistry optional
+     * @param {import('./IndexStore').IndexStore} options.store
+     * @param {number} [options.startBlock] - First block to backfill from (deployment block)
+     * @param {number} [options.confirmations] - Blocks to stay behind head (default 5)
+     * @param {number} [options.batchSize] - Max blocks per eth_getLogs call (default 2000)
+     * @param {boolean} [options.enrich] - Read sessionJobs() on creation to capture paymentToken and pricePerToken (default true)
+     */
+    constructor(options) {
+        if (!options.contracts.jobMarketplace) {
+            throw new Error('EventIndexer needs at least the jobMarketplace address');
+        }
+        this.provider = options.provider;
+        this.store = options.store;
+        this.startBlock = options.startBlock || 0;
+        this.confirmations = options.confirmations !== undefined ? options.confirmations : 5;
+        this.batchSize = options.batchSize || 2000;
+        this.enrich = options.enrich !== false;
+
+        this.sources = {};
+        for (const key of Object.keys(INDEXED_EVENTS)) {
+            const address = options.contracts[key];
+            if (!address) continue;
+            this.sources[ethers.getAddress(address).toLowerCase()] = { key, iface: new ethers.Interface(ABIS[key]) };
+        }
+        this.marketplace = new JobMarketplaceClient(options.contracts.jobMarketplace, this.provider);
+
+        const topics = [];
+        for (const { key, iface } of Object.values(this.sources)) {
+            for (const name of INDEXED_EVENTS[key]) topics.push(iface.getEvent(name).topicHash);
+        }
+        this.filter = { address: Object.keys(this.sources), topics: [topics] };
+        this._timer = null;
+    }
+
+    /**
+     * Index every confirmed block since the last checkpoint
+     * @returns {Promise<{ fromBlock: number, toBlock: number, events: import('./IndexStore').EventRecord[], reorg: number|null }>}
+     *   `reorg` is the block the store was rewound to, if a reorg was detected
+     */
+    async sync() {
+        const reorg = await this._checkReorg();
+        const checkpoint = this.store.lastCheckpoint;
+        const fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock;
+        const head = await this.provider.getBlockNumber();
+        const toBlock = head - this.confirmations;
+
+        const events = [];
+        for (let start = fromBlock; start <= toBlock; start += this.batchSize) {
+            const end = Math.min(start + this.batchSize - 1, toBlock);
+            const records = await this._fetch(start, end);
+            const block = await this.provider.getBlock(end);
+            this.store.append(records, { blockNumber: end, blockHash: block.hash });
+            events.push(...records);
+        }
+        if (fromBlock <= toBlock || reorg !== null) this.store.save();
+
+        return { fromBlock, toBlock, events, reorg };
+    }
+
+    /**
+     * Keep syncing on an interval until the returned function is called
+     * @param {Object} options
+     * @param {number} [options.intervalMs] - Default 4000
+     * @param {(result: Object) => void} [options.onSync] - Called after each sync that found events or a reorg
+     * @param {(err: Error) => void} options.onError - Receives failed syncs; polling continues
+     * @returns {() => void} stop
+     */
+    follow(options = {}) {
+        if (typeof options.onError !== 'function') throw new Error('follow needs an onError handler for failed syncs');
+        const intervalMs = options.intervalMs || 4000;
+        const onError = options.onError;
+        let stopped = false;
+
+        const tick = async () => {
+            try {
+                const result = await this.sync();
+                if (options.onSync && (result.events.length || result.reorg !== null)) options.onSync(result);
+            } catch (err) {
+                onError(err);
+            }
+            if (!stopped) this._timer = setTimeout(tick, intervalMs);
+        };
+        tick();
+
+        return () => {
+            stopped = true;
+            clearTimeout(this._timer);
+        };
+    }
+
+    // Walk back through stored checkpoints until one still matches the chain
+    async _checkReorg() {
+        const { checkpoints } = this.store;
+        for (let i = checkpoints.length - 1; i >= 0; i--) {
+            const block = await this.provider.getBlock(checkpoints[i].blockNumber);
+            if (block && block.hash === checkpoints[i].blockHash) {
+                if (i === checkpoints.length - 1) return null;
+                this.store.rewind(checkpoints[i].blockNumber);
+                return checkpoints[i].blockNumber;
+            }
+        }
+        if (!checkpoints.length) return null;
+
+        // Deeper than the checkpoint window: start over
+        this.store.rewind(this.startBlock - 1);
+        return this.startBlock - 1;
+    }
+
+    async _fetch(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({ ...this.filter, fromBlock, toBlock });
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+        const records = [];
+        for (const log of logs) {
+            const source = this.sources[log.address.toLowerCase()];
+            if (!source) continue;
+            const parsed = source.iface.parseLog({ topics: log.topics, data: log.data });
+            if (!parsed) continue;
+            const record = {
+                contract: source.key,
+                name: parsed.name,
+                args: parsed.args.toObject(),
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                transactionHash: log.transactionHash,
+                logIndex: log.index
+            };
+            if (this.enrich && parsed.name === 'SessionJobCreated') {
+                const { paymentToken, pricePerToken } = await this.marketplace.getSession(record.args.jobId);
+                record.session = { paymentToken, pricePerToken };
+            }
+            records.push(record);
+        }
+        return records;
+    }
+}
+
+module.exports = { EventIndexer, INDEXED_EVENTS };
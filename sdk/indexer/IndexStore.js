@@ -0,0 +1,369 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { readJsonFile, writeJsonFile } = require('../jsonFile');
+
+// Block hashes kept for reorg detection; a reorg deeper than this forces a full resync
+const DEFAULT_CHECKPOINT_DEPTH = 128;
+
+/**
+ * @typedef {Object} EventRecord
+ * @property {string} contract - 'jobMarketplace' | 'hostEarnings' | 'nodeRegistry'
+ * @property {string} name - Event name
+ * @property {Object} args - Decoded arguments keyed by name
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {Object} [session] - sessionJobs() snapshot attached to SessionJobCreated
+ */
+
+/**
+ * @typedef {Object} IndexedSession
+ * @property {bigint} jobId
+ * @property {string} depositor
+ * @property {string} host
+ * @property {bigint} deposit
+ * @property {string|null} modelId
+ * @property {string|null} paymentToken - null when the indexer ran without enrichment
+ * @property {bigint|null} pricePerToken
+ * @property {string} status - 'Active' | 'Completed' | 'TimedOut'
+ * @property {bigint} tokensUsed - Sum of proven tokens
+ * @property {Object[]} proofs
+ * @property {Object|null} settlement - { completedBy, tokensUsed, hostPayment, treasuryFee, hostEarnings, userRefund, ... }
+ * @property {number} createdBlock
+ */
+
+const lower = (address) => address.toLowerCase();
+
+function pushIndex(index, key, value) {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(value);
+}
+
+/**
+ * Local store for indexed contract events. The ordered event log and recent
+ * block checkpoints are the source of truth; sessions, earnings and nodes are
+ * views rebuilt from the log, so rewinding after a reorg is just truncation.
+ */
+class IndexStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.path] - JSON file to persist to; in-memory only when omitted
+     * @param {number} [options.checkpointDepth]
+     */
+    constructor(options = {}) {
+        this.path = options.path || null;
+        this.checkpointDepth = options.checkpointDepth || DEFAULT_CHECKPOINT_DEPTH;
+        /** @type {EventRecord[]} */
+        this.events = [];
+        /** @type {{ blockNumber: number, blockHash: string }[]} */
+        this.checkpoints = [];
+        this._rebuild();
+
+        const saved = this.path ? readJsonFile(this.path) : null;
+        if (saved) {
+            this.events = saved.events;
+            this.checkpoints = saved.checkpoints;
+            this._rebuild();
+        }
+    }
+
+    /**
+     * Last fully indexed block, or null before the first sync
+     * @returns {{ blockNumber: number, blockHash: string }|null}
+     */
+    get lastCheckpoint() {
+        return this.checkpoints.length ? this.checkpoints[this.checkpoints.length - 1] : null;
+    }
+
+    /**
+     * Append the events for a block range and record its last block
+     * @param {EventRecord[]} records - In chain order
+     * @param {{ blockNumber: number, blockHash: string }} checkpoint
+     */
+    append(records, checkpoint) {
+        for (const record of records) {
+            this.events.push(record);
+            this._apply(record);
+        }
+        this.checkpoints.push(checkpoint);
+        if (this.checkpoints.length > this.checkpointDepth) {
+            this.checkpoints.splice(0, this.checkpoints.length - this.checkpointDepth);
+        }
+    }
+
+    /**
+     * Drop everything after `blockNumber` (the last block known to be canonical)
+     * @param {number} blockNumber
+     */
+    rewind(blockNumber) {
+        this.events = this.events.filter((e) => e.blockNumber <= blockNumber);
+        this.checkpoints = this.checkpoints.filter((c) => c.blockNumber <= blockNumber);
+        this._rebuild();
+    }
+
+    /** Write events and checkpoints to `path`, atomically */
+    save() {
+        if (!this.path) return;
+        writeJsonFile(this.path, { checkpoints: this.checkpoints, events: this.events });
+    }
+
+    // ============================================================
+    // Queries
+    // ============================================================
+
+    /**
+     * @param {bigint} jobId
+     * @returns {IndexedSession|undefined}
+     */
+    getSession(jobId) {
+        return this.sessions.get(BigInt(jobId).toString());
+    }
+
+    /** @returns {IndexedSession[]} In creation order */
+    getSessions() {
+        return [...this.sessions.values()];
+    }
+
+    /** @returns {IndexedSession[]} */
+    getSessionsByHost(host) {
+        return this._lookup(this.sessionsByHost, lower(host));
+    }
+
+    /** @returns {IndexedSession[]} */
+    getSessionsByDepositor(depositor) {
+        return this._lookup(this.sessionsByDepositor, lower(depositor));
+    }
+
+    /** @returns {IndexedSession[]} */
+    getSessionsByModel(modelId) {
+        return this._lookup(this.sessionsByModel, lower(modelId));
+    }
+
+    /**
+     * Credits, withdrawals and current balance per token for a host
+     * @param {string} host
+     * @returns {Object<string, { credited: bigint, withdrawn: bigint, balance: bigint, history: Object[] }>} Keyed by token address
+     */
+    getEarnings(host) {
+        return this.earnings.get(lower(host)) || {};
+    }
+
+    /**
+     * Accounts that ever used the deposit balance (DepositReceived)
+     * @returns {string[]}
+     */
+    getDepositors() {
+        return [...this.depositors.values()];
+    }
+
+    /**
+     * Hosts that were ever credited earnings
+     * @returns {string[]}
+     */
+    getEarningHosts() {
+        return [...this.earningHosts.values()];
+    }
+
+    /**
+     * metadata, models and registeredBlock are null for a host that registered
+     * before the indexed range and was first seen in a later event
+     * @param {string} host
+     * @returns {{ operator: string, stakedAmount: bigint, metadata: string|null, models: string[]|null, active: boolean,
+     *   registeredBlock: number|null, slashes: Object[] }|undefined}
+     */
+    getNode(host) {
+        return this.nodes.get(lower(host));
+    }
+
+    /**
+     * @param {Object} [filter]
+     * @param {string} [filter.name]
+     * @param {string} [filter.contract]
+     * @param {bigint} [filter.jobId]
+     * @returns {EventRecord[]}
+     */
+    getEvents(filter = {}) {
+        return this.events.filter((e) =>
+            (!filter.name || e.name === filter.name) &&
+            (!filter.contract || e.contract === filter.contract) &&
+            (filter.jobId === undefined || (e.args.jobId !== undefined && e.args.jobId === BigInt(filter.jobId)))
+        );
+    }
+
+    // ============================================================
+    // Materialized views
+    // ============================================================
+
+    _lookup(index, key) {
+        return (index.get(key) || []).map((id) => this.sessions.get(id));
+    }
+
+    _rebuild() {
+        this.sessions = new Map();
+        this.sessionsByHost = new Map();
+        this.sessionsByDepositor = new Map();
+        this.sessionsByModel = new Map();
+        this.earnings = new Map();
+        this.earningHosts = new Map();
+        this.depositors = new Map();
+        this.nodes = new Map();
+        for (const record of this.events) this._apply(record);
+    }
+
+    _apply(record) {
+        const { name, args } = record;
+        switch (name) {
+            case 'SessionJobCreated':
+            case 'SessionCreatedByDepositor':
+                this._ensureSession(record, args.jobId !== undefined ? args.jobId : args.sessionId);
+                break;
+            case 'SessionJobCreatedForModel': {
+                const session = this._ensureSession(record, args.jobId);
+                session.modelId = args.modelId;
+                pushIndex(this.sessionsByModel, lower(args.modelId), args.jobId.toString());
+                break;
+            }
+            case 'ProofSubmitted': {
+                const session = this.sessions.get(args.jobId.toString());
+                if (!session) break;
+                session.tokensUsed += args.tokensClaimed;
+                session.proofs.push({
+                    tokensClaimed: args.tokensClaimed,
+                    proofHash: args.proofHash,
+                    proofCID: args.proofCID,
+                    deltaCID: args.deltaCID,
+                    blockNumber: record.blockNumber,
+                    transactionHash: record.transactionHash
+                });
+                break;
+            }
+            case 'SessionCompleted':
+            case 'SessionCompletedBy': {
+                const session = this.sessions.get(args.jobId.toString());
+                if (!session) break;
+                const settlement = session.settlement || {
+                    blockNumber: record.blockNumber,
+                    transactionHash: record.transactionHash
+                };
+                if (name === 'SessionCompleted') {
+                    settlement.tokensUsed = args.totalTokensUsed;
+                    settlement.hostEarnings = args.hostEarnings;
+                    settlement.userRefund = args.userRefund;
+                } else {
+                    settlement.completedBy = args.completedBy;
+                    settlement.hostPayment = args.paymentAmount;
+                    settlement.userRefund = args.refundAmount;
+                }
+                if (settlement.hostPayment !== undefined && settlement.hostEarnings !== undefined) {
+                    settlement.treasuryFee = settlement.hostPayment - settlement.hostEarnings;
+                }
+                session.settlement = settlement;
+                session.status = 'Completed';
+                break;
+            }
+            case 'SessionTimedOut': {
+                const session = this.sessions.get(args.jobId.toString());
+                if (session) session.status = 'TimedOut';
+                break;
+            }
+            case 'EarningsCredited':
+            case 'EarningsWithdrawn': {
+                const byToken = this.earnings.get(lower(args.host)) || {};
+                const entry = byToken[args.token] || { credited: 0n, withdrawn: 0n, balance: 0n, history: [] };
+                if (name === 'EarningsCredited') {
+                    entry.credited += args.amount;
+                    entry.balance = args.newBalance;
+                } else {
+                    entry.withdrawn += args.amount;
+                    entry.balance = args.remainingBalance;
+                }
+                entry.history.push({
+                    type: name === 'EarningsCredited' ? 'credit' : 'withdrawal',
+                    amount: args.amount,
+                    blockNumber: record.blockNumber,
+                    transactionHash: record.transactionHash
+                });
+                byToken[args.token] = entry;
+                this.earnings.set(lower(args.host), byToken);
+                this.earningHosts.set(lower(args.host), args.host);
+                break;
+            }
+            case 'DepositReceived':
+                this.depositors.set(lower(args.depositor), args.depositor);
+                break;
+            case 'NodeRegistered':
+                this.nodes.set(lower(args.operator), {
+                    operator: args.operator,
+                    stakedAmount: args.stakedAmount,
+                    metadata: args.metadata,
+                    models: [...args.models],
+                    active: true,
+                    registeredBlock: record.blockNumber,
+                    slashes: (this.nodes.get(lower(args.operator)) || { slashes: [] }).slashes
+                });
+                break;
+            case 'NodeUnregistered': {
+                const node = this._ensureNode(args.operator);
+                node.active = false;
+                node.stakedAmount = 0n;
+                break;
+            }
+            case 'SlashExecuted': {
+                const node = this._ensureNode(args.host);
+                node.stakedAmount = args.remainingStake;
+                node.slashes.push({
+                    amount: args.amount,
+                    remainingStake: args.remainingStake,
+                    evidenceCID: args.evidenceCID,
+                    reason: args.reason,
+                    executor: args.executor,
+                    timestamp: args.timestamp,
+                    blockNumber: record.blockNumber,
+                    transactionHash: record.transactionHash
+                });
+                break;
+            }
+        }
+    }
+
+    _ensureNode(operator) {
+        const key = lower(operator);
+        let node = this.nodes.get(key);
+        if (node) return node;
+
+        // Registered before the indexed range: only later events are known
+        node = { operator, stakedAmount: 0n, metadata: null, models: null, active: true, registeredBlock: null, slashes: [] };
+        this.nodes.set(key, node);
+        return node;
+    }
+
+    _ensureSession(record, jobId) {
+        const key = jobId.toString();
+        let session = this.sessions.get(key);
+        if (session) return session;
+
+        const { args } = record;
+        const snapshot = record.session || {};
+        session = {
+            jobId,
+            depositor: args.depositor,
+            host: args.host,
+            deposit: args.deposit,
+            modelId: null,
+            paymentToken: snapshot.paymentToken || null,
+            pricePerToken: snapshot.pricePerToken !== undefined ? snapshot.pricePerToken : null,
+            status: 'Active',
+            tokensUsed: 0n,
+            proofs: [],
+            settlement: null,
+            createdBlock: record.blockNumber
+        };
+        this.sessions.set(key, session);
+        pushIndex(this.sessionsByHost, lower(args.host), key);
+        pushIndex(this.sessionsByDepositor, lower(args.depositor), key);
+        return session;
+    }
+}
+
+module.exports = { IndexStore };
@@ -0,0 +1,37 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const fs = require('fs');
+const path = require('path');
+
+// JSON cannot hold bigint; tag them so a reload restores exact values
+function replacer(key, value) {
+    return typeof value === 'bigint' ? { $bigint: value.toString() } : value;
+}
+
+function reviver(key, value) {
+    return value && typeof value === 'object' && typeof value.$bigint === 'string' ? BigInt(value.$bigint) : value;
+}
+
+/**
+ * Read a file written by writeJsonFile, restoring bigints
+ * @param {string} file
+ * @returns {*} null when the file does not exist
+ */
+function readJsonFile(file) {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'), reviver);
+}
+
+/**
+ * Write JSON atomically (temp file + rename), tagging bigints
+ * @param {string} file
+ * @param {*} data
+ */
+function writeJsonFile(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, replacer));
+    fs.renameSync(tmp, file);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
@@ -0,0 +1,281 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const {
+    NATIVE_TOKEN,
+    MIN_PROVEN_TOKENS,
+    MIN_DEPOSIT_NATIVE,
+    MAX_DEPOSIT_NATIVE,
+    MAX_SESSION_DURATION,
+    TIMEOUT_PROOF_INTERVALS,
+    isNativeToken
+} = require('../constants');
+const { ERC20Client } = require('../clients/ERC20Client');
+const { maxProvableTokens } = require('../settlement');
+const { checkProof, MAX_TOKENS_PER_SECOND } = require('../proofs');
+const { precheckError } = require('../errors');
+
+/**
+ * Checks the common revert conditions of JobMarketplace calls with view calls
+ * before anything is sent. Each check throws the same typed error the revert
+ * would decode to, with a message naming the offending values, and resolves
+ * with what it looked up when the call should succeed.
+ */
+class Preflight {
+    /**
+     * @param {Object} contracts - Clients from connectContracts (jobMarketplace, nodeRegistry; proofSystem optional)
+     * @param {Object} [options]
+     * @param {import('../chains/ChainInfo').ChainInfo} [options.chain] - Per-chain native limits and amount
+     *   formatting for deposit messages; token limits are always read fresh
+     */
+    constructor(contracts, options = {}) {
+        this.marketplace = contracts.jobMarketplace;
+        this.nodeRegistry = contracts.nodeRegistry;
+        this.proofSystem = contracts.proofSystem;
+        this.chain = options.chain;
+    }
+
+    /**
+     * Check a createSession / createSessionFromDeposit call
+     * @param {import('../clients/JobMarketplaceClient').SessionParams & { fromDeposit?: boolean, depositBalance?: bigint }} params -
+     *   `pricePerToken` may be omitted to use the host's minimum; `depositBalance` checks a balance about to be topped up
+     *   instead of the current one
+     * @param {string} account - The depositor that will send the transaction
+     * @returns {Promise<{ method: string, pricePerToken: bigint, minPrice: bigint, maxTokens: bigint }>}
+     */
+    async createSession(params, account) {
+        const { host, deposit, maxDuration, proofInterval, fromDeposit } = params;
+        const token = params.token || NATIVE_TOKEN;
+        const native = isNativeToken(token);
+        // createSessionFromDeposit is model-agnostic and prices by token only
+        const modelId = fromDeposit ? undefined : params.modelId;
+        const method = sessionMethod(native, modelId, fromDeposit);
+        const fail = failure(method, { host, token, deposit, pricePerToken: params.pricePerToken, maxDuration, proofInterval, modelId });
+
+        await this._checkNotPaused(method);
+        if (maxDuration <= 0n || maxDuration > MAX_SESSION_DURATION) {
+            throw fail('Invalid duration', `maxDuration of ${maxDuration}s is outside 1s to 365 days`);
+        }
+        if (proofInterval < MIN_PROVEN_TOKENS) {
+            throw fail('Proof interval too small', `proofInterval of ${proofInterval} is below the minimum of ${MIN_PROVEN_TOKENS} tokens`);
+        }
+
+        let minDeposit = this.chain ? this.chain.native.minDeposit : MIN_DEPOSIT_NATIVE;
+        let maxDeposit = this.chain ? this.chain.native.maxDeposit : MAX_DEPOSIT_NATIVE;
+        if (!native) {
+            const limits = await this.marketplace.getTokenLimits(token);
+            if (!limits.accepted) throw fail('Token not accepted', `${token} is not an accepted payment token`);
+            if (limits.minDeposit === 0n) throw fail('Token not configured', `${token} has no minimum deposit configured`);
+            if (limits.maxDeposit === 0n) throw fail('Token max deposit not configured', `${token} has no maximum deposit configured`);
+            ({ minDeposit, maxDeposit } = limits);
+        }
+        const amount = (value) => (this.chain ? this.chain.formatAmount(value, token) : value);
+        if (deposit < minDeposit) {
+            throw fail('Insufficient deposit', `Deposit ${amount(deposit)} is below the minimum of ${amount(minDeposit)}`, { minDeposit });
+        }
+        if (deposit > maxDeposit) {
+            throw fail('Deposit too large', `Deposit ${amount(deposit)} is above the maximum of ${amount(maxDeposit)}`, { maxDeposit });
+        }
+
+        const node = await this.nodeRegistry.getNode(host);
+        if (node.operator === ethers.ZeroAddress) throw fail('Host not registered', `${host} is not registered in NodeRegistry`);
+        if (!node.active) throw fail('Host not active', `${host} is registered but not active`);
+
+        let minPrice;
+        if (modelId) {
+            if (!(await this.nodeRegistry.nodeSupportsModel(host, modelId))) {
+                throw fail('Host does not support model', `${host} does not serve model ${modelId}`);
+            }
+            minPrice = await this.nodeRegistry.getModelPricing(host, modelId, token);
+        } else {
+            minPrice = await this.nodeRegistry.getNodePricing(host, token);
+        }
+        const pricePerToken = params.pricePerToken !== undefined ? BigInt(params.pricePerToken) : minPrice;
+        if (pricePerToken === 0n) throw fail('Invalid price', 'pricePerToken must be greater than zero');
+        if (pricePerToken < minPrice) {
+            throw fail(
+                modelId ? 'Price below host minimum for model' : 'Price below host minimum',
+                `Price ${pricePerToken} is below the host minimum of ${minPrice}${modelId ? ' for this model' : ''}`,
+                { minPrice }
+            );
+        }
+
+        const maxTokens = maxProvableTokens(deposit, pricePerToken);
+        if (maxTokens < proofInterval) {
+            throw fail(
+                'Deposit too small for proof interval',
+                `Deposit covers ${maxTokens} tokens at price ${pricePerToken}, fewer than one proofInterval of ${proofInterval}`,
+                { maxTokens }
+            );
+        }
+
+        if (fromDeposit) {
+            const balance = params.depositBalance !== undefined
+                ? params.depositBalance
+                : await this.marketplace.getDepositBalance(account, token);
+            if (balance < deposit) {
+                throw fail(
+                    native ? 'Insufficient native balance' : 'Insufficient token balance',
+                    `Deposit balance of ${account} is ${balance}, below the session deposit of ${deposit}`,
+                    { balance }
+                );
+            }
+        } else if (!native) {
+            const balance = await new ERC20Client(token, this.marketplace.runner).balanceOf(account);
+            if (balance < deposit) {
+                throw fail('ERC20InsufficientBalance', `${account} holds ${balance} of ${token}, below the deposit of ${deposit}`, { balance });
+            }
+        }
+
+        return { method, pricePerToken, minPrice, maxTokens };
+    }
+
+    /**
+     * Check a submitProofOfWork call: session state, rate limit, deposit cap
+     * and the signature, as checkProof does, against live chain state
+     * @param {bigint} jobId
+     * @param {import('../proofs').SignedProof} proof
+     * @param {string} prover - The host that will send the transaction
+     * @returns {Promise<{ session: Object }>}
+     */
+    async submitProof(jobId, proof, prover) {
+        const method = 'submitProofOfWork';
+        const tokensClaimed = BigInt(proof.tokensClaimed);
+        const fail = failure(method, { jobId, tokensClaimed, proofHash: proof.proofHash, prover });
+
+        await this._checkNotPaused(method);
+        const [session, now] = await Promise.all([this._session(jobId, fail), this._now()]);
+        const used = this.proofSystem && await this.proofSystem.isProofUsed(proof.proofHash);
+        const usedProofHashes = new Set(used ? [proof.proofHash.toLowerCase()] : []);
+
+        const { errors } = checkProof(proof, prover, { session, now, usedProofHashes });
+        if (!errors.length) return { session };
+
+        const reason = errors[0];
+        const elapsed = now > session.lastProofTime ? now - session.lastProofTime : 0n;
+        const remaining = maxProvableTokens(session.deposit, session.pricePerToken) - session.tokensUsed;
+        switch (reason) {
+            case 'Session not active':
+                throw fail(reason, `Session ${jobId} is ${session.statusName}`);
+            case 'Only host can submit proof':
+                throw fail(reason, `${prover} is not the host of session ${jobId} (${session.host})`, { host: session.host });
+            case 'Excessive tokens claimed':
+                throw fail(
+                    reason,
+                    `Claimed ${tokensClaimed} tokens but at most ${elapsed * MAX_TOKENS_PER_SECOND} can be proven ${elapsed}s after the last proof`,
+                    { maxClaimable: elapsed * MAX_TOKENS_PER_SECOND, elapsed }
+                );
+            case 'Exceeds deposit':
+                throw fail(reason, `Claimed ${tokensClaimed} tokens but the deposit covers only ${remaining} more`, { remaining });
+            case 'Invalid proof signature':
+                throw fail(reason, used ? `proofHash ${proof.proofHash} was already used` : `Proof is not signed by ${prover}`);
+            default:
+                throw fail(reason, reason);
+        }
+    }
+
+    /**
+     * Check a completeSessionJob call
+     * @param {bigint} jobId
+     * @param {string} caller - Depositor or host
+     * @returns {Promise<{ session: Object }>}
+     */
+    async completeSession(jobId, caller) {
+        const fail = failure('completeSessionJob', { jobId, caller });
+        const session = await this._activeSession(jobId, fail);
+        const isDepositor = session.depositor.toLowerCase() === caller.toLowerCase();
+        if (!isDepositor && session.host.toLowerCase() !== caller.toLowerCase()) {
+            throw fail('Only depositor or host can complete', `${caller} is neither the depositor nor the host of session ${jobId}`);
+        }
+        if (!isDepositor) {
+            const [window, now] = await Promise.all([this.marketplace.disputeWindow(), this._now()]);
+            const readyAt = session.startTime + window;
+            if (now < readyAt) {
+                throw fail('Must wait dispute window', `The host can complete session ${jobId} from ${isoTime(readyAt)}`, { readyAt });
+            }
+        }
+        return { session };
+    }
+
+    /**
+     * Check a triggerSessionTimeout call
+     * @param {bigint} jobId
+     * @returns {Promise<{ session: Object }>}
+     */
+    async triggerTimeout(jobId) {
+        const fail = failure('triggerSessionTimeout', { jobId });
+        const [session, now] = await Promise.all([this._activeSession(jobId, fail), this._now()]);
+        const expiresAt = session.startTime + session.maxDuration;
+        const abandonedAt = session.lastProofTime + session.proofInterval * TIMEOUT_PROOF_INTERVALS;
+        // The contract requires strictly later than either deadline
+        const timeoutAt = (expiresAt < abandonedAt ? expiresAt : abandonedAt) + 1n;
+        if (now < timeoutAt) {
+            throw fail('Session not timed out', `Session ${jobId} can be timed out from ${isoTime(timeoutAt)}`, { timeoutAt });
+        }
+        return { session };
+    }
+
+    /**
+     * Check a withdrawNative / withdrawToken call against the deposit balance
+     * @param {string} account
+     * @param {string} token - address(0) for native
+     * @param {bigint} amount
+     * @returns {Promise<{ balance: bigint }>}
+     */
+    async withdrawDeposit(account, token, amount) {
+        const method = isNativeToken(token) ? 'withdrawNative' : 'withdrawToken';
+        const balance = await this.marketplace.getDepositBalance(account, token || NATIVE_TOKEN);
+        if (balance < amount) {
+            throw failure(method, { account, token, amount })(
+                'Insufficient balance',
+                `Cannot withdraw ${amount}: deposit balance of ${account} is ${balance}`,
+                { balance }
+            );
+        }
+        return { balance };
+    }
+
+    async _checkNotPaused(method) {
+        if (await this.marketplace.paused()) {
+            throw failure(method, {})('EnforcedPause', 'JobMarketplace is paused');
+        }
+    }
+
+    async _session(jobId, fail) {
+        const session = await this.marketplace.getSession(jobId);
+        // Unused ids read back as zeroed storage, which looks Active
+        if (session.depositor === ethers.ZeroAddress) throw fail('Session not active', `Session ${jobId} does not exist`);
+        return session;
+    }
+
+    async _activeSession(jobId, fail) {
+        const session = await this._session(jobId, fail);
+        if (session.statusName !== 'Active') throw fail('Session not active', `Session ${jobId} is ${session.statusName}`);
+        return session;
+    }
+
+    async _now() {
+        return BigInt((await this.marketplace.runner.provider.getBlock('latest')).timestamp);
+    }
+}
+
+function sessionMethod(native, modelId, fromDeposit) {
+    if (fromDeposit) return 'createSessionFromDeposit';
+    if (native) return modelId ? 'createSessionJobForModel' : 'createSessionJob';
+    return modelId ? 'createSessionJobForModelWithToken' : 'createSessionJobWithToken';
+}
+
+// Binds the method and call parameters so checks only name the reason and values
+function failure(method, params) {
+    return (reason, message, extra = {}) => precheckError(reason, message, {
+        contract: 'JobMarketplace',
+        method,
+        params: { ...params, ...extra }
+    });
+}
+
+function isoTime(seconds) {
+    return new Date(Number(seconds) * 1000).toISOString();
+}
+
+module.exports = { Preflight };
@@ -0,0 +1,150 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { MIN_PROVEN_TOKENS } = require('./constants');
+const { maxProvableTokens } = require('./settlement');
+
+// JobMarketplace rate limit: 1000 tokens/sec base * 2x buffer since lastProofTime
+const MAX_TOKENS_PER_SECOND = 2000n;
+const SIGNATURE_LENGTH = 65;
+
+/**
+ * @typedef {Object} SignedProof
+ * @property {bigint} tokensClaimed
+ * @property {string} proofHash - bytes32
+ * @property {string} signature - 65-byte r || s || v
+ * @property {string} proofCID
+ * @property {string} deltaCID
+ */
+
+/**
+ * Hash raw proof bytes into the bytes32 proofHash committed on-chain
+ * @param {ethers.BytesLike} proofData
+ * @returns {string}
+ */
+function computeProofHash(proofData) {
+    return ethers.keccak256(proofData);
+}
+
+/**
+ * The digest the host signs, as reconstructed by ProofSystemUpgradeable._verifyHostSignature:
+ * keccak256(abi.encodePacked(proofHash, prover, claimedTokens))
+ * @param {string} proofHash - bytes32
+ * @param {string} prover - Host address
+ * @param {bigint} claimedTokens
+ * @returns {string} bytes32 data hash (before the EIP-191 prefix)
+ */
+function proofDataHash(proofHash, prover, claimedTokens) {
+    return ethers.solidityPackedKeccak256(['bytes32', 'address', 'uint256'], [proofHash, prover, claimedTokens]);
+}
+
+/**
+ * Sign a proof with the host wallet and return the submitProofOfWork arguments.
+ * The contract verifies against msg.sender, so `signer` must be the session host.
+ * @param {ethers.Signer} signer - Host wallet
+ * @param {Object} params
+ * @param {bigint} params.tokensClaimed
+ * @param {string} [params.proofHash] - bytes32; derived from proofData when omitted
+ * @param {ethers.BytesLike} [params.proofData] - Raw proof bytes
+ * @param {string} [params.proofCID]
+ * @param {string} [params.deltaCID]
+ * @returns {Promise<SignedProof>}
+ */
+async function signProof(signer, params) {
+    const { tokensClaimed, proofCID = '', deltaCID = '' } = params;
+    let { proofHash } = params;
+    if (!proofHash) {
+        if (!params.proofData) throw new Error('signProof needs proofHash or proofData');
+        proofHash = computeProofHash(params.proofData);
+    }
+
+    const prover = await signer.getAddress();
+    // eth_sign / EIP-191: "\x19Ethereum Signed Message:\n32" || dataHash
+    const signature = await signer.signMessage(ethers.getBytes(proofDataHash(proofHash, prover, tokensClaimed)));
+
+    return { tokensClaimed: BigInt(tokensClaimed), proofHash, signature, proofCID, deltaCID };
+}
+
+/**
+ * The 97-byte proof ProofSystem receives: proofHash (32) || r (32) || s (32) || v (1)
+ * @param {string} proofHash
+ * @param {string} signature
+ * @returns {string}
+ */
+function packProof(proofHash, signature) {
+    return ethers.concat([proofHash, signature]);
+}
+
+/**
+ * Recover the address that signed a proof, or null if the signature is malformed
+ * @returns {string|null}
+ */
+function recoverProofSigner(proofHash, prover, claimedTokens, signature) {
+    try {
+        return ethers.verifyMessage(ethers.getBytes(proofDataHash(proofHash, prover, claimedTokens)), signature);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check offline whether submitProofOfWork would accept a proof, replicating the
+ * marketplace's require() checks and ProofSystem's signature verification.
+ * Messages match the contract's revert strings.
+ * @param {SignedProof} proof
+ * @param {string} prover - Address that will send the transaction (the host)
+ * @param {Object} [context]
+ * @param {import('./clients/JobMarketplaceClient').SessionJob} [context.session] - Enables session checks
+ * @param {bigint|number} [context.now] - Block timestamp to assume; defaults to wall clock
+ * @param {Set<string>} [context.usedProofHashes] - Already-consumed proof hashes, lower-case (replay check)
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function checkProof(proof, prover, context = {}) {
+    const errors = [];
+    const tokensClaimed = BigInt(proof.tokensClaimed);
+    const { session, usedProofHashes } = context;
+
+    // Same order as the require() checks in submitProofOfWork
+    if (session) {
+        if (Number(session.status) !== 0) errors.push('Session not active');
+        if (session.host.toLowerCase() !== prover.toLowerCase()) errors.push('Only host can submit proof');
+    }
+    if (tokensClaimed < MIN_PROVEN_TOKENS) errors.push('Must claim minimum tokens');
+    const signatureLengthOk = ethers.dataLength(proof.signature) === SIGNATURE_LENGTH;
+    if (!signatureLengthOk) errors.push('Invalid signature length');
+
+    if (session) {
+        const now = BigInt(context.now !== undefined ? context.now : Math.floor(Date.now() / 1000));
+        const elapsed = now > session.lastProofTime ? now - session.lastProofTime : 0n;
+        if (tokensClaimed > elapsed * MAX_TOKENS_PER_SECOND) errors.push('Excessive tokens claimed');
+
+        if (session.tokensUsed + tokensClaimed > maxProvableTokens(session.deposit, session.pricePerToken)) {
+            errors.push('Exceeds deposit');
+        }
+    }
+
+    if (signatureLengthOk) {
+        // ecrecover only accepts v of 27/28; anything else, a replayed hash or a
+        // different signer makes verifyAndMarkComplete return false
+        const v = ethers.getBytes(proof.signature)[64];
+        const signer = (v === 27 || v === 28)
+            ? recoverProofSigner(proof.proofHash, prover, tokensClaimed, proof.signature)
+            : null;
+        const replayed = usedProofHashes && usedProofHashes.has(proof.proofHash.toLowerCase());
+        if (!signer || signer.toLowerCase() !== prover.toLowerCase() || replayed) {
+            errors.push('Invalid proof signature');
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+    MAX_TOKENS_PER_SECOND,
+    computeProofHash,
+    proofDataHash,
+    signProof,
+    packProof,
+    recoverProofSigner,
+    checkProof
+};
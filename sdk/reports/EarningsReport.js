@@ -0,0 +1,283 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { isNativeToken } = require('../constants');
+const { ERC20Client } = require('../clients/ERC20Client');
+
+/**
+ * @typedef {Object} Period
+ * @property {Date|number} [from] - Inclusive; Date or unix seconds
+ * @property {Date|number} [to] - Exclusive
+ */
+
+/**
+ * @typedef {Object} StatementRow
+ * One host's settled sessions in one payment token
+ * @property {string} host
+ * @property {string} token - address(0) for native
+ * @property {number} sessions
+ * @property {bigint} tokensUsed
+ * @property {bigint} gross - Paid for proven tokens, before the treasury fee
+ * @property {bigint} fee - Treasury fee
+ * @property {bigint} net - Credited to the host in HostEarnings
+ */
+
+/**
+ * @typedef {Object} Discrepancy
+ * @property {string} token
+ * @property {string} contract - 'jobMarketplace' | 'hostEarnings'
+ * @property {string} check
+ * @property {bigint} expected
+ * @property {bigint} actual
+ * @property {bigint} difference - actual - expected; positive is a surplus
+ * @property {string} message
+ */
+
+function seconds(time) {
+    if (time === undefined || time === null) return null;
+    return time instanceof Date ? Math.floor(time.getTime() / 1000) : Number(time);
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV with a header line; bigints in base units
+ * @param {Object[]} rows
+ * @param {string[]} [columns] - Defaults to the first row's keys
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+    const header = columns || (rows.length ? Object.keys(rows[0]) : []);
+    return [header, ...rows.map((row) => header.map((column) => row[column]))]
+        .map((fields) => fields.map(csvField).join(','))
+        .join('\n') + '\n';
+}
+
+/**
+ * Host and treasury statements from an IndexStore, and a reconciliation of
+ * what JobMarketplace and HostEarnings hold against what they owe. Sync the
+ * EventIndexer first; sessions and depositors it has not seen are missing
+ * from statements and show up as a surplus when reconciling.
+ */
+class EarningsReport {
+    /**
+     * @param {import('../indexer/IndexStore').IndexStore} store
+     * @param {Object} contracts - Clients from connectContracts; jobMarketplace, plus hostEarnings to reconcile
+     * @param {Object} [options]
+     * @param {ethers.Provider} [options.provider] - Defaults to the marketplace runner's provider
+     */
+    constructor(store, contracts, options = {}) {
+        this.store = store;
+        this.marketplace = contracts.jobMarketplace;
+        this.hostEarnings = contracts.hostEarnings;
+        this.provider = options.provider || this.marketplace.runner.provider || this.marketplace.runner;
+        this._blockTimes = new Map();
+        this._paymentTokens = new Map();
+    }
+
+    /**
+     * Settled sessions in a period, one entry each
+     * @param {Period & { host?: string }} [options]
+     * @returns {Promise<Object[]>} { jobId, host, depositor, token, status, tokensUsed, gross, fee, net, refund, settledAt, blockNumber, transactionHash }
+     */
+    async settlements(options = {}) {
+        const from = seconds(options.from);
+        const to = seconds(options.to);
+        const sessions = options.host ? this.store.getSessionsByHost(options.host) : this.store.getSessions();
+
+        const settled = [];
+        for (const session of sessions) {
+            const { settlement } = session;
+            if (!settlement || settlement.hostPayment === undefined) continue;
+            const settledAt = await this._blockTime(settlement.blockNumber);
+            if ((from !== null && settledAt < from) || (to !== null && settledAt >= to)) continue;
+            settled.push({
+                jobId: session.jobId,
+                host: session.host,
+                depositor: session.depositor,
+                token: await this._paymentToken(session),
+                status: session.status,
+                tokensUsed: settlement.tokensUsed,
+                gross: settlement.hostPayment,
+                fee: settlement.treasuryFee,
+                net: settlement.hostEarnings,
+                refund: settlement.userRefund,
+                settledAt,
+                blockNumber: settlement.blockNumber,
+                transactionHash: settlement.transactionHash
+            });
+        }
+        return settled.sort((a, b) => a.blockNumber - b.blockNumber);
+    }
+
+    /**
+     * Sessions served, tokens, gross, fee and net per host and payment token
+     * @param {Period & { host?: string }} [options] - `host` limits the statement to one host
+     * @returns {Promise<{ period: { from: number|null, to: number|null }, rows: StatementRow[], sessions: Object[] }>}
+     */
+    async statement(options = {}) {
+        const sessions = await this.settlements(options);
+        const rows = new Map();
+        for (const s of sessions) {
+            const key = `${s.host.toLowerCase()}:${s.token}`;
+            const row = rows.get(key) || { host: s.host, token: s.token, sessions: 0, tokensUsed: 0n, gross: 0n, fee: 0n, net: 0n };
+            row.sessions++;
+            row.tokensUsed += s.tokensUsed;
+            row.gross += s.gross;
+            row.fee += s.fee;
+            row.net += s.net;
+            rows.set(key, row);
+        }
+        return {
+            period: { from: seconds(options.from), to: seconds(options.to) },
+            rows: [...rows.values()].sort((a, b) => a.host.localeCompare(b.host) || a.token.localeCompare(b.token)),
+            sessions
+        };
+    }
+
+    /**
+     * Fees accrued and withdrawn per token in a period, with the balance
+     * still held for the treasury now
+     * @param {Period} [options]
+     * @param {string[]} [tokens] - Also list these when nothing happened in them
+     * @returns {Promise<{ period: Object, rows: { token: string, sessions: number, accrued: bigint, withdrawn: bigint, balance: bigint }[], withdrawals: Object[] }>}
+     */
+    async treasuryStatement(options = {}, tokens = []) {
+        const from = seconds(options.from);
+        const to = seconds(options.to);
+        const rows = new Map(tokens.map((token) => [ethers.getAddress(token), { token: ethers.getAddress(token), sessions: 0, accrued: 0n, withdrawn: 0n }]));
+        const row = (token) => {
+            if (!rows.has(token)) rows.set(token, { token, sessions: 0, accrued: 0n, withdrawn: 0n });
+            return rows.get(token);
+        };
+
+        for (const s of await this.settlements(options)) {
+            row(s.token).sessions++;
+            row(s.token).accrued += s.fee;
+        }
+        const withdrawals = [];
+        for (const event of this.store.getEvents({ name: 'TreasuryWithdrawal' })) {
+            const time = await this._blockTime(event.blockNumber);
+            if ((from !== null && time < from) || (to !== null && time >= to)) continue;
+            row(event.args.token).withdrawn += event.args.amount;
+            withdrawals.push({ token: event.args.token, amount: event.args.amount, time, blockNumber: event.blockNumber, transactionHash: event.transactionHash });
+        }
+
+        const list = [...rows.values()];
+        const balances = await Promise.all(list.map((r) => this.marketplace.getTreasuryBalance(r.token)));
+        return {
+            period: { from, to },
+            rows: list.map((r, i) => ({ ...r, balance: balances[i] })),
+            withdrawals
+        };
+    }
+
+    /**
+     * Compare each contract's token balance with what it owes:
+     * JobMarketplace holds depositor balances, the full deposit of every active
+     * session (proofs move no funds until settlement) and unwithdrawn treasury
+     * fees; HostEarnings holds the outstanding host earnings, which must also
+     * equal the sum of host balances.
+     * @param {string[]} tokens - address(0) for native
+     * @returns {Promise<{ ok: boolean, tokens: Object[], discrepancies: Discrepancy[] }>}
+     */
+    async reconcile(tokens) {
+        tokens = tokens.map((t) => ethers.getAddress(t));
+        const zero = () => Object.fromEntries(tokens.map((t) => [t, 0n]));
+
+        const deposits = zero();
+        for (const depositor of this.store.getDepositors()) {
+            const balances = await this.marketplace.getDepositBalances(depositor, tokens);
+            tokens.forEach((t, i) => { deposits[t] += balances[i]; });
+        }
+
+        // The index may lag; the chain decides which sessions are still active
+        const locked = zero();
+        for (const indexed of this.store.getSessions()) {
+            if (indexed.status !== 'Active') continue;
+            const session = await this.marketplace.getSession(indexed.jobId);
+            const token = ethers.getAddress(session.paymentToken);
+            if (session.statusName === 'Active' && locked[token] !== undefined) locked[token] += session.deposit;
+        }
+
+        const hostBalances = zero();
+        if (this.hostEarnings) {
+            for (const host of this.store.getEarningHosts()) {
+                const balances = await this.hostEarnings.getBalances(host, tokens);
+                tokens.forEach((t, i) => { hostBalances[t] += balances[i]; });
+            }
+        }
+
+        const discrepancies = [];
+        const check = (token, contract, name, expected, actual) => {
+            if (actual === expected) return;
+            const difference = actual - expected;
+            discrepancies.push({
+                token,
+                contract,
+                check: name,
+                expected,
+                actual,
+                difference,
+                message: `${contract} ${name} for ${token}: expected ${expected}, found ${actual} (${difference > 0n ? 'surplus' : 'shortfall'} ${difference < 0n ? -difference : difference})`
+            });
+        };
+
+        const results = [];
+        for (const token of tokens) {
+            const treasury = await this.marketplace.getTreasuryBalance(token);
+            const marketplace = {
+                balance: await this._holdings(token, this.marketplace.address),
+                deposits: deposits[token],
+                locked: locked[token],
+                treasury
+            };
+            marketplace.expected = marketplace.deposits + marketplace.locked + marketplace.treasury;
+            marketplace.difference = marketplace.balance - marketplace.expected;
+            check(token, 'jobMarketplace', 'balance', marketplace.expected, marketplace.balance);
+
+            let hostEarnings = null;
+            if (this.hostEarnings) {
+                const { outstanding } = await this.hostEarnings.getTokenStats(token);
+                hostEarnings = {
+                    balance: await this._holdings(token, this.hostEarnings.address),
+                    outstanding,
+                    hostBalances: hostBalances[token]
+                };
+                hostEarnings.difference = hostEarnings.balance - outstanding;
+                check(token, 'hostEarnings', 'balance', outstanding, hostEarnings.balance);
+                check(token, 'hostEarnings', 'host balances', outstanding, hostEarnings.hostBalances);
+            }
+            results.push({ token, ok: !discrepancies.some((d) => d.token === token), marketplace, hostEarnings });
+        }
+        return { ok: discrepancies.length === 0, tokens: results, discrepancies };
+    }
+
+    async _holdings(token, account) {
+        return isNativeToken(token)
+            ? this.provider.getBalance(account)
+            : new ERC20Client(token, this.provider).balanceOf(account);
+    }
+
+    async _blockTime(blockNumber) {
+        if (!this._blockTimes.has(blockNumber)) {
+            this._blockTimes.set(blockNumber, (await this.provider.getBlock(blockNumber)).timestamp);
+        }
+        return this._blockTimes.get(blockNumber);
+    }
+
+    // Indexed without enrichment, sessions lack their payment token
+    async _paymentToken(session) {
+        if (session.paymentToken) return ethers.getAddress(session.paymentToken);
+        const key = session.jobId.toString();
+        if (!this._paymentTokens.has(key)) {
+            this._paymentTokens.set(key, ethers.getAddress((await this.marketplace.getSession(session.jobId)).paymentToken));
+        }
+        return this._paymentTokens.get(key);
+    }
+}
+
+module.exports = { EarningsReport, toCsv };
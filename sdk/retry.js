@@ -0,0 +1,70 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+
+// ethers error codes that say nothing about whether the call itself is valid
+const RETRYABLE_CODES = new Set([
+    'NONCE_EXPIRED',
+    'REPLACEMENT_UNDERPRICED',
+    'TRANSACTION_REPLACED',
+    'NETWORK_ERROR',
+    'SERVER_ERROR',
+    'TIMEOUT'
+]);
+
+// Node error strings that surface as UNKNOWN_ERROR / -32000 depending on the client
+const RETRYABLE_MESSAGES = /nonce too low|nonce has already been used|replacement transaction underpriced|already known|max fee per gas less than block base fee|transaction underpriced|intrinsic gas too low/i;
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [attempts] - Total tries including the first (default 5)
+ * @property {number} [baseDelayMs] - Delay before the first retry; doubles each time (default 1000)
+ * @property {number} [maxDelayMs] - Cap on a single delay (default 30000)
+ * @property {(err: Error) => boolean} [isRetryable] - Defaults to isRetryableTxError
+ * @property {(ms: number) => Promise<void>} [sleep]
+ * @property {(err: Error, attempt: number, delayMs: number) => void} [onRetry]
+ */
+
+/**
+ * True for nonce, fee and transport failures that are worth resending.
+ * Reverts (CALL_EXCEPTION) are never retried: the same call would fail again.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isRetryableTxError(err) {
+    if (!err) return false;
+    if (err.code === 'CALL_EXCEPTION') return false;
+    if (RETRYABLE_CODES.has(err.code)) return true;
+    const message = [err.message, err.shortMessage, err.error && err.error.message].filter(Boolean).join(' ');
+    return RETRYABLE_MESSAGES.test(message);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run `fn` until it succeeds, retrying retryable errors with exponential backoff.
+ * `fn` is called afresh each time, so a resent transaction picks up a new nonce and fees.
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {RetryOptions} [options]
+ * @returns {Promise<T>}
+ */
+async function withRetry(fn, options = {}) {
+    const attempts = options.attempts || 5;
+    const baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : 1000;
+    const maxDelayMs = options.maxDelayMs || 30000;
+    const isRetryable = options.isRetryable || isRetryableTxError;
+    const wait = options.sleep || sleep;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt >= attempts || !isRetryable(err)) throw err;
+            const delayMs = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+            if (options.onRetry) options.onRetry(err, attempt, delayMs);
+            await wait(delayMs);
+        }
+    }
+}
+
+module.exports = { withRetry, isRetryableTxError };
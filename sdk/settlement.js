@@ -0,0 +1,70 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { PRICE_PRECISION, BASIS_POINTS, NATIVE_TOKEN } = require('./constants');
+
+/**
+ * @typedef {Object} Settlement
+ * @property {bigint} tokensUsed
+ * @property {bigint} hostPayment - Gross cost of the proven tokens (SessionCompletedBy.paymentAmount)
+ * @property {bigint} treasuryFee - Accrued to accumulatedTreasury{Native,Tokens}
+ * @property {bigint} hostEarnings - Net amount credited in HostEarnings (SessionCompleted.hostEarnings)
+ * @property {bigint} userRefund - Returned to the depositor
+ * @property {string} paymentToken - address(0) for native
+ */
+
+/**
+ * Cost of a number of tokens at a PRICE_PRECISION-scaled price, in the payment token's smallest unit
+ * @param {bigint} tokens
+ * @param {bigint} pricePerToken
+ * @returns {bigint}
+ */
+function tokenCost(tokens, pricePerToken) {
+    return (BigInt(tokens) * BigInt(pricePerToken)) / PRICE_PRECISION;
+}
+
+/**
+ * Most tokens a session's deposit can pay for; submitProofOfWork reverts with
+ * "Exceeds deposit" beyond this
+ * @param {bigint} deposit
+ * @param {bigint} pricePerToken
+ * @returns {bigint}
+ */
+function maxProvableTokens(deposit, pricePerToken) {
+    return (BigInt(deposit) * PRICE_PRECISION) / BigInt(pricePerToken);
+}
+
+/**
+ * Predict the payouts of completeSessionJob / triggerSessionTimeout, mirroring
+ * JobMarketplaceWithModelsUpgradeable._settleSessionPayments. Both entry points
+ * settle identically, so this holds for either.
+ * @param {Object} session - A SessionJob, or any object with its settlement fields
+ * @param {bigint} session.deposit
+ * @param {bigint} session.pricePerToken
+ * @param {bigint} session.tokensUsed - Pass a hypothetical value to preview a cost
+ * @param {string} [session.paymentToken]
+ * @param {bigint|number} feeBasisPoints - The marketplace's feeBasisPoints()
+ * @returns {Settlement}
+ */
+function calculateSettlement(session, feeBasisPoints) {
+    const deposit = BigInt(session.deposit);
+    const tokensUsed = BigInt(session.tokensUsed);
+
+    const hostPayment = tokenCost(tokensUsed, session.pricePerToken);
+    const userRefund = deposit > hostPayment ? deposit - hostPayment : 0n;
+    const treasuryFee = (hostPayment * BigInt(feeBasisPoints)) / BASIS_POINTS;
+
+    return {
+        tokensUsed,
+        hostPayment,
+        treasuryFee,
+        hostEarnings: hostPayment - treasuryFee,
+        userRefund,
+        paymentToken: session.paymentToken || NATIVE_TOKEN
+    };
+}
+
+module.exports = {
+    tokenCost,
+    maxProvableTokens,
+    calculateSettlement
+};
@@ -0,0 +1,300 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { MAX_SLASH_PERCENTAGE, MIN_STAKE_AFTER_SLASH, SLASH_COOLDOWN } = require('../constants');
+const { MAX_TOKENS_PER_SECOND } = require('../proofs');
+const { precheckError } = require('../errors');
+const { readJsonFile, writeJsonFile } = require('../jsonFile');
+
+/**
+ * @typedef {Object} EvidenceProof
+ * @property {string} proofHash
+ * @property {string} proofCID
+ * @property {string} deltaCID
+ * @property {bigint} tokensClaimed
+ * @property {number} timestamp - Block time of the submission
+ * @property {number} elapsed - Seconds since the previous proof (or session start)
+ * @property {number|null} tokensPerSecond - Claimed rate over `elapsed`; null when no time passed, which has no rate
+ * @property {number} blockNumber
+ * @property {string} transactionHash
+ */
+
+/**
+ * @typedef {Object} EvidenceBundle
+ * In the evidence report format of docs/sdk-reference/SLASHING_SPECIFICATION.md,
+ * with the on-chain proof history of every session included. Upload it (as
+ * JSON, bigints as strings) and slash with its CID.
+ * @property {string} version
+ * @property {string} timestamp - ISO time the bundle was assembled
+ * @property {string} host
+ * @property {Object[]} sessions - { jobId, depositor, paymentToken, status, tokensUsed, startTime, conversationCID, proofs: EvidenceProof[] }
+ * @property {{ proofCIDs: string[], deltaCIDs: string[], conversationCIDs: string[] }} evidence
+ * @property {{ sessions: number, proofs: number, tokensClaimed: bigint, peakTokensPerSecond: number, overRateLimit: number }} findings
+ */
+
+/**
+ * @typedef {Object} SlashPreview
+ * @property {string} host
+ * @property {bigint} amount
+ * @property {bigint} stakeBefore
+ * @property {bigint} stakeAfter
+ * @property {bigint} maxSlash - MAX_SLASH_PERCENTAGE of stakeBefore
+ * @property {boolean} autoUnregister - stakeAfter is below MIN_STAKE_AFTER_SLASH
+ * @property {bigint} returnedToHost - Refunded on auto-unregistration
+ * @property {string} treasury - Receives `amount`
+ * @property {bigint} nextSlashAt - Earliest time the host can be slashed again
+ */
+
+/**
+ * The slashing authority's workflow from docs/sdk-reference/SLASHING_SPECIFICATION.md:
+ * gather a host's proof history into an evidence bundle, check what
+ * slashStake would allow (50% cap, 24h cooldown), preview the outcome, slash,
+ * and keep a record of the SlashExecuted / HostAutoUnregistered events.
+ */
+class SlashingWorkflow {
+    /**
+     * @param {Object} contracts - Clients from connectContracts; nodeRegistry connected to the slashing authority for writes
+     * @param {Object} [options]
+     * @param {number} [options.fromBlock] - Where to scan logs from (the deploy block); default 0
+     * @param {string} [options.recordPath] - JSON file each executed slash is appended to
+     */
+    constructor(contracts, options = {}) {
+        this.nodeRegistry = contracts.nodeRegistry;
+        this.marketplace = contracts.jobMarketplace;
+        this.fromBlock = options.fromBlock || 0;
+        this.recordPath = options.recordPath || null;
+    }
+
+    /**
+     * Assemble an evidence bundle from the host's ProofSubmitted history
+     * @param {string} host
+     * @param {Object} [options]
+     * @param {bigint[]} [options.jobIds] - Only these sessions; default every session the host proved
+     * @param {number} [options.fromBlock]
+     * @param {number|string} [options.toBlock]
+     * @param {Object} [options.report] - Extra fields for the report, e.g. { complainant, conclusion }
+     * @returns {Promise<EvidenceBundle>}
+     */
+    async collectEvidence(host, options = {}) {
+        host = ethers.getAddress(host);
+        const fromBlock = options.fromBlock !== undefined ? options.fromBlock : this.fromBlock;
+        const wanted = options.jobIds ? new Set(options.jobIds.map(BigInt)) : null;
+        const logs = (await this.marketplace.getProofLogs({ host }, fromBlock, options.toBlock))
+            .filter((log) => !wanted || wanted.has(log.jobId));
+
+        const provider = this.marketplace.runner.provider || this.marketplace.runner;
+        const blockTimes = new Map();
+        for (const { blockNumber } of logs) {
+            if (!blockTimes.has(blockNumber)) blockTimes.set(blockNumber, (await provider.getBlock(blockNumber)).timestamp);
+        }
+
+        const byJob = new Map();
+        for (const log of logs) {
+            if (!byJob.has(log.jobId)) byJob.set(log.jobId, []);
+            byJob.get(log.jobId).push(log);
+        }
+        const sessions = [];
+        for (const [jobId, jobLogs] of byJob) {
+            const session = await this.marketplace.getSession(jobId);
+            let previous = Number(session.startTime);
+            const proofs = jobLogs.map((log) => {
+                const timestamp = blockTimes.get(log.blockNumber);
+                const elapsed = Math.max(timestamp - previous, 0);
+                previous = timestamp;
+                return {
+                    proofHash: log.proofHash,
+                    proofCID: log.proofCID,
+                    deltaCID: log.deltaCID,
+                    tokensClaimed: log.tokensClaimed,
+                    timestamp,
+                    elapsed,
+                    tokensPerSecond: elapsed > 0 ? Number(log.tokensClaimed) / elapsed : null,
+                    blockNumber: log.blockNumber,
+                    transactionHash: log.transactionHash
+                };
+            });
+            sessions.push({
+                jobId,
+                depositor: session.depositor,
+                paymentToken: session.paymentToken,
+                status: session.statusName,
+                tokensUsed: session.tokensUsed,
+                startTime: session.startTime,
+                conversationCID: session.conversationCID,
+                proofs
+            });
+        }
+
+        const proofs = sessions.flatMap((s) => s.proofs);
+        const rates = proofs.map((p) => p.tokensPerSecond).filter((rate) => rate !== null);
+        return {
+            version: '1.0',
+            timestamp: new Date().toISOString(),
+            host,
+            ...options.report,
+            sessions,
+            evidence: {
+                proofCIDs: proofs.map((p) => p.proofCID).filter(Boolean),
+                deltaCIDs: proofs.map((p) => p.deltaCID).filter(Boolean),
+                conversationCIDs: sessions.map((s) => s.conversationCID).filter(Boolean)
+            },
+            findings: {
+                sessions: sessions.length,
+                proofs: proofs.length,
+                tokensClaimed: proofs.reduce((sum, p) => sum + p.tokensClaimed, 0n),
+                peakTokensPerSecond: Math.max(0, ...rates),
+                overRateLimit: rates.filter((rate) => rate > Number(MAX_TOKENS_PER_SECOND)).length
+            }
+        };
+    }
+
+    /**
+     * What slashStake would allow for a host right now
+     * @param {string} host
+     * @returns {Promise<{ host: string, registered: boolean, active: boolean, stake: bigint, maxSlash: bigint,
+     *   lastSlashTime: bigint, nextSlashAt: bigint, cooldownRemaining: bigint }>}
+     */
+    async status(host) {
+        const [node, lastSlashTime, now] = await Promise.all([
+            this.nodeRegistry.getNode(host),
+            this.nodeRegistry.lastSlashTime(host),
+            this._now()
+        ]);
+        const nextSlashAt = lastSlashTime === 0n ? 0n : lastSlashTime + SLASH_COOLDOWN;
+        return {
+            host: ethers.getAddress(host),
+            registered: node.operator !== ethers.ZeroAddress,
+            active: node.active,
+            stake: node.stakedAmount,
+            maxSlash: (node.stakedAmount * MAX_SLASH_PERCENTAGE) / 100n,
+            lastSlashTime,
+            nextSlashAt,
+            cooldownRemaining: nextSlashAt > now ? nextSlashAt - now : 0n
+        };
+    }
+
+    /**
+     * Check a slash the way slashStake will and describe its outcome.
+     * Throws the typed error the call would revert with.
+     * @param {string} host
+     * @param {Object} params
+     * @param {bigint} [params.amount] - FAB in wei; default the maximum allowed
+     * @param {string} params.evidenceCID
+     * @param {string} params.reason
+     * @returns {Promise<SlashPreview>}
+     */
+    async preview(host, params) {
+        const { evidenceCID, reason } = params;
+        const [status, authority, treasury] = await Promise.all([
+            this.status(host),
+            this.nodeRegistry.slashingAuthority(),
+            this.nodeRegistry.treasury()
+        ]);
+        const amount = params.amount !== undefined ? params.amount : status.maxSlash;
+        const fail = failure({ host, amount, evidenceCID, reason });
+
+        const runner = this.nodeRegistry.runner;
+        if (typeof runner.getAddress === 'function') {
+            const sender = await runner.getAddress();
+            if (sender !== authority) throw fail('Not slashing authority', `${sender} is not the slashing authority (${authority})`, { authority });
+        }
+        // Same order as the require() checks in slashStake
+        if (!status.registered) throw fail('Host not registered', `${host} is not registered in NodeRegistry`);
+        if (!status.active) throw fail('Host not active', `${host} is registered but not active`);
+        if (status.stake === 0n) throw fail('No stake to slash', `${host} has no stake left`);
+        if (!evidenceCID) throw fail('Evidence CID required', 'Upload the evidence bundle and pass its CID');
+        if (!reason) throw fail('Reason required', 'Give a reason for the slash');
+        if (amount > status.stake) {
+            throw fail('Amount exceeds stake', `Slash of ${ethers.formatEther(amount)} FAB exceeds the stake of ${ethers.formatEther(status.stake)} FAB`);
+        }
+        if (amount > status.maxSlash) {
+            throw fail('Exceeds max slash percentage',
+                `Slash of ${ethers.formatEther(amount)} FAB exceeds ${MAX_SLASH_PERCENTAGE}% of the stake (${ethers.formatEther(status.maxSlash)} FAB)`,
+                { maxSlash: status.maxSlash });
+        }
+        if (status.cooldownRemaining > 0n) {
+            throw fail('Slash cooldown active', `${host} can be slashed again from ${isoTime(status.nextSlashAt)}`, { nextSlashAt: status.nextSlashAt });
+        }
+
+        const stakeAfter = status.stake - amount;
+        const autoUnregister = stakeAfter < MIN_STAKE_AFTER_SLASH;
+        return {
+            host: status.host,
+            amount,
+            stakeBefore: status.stake,
+            stakeAfter,
+            maxSlash: status.maxSlash,
+            autoUnregister,
+            returnedToHost: autoUnregister ? stakeAfter : 0n,
+            treasury,
+            nextSlashAt: (await this._now()) + SLASH_COOLDOWN
+        };
+    }
+
+    /**
+     * Preview, then slash. The executed SlashExecuted / HostAutoUnregistered
+     * events are returned as `record` and appended to `recordPath`; a
+     * simulated registry returns the preview without recording anything.
+     * @param {string} host
+     * @param {Object} params - As for preview()
+     * @returns {Promise<import('../clients/BaseClient').TxResult & { preview: SlashPreview, record?: Object }>}
+     */
+    async slash(host, params) {
+        const preview = await this.preview(host, params);
+        const result = await this.nodeRegistry.slashStake(preview.host, preview.amount, params.evidenceCID, params.reason);
+        if (!result.slash) return { ...result, preview };
+
+        const record = {
+            host: preview.host,
+            amount: result.slash.amount,
+            remainingStake: result.slash.remainingStake,
+            evidenceCID: result.slash.evidenceCID,
+            reason: result.slash.reason,
+            executor: result.slash.executor,
+            timestamp: result.slash.timestamp,
+            autoUnregistered: Boolean(result.autoUnregistered),
+            returnedAmount: result.autoUnregistered ? result.autoUnregistered.returnedAmount : 0n,
+            transactionHash: result.hash,
+            blockNumber: result.receipt.blockNumber
+        };
+        if (this.recordPath) writeJsonFile(this.recordPath, [...this.records(), record]);
+        return { ...result, preview, record };
+    }
+
+    /**
+     * Slashes recorded by slash() in `recordPath`
+     * @returns {Object[]}
+     */
+    records() {
+        return (this.recordPath && readJsonFile(this.recordPath)) || [];
+    }
+
+    /**
+     * The on-chain record: SlashExecuted and HostAutoUnregistered events, oldest first
+     * @param {string} [host]
+     * @param {Object} [options]
+     * @param {number} [options.fromBlock]
+     */
+    async history(host, options = {}) {
+        return this.nodeRegistry.getSlashLogs(host, options.fromBlock !== undefined ? options.fromBlock : this.fromBlock);
+    }
+
+    async _now() {
+        const runner = this.nodeRegistry.runner;
+        return BigInt((await (runner.provider || runner).getBlock('latest')).timestamp);
+    }
+}
+
+function failure(params) {
+    return (reason, message, extra = {}) => precheckError(reason, message, {
+        contract: 'NodeRegistry',
+        method: 'slashStake',
+        params: { ...params, ...extra }
+    });
+}
+
+function isoTime(seconds) {
+    return new Date(Number(seconds) * 1000).toISOString();
+}
+
+module.exports = { SlashingWorkflow };
@@ -0,0 +1,106 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+/**
+ * @typedef {Object} ContentStore
+ * Where proof blobs, deltas and conversations live. Backends (S5, IPFS, a
+ * bucket) implement these two methods; MemoryStore and FileStore are included
+ * for tests and single-machine hosts.
+ * @property {(bytes: Uint8Array) => Promise<string>} put - Store content, return its CID
+ * @property {(cid: string) => Promise<Uint8Array|null>} get - Content for a CID, null if unknown
+ */
+
+// CIDv1 prefix: version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes
+const CID_PREFIX = new Uint8Array([0x01, 0x55, 0x12, 0x20]);
+const BASE32 = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32(bytes) {
+    let out = '';
+    let bits = 0;
+    let value = 0;
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+    return out;
+}
+
+/**
+ * CIDv1 (raw, sha2-256, base32 "bafkrei...") of some content, as IPFS and
+ * the included stores compute it
+ * @param {ethers.BytesLike} content
+ * @returns {string}
+ */
+function computeCid(content) {
+    return `b${base32(ethers.getBytes(ethers.concat([CID_PREFIX, ethers.sha256(content)])))}`;
+}
+
+/**
+ * Check content against its CID
+ * @param {string} cid
+ * @param {ethers.BytesLike} content
+ * @returns {boolean|null} null when the CID is not a raw sha2-256 CIDv1 (e.g. an S5 blake3 CID) and cannot be checked here
+ */
+function verifyCid(cid, content) {
+    if (!/^bafkrei[a-z2-7]{52}$/.test(cid)) return null;
+    return computeCid(content) === cid;
+}
+
+/**
+ * Content kept in a Map; for tests and short-lived processes
+ */
+class MemoryStore {
+    constructor() {
+        this.blobs = new Map();
+    }
+
+    async put(bytes) {
+        const cid = computeCid(bytes);
+        this.blobs.set(cid, new Uint8Array(bytes));
+        return cid;
+    }
+
+    async get(cid) {
+        return this.blobs.get(cid) || null;
+    }
+}
+
+/**
+ * Content as files named by CID in one directory
+ */
+class FileStore {
+    /**
+     * @param {string} dir - Created if missing
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    async put(bytes) {
+        const cid = computeCid(bytes);
+        const file = path.join(this.dir, cid);
+        if (!fs.existsSync(file)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(`${file}.tmp`, bytes);
+            fs.renameSync(`${file}.tmp`, file);
+        }
+        return cid;
+    }
+
+    async get(cid) {
+        // CIDs are base32; anything else cannot name a file here
+        if (!/^[a-z0-9]+$/i.test(cid)) return null;
+        const file = path.join(this.dir, cid);
+        return fs.existsSync(file) ? new Uint8Array(fs.readFileSync(file)) : null;
+    }
+}
+
+module.exports = { MemoryStore, FileStore, computeCid, verifyCid };
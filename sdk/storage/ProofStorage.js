@@ -0,0 +1,178 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+const { computeProofHash, signProof } = require('../proofs');
+const { verifyCid } = require('./ContentStore');
+
+/**
+ * @typedef {Object} ContentCheck
+ * @property {string} cid - '' when nothing was committed
+ * @property {string} status - 'verified'; 'none' (no CID committed); 'missing' (not in the store);
+ *   'corrupt' (content does not match its CID); 'mismatch' (proof blob does not hash to the
+ *   on-chain proofHash); 'unchecked' (content found, CID format not verifiable here)
+ */
+
+/**
+ * @typedef {Object} SessionContentReport
+ * @property {bigint} jobId
+ * @property {boolean} ok - Nothing missing, corrupt or mismatched
+ * @property {{ index: number, proofHash: string, tokensClaimed: bigint, proof: ContentCheck, delta: ContentCheck }[]} proofs
+ * @property {ContentCheck} conversation
+ */
+
+const FAILED = new Set(['missing', 'corrupt', 'mismatch']);
+
+// Deltas and conversations may be bytes, text or JSON-serializable objects
+function encodeContent(content) {
+    if (content instanceof Uint8Array) return content;
+    if (typeof content === 'string') return ethers.toUtf8Bytes(content);
+    return ethers.toUtf8Bytes(JSON.stringify(content, (key, value) => (typeof value === 'bigint' ? value.toString() : value)));
+}
+
+/**
+ * Puts proof blobs, conversation deltas and final conversations in a
+ * content-addressed store and hands back the CIDs submitProofOfWork and
+ * completeSessionJob take; reads a session's commitments back from chain and
+ * checks the stored content against them.
+ */
+class ProofStorage {
+    /**
+     * @param {import('./ContentStore').ContentStore} store
+     * @param {Object} [contracts] - Clients from connectContracts; jobMarketplace is needed for verifySession
+     * @param {Object} [options]
+     * @param {number} [options.fromBlock] - Where to scan ProofSubmitted logs from (the deploy block); default 0
+     */
+    constructor(store, contracts = {}, options = {}) {
+        this.store = store;
+        this.jobMarketplace = contracts.jobMarketplace;
+        this.fromBlock = options.fromBlock || 0;
+    }
+
+    /**
+     * @param {Uint8Array|string|Object} content - Bytes, text, or an object stored as JSON
+     * @returns {Promise<string>} CID
+     */
+    async put(content) {
+        return this.store.put(encodeContent(content));
+    }
+
+    /**
+     * Store raw proof bytes; the proofHash committed on-chain is their keccak256
+     * @param {ethers.BytesLike} proofData
+     * @returns {Promise<{ proofCID: string, proofHash: string }>}
+     */
+    async uploadProof(proofData) {
+        return { proofCID: await this.store.put(ethers.getBytes(proofData)), proofHash: computeProofHash(proofData) };
+    }
+
+    /**
+     * Store the conversation delta covered by one proof
+     * @param {Uint8Array|string|Object} delta
+     * @returns {Promise<string>} deltaCID
+     */
+    async uploadDelta(delta) {
+        return this.put(delta);
+    }
+
+    /**
+     * Store the final conversation, for completeSessionJob
+     * @param {Uint8Array|string|Object} conversation
+     * @returns {Promise<string>} conversationCID
+     */
+    async uploadConversation(conversation) {
+        return this.put(conversation);
+    }
+
+    /**
+     * Upload whatever proof material has no CID yet. Takes and returns the shape
+     * a TokenSource.getProof produces, so the result can go straight to signProof.
+     * @param {{ proofData?: ethers.BytesLike, proofHash?: string, proofCID?: string, delta?: *, deltaCID?: string }} material
+     * @returns {Promise<{ proofHash?: string, proofData?: ethers.BytesLike, proofCID: string, deltaCID: string }>}
+     */
+    async storeMaterial(material) {
+        const { delta, ...rest } = material;
+        const stored = { ...rest, proofCID: material.proofCID || '', deltaCID: material.deltaCID || '' };
+        if (!stored.proofCID && material.proofData) Object.assign(stored, await this.uploadProof(material.proofData));
+        if (!stored.deltaCID && delta !== undefined) stored.deltaCID = await this.uploadDelta(delta);
+        return stored;
+    }
+
+    /**
+     * Upload the proof blob and delta, then sign the proof with their CIDs
+     * @param {ethers.Signer} signer - Host wallet
+     * @param {Object} params
+     * @param {bigint} params.tokensClaimed
+     * @param {ethers.BytesLike} params.proofData
+     * @param {Uint8Array|string|Object} [params.delta]
+     * @returns {Promise<import('../proofs').SignedProof>}
+     */
+    async prepareProof(signer, params) {
+        const { tokensClaimed, ...material } = params;
+        return signProof(signer, { ...await this.storeMaterial(material), tokensClaimed });
+    }
+
+    /**
+     * Content for a CID, checked against it where the CID format allows
+     * @param {string} cid
+     * @returns {Promise<Uint8Array>}
+     */
+    async fetch(cid) {
+        const content = await this.store.get(cid);
+        if (!content) throw new Error(`Content ${cid} not found in the store`);
+        if (verifyCid(cid, content) === false) throw new Error(`Content for ${cid} does not match its CID`);
+        return content;
+    }
+
+    /**
+     * @param {string} cid
+     * @returns {Promise<*>} The stored JSON, parsed
+     */
+    async fetchJson(cid) {
+        return JSON.parse(ethers.toUtf8String(await this.fetch(cid)));
+    }
+
+    /**
+     * Check every proof blob and delta of a session, and its conversation once
+     * completed, against what the chain committed to. Proof CIDs are only in
+     * the ProofSubmitted logs, matched to submissions by proofHash.
+     * @param {bigint} jobId
+     * @returns {Promise<SessionContentReport>}
+     */
+    async verifySession(jobId) {
+        const [session, submissions, logs] = await Promise.all([
+            this.jobMarketplace.getSession(jobId),
+            this.jobMarketplace.getProofSubmissions(jobId),
+            this.jobMarketplace.getProofLogs({ jobId }, this.fromBlock)
+        ]);
+        const proofCIDs = new Map(logs.map((log) => [log.proofHash.toLowerCase(), log.proofCID]));
+
+        const proofs = [];
+        for (const [index, submission] of submissions.entries()) {
+            const { proofHash } = submission;
+            proofs.push({
+                index,
+                proofHash,
+                tokensClaimed: submission.tokensClaimed,
+                proof: await this._check(proofCIDs.get(proofHash.toLowerCase()) || '',
+                    (content) => computeProofHash(content) === proofHash),
+                delta: await this._check(submission.deltaCID)
+            });
+        }
+        const conversation = await this._check(session.conversationCID);
+
+        const checks = [...proofs.flatMap((p) => [p.proof, p.delta]), conversation];
+        return { jobId: BigInt(jobId), ok: !checks.some((c) => FAILED.has(c.status)), proofs, conversation };
+    }
+
+    async _check(cid, matches) {
+        if (!cid) return { cid: '', status: 'none' };
+        const content = await this.store.get(cid);
+        if (!content) return { cid, status: 'missing' };
+        const cidOk = verifyCid(cid, content);
+        if (cidOk === false) return { cid, status: 'corrupt' };
+        if (matches && !matches(content)) return { cid, status: 'mismatch' };
+        return { cid, status: cidOk ? 'verified' : 'unchecked' };
+    }
+}
+
+module.exports = { ProofStorage };
@@ -0,0 +1,89 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { spawn } = require('child_process');
+const { ethers } = require('ethers');
+
+const STARTUP_TIMEOUT_MS = 15000;
+
+async function rpc(rpcUrl, method, params = []) {
+    const res = await fetch(rpcUrl, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    });
+    const body = await res.json();
+    if (body.error) throw new Error(`${method} failed: ${body.error.message}`);
+    return body.result;
+}
+
+// checkAlive throws once the spawned process has died, so a bad binary fails fast
+async function waitForRpc(rpcUrl, checkAlive, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        checkAlive();
+        try {
+            await rpc(rpcUrl, 'eth_chainId');
+            return;
+        } catch {
+            // Not listening yet
+        }
+        await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+    throw new Error(`anvil did not answer on ${rpcUrl} within ${timeoutMs}ms`);
+}
+
+/**
+ * Start a throwaway anvil chain, or reuse the node at $ANVIL_RPC_URL when set.
+ * A reused node is snapshotted and reverted on stop() so runs don't leak state.
+ * @param {Object} [options]
+ * @param {number} [options.port] - Defaults to $ANVIL_PORT, then a random high port
+ * @param {string} [options.bin] - anvil binary; defaults to $ANVIL_BIN, then `anvil` on PATH
+ * @returns {Promise<{ rpcUrl: string, stop: () => Promise<void> }>}
+ */
+async function startAnvil(options = {}) {
+    if (process.env.ANVIL_RPC_URL) {
+        const rpcUrl = process.env.ANVIL_RPC_URL;
+        await waitForRpc(rpcUrl, () => {}, STARTUP_TIMEOUT_MS);
+        const snapshot = await rpc(rpcUrl, 'evm_snapshot');
+        return { rpcUrl, stop: async () => { await rpc(rpcUrl, 'evm_revert', [snapshot]); } };
+    }
+
+    const port = options.port || Number(process.env.ANVIL_PORT) || 20000 + Math.floor(Math.random() * 20000);
+    const bin = options.bin || process.env.ANVIL_BIN || 'anvil';
+    const rpcUrl = `http://127.0.0.1:${port}`;
+
+    const child = spawn(bin, ['--port', String(port), '--silent'], { stdio: 'ignore' });
+    let spawnError = null;
+    child.once('error', (err) => { spawnError = err; });
+    const checkAlive = () => {
+        if (spawnError) throw new Error(`Could not start ${bin} (install Foundry or set ANVIL_BIN): ${spawnError.message}`);
+        if (child.exitCode !== null) throw new Error(`anvil exited with code ${child.exitCode} before accepting connections`);
+    };
+
+    const stop = async () => {
+        if (spawnError || child.exitCode !== null || child.signalCode !== null) return;
+        const exited = new Promise((resolve) => child.once('exit', resolve));
+        child.kill();
+        await exited;
+    };
+
+    try {
+        await waitForRpc(rpcUrl, checkAlive, STARTUP_TIMEOUT_MS);
+    } catch (err) {
+        await stop();
+        throw err;
+    }
+    return { rpcUrl, stop };
+}
+
+/**
+ * Move the chain clock forward and mine a block at the new time
+ * @param {ethers.JsonRpcProvider} provider
+ * @param {number} seconds
+ */
+async function increaseTime(provider, seconds) {
+    await provider.send('evm_increaseTime', [ethers.toQuantity(seconds)]);
+    await provider.send('evm_mine', []);
+}
+
+module.exports = { startAnvil, increaseTime };
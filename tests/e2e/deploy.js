@@ -0,0 +1,148 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const ROOT = path.join(__dirname, '..', '..');
+const DEFAULT_OUT_DIR = path.join(ROOT, 'out');
+
+// Same defaults as the forge tests (test/Upgradeable/Integration/test_full_flow.t.sol)
+const DEFAULT_FEE_BASIS_POINTS = 1000n;
+const DEFAULT_DISPUTE_WINDOW = 30n;
+
+// Models registered as trusted so hosts can register against them
+const TEST_MODELS = [
+    { repo: 'CohereForAI/TinyVicuna-1B-32k-GGUF', fileName: 'tiny-vicuna-1b.q4_k_m.gguf' },
+    { repo: 'TheBloke/TinyLlama-1.1B-Chat-v1.0-GGUF', fileName: 'tinyllama-1b.Q4_K_M.gguf' }
+];
+
+/**
+ * Read a compiled contract from forge's out/ directory
+ * @param {string} name - Contract name (also the source file name)
+ * @param {string} [outDir]
+ * @returns {{ abi: Object[], bytecode: string }}
+ */
+function loadArtifact(name, outDir = DEFAULT_OUT_DIR) {
+    const file = path.join(outDir, `${name}.sol`, `${name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Artifact ${file} not found; run \`forge build\` first`);
+    }
+    const artifact = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { abi: artifact.abi, bytecode: artifact.bytecode.object };
+}
+
+async function deployArtifact(name, args, signer, outDir) {
+    const { abi, bytecode } = loadArtifact(name, outDir);
+    const contract = await new ethers.ContractFactory(abi, bytecode, signer).deploy(...args);
+    await contract.waitForDeployment();
+    return contract;
+}
+
+// Implementation + ERC1967Proxy, initialized in the proxy constructor like DeployUpgradeable.deployProxy
+async function deployProxy(name, initArgs, signer, outDir) {
+    const implementation = await deployArtifact(name, [], signer, outDir);
+    const initData = implementation.interface.encodeFunctionData('initialize', initArgs);
+    const proxy = await deployArtifact('ERC1967Proxy', [await implementation.getAddress(), initData], signer, outDir);
+    return {
+        contract: new ethers.Contract(await proxy.getAddress(), implementation.interface, signer),
+        implementation: await implementation.getAddress()
+    };
+}
+
+async function send(tx) {
+    return (await tx).wait();
+}
+
+/**
+ * Deploy the full upgradeable stack to a local chain, mirroring
+ * script/DeployAllUpgradeable.s.sol, plus mock FAB and USDC tokens.
+ * The deployer becomes owner and treasury; the mock USDC replaces the
+ * hard-coded Base Sepolia address via setUsdcAddress.
+ * @param {ethers.Signer} deployer
+ * @param {Object} [options]
+ * @param {string} [options.outDir] - forge out/ directory
+ * @param {bigint} [options.feeBasisPoints]
+ * @param {bigint} [options.disputeWindow]
+ * @param {string} [options.manifestPath] - Write a deployments manifest here
+ * @returns {Promise<Object>} Manifest in the deployments/<network>.json format
+ */
+async function deployLocal(deployer, options = {}) {
+    const outDir = options.outDir || DEFAULT_OUT_DIR;
+    const feeBasisPoints = options.feeBasisPoints !== undefined ? options.feeBasisPoints : DEFAULT_FEE_BASIS_POINTS;
+    const disputeWindow = options.disputeWindow !== undefined ? options.disputeWindow : DEFAULT_DISPUTE_WINDOW;
+
+    const fabToken = await deployArtifact('ERC20Mock', ['FAB Token', 'FAB'], deployer, outDir);
+    const usdcToken = await deployArtifact('MockUSDC', [], deployer, outDir);
+    const fabAddress = await fabToken.getAddress();
+
+    const modelRegistry = await deployProxy('ModelRegistryUpgradeable', [fabAddress], deployer, outDir);
+    const proofSystem = await deployProxy('ProofSystemUpgradeable', [], deployer, outDir);
+    const hostEarnings = await deployProxy('HostEarningsUpgradeable', [], deployer, outDir);
+    const nodeRegistry = await deployProxy(
+        'NodeRegistryWithModelsUpgradeable',
+        [fabAddress, await modelRegistry.contract.getAddress()],
+        deployer,
+        outDir
+    );
+    const jobMarketplace = await deployProxy(
+        'JobMarketplaceWithModelsUpgradeable',
+        [await nodeRegistry.contract.getAddress(), await hostEarnings.contract.getAddress(), feeBasisPoints, disputeWindow],
+        deployer,
+        outDir
+    );
+    const marketplaceAddress = await jobMarketplace.contract.getAddress();
+
+    await send(hostEarnings.contract.setAuthorizedCaller(marketplaceAddress, true));
+    await send(jobMarketplace.contract.setProofSystem(await proofSystem.contract.getAddress()));
+    await send(jobMarketplace.contract.setUsdcAddress(await usdcToken.getAddress()));
+    for (const model of TEST_MODELS) {
+        await send(modelRegistry.contract.addTrustedModel(model.repo, model.fileName, ethers.id(model.fileName)));
+    }
+
+    const { chainId } = await deployer.provider.getNetwork();
+    const manifest = {
+        network: 'anvil',
+        chainId: Number(chainId),
+        updated: new Date().toISOString().slice(0, 10),
+        contracts: {
+            jobMarketplace: marketplaceAddress,
+            nodeRegistry: await nodeRegistry.contract.getAddress(),
+            modelRegistry: await modelRegistry.contract.getAddress(),
+            hostEarnings: await hostEarnings.contract.getAddress(),
+            proofSystem: await proofSystem.contract.getAddress(),
+            fabToken: fabAddress,
+            usdcToken: await usdcToken.getAddress()
+        },
+        implementations: {
+            jobMarketplace: jobMarketplace.implementation,
+            nodeRegistry: nodeRegistry.implementation,
+            modelRegistry: modelRegistry.implementation,
+            hostEarnings: hostEarnings.implementation,
+            proofSystem: proofSystem.implementation
+        }
+    };
+
+    if (options.manifestPath) {
+        fs.writeFileSync(options.manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    }
+    return manifest;
+}
+
+module.exports = { loadArtifact, deployLocal, TEST_MODELS };
+
+// `node tests/e2e/deploy.js` deploys to $ANVIL_RPC_URL and writes deployments/anvil.json
+if (require.main === module) {
+    const { loadConfig, createProvider, loadSigner } = require('../../sdk');
+    (async () => {
+        const config = loadConfig({ network: 'anvil' });
+        const deployer = await loadSigner('deployer', createProvider(config), { config });
+        const manifestPath = path.join(ROOT, 'deployments', 'anvil.json');
+        const manifest = await deployLocal(deployer, { manifestPath });
+        console.log(JSON.stringify(manifest.contracts, null, 2));
+        console.log(`Wrote ${manifestPath}`);
+    })().catch((err) => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,296 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+//
+// Full session lifecycle against a local anvil chain. Requires Foundry:
+//   npm run test:e2e   (forge build + node --test tests/e2e/)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    loadConfig,
+    createProvider,
+    loadSigner,
+    connectContracts,
+    computeModelId,
+    signProof,
+    checkProof,
+    EventIndexer,
+    IndexStore,
+    HostDaemon,
+    InMemoryTokenSource,
+    HostDiscovery,
+    ModelGovernance,
+    APPROVAL_THRESHOLD,
+    PROPOSAL_FEE,
+    NATIVE_TOKEN
+} = require('../../sdk');
+const { startAnvil, increaseTime } = require('./anvil');
+const { deployLocal, TEST_MODELS } = require('./deploy');
+
+const MINT_ABI = ['function mint(address to, uint256 amount)'];
+const MODEL_ID = computeModelId(TEST_MODELS[0].repo, TEST_MODELS[0].fileName);
+
+let anvil;
+let provider;
+let deployer, user, host;
+let contracts; // read-only clients; .connect(signer) to send
+let manifest;
+
+// Accumulated across tests so the withdrawal tests can check totals
+const expectedEarnings = { native: 0n, usdc: 0n };
+const expectedFees = { native: 0n, usdc: 0n };
+
+async function latestTimestamp() {
+    return BigInt((await provider.getBlock('latest')).timestamp);
+}
+
+function gasCost(receipt) {
+    return receipt.gasUsed * receipt.gasPrice;
+}
+
+before(async () => {
+    anvil = await startAnvil();
+
+    const manifestPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-e2e-')), 'anvil.json');
+    const bootstrap = loadConfig({ network: 'anvil', rpcUrl: anvil.rpcUrl, manifestPath, env: {} });
+    provider = createProvider(bootstrap);
+    provider.pollingInterval = 100;
+    deployer = await loadSigner('deployer', provider, { config: bootstrap, env: {} });
+    manifest = await deployLocal(deployer, { manifestPath });
+
+    // Reload so addresses flow through the same manifest path the SDK uses
+    const config = loadConfig({ network: 'anvil', rpcUrl: anvil.rpcUrl, manifestPath, env: {} });
+    user = await loadSigner('user', provider, { config, env: {} });
+    host = await loadSigner('host', provider, { config, env: {} });
+    contracts = connectContracts(config.contracts, provider);
+
+    const fab = new ethers.Contract(manifest.contracts.fabToken, MINT_ABI, deployer);
+    const usdc = new ethers.Contract(manifest.contracts.usdcToken, MINT_ABI, deployer);
+    await (await fab.mint(host.address, ethers.parseEther('10000'))).wait();
+    await (await fab.mint(user.address, APPROVAL_THRESHOLD + PROPOSAL_FEE)).wait();
+    await (await usdc.mint(user.address, ethers.parseUnits('1000', 6))).wait();
+}, { timeout: 120000 });
+
+after(async () => {
+    if (anvil) await anvil.stop();
+});
+
+test('host registers with a FAB stake for a trusted model', async () => {
+    const minStake = await contracts.nodeRegistry.minStake();
+    const fabBefore = await contracts.fabToken.balanceOf(host.address);
+
+    await contracts.fabToken.connect(host).approve(contracts.nodeRegistry.address, minStake);
+    const { registration } = await contracts.nodeRegistry.connect(host).registerNode({
+        metadata: { hardware: { gpu: 'e2e' } },
+        apiUrl: 'http://localhost:8080',
+        modelIds: [MODEL_ID],
+        minPricePerTokenNative: 227_273n,
+        minPricePerTokenStable: 1n
+    });
+
+    assert.equal(registration.operator, host.address);
+    assert.equal(registration.stakedAmount, minStake);
+    assert.equal(await contracts.fabToken.balanceOf(host.address), fabBefore - minStake);
+    assert.equal(await contracts.nodeRegistry.isActiveNode(host.address), true);
+    assert.deepEqual(await contracts.nodeRegistry.getNodesForModel(MODEL_ID), [host.address]);
+});
+
+test('discovery finds the host for the model at its minimum price', async () => {
+    const discovery = new HostDiscovery(contracts);
+    const { modelId, candidates } = await discovery.findHosts({ repo: TEST_MODELS[0].repo, fileName: TEST_MODELS[0].fileName });
+
+    assert.equal(modelId, MODEL_ID);
+    assert.deepEqual(candidates.map((c) => c.host), [host.address]);
+    assert.equal(candidates[0].minPrice, 227_273n);
+    assert.equal(candidates[0].recentlySlashed, false);
+});
+
+test('ETH session settles signed proofs exactly as calculateSettlement predicts', async () => {
+    const marketplace = contracts.jobMarketplace;
+    const deposit = ethers.parseEther('0.01');
+    const { jobId } = await marketplace.connect(user).createSession({
+        host: host.address,
+        deposit,
+        pricePerToken: 2_000_000n,
+        maxDuration: 3600n,
+        proofInterval: 100n,
+        modelId: MODEL_ID
+    });
+
+    await increaseTime(provider, 5);
+    const proof = await signProof(host, { proofData: ethers.randomBytes(64), tokensClaimed: 1000n, proofCID: 'bafyproof1' });
+    const precheck = checkProof(proof, host.address, { session: await marketplace.getSession(jobId), now: await latestTimestamp() });
+    assert.deepEqual(precheck.errors, []);
+
+    const { proof: submitted } = await marketplace.connect(host).submitProof(jobId, proof);
+    assert.equal(submitted.tokensClaimed, 1000n);
+    assert.equal(submitted.proofHash, proof.proofHash);
+    assert.equal(await contracts.proofSystem.isProofUsed(proof.proofHash), true);
+
+    // The same signed proof cannot be replayed
+    await increaseTime(provider, 5);
+    await assert.rejects(marketplace.connect(host).submitProof(jobId, proof), /Invalid proof signature/);
+
+    const expected = await marketplace.previewSettlement(jobId);
+    const userBefore = await provider.getBalance(user.address);
+    const { receipt, settlement } = await marketplace.connect(user).completeSession(jobId, 'bafyconversation');
+
+    assert.equal(settlement.tokensUsed, 1000n);
+    assert.equal(settlement.paymentAmount, expected.hostPayment);
+    assert.equal(settlement.refundAmount, expected.userRefund);
+    assert.equal(await provider.getBalance(user.address), userBefore + expected.userRefund - gasCost(receipt));
+
+    const session = await marketplace.getSession(jobId);
+    assert.equal(session.statusName, 'Completed');
+    assert.equal(session.withdrawnByHost, expected.hostEarnings);
+    assert.equal(session.conversationCID, 'bafyconversation');
+
+    expectedEarnings.native += expected.hostEarnings;
+    expectedFees.native += expected.treasuryFee;
+    assert.equal(await contracts.hostEarnings.getBalance(host.address, NATIVE_TOKEN), expectedEarnings.native);
+    assert.equal(await marketplace.contract.accumulatedTreasuryNative(), expectedFees.native);
+});
+
+test('USDC session times out and pays only for proven work', async () => {
+    const marketplace = contracts.jobMarketplace;
+    const usdc = contracts.usdcToken;
+    const deposit = ethers.parseUnits('2', 6);
+
+    await usdc.connect(user).ensureAllowance(marketplace.address, deposit);
+    const userBefore = await usdc.balanceOf(user.address);
+    const { jobId } = await marketplace.connect(user).createSession({
+        host: host.address,
+        token: usdc.address,
+        deposit,
+        pricePerToken: 5000n,
+        maxDuration: 600n,
+        proofInterval: 300n
+    });
+    assert.equal(await usdc.balanceOf(user.address), userBefore - deposit);
+
+    await increaseTime(provider, 2);
+    await marketplace.connect(host).submitProof(
+        jobId,
+        await signProof(host, { proofData: ethers.randomBytes(64), tokensClaimed: 400n })
+    );
+
+    // Anyone may trigger a timeout, but only once the session has actually expired
+    await assert.rejects(marketplace.connect(deployer).triggerTimeout(jobId), /Session not timed out/);
+    await increaseTime(provider, 601);
+
+    const expected = await marketplace.previewSettlement(jobId);
+    const { settlement } = await marketplace.connect(deployer).triggerTimeout(jobId);
+
+    assert.equal(settlement.completedBy, deployer.address);
+    assert.equal(settlement.paymentAmount, expected.hostPayment);
+    assert.equal(settlement.refundAmount, expected.userRefund);
+    assert.equal((await marketplace.getSession(jobId)).statusName, 'TimedOut');
+    assert.equal(await usdc.balanceOf(user.address), userBefore - deposit + expected.userRefund);
+
+    expectedEarnings.usdc += expected.hostEarnings;
+    expectedFees.usdc += expected.treasuryFee;
+    assert.equal(await contracts.hostEarnings.getBalance(host.address, usdc.address), expectedEarnings.usdc);
+    assert.equal(await marketplace.contract.accumulatedTreasuryTokens(usdc.address), expectedFees.usdc);
+});
+
+test('host daemon proves served tokens and times out the expired session', async () => {
+    const marketplace = contracts.jobMarketplace;
+    const tokens = new InMemoryTokenSource();
+    const daemon = new HostDaemon({ marketplace: marketplace.connect(host), tokenSource: tokens, confirmations: 0 });
+    const { jobId } = await marketplace.connect(user).createSession({
+        host: host.address,
+        deposit: ethers.parseEther('0.005'),
+        pricePerToken: 2_000_000n,
+        maxDuration: 120n,
+        proofInterval: 100n
+    });
+
+    tokens.record(jobId, 1500);
+    await increaseTime(provider, 5);
+    const first = await daemon.tick();
+    assert.ok(first.discovered.includes(jobId));
+    assert.deepEqual(first.proofs.map((p) => p.tokensClaimed), [1500n]);
+    assert.equal((await marketplace.getSession(jobId)).tokensUsed, 1500n);
+
+    await increaseTime(provider, 121);
+    const expected = await marketplace.previewSettlement(jobId);
+    const second = await daemon.tick();
+    assert.deepEqual(second.timeouts, [jobId]);
+    assert.equal((await marketplace.getSession(jobId)).statusName, 'TimedOut');
+
+    expectedEarnings.native += expected.hostEarnings;
+    expectedFees.native += expected.treasuryFee;
+    assert.equal(await contracts.hostEarnings.getBalance(host.address, NATIVE_TOKEN), expectedEarnings.native);
+});
+
+test('host withdraws ETH and USDC earnings in one transaction', async () => {
+    const usdc = contracts.usdcToken;
+    const ethBefore = await provider.getBalance(host.address);
+    const usdcBefore = await usdc.balanceOf(host.address);
+
+    const { receipt, withdrawals } = await contracts.hostEarnings.connect(host).withdrawMultiple([NATIVE_TOKEN, usdc.address]);
+
+    assert.deepEqual(withdrawals.map((w) => w.amount), [expectedEarnings.native, expectedEarnings.usdc]);
+    assert.equal(await provider.getBalance(host.address), ethBefore + expectedEarnings.native - gasCost(receipt));
+    assert.equal(await usdc.balanceOf(host.address), usdcBefore + expectedEarnings.usdc);
+    assert.equal(await contracts.hostEarnings.getBalance(host.address, NATIVE_TOKEN), 0n);
+    assert.equal(await contracts.hostEarnings.getBalance(host.address, usdc.address), 0n);
+});
+
+test('treasury withdraws the accumulated fees', async () => {
+    const marketplace = contracts.jobMarketplace.connect(deployer);
+    const usdc = contracts.usdcToken;
+    assert.equal(await marketplace.treasuryAddress(), deployer.address);
+
+    const ethBefore = await provider.getBalance(deployer.address);
+    const usdcBefore = await usdc.balanceOf(deployer.address);
+    const receipt = await (await marketplace.contract.withdrawAllTreasuryFees([usdc.address])).wait();
+
+    assert.equal(await provider.getBalance(deployer.address), ethBefore + expectedFees.native - gasCost(receipt));
+    assert.equal(await usdc.balanceOf(deployer.address), usdcBefore + expectedFees.usdc);
+    assert.equal(await marketplace.contract.accumulatedTreasuryNative(), 0n);
+    assert.equal(await marketplace.contract.accumulatedTreasuryTokens(usdc.address), 0n);
+});
+
+test('indexer rebuilds the same history from logs', async () => {
+    const store = new IndexStore();
+    await new EventIndexer({ provider, contracts: manifest.contracts, store, confirmations: 0 }).sync();
+
+    const sessions = store.getSessionsByHost(host.address);
+    assert.deepEqual(sessions.map((s) => s.status), ['Completed', 'TimedOut', 'TimedOut']);
+    assert.equal(sessions[0].modelId, MODEL_ID);
+    assert.equal(sessions[1].paymentToken, manifest.contracts.usdcToken);
+    assert.deepEqual(store.getSessionsByModel(MODEL_ID), [sessions[0]]);
+
+    const earnings = store.getEarnings(host.address);
+    assert.equal(earnings[NATIVE_TOKEN].credited, expectedEarnings.native);
+    assert.equal(earnings[manifest.contracts.usdcToken].withdrawn, expectedEarnings.usdc);
+    assert.equal(store.getNode(host.address).active, true);
+});
+
+test('community proposal passes, executes and returns the locked FAB', async () => {
+    const governance = new ModelGovernance({ modelRegistry: contracts.modelRegistry.connect(user) });
+    const fab = contracts.fabToken;
+    const fabBefore = await fab.balanceOf(user.address);
+    const model = { repo: 'TheBloke/TinyLlama-1.1B-Chat-v1.0-GGUF', fileName: 'tinyllama-1.1b-chat-v1.0.Q4_K_M.gguf' };
+
+    const { modelId } = await governance.propose({ ...model, sha256Hash: ethers.id('gguf') });
+    await governance.vote(modelId, APPROVAL_THRESHOLD, true);
+    const [open] = await governance.listProposals();
+    assert.equal(open.modelId, modelId);
+    assert.equal(open.passing, true);
+    await assert.rejects(governance.execute(modelId), /Voting on .* runs until/);
+
+    await increaseTime(provider, Number(open.remaining) + 1);
+    const { approved } = await governance.execute(modelId);
+    assert.equal(approved, true);
+    assert.equal(await contracts.modelRegistry.isModelApproved(modelId), true);
+    assert.deepEqual(await governance.listProposals(), []);
+
+    // The fee is refunded on approval, and the vote comes back on withdrawal
+    assert.equal((await governance.withdrawVotes(modelId)).amount, APPROVAL_THRESHOLD);
+    assert.equal(await fab.balanceOf(user.address), fabBefore);
+});
@@ -0,0 +1,215 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    ChainManager,
+    Preflight,
+    connectContracts,
+    abis,
+    NATIVE_TOKEN,
+    DepositError
+} = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const MARKETPLACE = '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E';
+const NODE_REGISTRY = '0x8BC0Af4aAa2dfb99699B1A24bA85E507de10Fd22';
+const BASE_USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const BNB_USDT = '0x337610d27c682E347C9cD60BD4b3b107C9d34dDd';
+const BNB_USDC = '0x64544969ed7EBf5f083679233325356EbE738930';
+const WBNB = '0x4200000000000000000000000000000000000006';
+const marketplaceIface = new ethers.Interface(abis.JobMarketplaceABI);
+
+/**
+ * One chain's marketplace: ChainConfig, MIN_DEPOSIT, token limits and the
+ * TokenAccepted logs, plus ERC20 metadata for each token
+ */
+class MarketplaceChain extends FakeChain {
+    constructor({ chainId, chainConfig, tokens, accepted = [] }) {
+        super({
+            [MARKETPLACE]: marketplaceIface,
+            ...Object.fromEntries(Object.keys(tokens).map((address) => [address, abis.ERC20ABI]))
+        }, { network: 'fake', chainId: BigInt(chainId) });
+        this.chainConfig = chainConfig;
+        this.tokens = tokens;
+        this.destroyed = false;
+        this.logQueries = [];
+        for (const token of accepted) this.emit(MARKETPLACE, 'TokenAccepted', [token, 1n, 2n]);
+    }
+
+    result(name, args, tx) {
+        if (tx.to.toLowerCase() !== MARKETPLACE.toLowerCase()) return [this.tokens[ethers.getAddress(tx.to)][name]];
+        const token = (args.length && this.tokens[args[0]]) || {};
+        switch (name) {
+            case 'chainConfig': return this.chainConfig;
+            case 'MIN_DEPOSIT': return [ethers.parseEther('0.0002')];
+            case 'acceptedTokens': return [Boolean(token.min)];
+            case 'tokenMinDeposits': return [token.min || 0n];
+            case 'tokenMaxDeposits': return [token.max || 0n];
+            case 'paused': return [false];
+            case 'getNodeFullInfo': return [args[0], 1000n, true, '{}', 'https://host.example', [], 2000n, 2000n];
+            case 'getNodePricing': return [2000n];
+        }
+    }
+
+    async getLogs(filter) {
+        assert.equal(filter.topics[0], marketplaceIface.getEvent('TokenAccepted').topicHash);
+        this.logQueries.push(filter.fromBlock);
+        return super.getLogs(filter);
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+// opBNB testnet after initializeChainConfig, with USDT added later via addAcceptedToken
+function opbnb() {
+    return new MarketplaceChain({
+        chainId: 5611,
+        chainConfig: [WBNB, BNB_USDC, ethers.parseEther('0.002'), 'BNB'],
+        accepted: [BNB_USDT],
+        tokens: {
+            [BNB_USDC]: { symbol: 'USDC', decimals: 18, min: ethers.parseUnits('1', 18), max: ethers.parseUnits('1000', 18) },
+            // Min raised by a TokenMinDepositUpdated after the TokenAccepted log
+            [BNB_USDT]: { symbol: 'USDT', decimals: 18, min: ethers.parseUnits('5', 18), max: ethers.parseUnits('500', 18) }
+        }
+    });
+}
+
+// Base Sepolia before initializeChainConfig: only MIN_DEPOSIT and the manifest's USDC
+function baseSepolia() {
+    return new MarketplaceChain({
+        chainId: 84532,
+        chainConfig: [ethers.ZeroAddress, ethers.ZeroAddress, 0n, ''],
+        tokens: { [BASE_USDC]: { symbol: 'USDC', decimals: 6, min: 500_000n, max: 1_000_000_000n } }
+    });
+}
+
+const OPBNB_ENV = { JOB_MARKETPLACE_ADDRESS: MARKETPLACE, NODE_REGISTRY_ADDRESS: NODE_REGISTRY };
+
+// The opBNB manifest, with the deploy block TokenAccepted logs are scanned from
+function opbnbManifest() {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-chains-')), 'opbnb-testnet.json');
+    fs.writeFileSync(file, JSON.stringify({ network: 'opbnb-testnet', chainId: 5611, deployBlock: 90, contracts: {} }));
+    return file;
+}
+
+async function connectOpbnb() {
+    const manager = new ChainManager();
+    const provider = opbnb();
+    const { chain, config } = await manager.add('opbnb-testnet', { provider, env: OPBNB_ENV, manifestPath: opbnbManifest() });
+    return { manager, provider, chain, config };
+}
+
+test('opBNB symbols and the native wrapper come from ChainConfig', async () => {
+    const { manager, chain, config } = await connectOpbnb();
+    assert.equal(config.nativeSymbol, 'BNB');
+    assert.equal(chain.chainId, 5611);
+    assert.equal(chain.nativeWrapper, WBNB);
+    assert.deepEqual(chain.tokens.map((t) => t.symbol), ['BNB', 'USDC', 'USDT']);
+    assert.equal(chain.formatAmount(ethers.parseEther('0.25')), '0.25 BNB');
+    assert.equal(chain.parseAmount('2', chain.tokenBySymbol('usdt').address), ethers.parseUnits('2', 18));
+    await manager.close();
+});
+
+test('accepted tokens are scanned from the deploy block and carry their current limits', async () => {
+    const { manager, provider, chain } = await connectOpbnb();
+    assert.deepEqual(provider.logQueries, [90]);
+    assert.equal(chain.token(BNB_USDT).minDeposit, ethers.parseUnits('5', 18), 'current limit, not the logged one');
+    await manager.close();
+});
+
+test('native deposits are held to MIN_DEPOSIT, with the ChainConfig floor only advisory', async () => {
+    const { manager, chain } = await connectOpbnb();
+    assert.equal(chain.native.minDeposit, ethers.parseEther('0.0002'));
+    assert.equal(chain.advisoryMinDeposit, ethers.parseEther('0.002'));
+    assert.throws(() => chain.checkDeposit(NATIVE_TOKEN, ethers.parseEther('0.0001')), (err) => {
+        assert.ok(err instanceof DepositError);
+        assert.equal(err.message, 'Deposit 0.0001 BNB is below the opbnb-testnet minimum of 0.0002 BNB');
+        return true;
+    });
+    assert.equal(chain.checkDeposit(NATIVE_TOKEN, ethers.parseEther('0.001')).symbol, 'BNB');
+    await manager.close();
+});
+
+test('token deposits are held to the token limits and accepted tokens', async () => {
+    const { manager, chain } = await connectOpbnb();
+    assert.throws(() => chain.checkDeposit(BNB_USDT, ethers.parseUnits('600', 18)), (err) => {
+        assert.ok(err instanceof DepositError);
+        assert.equal(err.reason, 'Deposit too large');
+        return true;
+    });
+    assert.throws(() => chain.checkDeposit(BASE_USDC, 1n), /not an accepted payment token on opbnb-testnet/);
+    assert.equal(chain.checkDeposit(BNB_USDT, ethers.parseUnits('10', 18)).symbol, 'USDT');
+    await manager.close();
+});
+
+test('preflight names amounts in the chain\'s native symbol', async () => {
+    const { manager, chain, config } = await connectOpbnb();
+    const preflight = new Preflight(connectContracts(config.contracts, opbnb()), { chain });
+    const session = {
+        host: '0x4594F755F593B517Bb3194F4DeC20C48a3f04504',
+        deposit: ethers.parseEther('0.0001'),
+        pricePerToken: 2000n,
+        maxDuration: 3600n,
+        proofInterval: 100n
+    };
+    await assert.rejects(preflight.createSession(session, ethers.ZeroAddress), /0\.0001 BNB is below the minimum of 0\.0002 BNB/);
+    await manager.close();
+});
+
+async function connectBoth() {
+    const providers = { 'base-sepolia': baseSepolia(), 'opbnb-testnet': opbnb() };
+    const manager = new ChainManager();
+    const [base, bnb, again] = await Promise.all([
+        manager.add('base-sepolia', { provider: providers['base-sepolia'], env: {} }),
+        manager.add('opbnb-testnet', { provider: providers['opbnb-testnet'], env: OPBNB_ENV, manifestPath: opbnbManifest() }),
+        manager.add('base-sepolia')
+    ]);
+    return { providers, manager, base, bnb, again };
+}
+
+test('one manager holds a connection per chain, found by name or chain id', async () => {
+    const { manager, base, bnb, again } = await connectBoth();
+    assert.equal(again, base, 'concurrent adds share one connection');
+    assert.equal(await manager.get(5611), bnb);
+    assert.equal(await manager.get('base-sepolia'), base);
+    assert.deepEqual((await manager.list()).map((c) => c.network), ['base-sepolia', 'opbnb-testnet']);
+    assert.notEqual(base.contracts.jobMarketplace.runner, bnb.contracts.jobMarketplace.runner);
+    await assert.rejects(manager.get(1), /No connection for 1/);
+    await manager.close();
+});
+
+test('an uninitialized ChainConfig falls back to the profile symbol and MIN_DEPOSIT', async () => {
+    const { manager, base } = await connectBoth();
+    assert.equal(base.chain.native.symbol, 'ETH');
+    assert.equal(base.chain.native.minDeposit, ethers.parseEther('0.0002'));
+    assert.equal(base.chain.formatAmount(1_500_000n, BASE_USDC), '1.5 USDC');
+    await manager.close();
+});
+
+test('a chain without a deploy block is not scanned from genesis', async () => {
+    const { manager, providers, base } = await connectBoth();
+    assert.deepEqual(providers['base-sepolia'].logQueries, []);
+    assert.match(base.chain.warnings[0], /No deploy block/);
+    await manager.close();
+});
+
+test('refresh rereads the token limits', async () => {
+    const { manager, providers } = await connectBoth();
+    providers['opbnb-testnet'].tokens[BNB_USDT].min = ethers.parseUnits('20', 18);
+    const refreshed = await manager.refresh('opbnb-testnet');
+    assert.equal(refreshed.chain.token(BNB_USDT).minDeposit, ethers.parseUnits('20', 18));
+    await manager.close();
+});
+
+test('close leaves providers passed in to the caller', async () => {
+    const { manager, providers } = await connectBoth();
+    await manager.close();
+    assert.equal(providers['base-sepolia'].destroyed, false);
+});
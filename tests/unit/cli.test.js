@@ -0,0 +1,208 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { run } = require('../../cli');
+const { abis } = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const MARKETPLACE = '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E';
+const HOST_EARNINGS = '0xE4F33e9e132E60fc3477509f99b9E1340b91Aee0';
+const NODE_REGISTRY = '0x8BC0Af4aAa2dfb99699B1A24bA85E507de10Fd22';
+const USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const HOST = '0x4594F755F593B517Bb3194F4DeC20C48a3f04504';
+const USER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8'; // anvil "user" dev key
+
+// What connect() reads for the chain's token info: an uninitialized ChainConfig and the manifest's USDC
+const CHAIN_READS = {
+    chainConfig: [ethers.ZeroAddress, ethers.ZeroAddress, 0n, ''],
+    MIN_DEPOSIT: [ethers.parseEther('0.0002')],
+    acceptedTokens: [true],
+    tokenMinDeposits: [500_000n],
+    tokenMaxDeposits: [1_000_000_000n],
+    symbol: ['USDC'],
+    decimals: [6]
+};
+
+/**
+ * Answers eth_call from a table of canned results keyed by function name. It
+ * cannot send, so any real transaction in a dry run would fail the test.
+ */
+class FakeProvider extends FakeChain {
+    constructor(results) {
+        super({
+            [MARKETPLACE]: abis.JobMarketplaceABI,
+            [HOST_EARNINGS]: abis.HostEarningsABI,
+            [NODE_REGISTRY]: abis.NodeRegistryABI,
+            [USDC]: abis.ERC20ABI
+        }, { results: { ...CHAIN_READS, ...results }, network: 'anvil', chainId: 31337n, gasEstimate: 123456n });
+    }
+}
+
+function manifest() {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-cli-')), 'anvil.json');
+    fs.writeFileSync(file, JSON.stringify({
+        chainId: 31337,
+        contracts: { jobMarketplace: MARKETPLACE, hostEarnings: HOST_EARNINGS, nodeRegistry: NODE_REGISTRY, usdcToken: USDC }
+    }));
+    return file;
+}
+
+async function cli(args, provider) {
+    let stdout = '';
+    let stderr = '';
+    const code = await run([...args, '--network', 'anvil', '--manifest', manifest()], {
+        env: {},
+        provider,
+        stdout: { write: (s) => { stdout += s; } },
+        stderr: { write: (s) => { stderr += s; } }
+    });
+    return { code, stdout, stderr };
+}
+
+const USDC_META = { symbol: ['USDC'], decimals: [6] };
+
+test('session status formats amounts with the payment token decimals', async () => {
+    const provider = new FakeProvider({
+        ...USDC_META,
+        feeBasisPoints: [1000n],
+        sessionJobs: ([jobId]) => [
+            jobId, USER, HOST, USDC, 2_000_000n, 5000n, 200n, 3600n, 1700000000n, 1700000100n, 100n, 0, 0n, 0n, '', ethers.ZeroHash, ''
+        ]
+    });
+
+    const { code, stdout } = await cli(['session', 'status', '7'], provider);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /Session 7: Active/);
+    assert.match(stdout, /Deposit: 2\.0 USDC/);
+    // 200 tokens * 5000 / 1000 = 1000 base units; 10% to treasury
+    assert.match(stdout, /Settle now: host 0\.0009 USDC, treasury 0\.0001 USDC, refund 1\.999 USDC/);
+});
+
+test('dry-run session create simulates without sending and reports the jobId', async () => {
+    const provider = new FakeProvider({
+        paused: [false],
+        getNodeFullInfo: [HOST, 1000n, true, '{}', 'https://host.example', [], 2_000_000n, 1n],
+        getNodePricing: [2_000_000n],
+        createSessionJob: [42n]
+    });
+
+    // No --price: the host's minimum is used
+    const { code, stdout } = await cli(['session', 'create', '--host', HOST, '--deposit', '0.01', '--dry-run', '--json'], provider);
+
+    assert.equal(code, 0);
+    const out = JSON.parse(stdout);
+    assert.equal(out.dryRun, true);
+    assert.equal(out.jobId, '42');
+    assert.equal(out.deposit, ethers.parseEther('0.01').toString());
+    assert.equal(out.gasEstimate, '123456');
+    assert.equal(out.pricePerToken, '2000000');
+
+    const simulated = provider.called('createSessionJob')[0];
+    assert.equal(simulated.from, USER);
+    assert.equal(simulated.value, ethers.parseEther('0.01'));
+    assert.deepEqual([...simulated.args], [HOST, 2_000_000n, 3600n, 100n]);
+});
+
+test('session create refuses a price below the host minimum, with a hint', async () => {
+    const provider = new FakeProvider({
+        paused: [false],
+        getNodeFullInfo: [HOST, 1000n, true, '{}', 'https://host.example', [], 2_000_000n, 1n],
+        getNodePricing: [2_000_000n]
+    });
+
+    const { code, stderr } = await cli(['session', 'create', '--host', HOST, '--deposit', '0.01', '--price', '1999999', '--dry-run'], provider);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Price 1999999 is below the host minimum of 2000000/);
+    assert.match(stderr, /Hint: Offer at least the host's getNodePricing/);
+    assert.deepEqual(provider.called('createSessionJob'), []);
+});
+
+test('session create checks the deposit against the chain limits, named in its symbol', async () => {
+    const provider = new FakeProvider({
+        paused: [false],
+        chainConfig: [ethers.ZeroAddress, ethers.ZeroAddress, 0n, 'BNB']
+    });
+
+    const { code, stderr } = await cli(['session', 'create', '--host', HOST, '--deposit', '0.0001', '--dry-run'], provider);
+
+    assert.equal(code, 1);
+    assert.match(stderr, /Deposit 0\.0001 BNB is below the minimum of 0\.0002 BNB/);
+    assert.deepEqual(provider.called('createSessionJob'), []);
+});
+
+test('dry-run token deposit reports a missing approval instead of simulating a revert', async () => {
+    const provider = new FakeProvider({ ...USDC_META, allowance: [0n] });
+
+    const { code, stdout } = await cli(['deposit', 'token', 'usdc', '12.5', '--dry-run', '--json'], provider);
+
+    assert.equal(code, 0);
+    assert.deepEqual(JSON.parse(stdout).approvalRequired, { token: USDC, spender: MARKETPLACE, amount: '12500000' });
+    const calls = provider.calls.map((c) => c.name).filter((name) => !(name in CHAIN_READS));
+    assert.deepEqual(calls, ['allowance']);
+});
+
+function balancesProvider() {
+    return new FakeProvider({
+        ...USDC_META,
+        getDepositBalances: ([, tokens]) => [tokens.map((t) => (t === USDC ? 3_000_000n : ethers.parseEther('0.5')))],
+        getLockedBalanceNative: [0n],
+        getLockedBalanceToken: [2_000_000n]
+    });
+}
+
+test('deposit balances show withdrawable and locked funds per token', async () => {
+    const { code, stdout } = await cli(['deposit', 'balances'], balancesProvider());
+    assert.equal(code, 0);
+    assert.match(stdout, /ETH: 0\.5 ETH withdrawable, 0\.0 ETH locked/);
+    assert.match(stdout, /USDC: 3\.0 USDC withdrawable, 2\.0 USDC locked in active sessions/);
+});
+
+test('deposit withdraw refuses to touch locked funds', async () => {
+    const provider = balancesProvider();
+    const { code, stderr } = await cli(['deposit', 'withdraw', '4', '--token', 'usdc', '--dry-run'], provider);
+    assert.equal(code, 1);
+    assert.match(stderr, /only 3000000 is withdrawable, 2000000 is locked in active sessions/);
+    assert.deepEqual(provider.called('withdrawToken'), []);
+});
+
+test('earnings withdraw-all withdraws every token in one withdrawMultiple call', async () => {
+    const provider = new FakeProvider({
+        ...USDC_META,
+        getBalances: [[0n, 3_250_000n]],
+        withdrawMultiple: []
+    });
+
+    const { code, stdout } = await cli(['earnings', 'withdraw-all', '--as', 'host', '--dry-run'], provider);
+
+    assert.equal(code, 0);
+    assert.match(stdout, /dry run/);
+    assert.match(stdout, /3\.25 USDC/);
+    assert.doesNotMatch(stdout, /ETH/, 'zero balances are not listed');
+    const withdraw = provider.called('withdrawMultiple')[0];
+    assert.deepEqual([...withdraw.args[0]], [ethers.ZeroAddress, USDC]);
+});
+
+test('an amount finer than the token decimals exits non-zero', async () => {
+    const { code, stderr } = await cli(['deposit', 'token', 'usdc', '1.0000001'], new FakeProvider(USDC_META));
+    assert.equal(code, 1);
+    assert.match(stderr, /Invalid amount "1\.0000001" for USDC \(6 decimals\)/);
+});
+
+test('an unknown token exits non-zero, as JSON with --json', async () => {
+    const { code, stdout } = await cli(['deposit', 'withdraw', '1', '--token', 'doge', '--json'], new FakeProvider(USDC_META));
+    assert.equal(code, 1);
+    assert.match(JSON.parse(stdout).error, /Unknown token "doge"/);
+});
+
+test('an unknown command exits non-zero', async () => {
+    const { code, stderr } = await cli(['session', 'pause'], new FakeProvider(USDC_META));
+    assert.equal(code, 1);
+    assert.match(stderr, /Unknown command "session pause"/);
+});
@@ -0,0 +1,144 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+    JobMarketplaceClient,
+    ModelRegistryClient,
+    connectContracts,
+    computeModelId
+} = require('../../sdk');
+
+const MARKETPLACE = '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E';
+const MODEL_REGISTRY = '0x1a9d91521c85bD252Ac848806Ff5096bBb9ACDb2';
+const HOST = '0x4594F755F593B517Bb3194F4DeC20C48a3f04504';
+const USER = '0x8D642988E3e7b6DB15b6058461d5563835b04bF6';
+const USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const MODEL_ID = '0x0b75a2061e70e736924a30c0a327db7ab719402129f76f631adbd7b7a5a5bced';
+
+// Build a log exactly as the marketplace would emit it
+function marketplaceLog(client, name, args, address = MARKETPLACE) {
+    const { topics, data } = client.interface.encodeEventLog(name, args);
+    return { address, topics, data, index: 0, blockNumber: 1, transactionHash: ethers.ZeroHash };
+}
+
+// Replace _send with a recorder that returns the given events
+function recordSends(client, events) {
+    const calls = [];
+    client._send = async (method, args, overrides) => {
+        calls.push({ method, args, overrides });
+        return { hash: ethers.ZeroHash, receipt: null, events };
+    };
+    return calls;
+}
+
+const createdEvent = (jobId) => ({ name: 'SessionJobCreated', args: { jobId, depositor: USER, host: HOST, deposit: 1n } });
+
+test('createSession uses createSessionJob for native payments', async () => {
+    const client = new JobMarketplaceClient(MARKETPLACE, null);
+    const calls = recordSends(client, [createdEvent(7n)]);
+
+    const { jobId } = await client.createSession({
+        host: HOST, deposit: 10n ** 15n, pricePerToken: 2000n, maxDuration: 3600n, proofInterval: 100n
+    });
+
+    assert.equal(jobId, 7n);
+    assert.equal(calls[0].method, 'createSessionJob');
+    assert.deepEqual(calls[0].args, [HOST, 2000n, 3600n, 100n]);
+    assert.equal(calls[0].overrides.value, 10n ** 15n);
+});
+
+test('createSession picks the model and token variants', async () => {
+    const client = new JobMarketplaceClient(MARKETPLACE, null);
+    const calls = recordSends(client, [createdEvent(1n)]);
+    const base = { host: HOST, deposit: 2_000_000n, pricePerToken: 5000n, maxDuration: 3600n, proofInterval: 100n };
+
+    await client.createSession({ ...base, token: USDC });
+    await client.createSession({ ...base, modelId: MODEL_ID });
+    await client.createSession({ ...base, token: USDC, modelId: MODEL_ID });
+
+    assert.deepEqual(calls.map((c) => c.method), [
+        'createSessionJobWithToken',
+        'createSessionJobForModel',
+        'createSessionJobForModelWithToken'
+    ]);
+    assert.deepEqual(calls[0].args, [HOST, USDC, 2_000_000n, 5000n, 3600n, 100n]);
+    assert.equal(calls[0].overrides.value, undefined);
+    assert.deepEqual(calls[2].args, [HOST, MODEL_ID, USDC, 2_000_000n, 5000n, 3600n, 100n]);
+});
+
+test('createSession fails loudly when no SessionJobCreated event is emitted', async () => {
+    const client = new JobMarketplaceClient(MARKETPLACE, null);
+    recordSends(client, []);
+
+    await assert.rejects(
+        client.createSession({ host: HOST, deposit: 1n, pricePerToken: 1n, maxDuration: 1n, proofInterval: 100n }),
+        /SessionJobCreated event not found/
+    );
+});
+
+test('submitProof passes all six submitProofOfWork arguments', async () => {
+    const client = new JobMarketplaceClient(MARKETPLACE, null);
+    const calls = recordSends(client, []);
+    const proofHash = ethers.keccak256('0x01');
+    const signature = '0x' + '11'.repeat(65);
+
+    await client.submitProof(3n, { tokensClaimed: 100n, proofHash, signature, proofCID: 'bafyproof' });
+
+    assert.equal(calls[0].method, 'submitProofOfWork');
+    assert.deepEqual(calls[0].args, [3n, 100n, proofHash, signature, 'bafyproof', '']);
+});
+
+test('parseEvents decodes marketplace logs and skips other contracts', () => {
+    const client = new JobMarketplaceClient(MARKETPLACE, null);
+    const receipt = {
+        logs: [
+            marketplaceLog(client, 'SessionJobCreated', [42n, USER, HOST, 500000n], USDC),
+            marketplaceLog(client, 'SessionJobCreated', [42n, USER, HOST, 500000n]),
+            marketplaceLog(client, 'SessionCompletedBy', [42n, USER, 200n, 1000n, 499000n])
+        ]
+    };
+
+    const events = client.parseEvents(receipt);
+
+    assert.deepEqual(events.map((e) => e.name), ['SessionJobCreated', 'SessionCompletedBy']);
+    assert.equal(events[0].args.jobId, 42n);
+    assert.equal(events[0].args.host, HOST);
+    assert.equal(events[1].args.refundAmount, 499000n);
+});
+
+test('getSession decodes the sessionJobs tuple and names the status', async () => {
+    const iface = new ethers.Interface(require('../../sdk').abis.JobMarketplaceABI);
+    const runner = {
+        call: async () => iface.encodeFunctionResult('sessionJobs', [
+            5n, USER, HOST, USDC, 2_000_000n, 5000n, 200n, 3600n, 1000n, 1100n, 100n, 1,
+            900n, 1_000_000n, 'bafyconv', ethers.ZeroHash, ''
+        ])
+    };
+    const client = new JobMarketplaceClient(MARKETPLACE, runner);
+
+    const session = await client.getSession(5n);
+
+    assert.equal(session.host, HOST);
+    assert.equal(session.tokensUsed, 200n);
+    assert.equal(session.status, 1);
+    assert.equal(session.statusName, 'Completed');
+    assert.equal(session.conversationCID, 'bafyconv');
+});
+
+test('computeModelId matches ModelRegistry.getModelId', () => {
+    assert.equal(computeModelId('CohereForAI/TinyVicuna-1B-32k-GGUF', 'tiny-vicuna-1b.q4_k_m.gguf'), MODEL_ID);
+    assert.equal(new ModelRegistryClient(MODEL_REGISTRY, null).getModelId(
+        'CohereForAI/TinyVicuna-1B-32k-GGUF', 'tiny-vicuna-1b.q4_k_m.gguf'
+    ), MODEL_ID);
+});
+
+test('connectContracts skips contracts without an address', () => {
+    const clients = connectContracts({ jobMarketplace: MARKETPLACE, modelRegistry: MODEL_REGISTRY }, null);
+
+    assert.ok(clients.jobMarketplace instanceof JobMarketplaceClient);
+    assert.ok(clients.modelRegistry instanceof ModelRegistryClient);
+    assert.equal(clients.nodeRegistry, undefined);
+    assert.equal(clients.usdcToken, undefined);
+});
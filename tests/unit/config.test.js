@@ -0,0 +1,93 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { loadConfig, loadSigner } = require('../../sdk');
+
+const ANVIL_HOST = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+
+function tempFile(name, contents) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-config-'));
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+test('base-sepolia resolves addresses from the checked-in manifest', () => {
+    const config = loadConfig({ network: 'base-sepolia', env: {} });
+
+    assert.equal(config.chainId, 84532);
+    assert.equal(config.rpcUrl, 'https://sepolia.base.org');
+    assert.equal(config.contracts.jobMarketplace, '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E');
+    assert.equal(config.contracts.usdcToken, '0x036CbD53842c5426634e7929541eC2318f3dCF7e');
+    assert.match(config.manifestPath, /deployments[\\/]base-sepolia\.json$/);
+});
+
+test('environment overrides network, RPC and individual addresses', () => {
+    const config = loadConfig({
+        env: {
+            FABSTIR_NETWORK: 'base-sepolia',
+            BASE_SEPOLIA_RPC_URL: 'https://example.invalid/rpc',
+            JOB_MARKETPLACE_ADDRESS: '0x000000000000000000000000000000000000dead'
+        }
+    });
+
+    assert.equal(config.rpcUrl, 'https://example.invalid/rpc');
+    assert.equal(config.contracts.jobMarketplace, '0x000000000000000000000000000000000000dEaD');
+    assert.equal(config.contracts.nodeRegistry, '0x8BC0Af4aAa2dfb99699B1A24bA85E507de10Fd22');
+});
+
+test('anvil profile reads a custom manifest and rejects a mismatched chain', () => {
+    const manifest = tempFile('anvil.json', JSON.stringify({
+        network: 'anvil',
+        chainId: 31337,
+        contracts: { jobMarketplace: '0x5FbDB2315678afecb367f032d93F642f64180aa3' }
+    }));
+    const config = loadConfig({ network: 'anvil', manifestPath: manifest, env: {} });
+
+    assert.equal(config.rpcUrl, 'http://127.0.0.1:8545');
+    assert.equal(config.contracts.jobMarketplace, '0x5FbDB2315678afecb367f032d93F642f64180aa3');
+
+    const wrongChain = tempFile('anvil.json', JSON.stringify({ chainId: 84532, contracts: {} }));
+    assert.throws(() => loadConfig({ network: 'anvil', manifestPath: wrongChain, env: {} }), /is for chain 84532/);
+});
+
+test('unknown networks and malformed addresses are rejected', () => {
+    assert.throws(() => loadConfig({ network: 'mainnet', env: {} }), /Unknown network "mainnet"/);
+    assert.throws(
+        () => loadConfig({ network: 'base-sepolia', env: { USDC_ADDRESS: '0x1234' } }),
+        /Invalid usdcToken address/
+    );
+});
+
+test('loadSigner reads <ROLE>_PRIVATE_KEY and falls back to anvil dev keys', async () => {
+    const key = ethers.Wallet.createRandom().privateKey;
+    const fromEnv = await loadSigner('host', null, { env: { HOST_PRIVATE_KEY: key } });
+    assert.equal(fromEnv.privateKey, key);
+
+    const config = loadConfig({ network: 'anvil', env: {} });
+    const dev = await loadSigner('host', null, { config, env: {} });
+    assert.equal(dev.address, ANVIL_HOST);
+
+    await assert.rejects(loadSigner('host', null, { env: {} }), /set HOST_PRIVATE_KEY or HOST_KEYSTORE/);
+});
+
+test('loadSigner decrypts a keystore file', async () => {
+    const wallet = ethers.Wallet.createRandom();
+    const json = ethers.encryptKeystoreJsonSync(wallet, 'hunter2', { scrypt: { N: 1 << 10 } });
+    const keystore = tempFile('treasury.json', json);
+
+    const signer = await loadSigner('treasury', null, {
+        env: { TREASURY_KEYSTORE: keystore, TREASURY_KEYSTORE_PASSWORD: 'hunter2' }
+    });
+    assert.equal(signer.address, wallet.address);
+
+    await assert.rejects(
+        loadSigner('treasury', null, { env: { TREASURY_KEYSTORE: keystore } }),
+        /TREASURY_KEYSTORE_PASSWORD is not/
+    );
+});
@@ -0,0 +1,204 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { run } = require('../../cli');
+const { DeploymentVerifier, findStaleReferences, abis } = require('../../sdk');
+const { IMPLEMENTATION_SLOT, INITIALIZABLE_SLOT } = require('../../sdk/deployments/DeploymentVerifier');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const MANIFEST = require('../../deployments/base-sepolia.json');
+const OWNER = '0xbeaBB2a5AEd358aA0bd442dFFd793411519Bdc11';
+const ABIS = {
+    jobMarketplace: abis.JobMarketplaceABI,
+    nodeRegistry: abis.NodeRegistryABI,
+    modelRegistry: abis.ModelRegistryABI,
+    hostEarnings: abis.HostEarningsABI,
+    proofSystem: abis.ProofSystemABI
+};
+const uupsIface = new ethers.Interface(['function proxiableUUID() view returns (bytes32)']);
+
+// A dispatcher that PUSH4es every selector of the ABI
+function runtimeCode(abi, without = []) {
+    const selectors = new ethers.Interface(abi).fragments
+        .filter((f) => f.type === 'function' && !without.includes(f.name))
+        .map((f) => `63${f.selector.slice(2)}8114`);
+    return `0x6080604052${selectors.join('')}00`;
+}
+
+/**
+ * The Base Sepolia proxies as deployed: ERC-1967 slots, implementation code,
+ * owners and wiring. Tests break one piece at a time through `state`.
+ */
+class FakeDeployment extends FakeChain {
+    constructor(state = {}) {
+        const implementations = { ...MANIFEST.implementations, ...state.implementations };
+        super(Object.fromEntries(Object.keys(ABIS).flatMap((name) => [
+            [MANIFEST.contracts[name], ABIS[name]],
+            [implementations[name], uupsIface]
+        ])));
+        this.contracts = { ...MANIFEST.contracts };
+        this.implementations = implementations;
+        this.owners = Object.fromEntries(Object.keys(ABIS).map((name) => [name, OWNER]));
+        Object.assign(this.owners, state.owners);
+        this.missing = state.missing || {};
+        this.initializable = state.initializable || [];
+        this.authorized = state.authorized || { hostEarnings: true, proofSystem: true };
+    }
+
+    _proxy(address) {
+        return Object.keys(ABIS).find((name) => this.contracts[name].toLowerCase() === address.toLowerCase());
+    }
+
+    _implementation(address) {
+        return Object.keys(ABIS).find((name) => this.implementations[name].toLowerCase() === address.toLowerCase());
+    }
+
+    async getCode(address) {
+        if (this._proxy(address)) return '0x363d3d373d3d3d363d7f';
+        const name = this._implementation(address);
+        return name ? runtimeCode(ABIS[name], this.missing[name]) : '0x';
+    }
+
+    async getStorage(address, slot) {
+        if (slot === IMPLEMENTATION_SLOT && this._proxy(address)) {
+            return ethers.zeroPadValue(this.implementations[this._proxy(address)], 32);
+        }
+        if (slot === INITIALIZABLE_SLOT && this._implementation(address) && !this.initializable.includes(this._implementation(address))) {
+            return ethers.toBeHex(0xffffffffffffffffn, 32);
+        }
+        return ethers.ZeroHash;
+    }
+
+    result(name, args, tx) {
+        if (this._implementation(tx.to)) return [IMPLEMENTATION_SLOT];
+        const proxy = this._proxy(tx.to);
+        switch (name) {
+            case 'owner': return [this.owners[proxy]];
+            case 'nodeRegistry':
+            case 'hostEarnings':
+            case 'proofSystem':
+            case 'modelRegistry':
+            case 'fabToken': return [this.contracts[name]];
+            case 'usdcAddress': return [this.contracts.usdcToken];
+            case 'governanceToken': return [this.contracts.fabToken];
+            case 'authorizedCallers': return [this.authorized[proxy]];
+        }
+    }
+}
+
+async function verifyCli(args, provider) {
+    let stdout = '';
+    const code = await run(['deployment', 'verify', '--network', 'base-sepolia', ...args], {
+        env: {},
+        provider,
+        stdout: { write: (s) => { stdout += s; } },
+        stderr: { write: () => {} }
+    });
+    return { code, stdout };
+}
+
+test('a deployment matching its manifest verifies and reproduces it', async () => {
+    const report = await new DeploymentVerifier(new FakeDeployment(), MANIFEST).verify();
+
+    assert.equal(report.ok, true);
+    assert.deepEqual(report.findings, []);
+    assert.deepEqual(report.manifest.contracts, MANIFEST.contracts);
+    assert.deepEqual(report.manifest.implementations, MANIFEST.implementations);
+    assert.equal(report.manifest.owners.jobMarketplace, OWNER);
+    assert.equal(report.proxies.proofSystem.implementation, MANIFEST.implementations.proofSystem);
+});
+
+test('doc lines naming a contract with an address the manifest does not know are stale', () => {
+    const readme = [
+        `- **Proxy Address**: \`${MANIFEST.contracts.jobMarketplace}\``,
+        'const JOB_MARKETPLACE = \'0x75C72e8C3eC707D8beF5Ba9b9C4f75CbB5bced97\';',
+        '- **Previous**: 0x48aa4A8047A45862Da8412FAB71ef66C17c7766d (NodeRegistry, deprecated)',
+        '  "NodeRegistryFAB": "0x87516C13Ea2f99de598665e14cab64E191A0f8c4"'
+    ].join('\n');
+    assert.deepEqual(findStaleReferences(readme, MANIFEST).map((r) => [r.line, r.contract, r.address]), [
+        [2, 'jobMarketplace', '0x75C72e8C3eC707D8beF5Ba9b9C4f75CbB5bced97'],
+        [4, 'nodeRegistry', '0x87516C13Ea2f99de598665e14cab64E191A0f8c4']
+    ]);
+});
+
+test('sections under a historical heading and superseded deploy records are not stale', () => {
+    const readme = [
+        '## Legacy Contracts (Deprecated)',
+        '### JobMarketplace',
+        '- **Address**: 0x75C72e8C3eC707D8beF5Ba9b9C4f75CbB5bced97',
+        '## Usage',
+        'const JOB_MARKETPLACE = \'0x75C72e8C3eC707D8beF5Ba9b9C4f75CbB5bced97\';'
+    ].join('\n');
+    assert.deepEqual(findStaleReferences(readme, MANIFEST).map((r) => r.line), [5]);
+
+    const record = { contracts: { nodeRegistry: '0xF6420Cc8d44Ac92a6eE29A5E8D12D00aE91a73B3' } };
+    assert.equal(findStaleReferences(JSON.stringify(record, null, 2), MANIFEST).length, 1);
+    const superseded = { supersededBy: 'deployments/base-sepolia.json', ...record };
+    assert.deepEqual(findStaleReferences(JSON.stringify(superseded, null, 2), MANIFEST), []);
+});
+
+const UPGRADED = '0x000000000000000000000000000000000000bEEF';
+
+async function findings(state, options) {
+    const report = await new DeploymentVerifier(new FakeDeployment(state), MANIFEST, options).verify();
+    assert.equal(report.ok, false);
+    return { report, found: (check, contract) => report.findings.find((f) => f.check === check && f.contract === contract) };
+}
+
+test('an upgraded implementation is drift, and the manifest records what is on-chain', async () => {
+    const { report, found } = await findings({ implementations: { jobMarketplace: UPGRADED } });
+    assert.equal(found('implementation', 'jobMarketplace').actual, ethers.getAddress(UPGRADED));
+    assert.equal(report.manifest.implementations.jobMarketplace, ethers.getAddress(UPGRADED));
+});
+
+test('an implementation missing an ABI function is drift', async () => {
+    const { found } = await findings({ missing: { nodeRegistry: ['slashStake'] } });
+    assert.match(found('abi', 'nodeRegistry').message, /slashStake\(/);
+});
+
+test('an implementation that can still be initialized is drift', async () => {
+    const { found } = await findings({ initializable: ['modelRegistry'] });
+    assert.match(found('upgradeability', 'modelRegistry').message, /_disableInitializers/);
+});
+
+test('a proxy owned by someone other than the expected owner is drift', async () => {
+    const { found } = await findings({ owners: { hostEarnings: '0x4594F755F593B517Bb3194F4DeC20C48a3f04504' } }, { owner: OWNER });
+    assert.equal(found('owner', 'hostEarnings').expected, OWNER);
+});
+
+test('a marketplace no longer authorized on HostEarnings is an error, on ProofSystem a warning', async () => {
+    const { found } = await findings({ authorized: { hostEarnings: false, proofSystem: false } });
+    assert.equal(found('wiring', 'hostEarnings').severity, 'error');
+    assert.equal(found('wiring', 'proofSystem').severity, 'warning');
+});
+
+test('verify prints the findings, writes the verified manifest and exits 1 on drift', async () => {
+    const chain = new FakeDeployment({
+        implementations: { jobMarketplace: UPGRADED },
+        missing: { nodeRegistry: ['slashStake'] },
+        initializable: ['modelRegistry'],
+        owners: { hostEarnings: '0x4594F755F593B517Bb3194F4DeC20C48a3f04504' },
+        authorized: { hostEarnings: false, proofSystem: false }
+    });
+    const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-deployment-')), 'base-sepolia.json');
+    const { code, stdout } = await verifyCli(['--owner', OWNER, '--out', out], chain);
+    assert.equal(code, 1);
+    assert.match(stdout, /ERROR {3}jobMarketplace: jobMarketplace was upgraded/);
+    assert.match(stdout, /Drift: 5 error\(s\)/);
+    assert.equal(JSON.parse(fs.readFileSync(out, 'utf8')).implementations.jobMarketplace, ethers.getAddress(UPGRADED));
+});
+
+test('stale references in scanned docs fail verify even when the chain matches', async () => {
+    const doc = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-deployment-')), 'README.md');
+    fs.writeFileSync(doc, 'const JOB_MARKETPLACE = \'0x75C72e8C3eC707D8beF5Ba9b9C4f75CbB5bced97\';\n');
+    const { code, stdout } = await verifyCli(['--scan', doc], new FakeDeployment());
+
+    assert.equal(code, 1);
+    assert.match(stdout, /STALE {3}.*README\.md:1 jobMarketplace 0x75C72e8C3eC707D8beF5Ba9b9C4f75CbB5bced97/);
+    assert.match(stdout, /Drift: 1 stale reference\(s\)/);
+});
@@ -0,0 +1,169 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+    DepositManager,
+    connectContracts,
+    abis,
+    NATIVE_TOKEN,
+    FabstirError,
+    InsufficientBalanceError
+} = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const ADDRESSES = {
+    jobMarketplace: '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E',
+    nodeRegistry: '0x8BC0Af4aAa2dfb99699B1A24bA85E507de10Fd22'
+};
+const USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const HOST = '0x4594F755F593B517Bb3194F4DeC20C48a3f04504';
+const ETH = ethers.parseEther('1');
+
+/**
+ * Deposit balances keyed by token; writes only ever run as staticCall +
+ * estimateGas through a simulated client, so nothing here changes
+ */
+class DepositChain extends FakeChain {
+    constructor({ withdrawable = {}, locked = {}, allowance = ethers.MaxUint256 } = {}) {
+        super({
+            [ADDRESSES.jobMarketplace]: abis.JobMarketplaceABI,
+            [ADDRESSES.nodeRegistry]: abis.NodeRegistryABI,
+            [USDC]: abis.ERC20ABI
+        }, { network: 'anvil', chainId: 31337n, gasEstimate: 70000n });
+        this.withdrawable = { [NATIVE_TOKEN]: 0n, [USDC]: 0n, ...withdrawable };
+        this.locked = { [NATIVE_TOKEN]: 0n, [USDC]: 0n, ...locked };
+        this.allowance = allowance;
+    }
+
+    result(name, args) {
+        switch (name) {
+            case 'getDepositBalances': return [args[1].map((token) => this.withdrawable[token])];
+            case 'getDepositBalance': return [this.withdrawable[args[1]]];
+            case 'getLockedBalanceNative': return [this.locked[NATIVE_TOKEN]];
+            case 'getLockedBalanceToken': return [this.locked[args[1]]];
+            case 'paused': return [false];
+            case 'getNodeFullInfo': return [args[0], 1000n, true, '{}', 'https://host.example', [], 2000n, 2000n];
+            case 'getNodePricing': return [2000n];
+            case 'allowance': return [this.allowance];
+            case 'createSessionFromDeposit': return [9n];
+            case 'depositNative':
+            case 'depositToken':
+            case 'withdrawNative':
+            case 'withdrawToken': return [];
+        }
+    }
+}
+
+function deposits(chain, policies) {
+    const user = new ethers.Wallet(ethers.id('deposit-user'), chain);
+    const contracts = connectContracts(ADDRESSES, user);
+    return new DepositManager({ ...contracts, jobMarketplace: contracts.jobMarketplace.simulate() }, { policies });
+}
+
+test('balances split withdrawable from funds locked in active sessions', async () => {
+    const chain = new DepositChain({ withdrawable: { [USDC]: 5_000_000n }, locked: { [NATIVE_TOKEN]: ETH, [USDC]: 2_000_000n } });
+
+    const balances = await deposits(chain).getBalances([NATIVE_TOKEN, USDC]);
+
+    assert.deepEqual(balances, [
+        { token: NATIVE_TOKEN, withdrawable: 0n, locked: ETH, total: ETH },
+        { token: USDC, withdrawable: 5_000_000n, locked: 2_000_000n, total: 7_000_000n }
+    ]);
+    assert.equal(chain.called('getDepositBalances').length, 1, 'one call for every token');
+});
+
+const RESERVE = { [USDC]: { minBalance: 1_000_000n, topUpTo: 3_000_000n } };
+
+test('withdrawals never reach funds locked in active sessions', async () => {
+    const chain = new DepositChain({ withdrawable: { [USDC]: 5_000_000n }, locked: { [USDC]: 2_000_000n } });
+    await assert.rejects(deposits(chain, RESERVE).withdraw(USDC, 6_000_000n), (err) => {
+        assert.ok(err instanceof InsufficientBalanceError);
+        assert.equal(err.message, 'Cannot withdraw 6000000: only 5000000 is withdrawable, 2000000 is locked in active sessions');
+        return true;
+    });
+    assert.equal(chain.called('withdrawToken').length, 0);
+});
+
+test('withdrawals keep the reserve while sessions are active unless forced', async () => {
+    const chain = new DepositChain({ withdrawable: { [USDC]: 5_000_000n }, locked: { [USDC]: 2_000_000n } });
+    const manager = deposits(chain, RESERVE);
+    await assert.rejects(manager.withdraw(USDC, 4_500_000n), (err) => {
+        assert.ok(err instanceof FabstirError);
+        assert.match(err.message, /would leave 500000, below the 1000000 reserve/);
+        assert.match(err.hint, /force/);
+        return true;
+    });
+    assert.equal(chain.called('withdrawToken').length, 0);
+
+    await manager.withdraw(USDC, 4_000_000n);
+    await manager.withdraw(USDC, 4_500_000n, { force: true });
+    assert.equal(chain.called('withdrawToken').length, 2);
+});
+
+test('withdrawals may take the reserve once no session is active', async () => {
+    const chain = new DepositChain({ withdrawable: { [USDC]: 5_000_000n } });
+    await deposits(chain, RESERVE).withdraw(USDC, 5_000_000n);
+    assert.equal(chain.called('withdrawToken').length, 1);
+});
+
+test('without a policy there is no reserve, only the withdrawable check', async () => {
+    const chain = new DepositChain({ withdrawable: { [USDC]: 5_000_000n }, locked: { [USDC]: 2_000_000n } });
+    await deposits(chain).withdraw(USDC, 5_000_000n);
+    assert.equal(chain.called('withdrawToken').length, 1);
+});
+
+test('tick tops up only the tokens below their minimum, back to the target', async () => {
+    const chain = new DepositChain({ withdrawable: { [NATIVE_TOKEN]: ETH / 10n, [USDC]: 5_000_000n } });
+    const manager = deposits(chain, {
+        [NATIVE_TOKEN]: { minBalance: ETH / 2n, topUpTo: ETH },
+        [USDC]: { minBalance: 1_000_000n, topUpTo: 10_000_000n }
+    });
+
+    const { topUps, errors } = await manager.tick();
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(topUps.map((t) => [t.token, t.amount]), [[NATIVE_TOKEN, ETH - ETH / 10n]]);
+    assert.equal(chain.called('depositNative')[0].value, ETH - ETH / 10n);
+});
+
+test('tick reports a token top-up that needs an approval instead of simulating it', async () => {
+    const chain = new DepositChain({ allowance: 0n });
+    const manager = deposits(chain, { [USDC]: { minBalance: 1_000_000n, topUpTo: 10_000_000n } });
+    const [pending] = (await manager.tick()).topUps;
+    assert.deepEqual(pending.approvalRequired, { token: USDC, spender: ADDRESSES.jobMarketplace, amount: 10_000_000n });
+    assert.equal(chain.called('depositToken').length, 0);
+});
+
+const SESSION = { host: HOST, deposit: ETH / 100n, maxDuration: 3600n, proofInterval: 100n };
+const NATIVE_RESERVE = { [NATIVE_TOKEN]: { minBalance: ETH / 10n, topUpTo: ETH / 2n } };
+
+test('openSession draws on the deposit at the host minimum', async () => {
+    const chain = new DepositChain({ withdrawable: { [NATIVE_TOKEN]: ETH } });
+    const opened = await deposits(chain, NATIVE_RESERVE).openSession(SESSION);
+    assert.equal(opened.jobId, 9n);
+    assert.equal(opened.pricePerToken, 2000n);
+    assert.equal(opened.topUp, null);
+    assert.deepEqual(chain.called('createSessionFromDeposit')[0].args,
+        [HOST, NATIVE_TOKEN, ETH / 100n, 2000n, 3600n, 100n]);
+});
+
+test('openSession tops up a shortfall first and leaves the session for after it lands', async () => {
+    const chain = new DepositChain({ withdrawable: { [NATIVE_TOKEN]: ETH / 50n } });
+    const topped = await deposits(chain, NATIVE_RESERVE).openSession(SESSION);
+    // 0.02 left - 0.01 drawn = 0.01 is under the 0.1 minimum: refill to 0.5 after the draw
+    assert.equal(topped.topUp.amount, ETH / 2n + ETH / 100n - ETH / 50n);
+    assert.equal(chain.called('depositNative').length, 1);
+    assert.equal(chain.called('createSessionFromDeposit').length, 0);
+});
+
+test('openSession deposits nothing for a session that would fail', async () => {
+    const chain = new DepositChain({ withdrawable: { [NATIVE_TOKEN]: ETH / 50n } });
+    await assert.rejects(deposits(chain, NATIVE_RESERVE).openSession({ ...SESSION, pricePerToken: 1999n }), /below the host minimum/);
+    assert.equal(chain.called('depositNative').length, 0);
+});
+
+test('start refuses to run without an onError handler', () => {
+    assert.throws(() => deposits(new DepositChain()).start({ onTopUp: () => {} }), /onError handler/);
+});
@@ -0,0 +1,125 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { HostDiscovery, connectContracts, computeModelId, abis, NATIVE_TOKEN, ModelNotSupportedError } = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const ADDRESSES = {
+    jobMarketplace: '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E',
+    nodeRegistry: '0x8BC0Af4aAa2dfb99699B1A24bA85E507de10Fd22',
+    modelRegistry: '0x1a9d91521c85bD252Ac848806Ff5096bBb9ACDb2',
+    usdcToken: '0x036CbD53842c5426634e7929541eC2318f3dCF7e'
+};
+const REPO = 'CohereForAI/TinyVicuna-1B-32k-GGUF';
+const FILE = 'tiny-vicuna-1b.q4_k_m.gguf';
+const MODEL_ID = computeModelId(REPO, FILE);
+const NOW = 1_700_000_000n;
+const DAY = 86400n;
+
+const host = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, '0')}`);
+const [A, B, C, D, E] = [1, 2, 3, 4, 5].map(host);
+
+/**
+ * Registry state as plain objects
+ */
+class FakeRegistry extends FakeChain {
+    constructor(nodes) {
+        super({
+            [ADDRESSES.jobMarketplace]: abis.JobMarketplaceABI,
+            [ADDRESSES.nodeRegistry]: abis.NodeRegistryABI,
+            [ADDRESSES.modelRegistry]: abis.ModelRegistryABI,
+            [ADDRESSES.usdcToken]: abis.ERC20ABI
+        }, { network: 'anvil', chainId: 31337n, timestamp: Number(NOW) });
+        this.nodes = nodes;
+    }
+
+    result(name, args) {
+        const node = this.nodes[args[0]];
+        switch (name) {
+            case 'isModelApproved': return [args[0] === MODEL_ID];
+            case 'getNodesForModel': return [Object.keys(this.nodes)];
+            case 'isActiveNode': return [node.active];
+            case 'getNodeFullInfo':
+                return [args[0], node.stake, node.active, '{}', `https://${args[0].slice(2, 6)}.example`, [MODEL_ID], node.price, node.price];
+            case 'getModelPricing': return [this.nodes[args[0]] ? this.nodes[args[0]].price : 0n];
+            case 'nodeSupportsModel': return [Boolean(node) && node.supports !== false];
+            case 'lastSlashTime': return [node.lastSlashTime || 0n];
+            case 'allowance': return [ethers.MaxUint256];
+            case 'createSessionJobForModelWithToken': return [9n];
+        }
+    }
+}
+
+const NODES = {
+    [A]: { active: true, price: 300n, stake: 1000n },
+    [B]: { active: true, price: 200n, stake: 1000n },
+    [C]: { active: true, price: 200n, stake: 2000n },
+    [D]: { active: true, price: 100n, stake: 5000n, lastSlashTime: NOW - DAY },
+    [E]: { active: false, price: 50n, stake: 1000n }
+};
+
+test('candidates are ranked unslashed first, then by price, then by stake', async () => {
+    const chain = new FakeRegistry(NODES);
+    const discovery = new HostDiscovery(connectContracts(ADDRESSES, chain));
+
+    const { modelId, token, candidates } = await discovery.findHosts({ repo: REPO, fileName: FILE, deposit: 1_000_000n });
+
+    assert.equal(modelId, MODEL_ID);
+    assert.equal(token, NATIVE_TOKEN);
+    assert.deepEqual(candidates.map((c) => c.host), [C, B, A, D], 'inactive E is dropped');
+    assert.equal(candidates[3].recentlySlashed, true);
+    assert.deepEqual(candidates[0].quote, { pricePerToken: 200n, maxTokens: 5_000_000n, costPer1000: 200n });
+    assert.equal(chain.called('isModelApproved').length, 1);
+});
+
+test('old slashes stop counting and maxPrice filters expensive hosts', async () => {
+    const nodes = { ...NODES, [D]: { ...NODES[D], lastSlashTime: NOW - 8n * DAY } };
+    const discovery = new HostDiscovery(connectContracts(ADDRESSES, new FakeRegistry(nodes)));
+
+    const { candidates } = await discovery.findHosts({ modelId: MODEL_ID, token: ADDRESSES.usdcToken, maxPrice: 250n });
+
+    assert.deepEqual(candidates.map((c) => c.host), [D, C, B]);
+    assert.equal(candidates[0].recentlySlashed, false);
+    assert.equal(candidates[0].quote, undefined);
+});
+
+test('unapproved models are rejected before any host lookup', async () => {
+    const chain = new FakeRegistry(NODES);
+    const discovery = new HostDiscovery(connectContracts(ADDRESSES, chain));
+
+    await assert.rejects(discovery.findHosts({ repo: REPO, fileName: 'other.gguf' }), /Model CohereForAI\/TinyVicuna-1B-32k-GGUF\/other\.gguf is not approved/);
+    assert.deepEqual(chain.calls.map((c) => c.name), ['isModelApproved']);
+});
+
+const SESSION = { host: B, repo: REPO, fileName: FILE, token: ADDRESSES.usdcToken, deposit: 2_000_000n, maxDuration: 3600n, proofInterval: 100n };
+
+function opener(chain) {
+    const contracts = connectContracts(ADDRESSES, new ethers.Wallet(ethers.id('discovery-user'), chain));
+    contracts.jobMarketplace = contracts.jobMarketplace.simulate();
+    return new HostDiscovery(contracts);
+}
+
+test('openSession defaults to the host minimum price', async () => {
+    const chain = new FakeRegistry(NODES);
+    const { jobId, pricePerToken, modelId } = await opener(chain).openSession(SESSION);
+    assert.equal(jobId, 9n);
+    assert.equal(pricePerToken, 200n);
+    assert.equal(modelId, MODEL_ID);
+    const created = chain.called('createSessionJobForModelWithToken')[0];
+    assert.deepEqual(created.args, [B, MODEL_ID, ADDRESSES.usdcToken, 2_000_000n, 200n, 3600n, 100n]);
+});
+
+test('openSession refuses a price below the host minimum', async () => {
+    const chain = new FakeRegistry(NODES);
+    await assert.rejects(opener(chain).openSession({ ...SESSION, pricePerToken: 199n }), /Price 199 is below .* minimum of 200/);
+    assert.deepEqual(chain.called('createSessionJobForModelWithToken'), []);
+});
+
+test('openSession refuses a host that no longer serves the model', async () => {
+    const chain = new FakeRegistry({ ...NODES, [B]: { ...NODES[B], supports: false } });
+
+    await assert.rejects(opener(chain).openSession(SESSION), (err) => err instanceof ModelNotSupportedError && err.reason === 'Host does not support model');
+    assert.equal(chain.calls.some((c) => c.name === 'createSessionJobForModelWithToken' || c.name === 'approve'), false);
+});
@@ -0,0 +1,216 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    Preflight,
+    connectContracts,
+    decodeError,
+    signProof,
+    isRetryableTxError,
+    abis,
+    ContractRevertError,
+    ContractPausedError,
+    ExcessiveTokensError,
+    ExceedsDepositError,
+    UnauthorizedError,
+    InsufficientAllowanceError,
+    HostNotActiveError,
+    PriceBelowMinimumError,
+    TokenNotAcceptedError,
+    TooEarlyError
+} = require('../../sdk');
+const { REVERTS } = require('../../sdk/errors');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const ADDRESSES = {
+    jobMarketplace: '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E',
+    nodeRegistry: '0x8BC0Af4aAa2dfb99699B1A24bA85E507de10Fd22'
+};
+const USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const USER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const NOW = 1_700_000_000n;
+const host = new ethers.Wallet(ethers.id('errors-host'));
+
+const revert = (reason) => ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])]);
+
+/**
+ * Marketplace and registry state as plain objects
+ */
+class MarketChain extends FakeChain {
+    constructor(overrides = {}) {
+        super({ [ADDRESSES.jobMarketplace]: abis.JobMarketplaceABI, [ADDRESSES.nodeRegistry]: abis.NodeRegistryABI },
+            { network: 'anvil', chainId: 31337n, timestamp: Number(NOW) });
+        this.paused = false;
+        this.node = { active: true, price: 200n };
+        this.session = {
+            depositor: USER, host: host.address, deposit: 1_000_000n, pricePerToken: 1000n, tokensUsed: 0n,
+            maxDuration: 3600n, startTime: NOW - 100n, lastProofTime: NOW - 10n, proofInterval: 100n, status: 0
+        };
+        Object.assign(this, overrides);
+    }
+
+    result(name, args) {
+        const s = this.session;
+        switch (name) {
+            case 'paused': return [this.paused];
+            case 'acceptedTokens': return [false];
+            case 'tokenMinDeposits':
+            case 'tokenMaxDeposits': return [0n];
+            case 'disputeWindow': return [30n];
+            case 'getNodeFullInfo': return [args[0], 1000n, this.node.active, '{}', 'https://host.example', [], this.node.price, this.node.price];
+            case 'getNodePricing': return [this.node.price];
+            case 'sessionJobs':
+                return [args[0], s.depositor, s.host, ethers.ZeroAddress, s.deposit, s.pricePerToken, s.tokensUsed, s.maxDuration,
+                    s.startTime, s.lastProofTime, s.proofInterval, s.status, 0n, 0n, '', ethers.ZeroHash, ''];
+        }
+    }
+}
+
+test('reverts from a client call become typed errors with the call parameters and a hint', async () => {
+    const chain = new MarketChain({ reverts: { submitProofOfWork: revert('Excessive tokens claimed') } });
+    const marketplace = connectContracts(ADDRESSES, host.connect(chain)).jobMarketplace.simulate();
+    const proof = await signProof(host, { tokensClaimed: 50_000n, proofData: '0x01' });
+
+    const err = await marketplace.submitProof(7n, proof).catch((e) => e);
+
+    assert.ok(err instanceof ExcessiveTokensError);
+    assert.equal(err.message, 'JobMarketplace.submitProofOfWork reverted: Excessive tokens claimed');
+    assert.equal(err.reason, 'Excessive tokens claimed');
+    assert.equal(err.params.jobId, 7n);
+    assert.equal(err.params.tokensClaimed, 50_000n);
+    assert.match(err.hint, /2000 tokens per second/);
+    assert.equal(err.code, 'CALL_EXCEPTION');
+    assert.equal(isRetryableTxError(err), false);
+});
+
+const rpcError = (data) => ethers.makeError('execution reverted', 'CALL_EXCEPTION', { info: { error: { data } } });
+const errorsIface = new ethers.Interface([
+    'error EnforcedPause()',
+    'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)'
+]);
+
+test('custom errors decode from raw revert data with their arguments', () => {
+    const paused = decodeError(rpcError(errorsIface.encodeErrorResult('EnforcedPause', [])), { contract: 'JobMarketplace', method: 'depositNative' });
+    assert.ok(paused instanceof ContractPausedError);
+    assert.match(paused.hint, /paused/);
+
+    const allowance = decodeError(rpcError(errorsIface.encodeErrorResult('ERC20InsufficientAllowance', [ADDRESSES.jobMarketplace, 5n, 10n])));
+    assert.ok(allowance instanceof InsufficientAllowanceError);
+    assert.equal(allowance.params.needed, 10n);
+    assert.equal(allowance.message, 'Transaction reverted: ERC20InsufficientAllowance');
+});
+
+test('panics decode to their code and description', () => {
+    const panic = decodeError(rpcError(ethers.concat(['0x4e487b71', ethers.toBeHex(0x12, 32)])));
+    assert.equal(panic.reason, 'Panic(0x12)');
+    assert.equal(panic.params.description, 'division by zero');
+});
+
+test('unknown reasons become a generic revert error and other errors pass through', () => {
+    const unknown = decodeError(rpcError(revert('Reserved for a future upgrade')));
+    assert.equal(unknown.constructor, ContractRevertError);
+    assert.match(unknown.hint, /--dry-run/);
+
+    const network = ethers.makeError('connection refused', 'NETWORK_ERROR', {});
+    assert.equal(decodeError(network), network, 'non-revert errors pass through untouched');
+});
+
+test('every revert string in the contracts and every custom error in their ABIs has a hint', () => {
+    const root = path.join(__dirname, '../..');
+    const reasons = new Set();
+    for (const file of fs.readdirSync(path.join(root, 'src')).filter((f) => f.endsWith('.sol'))) {
+        const source = fs.readFileSync(path.join(root, 'src', file), 'utf8');
+        for (const [, reason] of source.matchAll(/(?:require\s*\([^;]*?,|revert\s*\()\s*"([^"]*)"/g)) reasons.add(reason);
+    }
+    for (const file of fs.readdirSync(path.join(root, 'client-abis')).filter((f) => f.endsWith('.json'))) {
+        const abi = JSON.parse(fs.readFileSync(path.join(root, 'client-abis', file), 'utf8'));
+        for (const { type, name } of abi) if (type === 'error') reasons.add(name);
+    }
+
+    assert.ok(reasons.size > 100, `found only ${reasons.size} reasons; did the sources move?`);
+    assert.deepEqual([...reasons].filter((reason) => !REVERTS[reason]), []);
+});
+
+function preflight(chain) {
+    return new Preflight(connectContracts(ADDRESSES, chain));
+}
+
+test('preflight refuses a proof claiming more tokens than time allows, with the numbers', async () => {
+    // 10s since the last proof allows 20000 tokens
+    const tooMany = await signProof(host, { tokensClaimed: 20_001n, proofData: '0x01' });
+    await assert.rejects(preflight(new MarketChain()).submitProof(1n, tooMany, host.address), (err) => {
+        assert.ok(err instanceof ExcessiveTokensError);
+        assert.equal(err.message, 'Claimed 20001 tokens but at most 20000 can be proven 10s after the last proof');
+        assert.equal(err.params.maxClaimable, 20_000n);
+        return true;
+    });
+});
+
+test('preflight refuses a proof past the deposit', async () => {
+    const chain = new MarketChain();
+    chain.session.tokensUsed = 999_950n;
+    const proof = await signProof(host, { tokensClaimed: 100n, proofData: '0x02' });
+    await assert.rejects(preflight(chain).submitProof(1n, proof, host.address), ExceedsDepositError);
+});
+
+test('preflight accepts a proof only from the session host', async () => {
+    const proof = await signProof(host, { tokensClaimed: 100n, proofData: '0x02' });
+    assert.equal((await preflight(new MarketChain()).submitProof(1n, proof, host.address)).session.host, host.address);
+    await assert.rejects(preflight(new MarketChain()).submitProof(1n, proof, USER), UnauthorizedError);
+});
+
+test('preflight refuses a proof while the marketplace is paused', async () => {
+    const proof = await signProof(host, { tokensClaimed: 100n, proofData: '0x02' });
+    await assert.rejects(preflight(new MarketChain({ paused: true })).submitProof(1n, proof, host.address), ContractPausedError);
+});
+
+const PARAMS = { host: host.address, deposit: ethers.parseEther('0.01'), maxDuration: 3600n, proofInterval: 100n };
+
+test('preflight createSession defaults to the host minimum price', async () => {
+    const ok = await preflight(new MarketChain()).createSession(PARAMS, USER);
+    assert.equal(ok.pricePerToken, 200n);
+});
+
+test('preflight createSession refuses a token that is not accepted', async () => {
+    await assert.rejects(preflight(new MarketChain()).createSession({ ...PARAMS, token: USDC }, USER), TokenNotAcceptedError);
+});
+
+test('preflight createSession refuses a price below the host minimum', async () => {
+    await assert.rejects(preflight(new MarketChain()).createSession({ ...PARAMS, pricePerToken: 199n }, USER), (err) => {
+        assert.ok(err instanceof PriceBelowMinimumError);
+        assert.equal(err.method, 'createSessionJob');
+        assert.equal(err.params.minPrice, 200n);
+        return true;
+    });
+});
+
+test('preflight createSession refuses an inactive host', async () => {
+    const chain = new MarketChain();
+    chain.node.active = false;
+    await assert.rejects(preflight(chain).createSession(PARAMS, USER), HostNotActiveError);
+});
+
+test('preflight timeout reports when the session counts as abandoned', async () => {
+    const chain = new MarketChain();
+    // Proved 10s ago with proofInterval 100: abandoned only after 300s
+    await assert.rejects(preflight(chain).triggerTimeout(1n), (err) => {
+        assert.ok(err instanceof TooEarlyError);
+        assert.equal(err.params.timeoutAt, NOW + 291n);
+        return true;
+    });
+    chain.session.lastProofTime = NOW - 301n;
+    await preflight(chain).triggerTimeout(1n);
+});
+
+test('preflight holds back host completion for the dispute window, never the depositor', async () => {
+    const chain = new MarketChain();
+    // Started 100s ago, dispute window 30s
+    await preflight(chain).completeSession(1n, host.address);
+    chain.session.startTime = NOW - 10n;
+    await assert.rejects(preflight(chain).completeSession(1n, host.address), /The host can complete session 1 from/);
+    await preflight(chain).completeSession(1n, USER);
+});
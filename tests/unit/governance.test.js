@@ -0,0 +1,182 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    ModelGovernance,
+    hashModelFile,
+    connectContracts,
+    computeModelId,
+    abis,
+    APPROVAL_THRESHOLD,
+    PROPOSAL_FEE,
+    GovernanceError,
+    TooEarlyError
+} = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const REGISTRY = '0x1a9d91521c85bD252Ac848806Ff5096bBb9ACDb2';
+const FAB = '0xC78949004B4EB6dEf2D66e49Cd81231472612D62';
+const NOW = 1_700_000_000n;
+const DAY = 86400n;
+const REPO = 'CohereForAI/TinyVicuna-1B-32k-GGUF';
+const [A, B, C] = ['a.gguf', 'b.gguf', 'c.gguf'].map((file) => computeModelId(REPO, file));
+
+function proposal(modelId, fileName, fields) {
+    return {
+        proposer: ethers.ZeroAddress, votesFor: 0n, votesAgainst: 0n, proposalTime: NOW - DAY, executed: false,
+        endTime: NOW + DAY, extensionCount: 0, ...fields, modelId, fileName
+    };
+}
+
+/**
+ * ModelRegistry and FAB state as plain objects; writes only ever run as
+ * staticCall + estimateGas through a simulated client
+ */
+class FakeRegistry extends FakeChain {
+    constructor({ proposals = {}, models = {}, votes = 0n, allowance = ethers.MaxUint256, balance = PROPOSAL_FEE } = {}) {
+        super({ [REGISTRY]: abis.ModelRegistryABI, [FAB]: abis.ERC20ABI },
+            { network: 'anvil', chainId: 31337n, gasEstimate: 90000n, timestamp: Number(NOW) });
+        Object.assign(this, { proposals, models, votes, allowance, balance });
+        this.lastExecution = {};
+    }
+
+    result(name, args) {
+        const p = args.length ? this.proposals[args[0]] : undefined;
+        switch (name) {
+            case 'getActiveProposals': return [Object.keys(this.proposals).filter((id) => !this.proposals[id].executed)];
+            case 'proposals':
+                return p
+                    ? [args[0], p.proposer, p.votesFor, p.votesAgainst, p.proposalTime, p.executed,
+                        [REPO, p.fileName, ethers.ZeroHash, 2n, false, 0n], p.endTime, p.extensionCount]
+                    : [ethers.ZeroHash, ethers.ZeroAddress, 0n, 0n, 0n, false, ['', '', ethers.ZeroHash, 0n, false, 0n], 0n, 0];
+            case 'getModel': return [['', '', ethers.ZeroHash, 0n, false, this.models[args[0]] || 0n]];
+            case 'lastProposalExecutionTime': return [this.lastExecution[args[0]] || 0n];
+            case 'votes': return [this.votes];
+            case 'governanceToken': return [FAB];
+            case 'balanceOf': return [this.balance];
+            case 'allowance': return [this.allowance];
+            case 'proposeModel':
+            case 'executeProposal':
+            case 'withdrawVotes': return [];
+        }
+    }
+}
+
+function governance(chain) {
+    const voter = new ethers.Wallet(ethers.id('governance-voter'), chain);
+    const modelRegistry = connectContracts({ modelRegistry: REGISTRY }, voter).modelRegistry.simulate();
+    return new ModelGovernance({ modelRegistry });
+}
+
+test('hashModelFile streams the GGUF into the bytes32 sha256Hash', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-gguf-')), 'model.gguf');
+    const contents = crypto.randomBytes(200_000);
+    fs.writeFileSync(file, contents);
+
+    assert.equal(await hashModelFile(file), `0x${crypto.createHash('sha256').update(contents).digest('hex')}`);
+    await assert.rejects(hashModelFile(`${file}.missing`), /ENOENT/);
+});
+
+test('open proposals list tallies and time left, soonest deadline first', async () => {
+    const chain = new FakeRegistry({
+        proposals: {
+            [A]: proposal(A, 'a.gguf', { votesFor: APPROVAL_THRESHOLD, votesAgainst: 5n, endTime: NOW + 2n * DAY, extensionCount: 1 }),
+            [B]: proposal(B, 'b.gguf', { votesFor: 40n, endTime: NOW - 60n }),
+            [C]: proposal(C, 'c.gguf', { executed: true })
+        }
+    });
+
+    const proposals = await governance(chain).listProposals();
+
+    assert.deepEqual(proposals.map((p) => p.modelId), [B, A]);
+    const [ready, voting] = proposals;
+    assert.equal(ready.votingOpen, false);
+    assert.equal(ready.remaining, 0n);
+    assert.equal(ready.passing, false);
+    assert.equal(ready.votesNeeded, APPROVAL_THRESHOLD - 40n);
+    assert.equal(voting.votingOpen, true);
+    assert.equal(voting.remaining, 2n * DAY);
+    assert.equal(voting.passing, true);
+    assert.equal(voting.extensionCount, 1);
+    assert.equal(`${voting.repo}/${voting.fileName}`, `${REPO}/a.gguf`);
+});
+
+function ggufFile() {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-gguf-')), 'b.gguf');
+    fs.writeFileSync(file, 'gguf');
+    return file;
+}
+
+test('propose hashes the file and submits it', async () => {
+    const sha256Hash = `0x${crypto.createHash('sha256').update('gguf').digest('hex')}`;
+    const chain = new FakeRegistry();
+    const result = await governance(chain).propose({ repo: REPO, fileName: 'b.gguf', file: ggufFile() });
+    assert.equal(result.modelId, B);
+    assert.equal(result.sha256Hash, sha256Hash);
+    assert.deepEqual(chain.called('proposeModel')[0].args, [REPO, 'b.gguf', sha256Hash]);
+});
+
+test('propose refuses a model that is already approved', async () => {
+    const chain = new FakeRegistry({ models: { [A]: NOW - DAY } });
+    await assert.rejects(governance(chain).propose({ repo: REPO, fileName: 'a.gguf', file: ggufFile() }), GovernanceError);
+});
+
+test('propose refuses a model with an open proposal', async () => {
+    const chain = new FakeRegistry({ proposals: { [B]: proposal(B, 'b.gguf') } });
+    await assert.rejects(governance(chain).propose({ repo: REPO, fileName: 'b.gguf', file: ggufFile() }), /already has an open proposal/);
+});
+
+test('propose refuses a model still cooling down after its last proposal', async () => {
+    const chain = new FakeRegistry();
+    chain.lastExecution[B] = NOW - DAY;
+    await assert.rejects(governance(chain).propose({ repo: REPO, fileName: 'b.gguf', file: ggufFile() }), TooEarlyError);
+});
+
+test('propose reports a missing FAB approval instead of sending', async () => {
+    const chain = new FakeRegistry({ allowance: 0n });
+    const pending = await governance(chain).propose({ repo: REPO, fileName: 'b.gguf', sha256Hash: ethers.ZeroHash });
+    assert.deepEqual(pending.approvalRequired, { token: FAB, spender: REGISTRY, amount: PROPOSAL_FEE });
+    assert.deepEqual(chain.called('proposeModel'), []);
+});
+
+test('propose refuses a proposer without the FAB fee', async () => {
+    const chain = new FakeRegistry({ balance: PROPOSAL_FEE - 1n });
+    await assert.rejects(governance(chain).propose({ repo: REPO, fileName: 'b.gguf', sha256Hash: ethers.ZeroHash }), /needs 100\.0 FAB/);
+});
+
+test('execute waits for the voting deadline', async () => {
+    const chain = new FakeRegistry({ proposals: { [A]: proposal(A, 'a.gguf') } });
+    await assert.rejects(governance(chain).execute(A), (err) => {
+        assert.ok(err instanceof TooEarlyError);
+        assert.equal(err.reason, 'Voting still active');
+        assert.equal(err.params.endTime, NOW + DAY);
+        return true;
+    });
+
+    chain.proposals[A].endTime = NOW - 1n;
+    await governance(chain).execute(A);
+    assert.equal(chain.called('executeProposal').length, 1);
+});
+
+test('votes are refused on missing and closed proposals', async () => {
+    const chain = new FakeRegistry({ proposals: { [A]: proposal(A, 'a.gguf', { endTime: NOW - 1n }) } });
+    await assert.rejects(governance(chain).vote(B, 1n, true), /No proposal for model/);
+    await assert.rejects(governance(chain).vote(A, 1n, true), /closed at/);
+});
+
+test('votes unlock only after execution, and only once', async () => {
+    const chain = new FakeRegistry({ proposals: { [A]: proposal(A, 'a.gguf') }, votes: 7n });
+    const gov = governance(chain);
+    await assert.rejects(gov.withdrawVotes(A), /unlock on execution or after/);
+
+    chain.proposals[A].executed = true;
+    assert.equal((await gov.withdrawVotes(A)).amount, 7n);
+    chain.votes = 0n;
+    await assert.rejects(gov.withdrawVotes(A), GovernanceError);
+});
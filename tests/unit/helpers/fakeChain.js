@@ -0,0 +1,122 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { ethers } = require('ethers');
+
+/**
+ * A provider that is also its own runner, for clients from connectContracts.
+ * eth_call and estimateGas are decoded with the ABI registered for the target
+ * address, answered by `result(name, args, tx)` and encoded back, as the
+ * contract would. Tests describe contract state by passing a `results` table
+ * or by subclassing and overriding `result`.
+ */
+class FakeChain {
+    /**
+     * @param {Object<string, Array|ethers.Interface>} contracts - ABI per contract address
+     * @param {Object} [options]
+     * @param {Object<string, Array|Function>} [options.results] - Return values by function name, or (args, tx) => values
+     * @param {string} [options.network] - Default base-sepolia
+     * @param {bigint} [options.chainId] - Default 84532
+     * @param {bigint} [options.gasEstimate] - Default 200000
+     * @param {number} [options.timestamp] - Of the latest block
+     */
+    constructor(contracts, options = {}) {
+        this.interfaces = new Map(Object.entries(contracts).map(([address, abi]) =>
+            [address.toLowerCase(), abi instanceof ethers.Interface ? abi : new ethers.Interface(abi)]));
+        this.results = options.results || {};
+        this.network = new ethers.Network(options.network || 'base-sepolia', options.chainId || 84532n);
+        this.gasEstimate = options.gasEstimate || 200_000n;
+        this.timestamp = options.timestamp;
+        // Calls answered with revert data instead, by function name
+        this.reverts = {};
+        this.calls = [];
+        this.logs = [];
+        this.provider = this;
+    }
+
+    /**
+     * Return values for one call; undefined fails the test as unexpected
+     * @param {string} name - Function name
+     * @param {ethers.Result} args
+     * @param {Object} tx
+     * @returns {Array|undefined}
+     */
+    result(name, args, tx) {
+        const result = this.results[name];
+        return typeof result === 'function' ? result(args, tx) : result;
+    }
+
+    /**
+     * eth_calls made to a function, in order
+     * @param {string} name
+     */
+    called(name) {
+        return this.calls.filter((c) => c.name === name);
+    }
+
+    /**
+     * Record a log as the contract at `address` would emit it
+     * @param {string} address
+     * @param {string} name - Event name
+     * @param {Array} args
+     * @param {number} [blockNumber] - Default: one block per log from 100
+     */
+    emit(address, name, args, blockNumber = 100 + this.logs.length) {
+        const n = this.logs.length;
+        this.logs.push({
+            address,
+            ...this._interface(address).encodeEventLog(name, args),
+            blockNumber,
+            blockHash: ethers.id(`block-${blockNumber}`),
+            index: 0,
+            transactionHash: ethers.id(`tx-${n}`)
+        });
+    }
+
+    _interface(address) {
+        const iface = this.interfaces.get(address.toLowerCase());
+        if (!iface) throw new Error(`Unexpected call to ${address}`);
+        return iface;
+    }
+
+    _dispatch(tx) {
+        const iface = this._interface(tx.to);
+        const parsed = iface.parseTransaction({ data: tx.data, value: tx.value });
+        if (this.reverts[parsed.name]) {
+            throw ethers.makeError('execution reverted', 'CALL_EXCEPTION', { data: this.reverts[parsed.name] });
+        }
+        const result = this.result(parsed.name, parsed.args, tx);
+        if (result === undefined) throw new Error(`Unexpected call ${parsed.name}`);
+        return { parsed, data: iface.encodeFunctionResult(parsed.fragment, result) };
+    }
+
+    async call(tx) {
+        const { parsed, data } = this._dispatch(tx);
+        this.calls.push({ name: parsed.name, args: [...parsed.args], from: tx.from, value: tx.value });
+        return data;
+    }
+
+    // A simulated write is a staticCall plus this; only the call is recorded
+    async estimateGas(tx) {
+        this._dispatch(tx);
+        return this.gasEstimate;
+    }
+
+    async getLogs({ address, topics = [] }) {
+        return this.logs.filter((log) => (!address || log.address.toLowerCase() === address.toLowerCase()) &&
+            topics.every((topic, i) => topic == null || (Array.isArray(topic) ? topic.includes(log.topics[i]) : topic === log.topics[i])));
+    }
+
+    async getBlock(tag) {
+        return { number: typeof tag === 'number' ? tag : 0, timestamp: this.timestamp };
+    }
+
+    async getNetwork() {
+        return this.network;
+    }
+
+    async resolveName(name) {
+        return name;
+    }
+}
+
+module.exports = { FakeChain };
@@ -0,0 +1,247 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    HostDaemon, InMemoryTokenSource, JobMarketplaceClient, checkProof, withRetry, isRetryableTxError, abis
+} = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const MARKETPLACE = '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E';
+const USER = '0x8D642988E3e7b6DB15b6058461d5563835b04bF6';
+const OTHER_HOST = '0x4594F755F593B517Bb3194F4DeC20C48a3f04504';
+const iface = new ethers.Interface(abis.JobMarketplaceABI);
+
+/**
+ * JobMarketplace as the daemon sees it: sessions are plain SessionJob objects,
+ * proofs go through the same checks as the contract, and `failures` queues
+ * errors for the next sends. `marketplace` is the host's client, with its sends
+ * applied here instead of signed and broadcast.
+ */
+class DaemonChain extends FakeChain {
+    constructor(host) {
+        super({ [MARKETPLACE]: iface }, { timestamp: 1_000_000 });
+        this.blockNumber = 10;
+        this.sessions = new Map();
+        this.failures = [];
+        // Sends that are applied but whose reply is lost, as after an RPC timeout
+        this.lostReplies = 0;
+        this.sent = [];
+        this.usedProofHashes = new Set();
+        this.marketplace = new JobMarketplaceClient(MARKETPLACE, host.connect(this));
+        this.marketplace._send = async (method, args) => this.send(method, args);
+    }
+
+    get now() {
+        return BigInt(this.timestamp);
+    }
+
+    create(host, { deposit = 1_000_000n, pricePerToken = 5000n, maxDuration = 600n, proofInterval = 1000n } = {}) {
+        const id = BigInt(this.sessions.size + 1);
+        this.sessions.set(id, {
+            id, depositor: USER, host, paymentToken: ethers.ZeroAddress, deposit, pricePerToken, tokensUsed: 0n, maxDuration,
+            startTime: this.now, lastProofTime: this.now, proofInterval, status: 0
+        });
+        this.emit(MARKETPLACE, 'SessionJobCreated', [id, USER, host, deposit], this.blockNumber);
+        this.blockNumber += 3;
+        return id;
+    }
+
+    result(name, args) {
+        if (name !== 'sessionJobs') return undefined;
+        const s = this.sessions.get(args[0]);
+        return [s.id, s.depositor, s.host, s.paymentToken, s.deposit, s.pricePerToken, s.tokensUsed, s.maxDuration,
+            s.startTime, s.lastProofTime, s.proofInterval, s.status, 0n, 0n, '', ethers.ZeroHash, ''];
+    }
+
+    send(name, args) {
+        if (this.failures.length) throw this.failures.shift();
+        const session = this.sessions.get(args[0]);
+        if (name === 'submitProofOfWork') {
+            const [jobId, tokensClaimed, proofHash, signature, proofCID, deltaCID] = args;
+            const { errors } = checkProof({ tokensClaimed, proofHash, signature }, this.marketplace.runner.address,
+                { session, now: this.now, usedProofHashes: this.usedProofHashes });
+            if (errors.length) this._revert(errors[0]);
+            this.usedProofHashes.add(proofHash.toLowerCase());
+            session.tokensUsed += tokensClaimed;
+            session.lastProofTime = this.now;
+            this.emit(MARKETPLACE, 'ProofSubmitted', [jobId, session.host, tokensClaimed, proofHash, proofCID, deltaCID], this.blockNumber + 1);
+        } else if (name === 'triggerSessionTimeout') {
+            const timedOut = this.now > session.startTime + session.maxDuration ||
+                this.now > session.lastProofTime + session.proofInterval * 3n;
+            if (!timedOut) this._revert('Session not timed out');
+            session.status = 2;
+        }
+        this.sent.push(name);
+        this.blockNumber++;
+        if (this.lostReplies) {
+            this.lostReplies--;
+            throw Object.assign(new Error('request timeout'), { code: 'TIMEOUT' });
+        }
+        return { hash: ethers.id(`${name}-${this.sent.length}`), receipt: { blockNumber: this.blockNumber }, events: [] };
+    }
+
+    _revert(reason) {
+        throw Object.assign(new Error(reason), { code: 'CALL_EXCEPTION' });
+    }
+
+    async getBlockNumber() {
+        return this.blockNumber;
+    }
+}
+
+function newDaemon(chain, tokenSource, options = {}) {
+    return new HostDaemon({
+        marketplace: chain.marketplace,
+        provider: chain,
+        tokenSource,
+        confirmations: 0,
+        retry: { sleep: async () => {} },
+        ...options
+    });
+}
+
+test('discovers only its own sessions and proves once proofInterval tokens are served', async () => {
+    const host = ethers.Wallet.createRandom();
+    const chain = new DaemonChain(host);
+    const mine = chain.create(host.address);
+    chain.create(OTHER_HOST);
+    const tokens = new InMemoryTokenSource();
+    const daemon = newDaemon(chain, tokens);
+
+    tokens.record(mine, 999);
+    chain.timestamp += 10;
+    const first = await daemon.tick();
+    assert.deepEqual(first.discovered, [mine]);
+    assert.equal(first.proofs.length, 0, 'below proofInterval');
+
+    tokens.record(mine, 4001);
+    chain.timestamp += 1;
+    const second = await daemon.tick();
+    assert.equal(second.discovered.length, 0);
+    // 11s since the last proof allows 22,000 tokens, so all 5000 are claimed at once
+    assert.equal(second.proofs[0].tokensClaimed, 5000n);
+    assert.equal(chain.sessions.get(mine).tokensUsed, 5000n);
+    assert.deepEqual(daemon.getSessions().map((s) => s.jobId), [mine]);
+});
+
+test('claims are clamped to the rate limit and the deposit cap', async () => {
+    const host = ethers.Wallet.createRandom();
+    const chain = new DaemonChain(host);
+    // 1,000,000 * 1000 / 5000 = 200,000 provable tokens
+    const jobId = chain.create(host.address);
+    const tokens = new InMemoryTokenSource();
+    const daemon = newDaemon(chain, tokens);
+
+    tokens.record(jobId, 250_000);
+    chain.timestamp += 30;
+    assert.equal((await daemon.tick()).proofs[0].tokensClaimed, 60_000n, '30s * 2000 tokens/sec');
+
+    chain.timestamp += 100;
+    assert.equal((await daemon.tick()).proofs[0].tokensClaimed, 140_000n, 'rest of the deposit');
+
+    chain.timestamp += 100;
+    assert.equal((await daemon.tick()).proofs.length, 0, 'nothing provable past the deposit');
+});
+
+test('nonce errors are retried with backoff; reverts are not', async () => {
+    const host = ethers.Wallet.createRandom();
+    const chain = new DaemonChain(host);
+    const jobId = chain.create(host.address);
+    const tokens = new InMemoryTokenSource();
+    const delays = [];
+    const daemon = newDaemon(chain, tokens, { retry: { baseDelayMs: 100, sleep: async (ms) => { delays.push(ms); } } });
+
+    tokens.record(jobId, 1000);
+    chain.timestamp += 5;
+    chain.failures.push(
+        Object.assign(new Error('nonce has already been used'), { code: 'NONCE_EXPIRED' }),
+        Object.assign(new Error('replacement fee too low'), { code: 'REPLACEMENT_UNDERPRICED' })
+    );
+    const result = await daemon.tick();
+    assert.equal(result.proofs.length, 1);
+    assert.deepEqual(delays, [100, 200]);
+
+    const revert = Object.assign(new Error('execution reverted: "Session not active"'), { code: 'CALL_EXCEPTION' });
+    assert.equal(isRetryableTxError(revert), false);
+    let calls = 0;
+    await assert.rejects(withRetry(async () => { calls++; throw revert; }, { sleep: async () => {} }), /Session not active/);
+    assert.equal(calls, 1);
+});
+
+test('a proof whose send timed out after it was mined is found on-chain, not resent', async () => {
+    const host = ethers.Wallet.createRandom();
+    const chain = new DaemonChain(host);
+    const jobId = chain.create(host.address);
+    const tokens = new InMemoryTokenSource();
+    const daemon = newDaemon(chain, tokens);
+
+    tokens.record(jobId, 1000);
+    chain.timestamp += 5;
+    chain.lostReplies = 1;
+    const result = await daemon.tick();
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(chain.sent, ['submitProofOfWork']);
+    const [landed] = await chain.getLogs({ topics: [iface.getEvent('ProofSubmitted').topicHash] });
+    assert.deepEqual([result.proofs[0].transactionHash, result.proofs[0].blockNumber], [landed.transactionHash, landed.blockNumber]);
+    assert.equal(chain.sessions.get(jobId).tokensUsed, 1000n);
+});
+
+test('after maxDuration it proves what is left, then times out, and resumes from saved state', async () => {
+    const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-host-')), 'state.json');
+    const host = ethers.Wallet.createRandom();
+    const chain = new DaemonChain(host);
+    const jobId = chain.create(host.address, { maxDuration: 60n });
+    const tokens = new InMemoryTokenSource();
+
+    await newDaemon(chain, tokens, { statePath }).tick();
+    tokens.record(jobId, 300);
+
+    // A restarted daemon picks the session up from disk instead of rescanning
+    const daemon = newDaemon(chain, tokens, { statePath });
+    chain.timestamp += 61;
+    const result = await daemon.tick();
+
+    assert.equal(result.discovered.length, 0);
+    assert.equal(result.proofs[0].tokensClaimed, 300n, 'final partial proof below proofInterval');
+    assert.deepEqual(result.timeouts, [jobId]);
+    assert.deepEqual(chain.sent, ['submitProofOfWork', 'triggerSessionTimeout']);
+
+    const reloaded = newDaemon(chain, tokens, { statePath });
+    const [saved] = reloaded.getSessions();
+    assert.equal(saved.status, 'TimedOut');
+    assert.equal(saved.proofs[0].tokensClaimed, 300n);
+    assert.equal((await reloaded.tick()).timeouts.length, 0);
+});
+
+test('a session three proof intervals past its last proof is timed out before maxDuration', async () => {
+    const host = ethers.Wallet.createRandom();
+    const chain = new DaemonChain(host);
+    const idle = chain.create(host.address, { proofInterval: 200n, maxDuration: 3600n });
+    const serving = chain.create(host.address, { proofInterval: 200n, maxDuration: 3600n });
+    const tokens = new InMemoryTokenSource();
+    const daemon = newDaemon(chain, tokens);
+
+    tokens.record(serving, 150);
+    chain.timestamp += 600;
+    assert.deepEqual(await daemon.tick(), { discovered: [idle, serving], proofs: [], timeouts: [], closed: [], errors: [] },
+        'not past lastProofTime + 3 * proofInterval yet, and 150 tokens are below proofInterval');
+
+    // The serving session gets its tokens proven instead, which restarts its clock
+    chain.timestamp += 1;
+    const result = await daemon.tick();
+    assert.deepEqual(result.proofs.map((p) => [p.jobId, p.tokensClaimed]), [[serving, 150n]]);
+    assert.deepEqual(result.timeouts, [idle]);
+    assert.equal(chain.sessions.get(idle).status, 2);
+    assert.equal(chain.sessions.get(serving).status, 0);
+});
+
+test('start refuses to run without an onError handler', () => {
+    const daemon = newDaemon(new DaemonChain(ethers.Wallet.createRandom()), new InMemoryTokenSource());
+    assert.throws(() => daemon.start({ onTick: () => {} }), /onError handler/);
+});
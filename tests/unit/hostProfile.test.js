@@ -0,0 +1,225 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+    HostProfile,
+    connectContracts,
+    computeModelId,
+    abis,
+    MIN_STAKE,
+    ModelNotSupportedError,
+    PriceBelowMinimumError,
+    InvalidParameterError,
+    InsufficientBalanceError
+} = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const ADDRESSES = {
+    nodeRegistry: '0x8BC0Af4aAa2dfb99699B1A24bA85E507de10Fd22',
+    modelRegistry: '0x1a9d91521c85bD252Ac848806Ff5096bBb9ACDb2'
+};
+const FAB = '0xC78949004B4EB6dEf2D66e49Cd81231472612D62';
+const USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const REPO = 'CohereForAI/TinyVicuna-1B-32k-GGUF';
+const [A, B, C] = ['a.gguf', 'b.gguf', 'c.gguf'].map((file) => computeModelId(REPO, file));
+const host = new ethers.Wallet(ethers.id('host-profile'));
+
+/**
+ * The host's NodeRegistry entry, price overrides, approved models and FAB
+ * holdings as plain objects
+ */
+class HostChain extends FakeChain {
+    constructor(node = null) {
+        super({
+            [ADDRESSES.nodeRegistry]: abis.NodeRegistryABI,
+            [ADDRESSES.modelRegistry]: abis.ModelRegistryABI,
+            [FAB]: abis.ERC20ABI
+        }, {
+            results: {
+                MIN_STAKE: [MIN_STAKE],
+                fabToken: [FAB],
+                modelPricingNative: (args) => [(this.modelPrices[args[1]] || [0n])[0]],
+                modelPricingStable: (args) => [(this.modelPrices[args[1]] || [0n, 0n])[1]],
+                customTokenPricing: (args) => [this.tokenPrices[args[1]] || 0n],
+                isModelApproved: (args) => [this.approved.has(args[0])],
+                balanceOf: () => [this.fabBalance],
+                allowance: () => [this.allowance],
+                getNodeFullInfo: () => {
+                    const n = this.node;
+                    return n
+                        ? [host.address, n.stake, true, n.metadata, n.apiUrl, n.models, n.native, n.stable]
+                        : [ethers.ZeroAddress, 0n, false, '', '', [], 0n, 0n];
+                }
+            }
+        });
+        this.node = node;
+        this.modelPrices = {};
+        this.tokenPrices = {};
+        this.approved = new Set([A, B, C]);
+        this.fabBalance = ethers.parseEther('5000');
+        this.allowance = 0n;
+    }
+}
+
+function setup(node) {
+    const chain = new HostChain(node);
+    const contracts = connectContracts(ADDRESSES, chain);
+    contracts.nodeRegistry = contracts.nodeRegistry.connect(host.connect(chain));
+    return { chain, contracts, profile: new HostProfile(contracts) };
+}
+
+const config = (fields = {}) => ({
+    apiUrl: 'https://gpu-1.example.com',
+    metadata: { name: 'gpu-1', location: 'EU-West', gpuType: 'RTX 4090' },
+    stake: '1500',
+    pricing: { native: '3000000', stable: '2000', tokens: { [USDC]: '1500' } },
+    models: [
+        { repo: REPO, file: 'a.gguf', pricing: { stable: '5000' } },
+        { repo: REPO, file: 'b.gguf' }
+    ],
+    ...fields
+});
+
+const steps = (plan) => plan.actions.map((a) => [a.method, ...a.args]);
+
+const REGISTERED = {
+    stake: ethers.parseEther('1500'),
+    metadata: '{"name":"gpu-1","location":"EU-West","gpuType":"RTX 4090"}',
+    apiUrl: 'https://gpu-1.example.com',
+    models: [A, B],
+    native: 3_000_000n,
+    stable: 2000n
+};
+
+// A registered host whose overrides match config()
+function setupRegistered() {
+    const registered = setup({ ...REGISTERED });
+    registered.chain.modelPrices[A] = [0n, 5000n];
+    registered.chain.tokenPrices[USDC] = 1500n;
+    return registered;
+}
+
+test('a new host is approved, registered, topped up and priced in one plan', async () => {
+    const { profile } = setup();
+
+    const plan = await profile.plan(config());
+    assert.equal(plan.registered, false);
+    assert.deepEqual(plan.stake, { current: 0n, target: ethers.parseEther('1500'), minimum: MIN_STAKE });
+    assert.deepEqual(steps(plan), [
+        ['approve', ADDRESSES.nodeRegistry, ethers.parseEther('1500')],
+        ['registerNode', {
+            metadata: '{"gpuType":"RTX 4090","location":"EU-West","name":"gpu-1"}',
+            apiUrl: 'https://gpu-1.example.com',
+            modelIds: [A, B],
+            minPricePerTokenNative: 3_000_000n,
+            minPricePerTokenStable: 2000n
+        }],
+        ['stake', ethers.parseEther('500')],
+        ['setModelPricing', A, 0n, 5000n],
+        ['setTokenPricing', USDC, 1500n]
+    ]);
+});
+
+test('a model that is not approved fails the plan', async () => {
+    const { chain, profile } = setup();
+    chain.approved.delete(B);
+    await assert.rejects(profile.plan(config()), (err) => err instanceof ModelNotSupportedError && /b\.gguf is not approved/.test(err.message));
+});
+
+test('a stake below MIN_STAKE fails the plan', async () => {
+    const { profile } = setup();
+    await assert.rejects(profile.plan(config({ stake: '999' })), (err) => err instanceof InvalidParameterError && err.reason === 'Stake below minimum');
+});
+
+test('a price below the contract minimum fails the plan', async () => {
+    const { profile } = setup();
+    await assert.rejects(profile.plan(config({ pricing: { native: '1000', stable: '2000' } })),
+        (err) => err instanceof PriceBelowMinimumError && err.reason === 'Native price below minimum');
+});
+
+test('metadata without a name fails the plan', async () => {
+    const { profile } = setup();
+    await assert.rejects(profile.plan(config({ metadata: { location: 'EU-West' } })), /metadata.name is required/);
+});
+
+test('a fractional price fails the plan', async () => {
+    const { profile } = setup();
+    await assert.rejects(profile.plan(config({ pricing: { native: '3000000', stable: '0.5' } })), /whole number/);
+});
+
+test('a host without the FAB to stake fails the plan', async () => {
+    const { chain, profile } = setup();
+    chain.fabBalance = ethers.parseEther('1000');
+    await assert.rejects(profile.plan(config()), (err) => err instanceof InsufficientBalanceError && /needs 1500.0 FAB/.test(err.message));
+});
+
+test('apply() sends the plan in order, skipping an approval already in place', async () => {
+    const { chain, contracts, profile } = setup();
+    chain.allowance = ethers.parseEther('1500');
+    const sent = [];
+    contracts.nodeRegistry._send = async (method, args) => {
+        sent.push([method, ...args]);
+        return { hash: ethers.id(`tx-${sent.length}`), receipt: { blockNumber: 1 }, events: [] };
+    };
+    const applied = await profile.apply(config({ pricing: { native: '3000000', stable: '2000' } }));
+    assert.deepEqual(sent.map((s) => s[0]), ['registerNode', 'stake', 'setModelPricing']);
+    assert.deepEqual(sent[0].slice(1), ['{"gpuType":"RTX 4090","location":"EU-West","name":"gpu-1"}', 'https://gpu-1.example.com', [A, B], 3_000_000n, 2000n]);
+    assert.deepEqual(applied.results.map((r) => [r.method, r.hash]), [['registerNode', ethers.id('tx-1')], ['stake', ethers.id('tx-2')], ['setModelPricing', ethers.id('tx-3')]]);
+});
+
+test('a registered host in sync with its config needs no calls, whatever its metadata key order', async () => {
+    const { profile } = setupRegistered();
+    const plan = await profile.plan(config());
+    assert.deepEqual(steps(plan), []);
+    assert.deepEqual(plan.stake, { current: REGISTERED.stake, target: REGISTERED.stake, minimum: MIN_STAKE });
+});
+
+test('a registered host gets only the calls that differ', async () => {
+    const { profile } = setupRegistered();
+    const plan = await profile.plan(config({
+        stake: '2000',
+        apiUrl: 'https://gpu-2.example.com',
+        pricing: { native: '3000000', stable: '2500', tokens: { [USDC]: '0' } },
+        models: [{ repo: REPO, file: 'a.gguf', pricing: { stable: '5000' } }, { repo: REPO, file: 'b.gguf' }]
+    }));
+    assert.deepEqual(steps(plan), [
+        ['approve', ADDRESSES.nodeRegistry, ethers.parseEther('500')],
+        ['stake', ethers.parseEther('500')],
+        ['updateApiUrl', 'https://gpu-2.example.com'],
+        ['updatePricingStable', 2500n],
+        ['setTokenPricing', USDC, 0n]
+    ]);
+});
+
+test('a changed model list clears overrides for models no longer served', async () => {
+    const { chain, profile } = setupRegistered();
+    chain.modelPrices[B] = [0n, 3000n]; // B is dropped: its override goes with it
+    chain.modelPrices[C] = [400_000n, 0n]; // left over from an earlier stint serving C
+    const plan = await profile.plan(config({
+        pricing: { native: '3000000', stable: '2000', tokens: { [USDC]: '1500' } },
+        models: [
+            { repo: REPO, file: 'a.gguf' },
+            { repo: REPO, file: 'c.gguf', pricing: { native: '500000' } }
+        ]
+    }));
+    assert.deepEqual(steps(plan), [
+        ['updateSupportedModels', [A, C]],
+        ['clearModelPricing', B],
+        ['clearModelPricing', A],
+        ['setModelPricing', C, 500_000n, 0n]
+    ]);
+});
+
+test('a lower stake is a warning, not a call', async () => {
+    const { profile } = setupRegistered();
+    const plan = await profile.plan(config({ stake: '1000' }));
+    assert.deepEqual(steps(plan), []);
+    assert.match(plan.warnings[0], /cannot be lowered/);
+});
+
+test('registered: false unregisters a registered host and leaves an unregistered one alone', async () => {
+    assert.deepEqual(steps(await setupRegistered().profile.plan({ registered: false })), [['unregisterNode']]);
+    assert.deepEqual(steps(await setup().profile.plan({ registered: false })), []);
+});
@@ -0,0 +1,215 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { EventIndexer, IndexStore, abis } = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const MARKETPLACE = '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E';
+const HOST_EARNINGS = '0xE4F33e9e132E60fc3477509f99b9E1340b91Aee0';
+const NODE_REGISTRY = '0x8BC0Af4aAa2dfb99699B1A24bA85E507de10Fd22';
+const HOST = '0x4594F755F593B517Bb3194F4DeC20C48a3f04504';
+const USER = '0x8D642988E3e7b6DB15b6058461d5563835b04bF6';
+const USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const MODEL_ID = '0x0b75a2061e70e736924a30c0a327db7ab719402129f76f631adbd7b7a5a5bced';
+
+const marketplaceIface = new ethers.Interface(abis.JobMarketplaceABI);
+const earningsIface = new ethers.Interface(abis.HostEarningsABI);
+const registryIface = new ethers.Interface(abis.NodeRegistryABI);
+
+/**
+ * Chain whose blocks carry logs, and `fork` replaces the tail with different
+ * blocks (new hashes) to simulate a reorg. Sessions read back as one USDC session.
+ */
+class ReorgChain extends FakeChain {
+    constructor() {
+        super({ [MARKETPLACE]: marketplaceIface }, {
+            results: {
+                sessionJobs: (args) => [args[0], USER, HOST, USDC, 2_000_000n, 5000n, 0n, 3600n, 0n, 0n, 100n, 0, 0n, 0n, '', ethers.ZeroHash, '']
+            }
+        });
+        this.blocks = [];
+        this.salt = 'a';
+        this.logRequests = 0;
+    }
+
+    mine(logs = []) {
+        const number = this.blocks.length;
+        const hash = ethers.id(`${this.salt}-${number}`);
+        this.blocks.push({
+            number,
+            hash,
+            logs: logs.map((log, i) => ({ ...log, blockNumber: number, blockHash: hash, index: i, transactionHash: ethers.id(`tx-${hash}-${i}`) }))
+        });
+    }
+
+    fork(fromBlock) {
+        this.blocks = this.blocks.slice(0, fromBlock);
+        this.salt += 'b';
+    }
+
+    async getBlockNumber() {
+        return this.blocks.length - 1;
+    }
+
+    async getBlock(number) {
+        return this.blocks[number] || null;
+    }
+
+    async getLogs({ address, topics, fromBlock, toBlock }) {
+        this.logRequests++;
+        const addresses = address.map((a) => a.toLowerCase());
+        return this.blocks.slice(fromBlock, toBlock + 1)
+            .flatMap((b) => b.logs)
+            .filter((l) => addresses.includes(l.address.toLowerCase()) && topics[0].includes(l.topics[0]));
+    }
+}
+
+function log(iface, address, name, args) {
+    return { address, ...iface.encodeEventLog(name, args) };
+}
+
+const created = (jobId, deposit = 2_000_000n) => [
+    log(marketplaceIface, MARKETPLACE, 'SessionJobCreated', [jobId, USER, HOST, deposit]),
+    log(marketplaceIface, MARKETPLACE, 'SessionJobCreatedForModel', [jobId, USER, HOST, MODEL_ID, deposit])
+];
+const proof = (jobId, tokens, tag) =>
+    log(marketplaceIface, MARKETPLACE, 'ProofSubmitted', [jobId, HOST, tokens, ethers.id(tag), `cid-${tag}`, '']);
+const completed = (jobId, tokens, gross, net, refund) => [
+    log(marketplaceIface, MARKETPLACE, 'SessionCompleted', [jobId, tokens, net, refund]),
+    log(marketplaceIface, MARKETPLACE, 'SessionCompletedBy', [jobId, USER, tokens, gross, refund]),
+    log(earningsIface, HOST_EARNINGS, 'EarningsCredited', [HOST, USDC, net, net])
+];
+
+function newIndexer(chain, store, options = {}) {
+    return new EventIndexer({
+        provider: chain,
+        contracts: { jobMarketplace: MARKETPLACE, hostEarnings: HOST_EARNINGS, nodeRegistry: NODE_REGISTRY },
+        store,
+        confirmations: 0,
+        ...options
+    });
+}
+
+test('backfill materializes sessions, proofs, settlement, earnings and nodes', async () => {
+    const chain = new ReorgChain();
+    chain.mine([log(registryIface, NODE_REGISTRY, 'NodeRegistered', [HOST, 1000n, '{}', [MODEL_ID]])]);
+    chain.mine(created(1n));
+    chain.mine([proof(1n, 200n, 'p1'), log(marketplaceIface, MARKETPLACE, 'PaymentSent', [USER, 1n])]);
+    chain.mine(completed(1n, 200n, 1000n, 900n, 1_999_000n));
+    chain.mine([
+        log(earningsIface, HOST_EARNINGS, 'EarningsWithdrawn', [HOST, USDC, 900n, 0n]),
+        log(registryIface, NODE_REGISTRY, 'SlashExecuted', [HOST, 100n, 900n, 'bafyevidence', 'bad output', USER, 1234n])
+    ]);
+
+    const store = new IndexStore();
+    const { fromBlock, toBlock, events } = await newIndexer(chain, store, { batchSize: 2 }).sync();
+
+    assert.equal(fromBlock, 0);
+    assert.equal(toBlock, 4);
+    assert.equal(events.length, 9, 'PaymentSent is not indexed');
+    assert.equal(chain.logRequests, 3);
+
+    const session = store.getSession(1n);
+    assert.equal(session.status, 'Completed');
+    assert.equal(session.modelId, MODEL_ID);
+    assert.equal(session.paymentToken, USDC);
+    assert.equal(session.pricePerToken, 5000n);
+    assert.equal(session.tokensUsed, 200n);
+    assert.equal(session.proofs[0].proofCID, 'cid-p1');
+    assert.equal(session.settlement.completedBy, USER);
+    assert.equal(session.settlement.treasuryFee, 100n);
+    assert.equal(session.settlement.hostEarnings, 900n);
+
+    assert.deepEqual(store.getSessionsByHost(HOST.toLowerCase()), [session]);
+    assert.deepEqual(store.getSessionsByDepositor(USER), [session]);
+    assert.deepEqual(store.getSessionsByModel(MODEL_ID), [session]);
+
+    const earnings = store.getEarnings(HOST)[USDC];
+    assert.equal(earnings.credited, 900n);
+    assert.equal(earnings.withdrawn, 900n);
+    assert.equal(earnings.balance, 0n);
+
+    const node = store.getNode(HOST);
+    assert.equal(node.stakedAmount, 900n);
+    assert.equal(node.slashes[0].evidenceCID, 'bafyevidence');
+});
+
+test('a host registered before the start block is created by its first slash', async () => {
+    const chain = new ReorgChain();
+    chain.mine([log(registryIface, NODE_REGISTRY, 'SlashExecuted', [HOST, 100n, 900n, 'bafyevidence', 'bad output', USER, 1234n])]);
+
+    const store = new IndexStore();
+    await newIndexer(chain, store).sync();
+
+    const node = store.getNode(HOST);
+    assert.deepEqual([node.operator, node.stakedAmount, node.active, node.models], [HOST, 900n, true, null]);
+    assert.deepEqual(node.slashes.map((s) => [s.amount, s.evidenceCID]), [[100n, 'bafyevidence']]);
+});
+
+test('follow-up syncs only fetch new confirmed blocks', async () => {
+    const chain = new ReorgChain();
+    chain.mine(created(1n));
+    chain.mine();
+
+    const store = new IndexStore();
+    const indexer = newIndexer(chain, store, { confirmations: 1, enrich: false });
+    assert.equal((await indexer.sync()).toBlock, 0);
+
+    chain.mine([proof(1n, 100n, 'p1')]);
+    chain.mine();
+    const second = await indexer.sync();
+
+    assert.equal(second.fromBlock, 1);
+    assert.equal(second.toBlock, 2);
+    assert.equal(store.getSession(1n).tokensUsed, 100n);
+    assert.equal(store.getSession(1n).paymentToken, null);
+});
+
+test('a reorg rewinds to the fork point and reindexes the new branch', async () => {
+    const chain = new ReorgChain();
+    chain.mine(created(1n));
+    chain.mine([proof(1n, 100n, 'orphaned')]);
+    chain.mine();
+
+    const store = new IndexStore();
+    const indexer = newIndexer(chain, store, { batchSize: 1, enrich: false });
+    await indexer.sync();
+    assert.equal(store.getSession(1n).tokensUsed, 100n);
+
+    chain.fork(1);
+    chain.mine([proof(1n, 300n, 'canonical')]);
+    chain.mine();
+    chain.mine();
+    const result = await indexer.sync();
+
+    assert.equal(result.reorg, 0);
+    assert.equal(result.fromBlock, 1);
+    const session = store.getSession(1n);
+    assert.equal(session.tokensUsed, 300n);
+    assert.deepEqual(session.proofs.map((p) => p.proofCID), ['cid-canonical']);
+});
+
+test('the store persists to disk and restores bigint values', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-index-')), 'index.json');
+    const chain = new ReorgChain();
+    chain.mine([...created(7n), proof(7n, 150n, 'p1')]);
+    chain.mine([log(marketplaceIface, MARKETPLACE, 'SessionTimedOut', [7n, 0n, 0n])]);
+
+    await newIndexer(chain, new IndexStore({ path: file })).sync();
+    const reloaded = new IndexStore({ path: file });
+
+    assert.equal(reloaded.lastCheckpoint.blockNumber, 1);
+    assert.equal(reloaded.getSession(7n).tokensUsed, 150n);
+    assert.equal(reloaded.getSession(7n).status, 'TimedOut');
+    assert.equal(reloaded.getEvents({ jobId: 7n }).length, 4);
+});
+
+test('follow refuses to start without an onError handler', () => {
+    const indexer = newIndexer(new ReorgChain(), new IndexStore());
+    assert.throws(() => indexer.follow({ onSync: () => {} }), /onError handler/);
+});
@@ -0,0 +1,211 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+    ProofQueue,
+    connectContracts,
+    signProof,
+    recoverProofSigner,
+    abis
+} = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const ADDRESSES = {
+    jobMarketplace: '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E',
+    proofSystem: '0x2ACcc60893872A499700908889B38C5420CBcFD1'
+};
+const USER = '0x8D642988E3e7b6DB15b6058461d5563835b04bF6';
+const host = new ethers.Wallet(ethers.id('proof-queue-host'));
+const NOW = 2_000_000;
+const GWEI = 1_000_000_000n;
+
+const marketplaceIface = new ethers.Interface(abis.JobMarketplaceABI);
+
+/**
+ * Active sessions last proven 100s ago, ProofSystem's views over its
+ * verifiedProofs set, fee data and the host's pending nonce
+ */
+class ProvingChain extends FakeChain {
+    constructor() {
+        super({ [ADDRESSES.jobMarketplace]: marketplaceIface, [ADDRESSES.proofSystem]: abis.ProofSystemABI }, {
+            timestamp: NOW,
+            results: {
+                sessionJobs: (args) => [args[0], USER, host.address, ethers.ZeroAddress, ethers.parseEther('1'), 5000n, 0n, 3600n,
+                    BigInt(NOW - 1000), BigInt(NOW - 100), 100n, 0, 0n, 0n, '', ethers.ZeroHash, ''],
+                submitProofOfWork: [],
+                verifyBatchView: (args) => [args[0].map((proof, i) =>
+                    !this.usedProofs.has(ethers.dataSlice(proof, 0, 32)) &&
+                    recoverProofSigner(ethers.dataSlice(proof, 0, 32), args[1], args[2][i], ethers.dataSlice(proof, 32)) === args[1])],
+                verifiedProofs: (args) => [this.usedProofs.has(args[0])]
+            }
+        });
+        this.usedProofs = new Set();
+    }
+
+    async getFeeData() {
+        return { maxFeePerGas: GWEI, maxPriorityFeePerGas: GWEI / 10n, gasPrice: GWEI };
+    }
+
+    async getTransactionCount() {
+        return 7;
+    }
+}
+
+function setup(options = {}) {
+    const chain = new ProvingChain();
+    const contracts = connectContracts(ADDRESSES, chain);
+    contracts.jobMarketplace = contracts.jobMarketplace.connect(host.connect(chain));
+    return { chain, contracts, queue: new ProofQueue(contracts, options) };
+}
+
+const proof = (tag, tokensClaimed = 1000n, signer = host) =>
+    signProof(signer, { tokensClaimed, proofData: ethers.toUtf8Bytes(tag), proofCID: `bafy${tag}` });
+
+/**
+ * Record what the host broadcasts, failing the test if a send starts before
+ * the previous one was accepted. Jobs in `unsent` fail before broadcast;
+ * jobs in `reverted` are mined and revert with that reason.
+ */
+function recordSends(contracts, { unsent = [], reverted = {} } = {}) {
+    const sent = [];
+    let sending = false;
+    contracts.jobMarketplace.runner.sendTransaction = async (tx) => {
+        assert.equal(sending, false, 'broadcasts overlap');
+        sending = true;
+        await new Promise((resolve) => setImmediate(resolve));
+        sending = false;
+        const jobId = marketplaceIface.parseTransaction({ data: tx.data }).args[0];
+        if (unsent.includes(jobId)) throw new Error('could not coalesce error');
+        sent.push({ jobId, nonce: tx.nonce, gasLimit: tx.gasLimit });
+        return {
+            hash: ethers.id(`tx-${jobId}`),
+            wait: async () => {
+                if (reverted[jobId]) throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION', reason: reverted[jobId] });
+                return { blockNumber: 42, logs: [] };
+            }
+        };
+    };
+    return sent;
+}
+
+test('flush sends one proof per session with consecutive nonces', async () => {
+    const { contracts, queue } = setup();
+    const sent = recordSends(contracts);
+    queue.add(1n, await proof('first'));
+    queue.add(2n, await proof('other'));
+
+    const result = await queue.flush();
+
+    assert.deepEqual(result.submitted.map((s) => [s.jobId, s.transactionHash, s.blockNumber]), [[1n, ethers.id('tx-1'), 42], [2n, ethers.id('tx-2'), 42]]);
+    assert.deepEqual(sent.map((s) => [s.jobId, s.nonce, s.gasLimit]), [[1n, 7, 240_000n], [2n, 8, 240_000n]]);
+    assert.deepEqual(result.failed, []);
+});
+
+test('flush defers a second proof for the same session to the next flush', async () => {
+    const { contracts, queue } = setup();
+    recordSends(contracts);
+    queue.add(1n, await proof('first'));
+    queue.add(1n, await proof('second'));
+
+    const result = await queue.flush();
+
+    assert.deepEqual(result.submitted.map((s) => s.jobId), [1n]);
+    assert.equal(result.deferred, 1);
+    assert.equal(queue.size, 1);
+    assert.equal(queue.queue[0].proof.proofCID, 'bafysecond');
+});
+
+test('flush fails a proof signed by someone other than the host without sending it', async () => {
+    const { contracts, queue } = setup();
+    const sent = recordSends(contracts);
+    queue.add(2n, await proof('stranger', 1000n, new ethers.Wallet(ethers.id('someone-else'))));
+
+    const result = await queue.flush();
+
+    assert.deepEqual(result.failed.map((f) => [f.jobId, f.reason]), [[2n, 'Invalid proof signature']]);
+    assert.deepEqual(sent, []);
+});
+
+test('flush fails a proof ProofSystem has already verified', async () => {
+    const { chain, contracts, queue } = setup();
+    const sent = recordSends(contracts);
+    const replayed = await proof('replayed');
+    chain.usedProofs.add(replayed.proofHash);
+    queue.add(3n, replayed);
+
+    const result = await queue.flush();
+
+    assert.deepEqual(result.failed.map((f) => [f.jobId, f.reason]), [[3n, 'Invalid proof signature']]);
+    assert.match(result.failed[0].message, /already used/);
+    assert.deepEqual(sent, []);
+});
+
+test('flush fails a proof claiming more tokens than time allows', async () => {
+    const { contracts, queue } = setup();
+    const sent = recordSends(contracts);
+    queue.add(4n, await proof('greedy', 300_000n)); // 100s at 2000 tokens/s allows 200k
+
+    const result = await queue.flush();
+
+    assert.deepEqual(result.failed.map((f) => [f.jobId, f.reason]), [[4n, 'Excessive tokens claimed']]);
+    assert.deepEqual(sent, []);
+});
+
+test('flush reports a proof that reverts once mined', async () => {
+    const { contracts, queue } = setup();
+    const sent = recordSends(contracts, { reverted: { 5: 'Session not active' } });
+    queue.add(5n, await proof('closed'));
+
+    const result = await queue.flush();
+
+    assert.deepEqual(sent.map((s) => s.jobId), [5n]);
+    assert.deepEqual(result.submitted, []);
+    assert.deepEqual(result.failed.map((f) => [f.jobId, f.reason]), [[5n, 'Session not active']]);
+});
+
+const fill = async (queue) => {
+    for (let job = 11n; job <= 22n; job++) queue.add(job, await proof(`job-${job}`));
+};
+// One transaction per proof, 200k each
+const gasFor = (n) => 200_000n * BigInt(n);
+
+test('a flush sends at most 10 proofs by default, costed per transaction', async () => {
+    const { queue } = setup();
+    await fill(queue);
+    const plan = await queue.plan();
+    assert.deepEqual([plan.entries.length, plan.deferred.length, plan.gasEstimate], [10, 2, gasFor(10)]);
+    assert.equal(plan.maxCost, gasFor(10) * GWEI);
+});
+
+test('maxPerFlush limits the transactions in flight', async () => {
+    const { queue } = setup({ maxPerFlush: 3 });
+    await fill(queue);
+    assert.deepEqual([(await queue.plan()).entries.length, (await queue.plan()).gasEstimate], [3, gasFor(3)]);
+});
+
+test('a flush stays within the fee budget', async () => {
+    const { queue } = setup({ maxFeePerFlush: gasFor(4) * GWEI + 1n });
+    await fill(queue);
+    assert.equal((await queue.plan()).entries.length, 4);
+});
+
+test('a gas budget too small for one proof defers them all', async () => {
+    const { queue } = setup({ maxGasPerFlush: 100_000n });
+    await fill(queue);
+    const starved = await queue.flush();
+    assert.deepEqual([starved.submitted.length, starved.failed.length, starved.deferred], [0, 0, 12]);
+});
+
+test('a proof that fails before broadcast gives its nonce to the next one', async () => {
+    const { contracts, queue } = setup();
+    const sent = recordSends(contracts, { unsent: [2n] });
+    for (const job of [1n, 2n, 3n]) queue.add(job, await proof(`job-${job}`));
+
+    const result = await queue.flush();
+
+    assert.deepEqual(sent.map((s) => [s.jobId, s.nonce]), [[1n, 7], [3n, 8]]);
+    assert.deepEqual(result.submitted.map((s) => s.jobId), [1n, 3n]);
+    assert.deepEqual(result.failed.map((f) => [f.jobId, f.message]), [[2n, 'could not coalesce error']]);
+});
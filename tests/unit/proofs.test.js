@@ -0,0 +1,92 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { signProof, packProof, proofDataHash, recoverProofSigner, checkProof } = require('../../sdk');
+
+const host = new ethers.Wallet('0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a');
+const other = ethers.Wallet.createRandom();
+
+function activeSession(overrides = {}) {
+    return {
+        status: 0n,
+        host: host.address,
+        deposit: ethers.parseUnits('2', 6),
+        pricePerToken: 5000n,
+        tokensUsed: 0n,
+        lastProofTime: 1000n,
+        ...overrides
+    };
+}
+
+test('signProof produces the signature ProofSystem recovers to the host', async () => {
+    const proof = await signProof(host, { proofData: '0x1234', tokensClaimed: 100 });
+
+    assert.equal(proof.proofHash, ethers.keccak256('0x1234'));
+    assert.equal(proof.tokensClaimed, 100n);
+    assert.equal(proof.proofCID, '');
+
+    // Rebuild the contract's digest by hand: EIP-191 prefix over keccak256(abi.encodePacked(...))
+    const packed = ethers.concat([proof.proofHash, host.address, ethers.toBeHex(100n, 32)]);
+    assert.equal(proofDataHash(proof.proofHash, host.address, 100n), ethers.keccak256(packed));
+    const digest = ethers.keccak256(ethers.concat([
+        ethers.toUtf8Bytes('\x19Ethereum Signed Message:\n32'),
+        ethers.keccak256(packed)
+    ]));
+    assert.equal(ethers.recoverAddress(digest, proof.signature), host.address);
+
+    assert.equal(ethers.dataLength(packProof(proof.proofHash, proof.signature)), 97);
+    assert.equal(recoverProofSigner(proof.proofHash, host.address, 101n, proof.signature) === host.address, false);
+});
+
+test('checkProof accepts a valid proof within rate and deposit limits', async () => {
+    const proof = await signProof(host, { proofHash: ethers.id('batch-1'), tokensClaimed: 200n, proofCID: 'bafy' });
+    const result = checkProof(proof, host.address, { session: activeSession(), now: 1001n });
+
+    assert.deepEqual(result, { valid: true, errors: [] });
+    assert.equal(proof.proofCID, 'bafy');
+});
+
+test('checkProof reports signature failures as the contract does', async () => {
+    const proof = await signProof(host, { proofHash: ethers.id('batch-1'), tokensClaimed: 100n });
+
+    const wrongSigner = await signProof(other, { proofHash: proof.proofHash, tokensClaimed: 100n });
+    assert.deepEqual(checkProof(wrongSigner, host.address).errors, ['Invalid proof signature']);
+
+    const short = { ...proof, signature: ethers.dataSlice(proof.signature, 0, 64) };
+    assert.deepEqual(checkProof(short, host.address).errors, ['Invalid signature length']);
+
+    const bytes = ethers.getBytes(proof.signature);
+    bytes[64] -= 27;
+    assert.deepEqual(checkProof({ ...proof, signature: ethers.hexlify(bytes) }, host.address).errors, ['Invalid proof signature']);
+
+    const used = new Set([proof.proofHash.toLowerCase()]);
+    assert.deepEqual(checkProof(proof, host.address, { usedProofHashes: used }).errors, ['Invalid proof signature']);
+});
+
+test('checkProof applies the session checks from submitProofOfWork', async () => {
+    const proof = await signProof(host, { proofHash: ethers.id('batch-2'), tokensClaimed: 300n });
+
+    assert.deepEqual(
+        checkProof(proof, host.address, { session: activeSession({ status: 1n }), now: 2000n }).errors,
+        ['Session not active']
+    );
+    assert.deepEqual(
+        checkProof(proof, host.address, { session: activeSession({ host: other.address }), now: 2000n }).errors,
+        ['Only host can submit proof']
+    );
+    // 300 tokens need at least one second since the last proof
+    assert.deepEqual(
+        checkProof(proof, host.address, { session: activeSession(), now: 1000n }).errors,
+        ['Excessive tokens claimed']
+    );
+    // 2 USDC at 5000 per 1000 tokens covers 400,000 tokens
+    assert.deepEqual(
+        checkProof(proof, host.address, { session: activeSession({ tokensUsed: 399800n }), now: 2000n }).errors,
+        ['Exceeds deposit']
+    );
+
+    const tiny = await signProof(host, { proofHash: ethers.id('batch-3'), tokensClaimed: 99n });
+    assert.deepEqual(checkProof(tiny, host.address).errors, ['Must claim minimum tokens']);
+});
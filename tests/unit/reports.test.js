@@ -0,0 +1,159 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { EarningsReport, IndexStore, connectContracts, toCsv, abis, NATIVE_TOKEN } = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const ADDRESSES = {
+    jobMarketplace: '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E',
+    hostEarnings: '0xE4F33e9e132E60fc3477509f99b9E1340b91Aee0'
+};
+const USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+const HOST_A = '0x4594F755F593B517Bb3194F4DeC20C48a3f04504';
+const HOST_B = '0x9406Cc6185a346906296840746125a0E44976454';
+const USER = '0x8D642988E3e7b6DB15b6058461d5563835b04bF6';
+const T0 = 1_700_000_000;
+
+/**
+ * Contract state behind the indexed history below: USER's deposit balance,
+ * one active USDC session, treasury fees, host balances and token holdings
+ */
+class LedgerChain extends FakeChain {
+    constructor() {
+        super({
+            [ADDRESSES.jobMarketplace]: abis.JobMarketplaceABI,
+            [ADDRESSES.hostEarnings]: abis.HostEarningsABI,
+            [USDC]: abis.ERC20ABI
+        }, {
+            results: {
+                getDepositBalances: (args) => [args[1].map((t) => (args[0] === USER && t === USDC ? 3_000_000n : 0n))],
+                accumulatedTreasuryNative: [200n],
+                accumulatedTreasuryTokens: [50n],
+                sessionJobs: (args) => {
+                    const active = args[0] === 4n;
+                    const token = args[0] === 2n ? NATIVE_TOKEN : USDC;
+                    return [args[0], USER, HOST_A, token, 2_000_000n, 5000n, 0n, 3600n, 0n, 0n, 100n, active ? 0 : 1,
+                        0n, 0n, '', ethers.ZeroHash, ''];
+                },
+                getBalances: (args) => [args[1].map((t) => this.hostBalances[args[0]][t])],
+                getTokenStats: (args) => [this.outstanding[args[0]], 0n, this.outstanding[args[0]]],
+                balanceOf: (args) => [this.holdings[args[0]][USDC]]
+            }
+        });
+        this.holdings = {
+            [ADDRESSES.jobMarketplace]: { [NATIVE_TOKEN]: 200n, [USDC]: 3_000_000n + 2_000_000n + 50n },
+            [ADDRESSES.hostEarnings]: { [NATIVE_TOKEN]: 1800n, [USDC]: 1350n }
+        };
+        this.hostBalances = { [HOST_A]: { [NATIVE_TOKEN]: 1800n, [USDC]: 900n }, [HOST_B]: { [NATIVE_TOKEN]: 0n, [USDC]: 450n } };
+        this.outstanding = { [NATIVE_TOKEN]: 1800n, [USDC]: 1350n };
+    }
+
+    async getBalance(address) {
+        return this.holdings[address][NATIVE_TOKEN];
+    }
+
+    // Block n is mined at T0 + 10n seconds
+    async getBlock(number) {
+        return { number, timestamp: T0 + number * 10 };
+    }
+}
+
+function history() {
+    const records = [];
+    const add = (blockNumber, name, args, extra = {}) => records.push({
+        contract: 'jobMarketplace', name, args, blockNumber, blockHash: ethers.id(`block-${blockNumber}`),
+        transactionHash: ethers.id(`tx-${records.length}`), logIndex: 0, ...extra
+    });
+    const session = (jobId, host, token) => add(1, 'SessionJobCreated', { jobId, depositor: USER, host, deposit: 2_000_000n },
+        token ? { session: { paymentToken: token, pricePerToken: 5000n } } : {});
+    const settle = (blockNumber, jobId, gross, fee) => {
+        add(blockNumber, 'SessionCompleted', { jobId, totalTokensUsed: gross * 200n, hostEarnings: gross - fee, userRefund: 2_000_000n - gross });
+        add(blockNumber, 'SessionCompletedBy', { jobId, completedBy: USER, tokensUsed: gross * 200n, paymentAmount: gross, refundAmount: 2_000_000n - gross });
+    };
+
+    add(1, 'DepositReceived', { depositor: USER, amount: 3_000_000n, token: USDC });
+    session(1n, HOST_A, USDC);
+    session(2n, HOST_A); // not enriched: the token is read from sessionJobs
+    session(3n, HOST_B, USDC);
+    session(4n, HOST_A, USDC);
+    settle(10, 1n, 1000n, 100n);
+    settle(20, 2n, 2000n, 200n);
+    add(25, 'TreasuryWithdrawal', { token: USDC, amount: 100n });
+    settle(500, 3n, 500n, 50n);
+    for (const [host, token, amount] of [[HOST_A, USDC, 900n], [HOST_A, NATIVE_TOKEN, 1800n], [HOST_B, USDC, 450n]]) {
+        add(500, 'EarningsCredited', { host, token, amount, newBalance: amount }, { contract: 'hostEarnings' });
+    }
+
+    const store = new IndexStore();
+    store.append(records, { blockNumber: 500, blockHash: ethers.id('block-500') });
+    return store;
+}
+
+function report(chain) {
+    return new EarningsReport(history(), connectContracts(ADDRESSES, chain));
+}
+
+test('statements total sessions, tokens, gross, fee and net per host and token', async () => {
+    const all = await report(new LedgerChain()).statement();
+    assert.deepEqual(all.rows.map((r) => [r.host, r.token, r.sessions, r.gross, r.fee, r.net]), [
+        [HOST_A, NATIVE_TOKEN, 1, 2000n, 200n, 1800n],
+        [HOST_A, USDC, 1, 1000n, 100n, 900n],
+        [HOST_B, USDC, 1, 500n, 50n, 450n]
+    ]);
+    assert.equal(all.rows[1].tokensUsed, 200_000n);
+});
+
+test('statements cover only sessions settled in the period', async () => {
+    // Blocks 10 and 20 fall in the first 1000s; block 500 does not
+    const period = await report(new LedgerChain()).statement({ from: new Date(T0 * 1000), to: T0 + 1000 });
+    assert.deepEqual(period.period, { from: T0, to: T0 + 1000 });
+    assert.deepEqual(period.sessions.map((s) => [s.jobId, s.settledAt]), [[1n, T0 + 100], [2n, T0 + 200]]);
+});
+
+test('statements can be limited to one host', async () => {
+    assert.deepEqual((await report(new LedgerChain()).statement({ host: HOST_B })).rows.map((r) => r.net), [450n]);
+});
+
+test('toCsv writes a header row and quotes fields that need it', async () => {
+    const all = await report(new LedgerChain()).statement();
+    assert.equal(toCsv(all.rows, ['host', 'token', 'sessions', 'net']), [
+        'host,token,sessions,net',
+        `${HOST_A},${NATIVE_TOKEN},1,1800`,
+        `${HOST_A},${USDC},1,900`,
+        `${HOST_B},${USDC},1,450`,
+        ''
+    ].join('\n'));
+    assert.equal(toCsv([{ reason: 'said "no", twice' }]), 'reason\n"said ""no"", twice"\n');
+});
+
+test('treasury statements total fees accrued and withdrawn per token', async () => {
+    const treasury = await report(new LedgerChain()).treasuryStatement({ to: T0 + 1000 }, [NATIVE_TOKEN]);
+    assert.deepEqual(treasury.rows.map((r) => [r.token, r.sessions, r.accrued, r.withdrawn, r.balance]), [
+        [NATIVE_TOKEN, 1, 200n, 0n, 200n],
+        [USDC, 1, 100n, 100n, 50n]
+    ]);
+    assert.deepEqual(treasury.withdrawals.map((w) => [w.token, w.amount, w.time]), [[USDC, 100n, T0 + 250]]);
+});
+
+test('reconcile balances holdings against deposits, locked sessions, earnings and treasury', async () => {
+    const balanced = await report(new LedgerChain()).reconcile([NATIVE_TOKEN, USDC]);
+    assert.equal(balanced.ok, true, JSON.stringify(balanced.discrepancies, (k, v) => (typeof v === 'bigint' ? v.toString() : v)));
+    const usdc = balanced.tokens[1].marketplace;
+    assert.deepEqual([usdc.deposits, usdc.locked, usdc.treasury, usdc.expected], [3_000_000n, 2_000_000n, 50n, 5_000_050n]);
+});
+
+test('reconcile reports each contract that holds less than it owes', async () => {
+    const chain = new LedgerChain();
+    chain.holdings[ADDRESSES.jobMarketplace][USDC] -= 10n;
+    chain.hostBalances[HOST_B][USDC] = 400n;
+    const drifted = await report(chain).reconcile([NATIVE_TOKEN, USDC]);
+    assert.equal(drifted.ok, false);
+    assert.deepEqual(drifted.tokens.map((t) => t.ok), [true, false]);
+    assert.deepEqual(drifted.discrepancies.map((d) => [d.contract, d.check, d.difference]), [
+        ['jobMarketplace', 'balance', -10n],
+        ['hostEarnings', 'host balances', -50n]
+    ]);
+    assert.match(drifted.discrepancies[0].message, /shortfall 10/);
+});
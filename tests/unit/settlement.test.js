@@ -0,0 +1,78 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+    JobMarketplaceClient,
+    calculateSettlement,
+    maxProvableTokens,
+    tokenCost,
+    NATIVE_TOKEN
+} = require('../../sdk');
+
+const MARKETPLACE = '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E';
+const USDC = '0x036CbD53842c5426634e7929541eC2318f3dCF7e';
+
+test('USDC settlement applies PRICE_PRECISION and feeBasisPoints', () => {
+    // 200 tokens at 5000 (5 USDC-units per token after PRICE_PRECISION) from a 2 USDC deposit, 10% fee
+    const settlement = calculateSettlement(
+        { deposit: 2_000_000n, pricePerToken: 5000n, tokensUsed: 200n, paymentToken: USDC },
+        1000n
+    );
+
+    assert.deepEqual(settlement, {
+        tokensUsed: 200n,
+        hostPayment: 1000n,
+        treasuryFee: 100n,
+        hostEarnings: 900n,
+        userRefund: 1_999_000n,
+        paymentToken: USDC
+    });
+    assert.equal(settlement.hostEarnings + settlement.treasuryFee + settlement.userRefund, 2_000_000n);
+});
+
+test('fees round down in favour of the host and the refund is floored at zero', () => {
+    const rounded = calculateSettlement({ deposit: 10n ** 15n, pricePerToken: 333n, tokensUsed: 101n }, 250);
+    // 101 * 333 / 1000 = 33 (33.633 truncated); 33 * 250 / 10000 = 0
+    assert.equal(rounded.hostPayment, 33n);
+    assert.equal(rounded.treasuryFee, 0n);
+    assert.equal(rounded.hostEarnings, 33n);
+    assert.equal(rounded.paymentToken, NATIVE_TOKEN);
+
+    const overdrawn = calculateSettlement({ deposit: 100n, pricePerToken: 2000n, tokensUsed: 100n }, 0);
+    assert.equal(overdrawn.userRefund, 0n);
+    assert.equal(overdrawn.hostEarnings, 200n);
+});
+
+test('a session without proofs refunds the whole deposit', () => {
+    const settlement = calculateSettlement({ deposit: ethers.parseEther('0.01'), pricePerToken: 2_000_000_000n, tokensUsed: 0n }, 1000);
+
+    assert.equal(settlement.hostPayment, 0n);
+    assert.equal(settlement.treasuryFee, 0n);
+    assert.equal(settlement.userRefund, ethers.parseEther('0.01'));
+});
+
+test('maxProvableTokens is the deposit cap enforced by submitProofOfWork', () => {
+    assert.equal(maxProvableTokens(2_000_000n, 5000n), 400_000n);
+    assert.equal(maxProvableTokens(ethers.parseEther('0.0001'), 2_000_000_000n), 50_000_000n);
+    assert.ok(tokenCost(maxProvableTokens(1_000_001n, 3n), 3n) <= 1_000_001n);
+});
+
+test('previewSettlement combines the live session and fee', async () => {
+    const iface = new ethers.Interface(require('../../sdk').abis.JobMarketplaceABI);
+    const runner = {
+        call: async (tx) => {
+            const { name } = iface.parseTransaction({ data: tx.data });
+            if (name === 'feeBasisPoints') return iface.encodeFunctionResult('feeBasisPoints', [1000n]);
+            return iface.encodeFunctionResult('sessionJobs', [
+                5n, ethers.ZeroAddress, ethers.ZeroAddress, USDC, 2_000_000n, 5000n, 200n, 3600n, 1000n, 1100n, 100n, 0,
+                0n, 0n, '', ethers.ZeroHash, ''
+            ]);
+        }
+    };
+    const client = new JobMarketplaceClient(MARKETPLACE, runner);
+
+    assert.equal((await client.previewSettlement(5n)).hostEarnings, 900n);
+    assert.equal((await client.previewSettlement(5n, { tokensUsed: 400_000n })).userRefund, 0n);
+});
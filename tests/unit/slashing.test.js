@@ -0,0 +1,194 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    SlashingWorkflow,
+    connectContracts,
+    abis,
+    SlashingError,
+    UnauthorizedError
+} = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const ADDRESSES = {
+    jobMarketplace: '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E',
+    nodeRegistry: '0x8BC0Af4aAa2dfb99699B1A24bA85E507de10Fd22'
+};
+const HOST = '0x4594F755F593B517Bb3194F4DeC20C48a3f04504';
+const OTHER_HOST = '0x9406Cc6185a346906296840746125a0E44976454';
+const USER = '0x8D642988E3e7b6DB15b6058461d5563835b04bF6';
+const TREASURY = '0xbeaBB2a5AEd358aA0bd442dFFd793411519Bdc11';
+const authority = new ethers.Wallet(ethers.id('slashing-authority'));
+const FAB = (n) => ethers.parseEther(String(n));
+const NOW = 2_000_000;
+const DAY = 86400;
+
+/**
+ * NodeRegistry stake and slash state, the host's sessions and its
+ * ProofSubmitted logs, one block per proof
+ */
+class SlashChain extends FakeChain {
+    constructor({ stake = FAB(1000), lastSlashTime = 0 } = {}) {
+        super({ [ADDRESSES.jobMarketplace]: abis.JobMarketplaceABI, [ADDRESSES.nodeRegistry]: abis.NodeRegistryABI }, {
+            results: {
+                getNodeFullInfo: () => (this.stake === null
+                    ? [ethers.ZeroAddress, 0n, false, '', '', [], 0n, 0n]
+                    : [HOST, this.stake, true, '{}', 'https://host.example', [], 2000n, 2000n]),
+                lastSlashTime: () => [this.lastSlashTime],
+                slashingAuthority: [authority.address],
+                treasury: [TREASURY],
+                sessionJobs: (args) => {
+                    const s = this.sessions[args[0]];
+                    return [args[0], USER, s.host, ethers.ZeroAddress, FAB(1), 5000n, 9000n, 3600n, s.startTime, 0n, 100n, 0,
+                        0n, 0n, s.conversationCID, ethers.ZeroHash, ''];
+                }
+            }
+        });
+        this.stake = stake;
+        this.lastSlashTime = BigInt(lastSlashTime);
+        this.sessions = {};
+        this.blockTimes = {};
+    }
+
+    session(jobId, host, startTime, conversationCID = '') {
+        this.sessions[jobId] = { host, startTime: BigInt(startTime), conversationCID };
+    }
+
+    proof(jobId, host, tokensClaimed, time) {
+        const n = this.logs.length;
+        this.blockTimes[100 + n] = time;
+        this.emit(ADDRESSES.jobMarketplace, 'ProofSubmitted', [jobId, host, tokensClaimed, ethers.id(`proof-${n}`), `bafyproof${n}`, `bafydelta${n}`]);
+    }
+
+    async getBlock(tag) {
+        return { timestamp: tag === 'latest' ? NOW : this.blockTimes[tag] };
+    }
+}
+
+function workflow(chain, options = {}) {
+    const contracts = connectContracts(ADDRESSES, chain);
+    contracts.nodeRegistry = contracts.nodeRegistry.connect(options.signer || authority.connect(chain));
+    return new SlashingWorkflow(contracts, options);
+}
+
+function provingChain() {
+    const chain = new SlashChain();
+    chain.session(1n, HOST, NOW - 1000, 'bafyconversation1');
+    chain.session(2n, HOST, NOW - 500);
+    chain.proof(1n, HOST, 10_000n, NOW - 900);
+    chain.proof(1n, HOST, 150_000n, NOW - 850); // 3000 tokens/s
+    chain.proof(2n, OTHER_HOST, 5_000n, NOW - 400);
+    chain.proof(2n, HOST, 20_000n, NOW - 400);
+    return chain;
+}
+
+test('evidence bundles the host\'s proofs with CIDs and claimed rates', async () => {
+    const bundle = await workflow(provingChain()).collectEvidence(HOST, { report: { complainant: USER } });
+
+    assert.equal(bundle.host, HOST);
+    assert.equal(bundle.complainant, USER);
+    assert.deepEqual(bundle.sessions.map((s) => [s.jobId, s.proofs.length]), [[1n, 2], [2n, 1]]);
+    const [first, second] = bundle.sessions[0].proofs;
+    assert.deepEqual([first.elapsed, first.tokensPerSecond], [100, 100]);
+    assert.deepEqual([second.elapsed, second.tokensPerSecond], [50, 3000]);
+    assert.equal(second.proofCID, 'bafyproof1');
+    assert.deepEqual(bundle.evidence.deltaCIDs, ['bafydelta0', 'bafydelta1', 'bafydelta3']);
+    assert.deepEqual(bundle.evidence.conversationCIDs, ['bafyconversation1']);
+    assert.deepEqual(bundle.findings, { sessions: 2, proofs: 3, tokensClaimed: 180_000n, peakTokensPerSecond: 3000, overRateLimit: 1 });
+});
+
+test('a proof in the same second as the one before it has no rate and is left out of the findings', async () => {
+    const chain = provingChain();
+    chain.proof(1n, HOST, 1_000n, NOW - 850);
+
+    const bundle = await workflow(chain).collectEvidence(HOST);
+
+    const third = bundle.sessions[0].proofs[2];
+    assert.deepEqual([third.elapsed, third.tokensPerSecond], [0, null]);
+    assert.deepEqual([bundle.findings.peakTokensPerSecond, bundle.findings.overRateLimit], [3000, 1]);
+});
+
+test('evidence can be limited to some sessions', async () => {
+    const one = await workflow(provingChain()).collectEvidence(HOST, { jobIds: [2n] });
+    assert.deepEqual(one.sessions.map((s) => s.jobId), [2n]);
+});
+
+const PARAMS = { evidenceCID: 'bafyreport', reason: 'Overclaimed tokens' };
+
+test('preview defaults to the 50% maximum slash', async () => {
+    const fresh = workflow(new SlashChain({ stake: FAB(1000) }));
+    const status = await fresh.status(HOST);
+    assert.deepEqual([status.maxSlash, status.cooldownRemaining], [FAB(500), 0n]);
+    const preview = await fresh.preview(HOST, PARAMS);
+    assert.equal(preview.amount, FAB(500));
+    assert.deepEqual([preview.stakeAfter, preview.autoUnregister, preview.treasury], [FAB(500), false, TREASURY]);
+});
+
+test('preview refuses more than 50% of the stake', async () => {
+    await assert.rejects(workflow(new SlashChain({ stake: FAB(1000) })).preview(HOST, { ...PARAMS, amount: FAB(501) }), (err) => {
+        assert.ok(err instanceof SlashingError);
+        assert.equal(err.reason, 'Exceeds max slash percentage');
+        return true;
+    });
+});
+
+test('preview refuses a slash without evidence', async () => {
+    await assert.rejects(workflow(new SlashChain()).preview(HOST, { ...PARAMS, evidenceCID: '' }), /Evidence CID required|Upload the evidence/);
+});
+
+test('preview refuses a slash during the cooldown and says when it ends', async () => {
+    const cooling = workflow(new SlashChain({ lastSlashTime: NOW - DAY + 60 }));
+    assert.equal((await cooling.status(HOST)).cooldownRemaining, 60n);
+    await assert.rejects(cooling.preview(HOST, PARAMS), (err) => {
+        assert.equal(err.reason, 'Slash cooldown active');
+        assert.match(err.message, new RegExp(new Date((NOW + 60) * 1000).toISOString()));
+        return true;
+    });
+    assert.equal((await workflow(new SlashChain({ lastSlashTime: NOW - DAY })).preview(HOST, PARAMS)).amount, FAB(500));
+});
+
+test('preview refuses a signer that is not the slashing authority', async () => {
+    const stranger = new ethers.Wallet(ethers.id('not-the-authority'));
+    const chain = new SlashChain();
+    await assert.rejects(workflow(chain, { signer: stranger.connect(chain) }).preview(HOST, PARAMS), UnauthorizedError);
+});
+
+test('preview warns when the slash leaves the host below the floor', async () => {
+    // 90 FAB left is below the 100 FAB floor
+    const small = await workflow(new SlashChain({ stake: FAB(180) })).preview(HOST, { ...PARAMS, amount: FAB(90) });
+    assert.deepEqual([small.autoUnregister, small.returnedToHost], [true, FAB(90)]);
+});
+
+test('slash sends slashStake and records the emitted events', async () => {
+    const chain = new SlashChain({ stake: FAB(180) });
+    const recordPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-slash-')), 'slashes.json');
+    const slashing = workflow(chain, { recordPath });
+    const registry = slashing.nodeRegistry;
+    const sent = [];
+    registry._send = async (method, args) => {
+        sent.push({ method, args });
+        const logs = [
+            registry.interface.encodeEventLog('SlashExecuted', [HOST, FAB(90), FAB(90), 'bafyreport', 'Overclaimed tokens', authority.address, NOW]),
+            registry.interface.encodeEventLog('HostAutoUnregistered', [HOST, FAB(90), FAB(90), 'Overclaimed tokens'])
+        ].map((log, index) => ({ address: registry.address, ...log, index, blockNumber: 77, transactionHash: ethers.id('slash') }));
+        const receipt = { blockNumber: 77, logs };
+        return { hash: ethers.id('slash'), receipt, events: registry.parseEvents(receipt) };
+    };
+
+    const result = await slashing.slash(HOST, { amount: FAB(90), evidenceCID: 'bafyreport', reason: 'Overclaimed tokens' });
+
+    assert.deepEqual(sent.map((s) => s.method), ['slashStake']);
+    assert.deepEqual([...sent[0].args], [HOST, FAB(90), 'bafyreport', 'Overclaimed tokens']);
+    assert.equal(result.preview.autoUnregister, true);
+    assert.deepEqual(
+        [result.record.remainingStake, result.record.autoUnregistered, result.record.returnedAmount, result.record.blockNumber],
+        [FAB(90), true, FAB(90), 77]
+    );
+    assert.deepEqual(slashing.records(), [result.record]);
+    assert.deepEqual(new SlashingWorkflow({ nodeRegistry: registry }, { recordPath }).records()[0].amount, FAB(90));
+});
@@ -0,0 +1,206 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const {
+    SmartAccount,
+    getUserOpHash,
+    connectContracts,
+    findEvent,
+    abis,
+    ENTRY_POINT_ADDRESS,
+    UserOperationError,
+    PriceBelowMinimumError
+} = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const ADDRESSES = {
+    jobMarketplace: '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E',
+    usdcToken: '0x036CbD53842c5426634e7929541eC2318f3dCF7e'
+};
+const ACCOUNT = '0x9406Cc6185a346906296840746125a0E44976454';
+const HOST = '0x4594F755F593B517Bb3194F4DeC20C48a3f04504';
+const PAYMASTER = '0x00000f79B7FaF42EEBAdbA19aCc07cD08Af44789';
+const owner = new ethers.Wallet(ethers.id('smart-account-owner'));
+const marketplaceIface = new ethers.Interface(abis.JobMarketplaceABI);
+const accountIface = new ethers.Interface(abis.AccountABI);
+const revert = (reason) => ethers.concat(['0x08c379a0', ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason])]);
+
+// The chain side: EntryPoint nonces, deployment and fees
+class AccountChain extends FakeChain {
+    constructor() {
+        super({ [ENTRY_POINT_ADDRESS]: abis.EntryPointABI }, { results: { getNonce: (args) => [(args[1] << 64n) | this.nonce] } });
+        this.nonce = 5n;
+        this.code = '0x6080';
+    }
+
+    async getCode() {
+        return this.code;
+    }
+
+    async getFeeData() {
+        return { maxFeePerGas: 2_000_000n, maxPriorityFeePerGas: 1_000_000n };
+    }
+}
+
+// The bundler JSON-RPC: records requests and answers from `responses`
+class FakeBundler {
+    constructor(responses = {}) {
+        this.requests = [];
+        this.responses = {
+            eth_estimateUserOperationGas: () => ({ callGasLimit: '0x30d40', verificationGasLimit: '0x186a0', preVerificationGas: 50000 }),
+            eth_sendUserOperation: ([op]) => getUserOpHash(fromRpc(op), ENTRY_POINT_ADDRESS, 84532n),
+            ...responses
+        };
+    }
+
+    async send(method, params) {
+        this.requests.push({ method, params });
+        const response = this.responses[method];
+        if (!response) throw new Error(`Unexpected ${method}`);
+        return response(params, this.requests.filter((r) => r.method === method).length);
+    }
+
+    sent(method) {
+        return this.requests.filter((r) => r.method === method).map((r) => r.params[0]);
+    }
+}
+
+function fromRpc(op) {
+    const userOp = { ...op };
+    for (const field of ['nonce', 'callGasLimit', 'verificationGasLimit', 'preVerificationGas', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+        userOp[field] = BigInt(op[field]);
+    }
+    return userOp;
+}
+
+function account(bundler, options = {}) {
+    return new SmartAccount({ address: ACCOUNT, owner, provider: new AccountChain(), bundler, ...options });
+}
+
+test('approve + createSession run as one signed executeBatch, sponsored by the paymaster', async () => {
+    const { jobMarketplace, usdcToken } = connectContracts(ADDRESSES, new AccountChain());
+    const jobCreated = marketplaceIface.encodeEventLog('SessionJobCreated', [77n, ACCOUNT, HOST, 5_000_000n]);
+    const bundler = new FakeBundler({
+        eth_getUserOperationReceipt: (params, attempt) => (attempt === 1 ? null : {
+            success: true,
+            actualGasCost: '0x1000',
+            receipt: { transactionHash: ethers.id('bundle') },
+            logs: [{ address: ADDRESSES.jobMarketplace, ...jobCreated, logIndex: '0x3', blockNumber: '0x10', transactionHash: ethers.id('bundle') }]
+        })
+    });
+    const paymaster = {
+        getPaymasterStubData: async () => `${PAYMASTER}00`,
+        getPaymasterAndData: async (userOp) => {
+            assert.equal(userOp.callGasLimit, 200000n, 'sponsored after gas is estimated');
+            return `${PAYMASTER}ff`;
+        }
+    };
+
+    const calls = [
+        await usdcToken.populate().approve(jobMarketplace.address, 5_000_000n),
+        await jobMarketplace.populate().createSession({
+            host: HOST, token: usdcToken.address, deposit: 5_000_000n, pricePerToken: 5000n, maxDuration: 3600n, proofInterval: 100n
+        })
+    ];
+    const result = await account(bundler, { paymaster }).execute(calls, { pollMs: 1 });
+
+    assert.equal(findEvent(result.events, 'SessionJobCreated').jobId, 77n);
+    assert.equal(result.actualGasCost, 4096n);
+
+    const [estimated] = bundler.sent('eth_estimateUserOperationGas');
+    assert.equal(estimated.paymasterAndData, `${PAYMASTER}00`);
+    const [sent] = bundler.sent('eth_sendUserOperation');
+    const userOp = fromRpc(sent);
+    assert.equal(userOp.sender, ACCOUNT);
+    assert.equal(userOp.nonce, 5n);
+    assert.equal(userOp.initCode, '0x', 'already deployed');
+    assert.equal(userOp.paymasterAndData, `${PAYMASTER}ff`);
+    assert.deepEqual([userOp.callGasLimit, userOp.verificationGasLimit, userOp.preVerificationGas], [200000n, 100000n, 50000n]);
+    assert.equal(ethers.verifyMessage(ethers.getBytes(getUserOpHash(userOp, ENTRY_POINT_ADDRESS, 84532n)), userOp.signature), owner.address);
+
+    const batch = accountIface.parseTransaction({ data: userOp.callData });
+    assert.equal(batch.name, 'executeBatch');
+    assert.deepEqual([...batch.args[0]], [ADDRESSES.usdcToken, ADDRESSES.jobMarketplace]);
+    assert.equal(marketplaceIface.parseTransaction({ data: batch.args[2][1] }).name, 'createSessionJobWithToken');
+});
+
+test('back-to-back operations take consecutive nonces before the first is included', async () => {
+    const { jobMarketplace } = connectContracts(ADDRESSES, new AccountChain());
+    const bundler = new FakeBundler();
+    const smartAccount = account(bundler);
+
+    for (const jobIds of [[1n, 2n], [3n]]) {
+        const calls = await Promise.all(jobIds.map((jobId) => jobMarketplace.populate().triggerTimeout(jobId)));
+        await smartAccount.sendUserOperation(await smartAccount.buildUserOperation(calls));
+    }
+
+    const [first, second] = bundler.sent('eth_sendUserOperation').map(fromRpc);
+    assert.deepEqual([first.nonce, second.nonce], [5n, 6n]);
+    assert.equal(accountIface.parseTransaction({ data: first.callData }).name, 'executeBatch');
+    assert.equal(accountIface.parseTransaction({ data: second.callData }).name, 'execute');
+
+    // Another key is its own sequence
+    const keyed = await smartAccount.getNonce(1n);
+    assert.equal(keyed, (1n << 64n) | 5n);
+});
+
+test('a timed-out UserOperation keeps its nonce until the bundler drops it, and so does a gap below later ones', async () => {
+    const { jobMarketplace } = connectContracts(ADDRESSES, new AccountChain());
+    const call = await jobMarketplace.populate().triggerTimeout(3n);
+    const mempool = new Set();
+    const bundler = new FakeBundler({
+        eth_sendUserOperation: ([op]) => {
+            const userOpHash = getUserOpHash(fromRpc(op), ENTRY_POINT_ADDRESS, 84532n);
+            mempool.add(userOpHash);
+            return userOpHash;
+        },
+        eth_getUserOperationReceipt: () => null,
+        eth_getUserOperationByHash: ([userOpHash]) => (mempool.has(userOpHash) ? { userOperation: {}, blockNumber: null } : null)
+    });
+    const smartAccount = account(bundler);
+    const send = async (calls) => smartAccount.sendUserOperation(await smartAccount.buildUserOperation(calls));
+    const wait = (userOpHash) => assert.rejects(smartAccount.waitForUserOperation(userOpHash, { timeoutMs: 1, pollMs: 1 }), /was not included/);
+
+    const slow = await send([call]);
+    await wait(slow);
+    assert.equal(await smartAccount.getNonce(), 6n, 'still in the bundler mempool, so 5 may yet land');
+    mempool.delete(slow);
+    assert.equal(await smartAccount.getNonce(), 5n);
+
+    // 5 and 6 pending; 5 is dropped, so 6 cannot land until 5 is reused
+    const first = await send([call]);
+    await send([call, call]);
+    assert.equal(await smartAccount.getNonce(), 7n);
+    await wait(first);
+    mempool.delete(first);
+    assert.equal(await smartAccount.getNonce(), 5n);
+});
+
+test('bundler rejections become typed errors with hints', async () => {
+    const { jobMarketplace } = connectContracts(ADDRESSES, new AccountChain());
+    const call = await jobMarketplace.populate().triggerTimeout(3n);
+    const rpcError = (error) => ethers.makeError('could not coalesce error', 'UNKNOWN_ERROR', { error });
+
+    const unfunded = account(new FakeBundler({
+        eth_estimateUserOperationGas: () => { throw rpcError({ code: -32500, message: "AA21 didn't pay prefund" }); }
+    }));
+    await assert.rejects(unfunded.execute([call]), (err) => {
+        assert.ok(err instanceof UserOperationError);
+        assert.equal(err.reason, 'AA21');
+        assert.match(err.hint, /paymaster/);
+        return true;
+    });
+
+    const reverting = account(new FakeBundler({
+        eth_estimateUserOperationGas: () => {
+            throw rpcError({ code: -32521, message: `UserOperation reverted during simulation with reason: ${revert('Price below host minimum')}` });
+        }
+    }));
+    await assert.rejects(reverting.execute([call, call]), (err) => {
+        assert.ok(err instanceof PriceBelowMinimumError);
+        assert.equal(err.message, 'SmartAccount.executeBatch reverted: Price below host minimum');
+        return true;
+    });
+});
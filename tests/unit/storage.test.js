@@ -0,0 +1,153 @@
+// Copyright (c) 2025 Fabstir
+// SPDX-License-Identifier: BUSL-1.1
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+    ProofStorage,
+    MemoryStore,
+    FileStore,
+    computeCid,
+    verifyCid,
+    computeProofHash,
+    recoverProofSigner,
+    connectContracts,
+    abis
+} = require('../../sdk');
+const { FakeChain } = require('./helpers/fakeChain');
+
+const MARKETPLACE = '0x3CaCbf3f448B420918A93a88706B26Ab27a3523E';
+const HOST = '0x4594F755F593B517Bb3194F4DeC20C48a3f04504';
+const USER = '0x8D642988E3e7b6DB15b6058461d5563835b04bF6';
+const iface = new ethers.Interface(abis.JobMarketplaceABI);
+const OUT_OF_BOUNDS = iface.encodeErrorResult('Error', ['Proof index out of bounds']);
+
+/**
+ * One session's proofs as the marketplace stores them, plus their ProofSubmitted logs
+ */
+class FakeMarketplace extends FakeChain {
+    constructor(conversationCID) {
+        super({ [MARKETPLACE]: iface });
+        this.conversationCID = conversationCID;
+        this.proofs = [];
+    }
+
+    proof(proofHash, proofCID, deltaCID) {
+        const n = this.proofs.length;
+        this.proofs.push([proofHash, 1000n, 1000n + BigInt(n), true, deltaCID]);
+        this.emit(MARKETPLACE, 'ProofSubmitted', [1n, HOST, 1000n, proofHash, proofCID, deltaCID], 10 + n);
+    }
+
+    result(name, args) {
+        if (name === 'getProofSubmission') {
+            const proof = this.proofs[Number(args[1])];
+            if (!proof) throw ethers.makeError('execution reverted', 'CALL_EXCEPTION', { data: OUT_OF_BOUNDS });
+            return proof;
+        }
+        if (name === 'sessionJobs') {
+            return [1n, USER, HOST, ethers.ZeroAddress, 10n ** 18n, 5000n,
+                2000n, 3600n, 1000n, 1001n, 100n, 1, 0n, 0n, this.conversationCID, ethers.ZeroHash, ''];
+        }
+    }
+}
+
+const hello = ethers.toUtf8Bytes('hello world');
+
+test('content is addressed by its CIDv1', () => {
+    const cid = computeCid(hello);
+    assert.equal(cid, 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e');
+    assert.equal(verifyCid(cid, hello), true);
+    assert.equal(verifyCid(cid, ethers.toUtf8Bytes('hello there')), false);
+    assert.equal(verifyCid('z5AanNVJCxnN4WUyz1tPDQxHx1QZxndwaCCeHAFj4tcadpRKaht3QxV', hello), null, 'other CID formats are not checked');
+});
+
+test('FileStore keeps blobs across instances and refuses paths outside its directory', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fabstir-store-'));
+    const file = new FileStore(path.join(dir, 'blobs'));
+    const cid = await file.put(hello);
+    assert.equal(cid, computeCid(hello));
+    assert.deepEqual(await new FileStore(path.join(dir, 'blobs')).get(cid), hello);
+    assert.equal(await file.get('bafkreimissing'), null);
+    assert.equal(await file.get('../escape'), null);
+});
+
+test('prepareProof stores the proof and delta and signs the proof with their CIDs', async () => {
+    const storage = new ProofStorage(new MemoryStore());
+    const host = new ethers.Wallet(ethers.id('storage-host'));
+    const proofData = ethers.toUtf8Bytes('proof for tokens 0-1000');
+    const delta = { messages: [{ role: 'assistant', content: 'Hi' }], tokens: 1000n };
+    const proof = await storage.prepareProof(host, { tokensClaimed: 1000n, proofData, delta });
+
+    assert.equal(proof.proofHash, computeProofHash(proofData));
+    assert.equal(proof.proofCID, computeCid(proofData));
+    assert.deepEqual(await storage.fetch(proof.proofCID), proofData);
+    assert.deepEqual(await storage.fetchJson(proof.deltaCID), { messages: delta.messages, tokens: '1000' });
+    assert.equal(recoverProofSigner(proof.proofHash, host.address, 1000n, proof.signature), host.address);
+});
+
+test('storeMaterial keeps CIDs it is given and fetch refuses unknown ones', async () => {
+    const storage = new ProofStorage(new MemoryStore());
+    const given = await storage.storeMaterial({ proofHash: ethers.id('x'), proofCID: 'bafyexisting', deltaCID: 'bafydelta' });
+    assert.deepEqual([given.proofCID, given.deltaCID], ['bafyexisting', 'bafydelta']);
+    await assert.rejects(storage.fetch(computeCid(ethers.toUtf8Bytes('never stored'))), /not found/);
+});
+
+/**
+ * Two proofs on chain whose blobs are stored, and a conversation; the second
+ * proof's delta is not stored unless `withDelta`
+ */
+async function provenSession({ withDelta = false } = {}) {
+    const store = new MemoryStore();
+    const storage = new ProofStorage(store);
+    const first = await storage.uploadProof(ethers.toUtf8Bytes('proof 0'));
+    const second = await storage.uploadProof(ethers.toUtf8Bytes('proof 1'));
+    const delta = await storage.uploadDelta('delta 0');
+    const secondDelta = withDelta ? await storage.uploadDelta('delta 1') : computeCid(ethers.toUtf8Bytes('delta 1'));
+    const conversationCID = await storage.uploadConversation({ messages: ['delta 0', 'delta 1'] });
+
+    const chain = new FakeMarketplace(conversationCID);
+    chain.proof(first.proofHash, first.proofCID, delta);
+    chain.proof(second.proofHash, second.proofCID, secondDelta);
+    const contracts = connectContracts({ jobMarketplace: MARKETPLACE }, chain);
+    return { store, storage, chain, contracts, second, secondDelta, conversationCID, verifier: new ProofStorage(store, contracts) };
+}
+
+test('verifySession verifies every proof, delta and the conversation against the chain', async () => {
+    const { verifier, contracts, conversationCID } = await provenSession({ withDelta: true });
+    assert.equal((await contracts.jobMarketplace.getProofSubmissions(1n)).length, 2);
+    const report = await verifier.verifySession(1n);
+    assert.equal(report.ok, true);
+    assert.deepEqual(report.proofs.map((p) => [p.index, p.proof.status, p.delta.status]), [[0, 'verified', 'verified'], [1, 'verified', 'verified']]);
+    assert.deepEqual(report.conversation, { cid: conversationCID, status: 'verified' });
+});
+
+test('verifySession reports a delta that is not stored as missing', async () => {
+    const { verifier, second } = await provenSession();
+    const report = await verifier.verifySession(1n);
+    assert.equal(report.ok, false);
+    assert.deepEqual(
+        report.proofs.map((p) => [p.index, p.proof.status, p.delta.status]),
+        [[0, 'verified', 'verified'], [1, 'verified', 'missing']]
+    );
+    assert.equal(report.proofs[1].proof.cid, second.proofCID);
+});
+
+test('verifySession reports a proof blob swapped under its CID as corrupt', async () => {
+    const { verifier, store, second } = await provenSession({ withDelta: true });
+    store.blobs.set(second.proofCID, ethers.toUtf8Bytes('tampered'));
+    const report = await verifier.verifySession(1n);
+    assert.equal(report.ok, false);
+    assert.deepEqual(report.proofs.map((p) => [p.proof.status, p.delta.status]), [['verified', 'verified'], ['corrupt', 'verified']]);
+});
+
+test('verifySession reports content under a CID other than the committed one as a mismatch', async () => {
+    const { verifier, storage, chain, second, secondDelta } = await provenSession({ withDelta: true });
+    const wrong = await storage.uploadProof(ethers.toUtf8Bytes('a different proof'));
+    chain.logs[1] = { ...chain.logs[1], ...iface.encodeEventLog('ProofSubmitted', [1n, HOST, 1000n, second.proofHash, wrong.proofCID, secondDelta]) };
+    const report = await verifier.verifySession(1n);
+    assert.equal(report.ok, false);
+    assert.equal(report.proofs[1].proof.status, 'mismatch');
+});